@@ -0,0 +1,84 @@
+// Self-hostable SVG language card endpoint: GET /api/card?user=<login>&theme=&layout=&count=
+// Written against the standard Request/Response API so it runs as an edge function as-is,
+// or under Node through server/index.js.
+import { createGitHubClient, GitHubError, ERROR_CODES } from '../src/lib/github.js';
+import { countPrimaryLanguages, selectRecentlyPushed, sumLanguageBytes } from '../src/lib/analysis.js';
+import { parseCardOptions, renderErrorCard, renderLanguageCard } from '../src/lib/card.js';
+import { normalizeApiBaseUrl } from '../src/lib/hosts.js';
+
+// Cards are cheap to re-render but expensive in API calls, so let CDNs and GitHub's camo cache them
+const CACHE_SECONDS = 60 * 60 * 4;
+
+// metric=bytes costs one request per repository, so only the most recently pushed ones are scanned
+export const BYTES_REPO_LIMIT = 30;
+
+// Language totals per user and metric, kept for as long as CDNs may cache the card. The Map keeps
+// insertion order, so the first key is the oldest entry when it is full.
+const LANGUAGE_CACHE_SIZE = 200;
+const languageCache = new Map();
+
+const readCachedLanguages = (key) => {
+  const entry = languageCache.get(key);
+  if (!entry) return null;
+  if (entry.expires <= Date.now()) {
+    languageCache.delete(key);
+    return null;
+  }
+  return entry.languages;
+};
+
+const cacheLanguages = (key, languages) => {
+  languageCache.delete(key);
+  if (languageCache.size >= LANGUAGE_CACHE_SIZE) {
+    languageCache.delete(languageCache.keys().next().value);
+  }
+  languageCache.set(key, { languages, expires: Date.now() + CACHE_SECONDS * 1000 });
+};
+
+export const clearLanguageCache = () => languageCache.clear();
+
+const loadLanguages = async (client, login, metric) => {
+  const repos = await client.listUserRepos(login);
+  if (metric === 'bytes') {
+    return sumLanguageBytes(await client.listRepoLanguages(selectRecentlyPushed(repos, BYTES_REPO_LIMIT)));
+  }
+  return countPrimaryLanguages(repos);
+};
+
+const svgResponse = (svg, status = 200, maxAge = CACHE_SECONDS) =>
+  new Response(svg, {
+    status,
+    headers: {
+      'Content-Type': 'image/svg+xml; charset=utf-8',
+      'Cache-Control': `public, max-age=${maxAge}, s-maxage=${maxAge}`,
+    },
+  });
+
+export default async function handler(request) {
+  const { searchParams } = new URL(request.url);
+  const options = parseCardOptions(searchParams);
+  const login = (searchParams.get('user') || '').trim();
+
+  if (!login) {
+    return svgResponse(renderErrorCard('Missing ?user= parameter.', options), 400, 0);
+  }
+
+  try {
+    const metric = searchParams.get('metric') === 'bytes' ? 'bytes' : 'repos';
+    const cacheKey = `${login.toLowerCase()} ${metric}`;
+    let languages = readCachedLanguages(cacheKey);
+
+    if (!languages) {
+      const env = globalThis.process?.env || {};
+      // GITHUB_API_URL points a self-hosted card service at a GitHub Enterprise Server instead
+      const client = createGitHubClient({ token: env.GITHUB_TOKEN || '', baseUrl: normalizeApiBaseUrl(env.GITHUB_API_URL) });
+      languages = await loadLanguages(client, login, metric);
+      cacheLanguages(cacheKey, languages);
+    }
+
+    return svgResponse(renderLanguageCard({ login, languages }, options));
+  } catch (err) {
+    const status = err instanceof GitHubError && err.code === ERROR_CODES.NOT_FOUND ? 404 : 502;
+    return svgResponse(renderErrorCard(err.message, options), status, 60);
+  }
+}
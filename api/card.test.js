@@ -0,0 +1,75 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import handler, { BYTES_REPO_LIMIT, clearLanguageCache } from './card.js';
+
+const API = 'https://api.github.com';
+
+// More repositories than a byte card scans; repo 0 is the most recently pushed
+const repos = Array.from({ length: BYTES_REPO_LIMIT + 10 }, (_, index) => ({
+  id: index,
+  name: `repo-${index}`,
+  full_name: `octocat/repo-${index}`,
+  language: index % 2 ? 'Go' : 'Rust',
+  pushed_at: new Date(Date.UTC(2024, 0, 1) - index * 24 * 60 * 60 * 1000).toISOString(),
+  languages_url: `${API}/repos/octocat/repo-${index}/languages`,
+}));
+
+const jsonResponse = (body) =>
+  new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+let fetchMock;
+
+beforeEach(() => {
+  clearLanguageCache();
+  vi.stubEnv('GITHUB_TOKEN', '');
+  vi.stubEnv('GITHUB_API_URL', '');
+  fetchMock = vi.fn(async (url) => {
+    if (url.startsWith(`${API}/users/octocat/repos`)) return jsonResponse(repos);
+    if (url.endsWith('/languages')) return jsonResponse({ Go: 100 });
+    throw new TypeError(`Unexpected request: ${url}`);
+  });
+  vi.stubGlobal('fetch', fetchMock);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+});
+
+const requestCard = (query) => handler(new Request(`http://localhost/api/card?${query}`));
+const requestedUrls = () => fetchMock.mock.calls.map(([url]) => url);
+
+describe('card handler', () => {
+  it('reads language bytes of the most recently pushed repositories only', async () => {
+    const response = await requestCard('user=octocat&metric=bytes');
+    expect(response.status).toBe(200);
+
+    const languageUrls = requestedUrls().filter(url => url.endsWith('/languages'));
+    expect(languageUrls).toHaveLength(BYTES_REPO_LIMIT);
+    expect(languageUrls).toContain(`${API}/repos/octocat/repo-0/languages`);
+    expect(languageUrls).not.toContain(`${API}/repos/octocat/repo-${BYTES_REPO_LIMIT}/languages`);
+  });
+
+  it('serves repeated requests for a user and metric from memory', async () => {
+    await requestCard('user=octocat&metric=bytes');
+    const callsAfterFirst = fetchMock.mock.calls.length;
+
+    expect((await requestCard('user=OctoCat&metric=bytes&theme=light')).status).toBe(200);
+    expect(fetchMock.mock.calls.length).toBe(callsAfterFirst);
+
+    // The repo-count card is cached separately
+    await requestCard('user=octocat');
+    expect(requestedUrls().slice(callsAfterFirst)).toHaveLength(1);
+  });
+
+  it('refetches once the cached entry expires', async () => {
+    vi.useFakeTimers({ now: Date.UTC(2024, 0, 1), toFake: ['Date'] });
+    try {
+      await requestCard('user=octocat');
+      vi.setSystemTime(Date.UTC(2024, 0, 2));
+      await requestCard('user=octocat');
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
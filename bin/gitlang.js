@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+// Command-line version of the language analysis:
+//   gitlang <user> [--token <token>] [--api-url <url>] [--format table|json|csv|markdown] [--top <n>]
+import { realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createGitHubClient, ERROR_CODES, formatRetryTime, GitHubError } from '../src/lib/github.js';
+import { analyzeRepos, selectTopRepos } from '../src/lib/analysis.js';
+import { normalizeApiBaseUrl } from '../src/lib/hosts.js';
+import { LANGUAGE_COLUMNS, STATS_COLUMNS, buildLanguageRows, statsToRows, toCSV } from '../src/lib/export.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  AUTH: 4,
+  RATE_LIMITED: 5,
+};
+
+const FORMATS = ['table', 'json', 'csv', 'markdown'];
+
+const USAGE = `Usage: gitlang <user> [options]
+
+Analyze the languages of a GitHub user's public repositories.
+
+Options:
+  -t, --token <token>    GitHub token (defaults to $GH_TOKEN or $GITHUB_TOKEN)
+  -a, --api-url <url>    API URL of a GitHub Enterprise Server, e.g. https://github.example.com/api/v3
+                         (defaults to $GITLANG_API_URL, or api.github.com)
+  -f, --format <format>  Output format: ${FORMATS.join(', ')} (default: table)
+  -n, --top <n>          Number of top repositories to list (default: 5)
+  -h, --help             Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 user not found,
+  4 invalid or unauthorized token, 5 rate limited`;
+
+class UsageError extends Error {}
+
+const parseCliArgs = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      token: { type: 'string', short: 't' },
+      'api-url': { type: 'string', short: 'a' },
+      format: { type: 'string', short: 'f', default: 'table' },
+      top: { type: 'string', short: 'n', default: '5' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) {
+    throw new UsageError(positionals.length === 0 ? 'Missing <user> argument.' : 'Only one <user> can be analyzed at a time.');
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}". Use one of: ${FORMATS.join(', ')}.`);
+  }
+  const top = Number(values.top);
+  if (!Number.isInteger(top) || top < 0) {
+    throw new UsageError('--top must be a non-negative integer.');
+  }
+
+  let apiUrl;
+  try {
+    apiUrl = values['api-url'] === undefined ? undefined : normalizeApiBaseUrl(values['api-url']);
+  } catch (err) {
+    throw new UsageError(`--api-url: ${err.message}`);
+  }
+
+  return { user: positionals[0], format: values.format, top, token: values.token, apiUrl };
+};
+
+const TOP_REPO_COLUMNS = [
+  { header: 'rank', value: repo => repo.rank },
+  { header: 'name', value: repo => repo.name },
+  { header: 'language', value: repo => repo.language },
+  { header: 'stars', value: repo => repo.stars },
+  { header: 'forks', value: repo => repo.forks },
+  { header: 'url', value: repo => repo.url },
+];
+
+// CSV has no notion of sections, so each table gets a "# name" label line and a blank line after it
+const csvSections = (sections) =>
+  sections.map(([label, csv]) => `# ${label}\r\n${csv}`).join('\r\n\r\n');
+
+const percent = (value) => `${value.toFixed(1)}%`;
+
+const padTable = (rows) => {
+  const widths = rows[0].map((_, index) => Math.max(...rows.map(row => String(row[index]).length)));
+  return rows.map(row => row.map((cell, index) => String(cell).padEnd(widths[index])).join('  ').trimEnd());
+};
+
+const markdownTable = (header, rows) => [
+  `| ${header.join(' | ')} |`,
+  `| ${header.map(() => '---').join(' | ')} |`,
+  ...rows.map(row => `| ${row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`),
+];
+
+const formatReport = (report, format) => {
+  const { user, stats, repoCount, languages, topRepos } = report;
+
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2);
+  }
+
+  if (format === 'csv') {
+    return csvSections([
+      ['languages', toCSV(languages, LANGUAGE_COLUMNS.filter(column => !column.header.startsWith('byte')))],
+      ['stats', toCSV(statsToRows(stats, repoCount), STATS_COLUMNS)],
+      ['top_repos', toCSV(topRepos.map((repo, index) => ({ ...repo, rank: index + 1 })), TOP_REPO_COLUMNS)],
+    ]);
+  }
+
+  const languageRows = languages.map(row => [row.language, row.repos, percent(row.repoShare)]);
+  const repoRows = topRepos.map((repo, index) => [index + 1, repo.name, repo.language || '-', repo.stars, repo.forks]);
+
+  if (format === 'markdown') {
+    return [
+      `# @${user}'s Top Languages`,
+      '',
+      `**${repoCount}** repositories · **${stats.totalStars}** stars · **${stats.totalForks}** forks · **${stats.avgStars}** avg stars`,
+      '',
+      ...markdownTable(['Language', 'Repos', 'Share'], languageRows),
+      ...(repoRows.length > 0 ? ['', '## Top Repositories', '', ...markdownTable(['#', 'Repository', 'Language', 'Stars', 'Forks'], repoRows)] : []),
+    ].join('\n');
+  }
+
+  return [
+    `@${user}: ${repoCount} repositories, ${stats.totalStars} stars, ${stats.totalForks} forks, ${stats.avgStars} avg stars`,
+    '',
+    ...padTable([['LANGUAGE', 'REPOS', 'SHARE'], ...languageRows]),
+    ...(repoRows.length > 0 ? ['', ...padTable([['#', 'REPOSITORY', 'LANGUAGE', 'STARS', 'FORKS'], ...repoRows])] : []),
+  ].join('\n');
+};
+
+const exitCodeFor = (err) => {
+  if (err instanceof UsageError || err?.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || err?.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+    return EXIT_CODES.USAGE;
+  }
+  if (err instanceof GitHubError) {
+    if (err.code === ERROR_CODES.NOT_FOUND) return EXIT_CODES.NOT_FOUND;
+    if (err.code === ERROR_CODES.UNAUTHORIZED || err.code === ERROR_CODES.SSO_REQUIRED) return EXIT_CODES.AUTH;
+    if (err.code === ERROR_CODES.RATE_LIMITED || err.code === ERROR_CODES.SECONDARY_RATE_LIMITED) return EXIT_CODES.RATE_LIMITED;
+  }
+  return EXIT_CODES.ERROR;
+};
+
+// The client's messages don't know how a token is supplied; point at the CLI's own options instead
+const describeError = (err, { hasToken }) => {
+  if (!(err instanceof GitHubError)) return err.message;
+
+  if (err.code === ERROR_CODES.RATE_LIMITED) {
+    const retry = `You can retry at ${formatRetryTime(err.resetAt)}`;
+    return hasToken
+      ? `API rate limit exceeded. ${retry}.`
+      : `API rate limit exceeded. ${retry}, or pass --token (or set $GITHUB_TOKEN) for a higher limit.`;
+  }
+  if (err.code === ERROR_CODES.UNAUTHORIZED) {
+    return 'Invalid GitHub token. Check the value of --token, $GH_TOKEN or $GITHUB_TOKEN.';
+  }
+  if (err.code === ERROR_CODES.NETWORK_ERROR) {
+    return `Could not reach ${err.details.host}. Check ${err.details.enterprise ? '--api-url (or $GITLANG_API_URL)' : 'your network'} and any VPN or proxy settings.`;
+  }
+  return err.message;
+};
+
+export const run = async (argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) => {
+  let token = '';
+  try {
+    const options = parseCliArgs(argv);
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+
+    token = options.token ?? env.GH_TOKEN ?? env.GITHUB_TOKEN ?? '';
+    const client = createGitHubClient({
+      token,
+      baseUrl: options.apiUrl ?? normalizeApiBaseUrl(env.GITLANG_API_URL),
+    });
+
+    const profile = await client.getUser(options.user);
+    const repos = await client.listUserRepos(options.user);
+    const analysis = analyzeRepos(repos);
+
+    const report = {
+      user: profile.login,
+      repoCount: analysis.repoCount,
+      stats: analysis.stats,
+      languages: buildLanguageRows(analysis.languages).map(({ language, repos: count, repoShare }) => ({ language, repos: count, repoShare })),
+      topRepos: selectTopRepos(repos, options.top),
+    };
+
+    stdout.write(`${formatReport(report, options.format)}\n`);
+    return EXIT_CODES.OK;
+  } catch (err) {
+    stderr.write(`gitlang: ${describeError(err, { hasToken: Boolean(token) })}\n`);
+    if (err instanceof UsageError) {
+      stderr.write(`\n${USAGE}\n`);
+    }
+    return exitCodeFor(err);
+  }
+};
+
+// Only run when executed directly (npm links the bin, hence realpath), not when imported by tests
+const isMain = () => {
+  try {
+    return Boolean(process.argv[1]) && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch (err) {
+    return false;
+  }
+};
+
+if (isMain()) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
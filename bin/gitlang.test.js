@@ -0,0 +1,160 @@
+import { createServer } from 'node:http';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { EXIT_CODES, run } from './gitlang.js';
+import user from '../src/lib/__fixtures__/github/user.json';
+import reposPage1 from '../src/lib/__fixtures__/github/repos-page-1.json';
+import reposPage2 from '../src/lib/__fixtures__/github/repos-page-2.json';
+import rateLimited from '../src/lib/__fixtures__/github/rate-limited.json';
+import notFound from '../src/lib/__fixtures__/github/not-found.json';
+import badCredentials from '../src/lib/__fixtures__/github/bad-credentials.json';
+
+// A local stand-in for the GitHub API serving the recorded fixtures; the CLI reaches it through --api-url
+let server;
+let apiUrl;
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const handle = (req, res) => {
+  const url = new URL(req.url, apiUrl);
+  const base = '/api/v3';
+
+  if (req.headers.authorization === 'Bearer bad-token') {
+    sendJson(res, 401, badCredentials);
+    return;
+  }
+
+  if (url.pathname === `${base}/users/limited`) {
+    sendJson(res, 403, rateLimited, {
+      'X-RateLimit-Limit': '60',
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 600),
+    });
+    return;
+  }
+
+  if (url.pathname === `${base}/users/octocat`) {
+    sendJson(res, 200, user);
+    return;
+  }
+
+  if (url.pathname === `${base}/users/octocat/repos`) {
+    if (url.searchParams.get('page') === '2') {
+      sendJson(res, 200, reposPage2);
+      return;
+    }
+    const next = `${apiUrl}/users/octocat/repos?sort=updated&per_page=100&page=2`;
+    sendJson(res, 200, reposPage1, { Link: `<${next}>; rel="next", <${next}>; rel="last"` });
+    return;
+  }
+
+  sendJson(res, 404, notFound);
+};
+
+beforeAll(async () => {
+  server = createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  apiUrl = `http://127.0.0.1:${server.address().port}/api/v3`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const collect = () => {
+  let text = '';
+  return { write: (chunk) => { text += chunk; }, text: () => text };
+};
+
+const gitlang = async (args, env = {}) => {
+  const stdout = collect();
+  const stderr = collect();
+  const code = await run([...args, '--api-url', apiUrl], { env, stdout, stderr });
+  return { code, stdout: stdout.text(), stderr: stderr.text() };
+};
+
+describe('gitlang output', () => {
+  it('prints a table by default', async () => {
+    const { code, stdout } = await gitlang(['octocat']);
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toMatchSnapshot();
+  });
+
+  it('prints csv', async () => {
+    const { code, stdout } = await gitlang(['octocat', '--format', 'csv']);
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toMatchSnapshot();
+  });
+
+  it('includes the totals and top repositories in csv', async () => {
+    const { code, stdout } = await gitlang(['octocat', '--format', 'csv', '--top', '2']);
+    expect(code).toBe(EXIT_CODES.OK);
+
+    const lines = stdout.split('\r\n');
+    expect(lines).toContain('# stats');
+    expect(lines).toContain('total_stars,107');
+    expect(lines).toContain('total_forks,14');
+    expect(lines).toContain('# top_repos');
+    expect(lines).toContain('rank,name,language,stars,forks,url');
+    expect(lines.filter(line => /^\d+,/.test(line)).map(line => line.split(',')[1])).toEqual(['Hello-World', 'git-consortium']);
+  });
+
+  it('prints markdown with the requested number of top repositories', async () => {
+    const { code, stdout } = await gitlang(['octocat', '-f', 'markdown', '--top', '2']);
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toMatchSnapshot();
+  });
+
+  it('prints json across every page of repositories', async () => {
+    const { code, stdout } = await gitlang(['octocat', '--format', 'json']);
+    expect(code).toBe(EXIT_CODES.OK);
+
+    const report = JSON.parse(stdout);
+    expect(report).toMatchObject({
+      user: 'octocat',
+      repoCount: 3,
+      stats: { totalStars: 107, totalForks: 14, avgStars: 36 },
+      languages: [
+        { language: 'JavaScript', repos: 1, repoShare: 50 },
+        { language: 'Python', repos: 1, repoShare: 50 },
+      ],
+    });
+    expect(report.topRepos.map(repo => repo.name)).toEqual(['Hello-World', 'git-consortium', 'boysenberry-repo-1']);
+  });
+
+  it('prints the help text', async () => {
+    const { code, stdout } = await gitlang(['--help']);
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toMatch(/^Usage: gitlang <user>/);
+  });
+});
+
+describe('gitlang exit codes', () => {
+  it('exits 2 on usage errors', async () => {
+    await expect(gitlang([])).resolves.toMatchObject({ code: EXIT_CODES.USAGE, stderr: expect.stringContaining('Missing <user>') });
+    await expect(gitlang(['octocat', '--format', 'xml'])).resolves.toMatchObject({ code: EXIT_CODES.USAGE });
+    await expect(gitlang(['octocat', '--top', '-1'])).resolves.toMatchObject({ code: EXIT_CODES.USAGE });
+    await expect(gitlang(['octocat', '--bogus'])).resolves.toMatchObject({ code: EXIT_CODES.USAGE });
+  });
+
+  it('exits 3 when the user does not exist', async () => {
+    const { code, stderr } = await gitlang(['ghost']);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
+    expect(stderr).toContain('User not found');
+  });
+
+  it('exits 4 on an invalid token and names the CLI token options', async () => {
+    const { code, stderr } = await gitlang(['octocat'], { GITHUB_TOKEN: 'bad-token' });
+    expect(code).toBe(EXIT_CODES.AUTH);
+    expect(stderr).toContain('--token');
+  });
+
+  it('exits 5 when rate limited and suggests a token without mentioning the browser UI', async () => {
+    const { code, stderr } = await gitlang(['limited']);
+    expect(code).toBe(EXIT_CODES.RATE_LIMITED);
+    expect(stderr).toContain('pass --token (or set $GITHUB_TOKEN)');
+    expect(stderr).not.toContain('below');
+  });
+});
@@ -0,0 +1,90 @@
+// Service worker for the installable app. It precaches the app shell (index.html plus the hashed
+// bundles it references) so the app opens offline, and opens the app when a notification is
+// clicked. GitHub API responses are not handled here; the app keeps its own IndexedDB cache.
+// Bump CACHE_VERSION when the caching rules change; new bundles are picked up without it.
+
+const CACHE_VERSION = 1;
+const CACHE_NAME = `gitlang-shell-v${CACHE_VERSION}`;
+
+const SCOPE = self.registration.scope;
+const INDEX_URL = SCOPE;
+const STATIC_URLS = ['manifest.webmanifest', 'icon.svg'].map(path => new URL(path, SCOPE).href);
+
+// Same-scope scripts, styles and icons referenced by index.html
+const shellAssets = (html) => [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+  .map(match => new URL(match[1], SCOPE).href)
+  .filter(url => url.startsWith(SCOPE) && url !== INDEX_URL);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const response = await fetch(INDEX_URL, { cache: 'reload' });
+    if (!response.ok) throw new Error(`Could not fetch ${INDEX_URL} (${response.status})`);
+    const html = await response.clone().text();
+    await cache.put(INDEX_URL, response);
+    await cache.addAll([...new Set([...STATIC_URLS, ...shellAssets(html)])]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('gitlang-shell-') && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Pages: network first so a new deploy shows up right away, the cached shell when offline.
+// Deep links are routed by the app itself, so any page in scope can fall back to index.html.
+const handleNavigation = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok && request.url === INDEX_URL) await cache.put(INDEX_URL, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(INDEX_URL);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+// Bundles have content hashes in their names, so a cached copy never goes stale
+const handleAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(SCOPE)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (request.url.startsWith(`${SCOPE}assets/`) || STATIC_URLS.includes(request.url)) {
+    event.respondWith(handleAsset(request));
+  }
+});
+
+// Focus an open window of the app and show the notification's page there, or open a new one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '', SCOPE).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(candidate => candidate.url.startsWith(SCOPE));
+    if (client) {
+      await client.focus();
+      return client.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,35 @@
+// Tiny Node server for self-hosting the card endpoint: `npm run card:serve`
+// Set GITHUB_TOKEN to raise the API rate limit and PORT to change the port (default 8787).
+import http from 'node:http';
+import cardHandler from '../api/card.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const routes = {
+  '/api/card': cardHandler,
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const handler = routes[url.pathname];
+
+  if (!handler || req.method !== 'GET') {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  try {
+    const response = await handler(new Request(url, { headers: req.headers }));
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(await response.text());
+  } catch (err) {
+    console.error(err);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Internal error');
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`GitLang card server listening on http://localhost:${PORT}/api/card?user=<login>`);
+});
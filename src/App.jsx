@@ -1,191 +1,1097 @@
-import React, { useState, useEffect } from 'react';
-import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip as RechartsTooltip, Legend, BarChart, Bar, XAxis, YAxis, CartesianGrid, LineChart, Line } from 'recharts';
-import { Search, Github, Share2, ExternalLink, Code, AlertCircle, Copy, Check, Key, Linkedin, Instagram, Users, BookOpen, MapPin, Link as LinkIcon, Star, GitFork, TrendingUp, Zap, Award } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Search, Github, Building2, Clock, X, Share2, ExternalLink, Code, AlertCircle, Copy, Check, Key, Linkedin, Instagram, Users, BookOpen, MapPin, Link as LinkIcon, Star, GitFork, TrendingUp, Zap, Award, Eye, EyeOff } from 'lucide-react';
+import { ERROR_CODES, GitHubError, createGitHubClient, mapConcurrent } from './lib/github';
+import { TOKEN_PERSISTENCE, forgetToken, loadStoredToken, saveToken } from './lib/tokenStore';
+import { hostLabel, isEnterpriseApi, normalizeApiBaseUrl, recallTokenHost, rememberTokenHost, webUrlForApi } from './lib/hosts';
+import { DEFAULT_FILTERS, analyzeRepos, filterRepos, sumLanguageBytes, toRepoSummary } from './lib/analysis';
+import { aggregateTechStack, findManifests, parseManifest } from './lib/techStack';
+import { buildActivityHeatmap, contributionsByLanguage, summarizeContributedRepos } from './lib/activity';
+import { createMemoryCache, createResponseCache } from './lib/cache';
+import { SNAPSHOT_KINDS, SnapshotFileError, createSnapshot, createSnapshotStore, parseSnapshotFile, serializeSnapshots } from './lib/snapshots';
+import { formatBytes } from './lib/format';
+import { CARD_LAYOUTS, CARD_THEMES, DEFAULT_CARD_OPTIONS, renderLanguageCard } from './lib/card';
+import { buildExportModel, downloadText, toFileSlug } from './lib/export';
+import { ROUTES, analysisKey } from './lib/router';
+import { isWatched, loadWatchedUsers, refreshWatchedUsers, saveWatchedUsers, toggleWatchedUser } from './lib/watchlist';
+import { notificationPermission, requestNotificationPermission, showNotification } from './lib/pwa';
+import ActivitySection from './components/ActivitySection';
+import { useI18n } from './components/I18nProvider';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import DisplaySettingsMenu from './components/DisplaySettingsMenu';
+import { useDisplaySettings } from './components/DisplaySettingsProvider';
+import { useRouter } from './components/RouterProvider';
+import CompareView from './components/CompareView';
+import ExportMenu from './components/ExportMenu';
+import FilterPanel from './components/FilterPanel';
+import InsightsPanel from './components/InsightsPanel';
+import LanguageCharts from './components/LanguageCharts';
+import LanguageTimeline from './components/LanguageTimeline';
+import OrgView from './components/OrgView';
+import RateLimitStatus from './components/RateLimitStatus';
+import RepoDetail from './components/RepoDetail';
+import RepoExplorer from './components/RepoExplorer';
+import SnapshotsPanel from './components/SnapshotsPanel';
+import TechStackChart from './components/TechStackChart';
+import TokenManager from './components/TokenManager';
+import TopRepos from './components/TopRepos';
+import WatchlistPanel from './components/WatchlistPanel';
 
-const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
-const GRADIENT_COLORS = ['#0EA5E9', '#06B6D4', '#10B981', '#84CC16', '#F59E0B', '#EF4444', '#EC4899', '#D946EF'];
+// Shared across searches so repeat lookups can be revalidated with ETags
+const responseCache = createResponseCache();
+// Responses fetched with a token that isn't saved on this device stay in memory, so private data
+// doesn't outlive the token in IndexedDB
+const memoryCache = createMemoryCache();
+const snapshotStore = createSnapshotStore();
+
+// Number of /languages requests kept in flight at once when building the byte breakdown
+const LANGUAGE_FETCH_CONCURRENCY = 8;
+
+// Member profiles and repo lists fetched in parallel when aggregating an organization's team
+const MEMBER_FETCH_CONCURRENCY = 4;
+
+// Repo lists come 100 to a page, and even an empty list costs one request
+const repoPagesOf = (repoTotal) => Math.max(1, Math.ceil((repoTotal || 0) / 100));
+
+// Where the self-hosted card endpoint (api/card.js) is deployed, e.g. https://cards.example.com
+const CARD_BASE_URL = (import.meta.env.VITE_CARD_URL || '').replace(/\/+$/, '');
+
+// External repositories looked up (for language and stars) when summarizing contributions
+const CONTRIBUTED_REPO_LIMIT = 5;
+
+// Repositories scanned for manifests in parallel, and core requests a scan always leaves unused
+const TECH_SCAN_CONCURRENCY = 4;
+const TECH_SCAN_RESERVE = 10;
+
+// Open issues and pull requests listed on a repository page, and the core requests that page
+// makes (languages, contributors, releases, license and commit activity)
+const REPO_DETAIL_ITEMS = 5;
+const REPO_DETAIL_REQUESTS = 5;
+
+// Watched users are refreshed this long after the app opens, so the page's own analysis goes
+// first, and the refresh stops while fewer core requests than the reserve remain
+const WATCH_REFRESH_DELAY_MS = 3000;
+const WATCH_REFRESH_RESERVE = 20;
+
+// Pause after the last keystroke before a pasted or typed token is checked against /user
+const TOKEN_CHECK_DELAY_MS = 500;
+
+// Most users that can be compared side by side at once
+const MAX_COMPARE_USERS = 6;
+
+// Accept "alice, bob" or "alice bob" and drop duplicates (GitHub logins are case-insensitive)
+const parseUsernames = (input) => {
+  const seen = new Set();
+  return (input || '')
+    .split(/[\s,]+/)
+    .map(name => name.trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// The ?api= share parameter picks the host before the first search runs
+const readInitialApiUrl = () => {
+  try {
+    return new URLSearchParams(window.location.search).get('api') || '';
+  } catch (e) {
+    return '';
+  }
+};
+
+// Invalid URLs are reported when a search starts; until then links fall back to github.com
+const safeWebUrl = (apiUrl) => {
+  try {
+    return webUrlForApi(apiUrl);
+  } catch (e) {
+    return webUrlForApi('');
+  }
+};
+
+const safeIsEnterprise = (apiUrl) => {
+  try {
+    return isEnterpriseApi(apiUrl);
+  } catch (e) {
+    return false;
+  }
+};
 
 export default function App() {
+  const { t, formatNumber, formatPercent, formatDateTime, formatTime } = useI18n();
+  const { colorFor } = useDisplaySettings();
+  const { route, navigate, hrefFor } = useRouter();
+  // analysisKey() of the route whose analysis is loaded or loading
+  const loadedAnalysisRef = useRef(null);
   const [username, setUsername] = useState('');
-  const [token, setToken] = useState('');
+  const [token, setToken] = useState(() => loadStoredToken().token);
+  const [tokenPersistence, setTokenPersistence] = useState(() => loadStoredToken().persistence);
+  const [tokenCheck, setTokenCheck] = useState({ status: 'idle' });
   const [showTokenInput, setShowTokenInput] = useState(false);
+  const [apiUrl, setApiUrl] = useState(readInitialApiUrl);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [data, setData] = useState(null);
   const [userProfile, setUserProfile] = useState(null);
-  const [topRepos, setTopRepos] = useState([]);
-  const [repoStats, setRepoStats] = useState({ totalStars: 0, totalForks: 0, avgStars: 0 });
-  const [repoCount, setRepoCount] = useState(0);
   const [copied, setCopied] = useState(false);
+  const [repos, setRepos] = useState([]);
+  const [metric, setMetric] = useState('repos');
+  // Per-repo /languages responses keyed by repo id, so byte totals can follow the filters
+  const [repoLanguages, setRepoLanguages] = useState(null);
+  const [bytesLoading, setBytesLoading] = useState(false);
+  const [bytesError, setBytesError] = useState(null);
+  const [activity, setActivity] = useState(null);
+  const [techStack, setTechStack] = useState(null);
+  const [techStackLoading, setTechStackLoading] = useState(false);
+  const [techStackError, setTechStackError] = useState(null);
+  const [techStackLimit, setTechStackLimit] = useState(10);
+  const [activityLoading, setActivityLoading] = useState(false);
+  const [activityError, setActivityError] = useState(null);
+  // Data for the repository page, fetched per repository (`fullName`) when the page opens
+  const [repoDetail, setRepoDetail] = useState(null);
+  const [repoDetailLoading, setRepoDetailLoading] = useState(false);
+  const [repoDetailError, setRepoDetailError] = useState(null);
+  const repoDetailKeyRef = useRef(null);
+  const [compareResults, setCompareResults] = useState(null);
+  const [mode, setMode] = useState('user');
+  const [includeMembers, setIncludeMembers] = useState(false);
+  const [orgResult, setOrgResult] = useState(null);
+  const [cardOptions, setCardOptions] = useState(DEFAULT_CARD_OPTIONS);
+  const [staleAsOf, setStaleAsOf] = useState(null);
+  const [rateLimit, setRateLimit] = useState(null);
+  // Async fetches read the latest quota through the ref instead of a stale closure
+  const rateLimitRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+  // Snapshot history of the analyzed user or org, newest first
+  const [snapshotSubject, setSnapshotSubject] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotStatus, setSnapshotStatus] = useState(null);
+  // Set when any response of the current search came from the cache fallback
+  const servedStaleRef = useRef(false);
+  // Watched users, and what this visit's background refresh found for each (keyed by lowercased login)
+  const [watchedUsers, setWatchedUsers] = useState(loadWatchedUsers);
+  const [watchResults, setWatchResults] = useState({});
+  const [watchRefreshing, setWatchRefreshing] = useState(false);
+  const [notifyPermission, setNotifyPermission] = useState(notificationPermission);
+  // Polite screen-reader announcement for finished loads; errors use role="alert" instead
+  const [announcement, setAnnouncement] = useState('');
+  const abortRef = useRef(null);
+  // Byte scans get their own controller so cancelling one leaves the search and other loads running
+  const bytesAbortRef = useRef(null);
+
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [languageFilter, setLanguageFilter] = useState(null);
+  const explorerRef = useRef(null);
+  const resultsRef = useRef(null);
+
+  const filteredRepos = useMemo(() => filterRepos(repos, filters), [repos, filters]);
+  const analysis = useMemo(() => analyzeRepos(filteredRepos), [filteredRepos]);
+  const byteData = useMemo(
+    () => (repoLanguages ? sumLanguageBytes(filteredRepos.map(repo => repoLanguages[repo.id])) : null),
+    [repoLanguages, filteredRepos]
+  );
+  const data = repos.length > 0 ? analysis.languages : null;
+  const { stats: repoStats, topRepos, repoCount } = analysis;
+  const routeRepo = route.name === ROUTES.REPO
+    ? repos.find(repo => repo.name.toLowerCase() === route.repo.toLowerCase()) || null
+    : null;
   
-  // URL params handling to allow sharing ?user=username
+  // Run the analysis a route needs whenever it changes, including on back/forward. Moving between a
+  // user and one of their repos shares one analysis, so results, filters and errors stay as they are.
+  useEffect(() => {
+    const key = analysisKey(route);
+    if (key === loadedAnalysisRef.current) return;
+    loadedAnalysisRef.current = key;
+
+    if (route.name === ROUTES.HOME) {
+      abortRef.current?.abort();
+      abortRef.current = null;
+      abortLanguageBytes();
+      clearResults();
+      setLoading(false);
+    } else if (route.name === ROUTES.ORG) {
+      setMode('org');
+      setIncludeMembers(route.members);
+      setUsername(route.org);
+      fetchData(route.org, 'org', route.members);
+    } else {
+      const logins = route.name === ROUTES.COMPARE ? route.users : [route.user];
+      setMode('user');
+      setUsername(logins.join(', '));
+      fetchData(logins.join(','), 'user');
+    }
+  }, [route]);
+
+  // A token that worked against an Enterprise host before brings that host back with it
   useEffect(() => {
+    let cancelled = false;
+    recallTokenHost(token)
+      .then(host => {
+        if (!cancelled && host) setApiUrl(prev => (safeIsEnterprise(prev) || !safeIsEnterprise(host) ? prev : host));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  // Opting in to persistence (or changing the token while opted in) writes it through to storage
+  useEffect(() => {
+    saveToken(token, tokenPersistence);
+  }, [token, tokenPersistence]);
+
+  // IndexedDB only holds authenticated responses while a token is saved on this device
+  useEffect(() => {
+    if (tokenPersistence !== TOKEN_PERSISTENCE.LOCAL) {
+      responseCache?.clearAuthenticated().catch(() => {});
+    }
+  }, [tokenPersistence]);
+
+  // Validate the token against /user once the user stops typing, so problems show up before a search
+  useEffect(() => {
+    if (!token) {
+      setTokenCheck({ status: 'idle' });
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setTokenCheck({ status: 'checking' });
+    const timer = setTimeout(async () => {
+      try {
+        const { user, scopes } = await getClient().getAuthenticatedUser({ signal: controller.signal });
+        setTokenCheck({ status: 'valid', user, scopes });
+      } catch (err) {
+        if (!isAbortError(err)) {
+          setTokenCheck({ status: 'invalid', error: describeError(err) });
+        }
+      }
+    }, TOKEN_CHECK_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [token, apiUrl]);
+
+  const tokenUser = tokenCheck.status === 'valid' ? tokenCheck.user : null;
+
+  // Forgetting the token also drops what was fetched with it: cached responses and any snapshot
+  // that includes private repositories
+  const handleForgetToken = async () => {
+    forgetToken();
+    setToken('');
+    setTokenPersistence(TOKEN_PERSISTENCE.NONE);
+    memoryCache.clearAuthenticated();
+    responseCache?.clearAuthenticated().catch(() => {});
+
+    if (!snapshotStore) return;
     try {
-      const params = new URLSearchParams(window.location.search);
-      const userParam = params.get('user');
-      if (userParam) {
-        setUsername(userParam);
-        fetchData(userParam);
+      const removed = await snapshotStore.removePrivate();
+      if (removed > 0 && snapshotSubject) {
+        setSnapshots(await snapshotStore.list(snapshotSubject));
+        setSnapshotStatus({ error: false, message: t('snapshots.privateRemoved', { count: removed }) });
       }
-    } catch (e) {
-      console.log("Could not parse URL parameters:", e);
+    } catch (err) {
+      setSnapshotStatus({ error: true, message: t('snapshots.storageError') });
     }
-  }, []);
+  };
+
+  const webUrl = safeWebUrl(apiUrl);
+  const isEnterprise = safeIsEnterprise(apiUrl);
+
+  const rememberHost = () => {
+    rememberTokenHost(token, apiUrl).catch(() => {});
+  };
 
-  const fetchData = async (userToFetch = username) => {
+  // Remember the oldest cached response served in place of live data so the UI can flag it.
+  // Throws for an unparseable API URL, which the callers report like any other fetch error.
+  // `overrides` replaces client options, e.g. a cache fallback handler for background work.
+  const getClient = (overrides = {}) => createGitHubClient({
+    token,
+    baseUrl: normalizeApiBaseUrl(apiUrl),
+    cache: token && tokenPersistence !== TOKEN_PERSISTENCE.LOCAL ? memoryCache : responseCache,
+    onCacheFallback: (entry) => {
+      servedStaleRef.current = true;
+      setStaleAsOf(prev => (prev ? Math.min(prev, entry.cachedAt) : entry.cachedAt));
+    },
+    onRateLimit: (nextRateLimit) => {
+      // The search API has its own small quota; the indicator and quota checks track the core one
+      if (nextRateLimit.resource !== 'core') return;
+      rateLimitRef.current = nextRateLimit;
+      setRateLimit(nextRateLimit);
+    },
+    ...overrides,
+  });
+
+  // Starting a search aborts whichever one is still running, so two searches never race
+  const startRequest = () => {
+    abortRef.current?.abort();
+    abortLanguageBytes();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    return controller;
+  };
+
+  const abortLanguageBytes = () => {
+    bytesAbortRef.current?.abort();
+    bytesAbortRef.current = null;
+  };
+
+  const isAbortError = (err) => err?.name === 'AbortError';
+
+  // Ask before starting a fetch that would use up the remaining quota; true means go ahead
+  const confirmQuota = (needed, what) => {
+    const rateLimit = rateLimitRef.current;
+    if (!rateLimit || !rateLimit.resetAt || rateLimit.resetAt <= Date.now() || needed <= rateLimit.remaining) {
+      return true;
+    }
+    return window.confirm(t('quota.confirm', {
+      what,
+      needed: formatNumber(needed),
+      remaining: formatNumber(rateLimit.remaining),
+      limit: formatNumber(rateLimit.limit),
+      time: formatTime(rateLimit.resetAt),
+    }));
+  };
+
+  // GitHub errors are rephrased from their code so they follow the selected language;
+  // anything else already carries a translated message
+  const describeError = (err, { notFoundKey = 'errors.userNotFound' } = {}) => {
+    if (!(err instanceof GitHubError)) return err.message;
+
+    const retry = err.resetAt
+      ? { time: formatTime(err.resetAt), minutes: formatNumber(Math.max(1, Math.ceil((err.resetAt - Date.now()) / 60000))) }
+      : {};
+    if (err.code === ERROR_CODES.NOT_FOUND) return t(notFoundKey);
+    if (err.code === ERROR_CODES.UNAUTHORIZED) return t('errors.unauthorized');
+    if (err.code === ERROR_CODES.RATE_LIMITED) return t('errors.rateLimited', retry);
+    if (err.code === ERROR_CODES.SECONDARY_RATE_LIMITED) return t('errors.secondaryRateLimited', retry);
+    if (err.code === ERROR_CODES.SSO_REQUIRED) {
+      return err.details.url ? t('errors.ssoRequired', { url: err.details.url }) : t('errors.ssoRequiredNoUrl');
+    }
+    if (err.code === ERROR_CODES.FORBIDDEN) return t('errors.forbidden', { message: err.details.message || err.status });
+    if (err.code === ERROR_CODES.NETWORK_ERROR) {
+      return t(err.details.enterprise ? 'errors.networkEnterprise' : 'errors.network', { host: err.details.host });
+    }
+    return t('errors.http', { status: err.status });
+  };
+
+  const cancelFetch = () => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    abortLanguageBytes();
+    setLoading(false);
+    setProgress(null);
+    setBytesLoading(false);
+    setError(repos.length > 0
+      ? t('errors.cancelledPartial', { count: repos.length })
+      : t('errors.cancelled'));
+  };
+
+  const cancelLanguageBytes = () => {
+    abortLanguageBytes();
+    setBytesLoading(false);
+    setMetric('repos');
+  };
+
+  // Drop everything shown for the previous search
+  const clearResults = () => {
+    setError(null);
+    setUserProfile(null);
+    setRepos([]);
+    setRepoLanguages(null);
+    setFilters(DEFAULT_FILTERS);
+    setLanguageFilter(null);
+    setBytesError(null);
+    setBytesLoading(false);
+    setActivity(null);
+    setActivityLoading(false);
+    setActivityError(null);
+    setTechStack(null);
+    setTechStackLoading(false);
+    setTechStackError(null);
+    setRepoDetail(null);
+    setRepoDetailLoading(false);
+    setRepoDetailError(null);
+    repoDetailKeyRef.current = null;
+    setCompareResults(null);
+    setOrgResult(null);
+    setStaleAsOf(null);
+    setProgress(null);
+    setSnapshotSubject(null);
+    setSnapshots([]);
+    setSnapshotStatus(null);
+  };
+
+  const fetchData = async (userToFetch = username, searchMode = mode, withMembers = includeMembers) => {
     if (!userToFetch?.trim()) {
-      setError("Please enter a GitHub username first.");
+      setError(t(searchMode === 'org' ? 'errors.enterOrg' : 'errors.enterUser'));
       return;
     }
+
+    const usernames = parseUsernames(userToFetch);
+    const controller = startRequest();
     
     setLoading(true);
-    setError(null);
-    setData(null);
-    setUserProfile(null);
+    clearResults();
+    setAnnouncement(t('a11y.loading'));
+    servedStaleRef.current = false;
+
+    if (searchMode === 'org') {
+      await fetchOrg(userToFetch.trim(), withMembers, controller);
+      return;
+    }
+
+    if (usernames.length > 1) {
+      await fetchComparison(usernames, controller);
+      return;
+    }
+
+    const { signal } = controller;
+    const isCurrent = () => abortRef.current === controller;
 
     try {
-      const headers = { Accept: 'application/vnd.github+json' };
-      if (token) {
-        headers.Authorization = `Bearer ${token}`;
+      const client = getClient();
+
+      const profile = await client.getUser(userToFetch, { signal });
+      setUserProfile(profile);
+      rememberHost();
+
+      // Analyzing the token's own account goes through /user/repos so private repos are included
+      const isOwnAccount = tokenUser?.login.toLowerCase() === profile.login.toLowerCase();
+      const repoTotal = profile.public_repos + (isOwnAccount ? tokenUser.owned_private_repos || 0 : 0);
+      const repoPages = repoPagesOf(repoTotal);
+      const needed = repoPages + (metric === 'bytes' ? repoTotal : 0);
+      if (!confirmQuota(needed, t('quota.analyzing', { login: profile.login }))) {
+        throw new Error(t('errors.quotaCancelled'));
       }
 
-      // Fetch user profile data
-      const userResponse = await fetch(`https://api.github.com/users/${userToFetch}`, { headers });
-      
-      if (!userResponse.ok) {
-        if (userResponse.status === 404) throw new Error("User not found. Check the username.");
-        if (userResponse.status === 403) throw new Error("API Rate limit exceeded. Wait a while or add a GitHub Token below.");
-        if (userResponse.status === 401) throw new Error("Invalid GitHub Token.");
-        throw new Error(`GitHub API Error: ${userResponse.status} ${userResponse.statusText}`);
+      // Charts update after every page instead of waiting for the whole list
+      const onPage = ({ page, totalPages, items }) => {
+        if (!isCurrent()) return;
+        setProgress({ page, totalPages });
+        setRepos(items);
+      };
+      const allRepos = isOwnAccount
+        ? await client.listAuthenticatedUserRepos({ signal, onPage })
+        : await client.listUserRepos(userToFetch, { signal, onPage });
+
+      if (allRepos.length === 0) {
+        throw new Error(t('errors.noPublicRepos'));
       }
 
-      const profile = await userResponse.json();
-      setUserProfile(profile);
+      if (!allRepos.some(repo => repo.language)) {
+         throw new Error(t('errors.noLanguageData'));
+      }
+
+      if (metric === 'bytes' && isCurrent()) {
+        // Already covered by the quota check above
+        fetchLanguageBytes(allRepos, { quotaChecked: true });
+      }
+      if (isCurrent()) {
+        setAnnouncement(t('a11y.userLoaded', { login: profile.login, count: allRepos.length }));
+        recordSnapshot(createSnapshot({ kind: SNAPSHOT_KINDS.USER, profile, repos: allRepos }));
+      }
+    } catch (err) {
+      if (!isAbortError(err) && isCurrent()) {
+        setError(describeError(err));
+      }
+    } finally {
+      if (isCurrent()) {
+        setLoading(false);
+        setProgress(null);
+      }
+    }
+  };
+
+  // Load every user in parallel; one failing user fails the whole comparison with their name attached
+  const fetchComparison = async (usernames, controller) => {
+    const { signal } = controller;
+    const isCurrent = () => abortRef.current === controller;
+
+    try {
+      if (usernames.length > MAX_COMPARE_USERS) {
+        throw new Error(t('errors.compareLimit', { max: MAX_COMPARE_USERS }));
+      }
+
+      const client = getClient();
+      const withLogin = (login, load) => load().catch(err => {
+        if (isAbortError(err)) throw err;
+        throw new Error(`@${login}: ${describeError(err)}`);
+      });
+
+      // Profiles first: their repo counts tell how many pages the comparison will cost
+      const profiles = await Promise.all(usernames.map(login => withLogin(login, () => client.getUser(login, { signal }))));
+      const needed = profiles.reduce((sum, profile) => sum + repoPagesOf(profile.public_repos), 0);
+      if (!confirmQuota(needed, t('quota.comparing', { count: profiles.length }))) {
+        throw new Error(t('errors.quotaCancelled'));
+      }
+
+      const results = await Promise.all(profiles.map(async (profile) => ({
+        profile,
+        repos: await withLogin(profile.login, () => client.listUserRepos(profile.login, { signal })),
+      })));
+
+      if (isCurrent()) {
+        setCompareResults(results);
+        rememberHost();
+        setAnnouncement(t('a11y.compareLoaded', { count: results.length }));
+      }
+    } catch (err) {
+      if (!isAbortError(err) && isCurrent()) {
+        setError(describeError(err));
+      }
+    } finally {
+      if (isCurrent()) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const fetchOrg = async (orgName, withMembers, controller) => {
+    const { signal } = controller;
+    const isCurrent = () => abortRef.current === controller;
+
+    try {
+      const client = getClient();
+      const org = await client.getOrg(orgName, { signal });
+      // Private repos only count when the token can see them
+      const orgRepoTotal = org.public_repos + (org.total_private_repos || 0);
+      if (!confirmQuota(repoPagesOf(orgRepoTotal), t('quota.analyzing', { login: org.login }))) {
+        throw new Error(t('errors.quotaCancelled'));
+      }
+      const orgRepos = await client.listOrgRepos(orgName, {
+        signal,
+        onPage: ({ page, totalPages }) => isCurrent() && setProgress({ page, totalPages }),
+      });
 
-      // Fetch all public repos with pagination (GitHub caps at 100 per page)
-      const perPage = 100;
-      let page = 1;
-      let allRepos = [];
-
-      while (true) {
-        const response = await fetch(`https://api.github.com/users/${userToFetch}/repos?per_page=${perPage}&sort=updated&page=${page}`, { headers });
-        
-        if (!response.ok) {
-          if (response.status === 404) throw new Error("User not found. Check the username.");
-          if (response.status === 403) throw new Error("API Rate limit exceeded. Wait a while or add a GitHub Token below.");
-          if (response.status === 401) throw new Error("Invalid GitHub Token.");
-          throw new Error(`GitHub API Error: ${response.status} ${response.statusText}`);
+      let members = null;
+      if (withMembers) {
+        const publicMembers = await client.listOrgMembers(orgName, { signal });
+        const membersWhat = t('quota.members', { count: publicMembers.length });
+        // A profile and at least one page of repos per member; the profiles then tell the real page count
+        if (!confirmQuota(publicMembers.length * 2, membersWhat)) {
+          throw new Error(t('errors.quotaCancelled'));
         }
+        const profiles = await mapConcurrent(publicMembers, MEMBER_FETCH_CONCURRENCY, member =>
+          client.getUser(member.login, { signal }));
+        const memberPages = profiles.reduce((sum, profile) => sum + repoPagesOf(profile.public_repos), 0);
+        if (!confirmQuota(memberPages, membersWhat)) {
+          throw new Error(t('errors.quotaCancelled'));
+        }
+        members = await mapConcurrent(profiles, MEMBER_FETCH_CONCURRENCY, async (profile) => ({
+          login: profile.login,
+          avatar_url: profile.avatar_url,
+          repos: await client.listUserRepos(profile.login, { signal }),
+        }));
+      }
 
-        const repos = await response.json();
-        allRepos = allRepos.concat(repos);
+      if (orgRepos.length === 0 && !members?.some(member => member.repos.length > 0)) {
+        throw new Error(t('errors.noOrgRepos'));
+      }
 
-        // Stop if we received fewer than a full page or after a safe max of 10 pages to prevent runaway loops
-        if (repos.length < perPage || page >= 10) break;
-        page += 1;
+      if (isCurrent()) {
+        setOrgResult({ org, repos: orgRepos, members });
+        rememberHost();
+        setAnnouncement(t('a11y.orgLoaded', { login: org.login, count: orgRepos.length }));
+        recordSnapshot(createSnapshot({ kind: SNAPSHOT_KINDS.ORG, profile: org, repos: orgRepos }));
+      }
+    } catch (err) {
+      if (!isAbortError(err) && isCurrent()) {
+        setError(describeError(err, { notFoundKey: 'errors.orgNotFound' }));
+      }
+    } finally {
+      if (isCurrent()) {
+        setLoading(false);
+        setProgress(null);
       }
+    }
+  };
 
-      setRepoCount(allRepos.length);
+  // Sum the per-repo /languages byte counts across every fetched repository
+  const fetchLanguageBytes = async (reposToScan = repos, { quotaChecked = false } = {}) => {
+    if (!quotaChecked && !confirmQuota(reposToScan.length, t('quota.bytes'))) {
+      setMetric('repos');
+      return;
+    }
 
-      if (allRepos.length === 0) {
-        throw new Error("No public repositories found for this user.");
+    // A new scan replaces a running one; a new search aborts it too (see startRequest)
+    abortLanguageBytes();
+    const controller = new AbortController();
+    bytesAbortRef.current = controller;
+    const isCurrent = () => bytesAbortRef.current === controller;
+
+    setBytesLoading(true);
+    setBytesError(null);
+
+    try {
+      const client = getClient();
+      const languageMaps = await client.listRepoLanguages(reposToScan, {
+        concurrency: LANGUAGE_FETCH_CONCURRENCY,
+        signal: controller.signal,
+      });
+      if (sumLanguageBytes(languageMaps).length === 0) {
+        throw new Error(t('errors.noByteData'));
+      }
+
+      if (isCurrent()) {
+        const languagesById = {};
+        reposToScan.forEach((repo, index) => {
+          languagesById[repo.id] = languageMaps[index];
+        });
+        setRepoLanguages(languagesById);
+        setAnnouncement(t('a11y.bytesLoaded'));
       }
+    } catch (err) {
+      if (!isAbortError(err) && isCurrent()) {
+        setBytesError(describeError(err));
+      }
+    } finally {
+      if (isCurrent()) {
+        setBytesLoading(false);
+      }
+    }
+  };
+
+  // Everything the repository page shows beyond the repo list entry. Commit statistics can take
+  // GitHub a while to compute, so the page renders first and the chart fills in afterwards.
+  const fetchRepoDetail = async (repo) => {
+    const fullName = repo.full_name;
+    repoDetailKeyRef.current = fullName;
+    setRepoDetail(null);
+    setRepoDetailError(null);
+    if (!confirmQuota(REPO_DETAIL_REQUESTS, t('quota.repoDetail', { name: repo.name }))) return;
+
+    const controller = abortRef.current || startRequest();
+    const { signal } = controller;
+    // Another repository page may have been opened in the meantime
+    const isCurrent = () => abortRef.current === controller && repoDetailKeyRef.current === fullName;
 
-      const langMap = {};
-      let hasLang = false;
-      allRepos.forEach(repo => {
-        if (repo.language) {
-          langMap[repo.language] = (langMap[repo.language] || 0) + 1;
-          hasLang = true;
+    setRepoDetailLoading(true);
+
+    try {
+      const client = getClient();
+      const [languages, contributors, releases, license] = await Promise.all([
+        client.getRepoLanguages(repo, { signal }),
+        client.listContributors(fullName, { signal }),
+        client.listReleases(fullName, { signal }),
+        client.getRepoLicense(fullName, { signal }),
+      ]);
+      // One search at a time, as in fetchActivity
+      const [openIssues, openPulls] = await mapConcurrent(
+        [`repo:${fullName} type:issue state:open`, `repo:${fullName} type:pr state:open`],
+        1,
+        (query) => client.searchIssues(query, { perPage: REPO_DETAIL_ITEMS, signal })
+      );
+
+      if (!isCurrent()) return;
+      setRepoDetail({
+        fullName,
+        languages: sumLanguageBytes([languages]),
+        contributors,
+        releases,
+        license,
+        openIssues: { total: openIssues.total_count, items: openIssues.items },
+        openPulls: { total: openPulls.total_count, items: openPulls.items },
+        commitActivity: undefined,
+      });
+      setRepoDetailLoading(false);
+
+      const commitActivity = await client.getCommitActivity(fullName, { signal });
+      if (isCurrent()) {
+        setRepoDetail(prev => ({ ...prev, commitActivity }));
+        setAnnouncement(t('a11y.repoDetailLoaded', { name: repo.name }));
+      }
+    } catch (err) {
+      if (!isAbortError(err) && isCurrent()) {
+        setRepoDetailError(describeError(err, { notFoundKey: 'errors.repoNotFound' }));
+        // Keep what loaded before the commit statistics failed
+        setRepoDetail(prev => (prev ? { ...prev, commitActivity: null } : prev));
+      }
+    } finally {
+      if (isCurrent()) {
+        setRepoDetailLoading(false);
+      }
+    }
+  };
+
+  // Load the repository page's data when it opens, once the repo list it comes from is there
+  useEffect(() => {
+    if (routeRepo && !loading && repoDetailKeyRef.current !== routeRepo.full_name) {
+      fetchRepoDetail(routeRepo);
+    }
+  }, [routeRepo, loading]);
+
+  // PR/issue/review totals come from the search API, the rest from the public events feed.
+  // Searches run one at a time because concurrent ones trip GitHub's secondary rate limit.
+  const fetchActivity = async () => {
+    const login = userProfile?.login;
+    if (!login) return;
+    if (!confirmQuota(3 + CONTRIBUTED_REPO_LIMIT, t('quota.activity'))) return;
+
+    const controller = abortRef.current || startRequest();
+    const { signal } = controller;
+    const isCurrent = () => abortRef.current === controller;
+
+    setActivityLoading(true);
+    setActivityError(null);
+
+    try {
+      const client = getClient();
+      const events = await client.listUserEvents(login, { signal });
+      const [pullRequestsOpened, pullRequestsMerged, issuesOpened, reviews, externalMerged] = await mapConcurrent(
+        [
+          { query: `type:pr author:${login}`, perPage: 1 },
+          { query: `type:pr author:${login} is:merged`, perPage: 1 },
+          { query: `type:issue author:${login}`, perPage: 1 },
+          { query: `type:pr reviewed-by:${login} -author:${login}`, perPage: 1 },
+          { query: `type:pr author:${login} is:merged -user:${login}`, perPage: 100 },
+        ],
+        1,
+        ({ query, perPage }) => client.searchIssues(query, { perPage, signal })
+      );
+
+      const contributed = summarizeContributedRepos(login, events, externalMerged.items);
+      const topContributed = contributed.slice(0, CONTRIBUTED_REPO_LIMIT);
+      const details = await mapConcurrent(topContributed, LANGUAGE_FETCH_CONCURRENCY, async (entry) => {
+        try {
+          return await client.getRepo(entry.fullName, { signal });
+        } catch (err) {
+          // Deleted or renamed repositories still count, just without details
+          if (err instanceof GitHubError && err.code === ERROR_CODES.NOT_FOUND) return null;
+          throw err;
         }
       });
+      const repoDetails = {};
+      topContributed.forEach((entry, index) => {
+        repoDetails[entry.fullName] = details[index];
+      });
 
-      if (!hasLang) {
-         throw new Error("Repositories found, but no language data detected.");
-      }
-
-      const processedData = Object.keys(langMap)
-        .map(lang => ({ name: lang, value: langMap[lang] }))
-        .sort((a, b) => b.value - a.value);
-
-      // Calculate repo statistics
-      const totalStars = allRepos.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0);
-      const totalForks = allRepos.reduce((sum, repo) => sum + (repo.forks_count || 0), 0);
-      const avgStars = Math.round(totalStars / allRepos.length);
-
-      // Get top 5 most starred repos
-      const top5Repos = allRepos
-        .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
-        .slice(0, 5)
-        .map(repo => ({
-          name: repo.name,
-          stars: repo.stargazers_count,
-          forks: repo.forks_count,
-          description: repo.description,
-          url: repo.html_url,
-          language: repo.language,
-        }));
+      if (isCurrent()) {
+        setActivity({
+          eventCount: events.length,
+          heatmap: buildActivityHeatmap(events),
+          counts: {
+            pullRequestsOpened: pullRequestsOpened.total_count,
+            pullRequestsMerged: pullRequestsMerged.total_count,
+            issuesOpened: issuesOpened.total_count,
+            reviews: reviews.total_count,
+          },
+          contributedRepos: topContributed.map(entry => ({ ...entry, repo: repoDetails[entry.fullName] })),
+          topContributedRepos: details.filter(Boolean).map(repo => ({ ...toRepoSummary(repo), name: repo.full_name })),
+          languages: contributionsByLanguage(topContributed, repoDetails),
+        });
+        setAnnouncement(t('a11y.activityLoaded'));
+      }
+    } catch (err) {
+      if (!isAbortError(err) && isCurrent()) {
+        setActivityError(describeError(err));
+      }
+    } finally {
+      if (isCurrent()) {
+        setActivityLoading(false);
+      }
+    }
+  };
+
+  // Read the root manifests of the most starred (filtered) repos. Requests are drawn from a budget of
+  // the remaining quota, so a scan stops early instead of running the quota dry.
+  const fetchTechStack = async () => {
+    const candidates = [...filteredRepos]
+      .filter(repo => repo.size > 0)
+      .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
+      .slice(0, techStackLimit);
+    if (!confirmQuota(candidates.length * 2, t('quota.techStack'))) return;
+
+    const quota = rateLimitRef.current;
+    let budget = quota && quota.resetAt > Date.now() ? quota.remaining - TECH_SCAN_RESERVE : Infinity;
+    const spend = () => {
+      if (budget <= 0) return false;
+      budget -= 1;
+      return true;
+    };
 
-      setRepoStats({ totalStars, totalForks, avgStars });
-      setTopRepos(top5Repos);
-      setData(processedData);
+    const controller = abortRef.current || startRequest();
+    const { signal } = controller;
+    const isCurrent = () => abortRef.current === controller;
+
+    setTechStackLoading(true);
+    setTechStackError(null);
+
+    try {
+      const client = getClient();
+      const scans = await mapConcurrent(candidates, TECH_SCAN_CONCURRENCY, async (repo) => {
+        if (!spend()) return null;
+        let listing;
+        try {
+          listing = await client.getRepoContents(repo.full_name, '', { signal });
+        } catch (err) {
+          // Empty repositories have no contents at all
+          if (err instanceof GitHubError && err.code === ERROR_CODES.NOT_FOUND) return { repo: repo.name, manifests: [] };
+          throw err;
+        }
+
+        const manifests = [];
+        for (const filename of findManifests(listing)) {
+          if (!spend()) break;
+          manifests.push(parseManifest(filename, await client.getFileText(repo.full_name, filename, { signal })));
+        }
+        return { repo: repo.name, manifests };
+      });
+
+      const completed = scans.filter(Boolean);
+      if (completed.length === 0) {
+        throw new Error(t('errors.scanQuota'));
+      }
+      if (isCurrent()) {
+        setTechStack({ ...aggregateTechStack(completed), skippedRepos: scans.length - completed.length });
+        setAnnouncement(t('a11y.techStackLoaded'));
+      }
     } catch (err) {
-      setError(err.message);
+      if (!isAbortError(err) && isCurrent()) {
+        setTechStackError(describeError(err));
+      }
     } finally {
-      setLoading(false);
+      if (isCurrent()) {
+        setTechStackLoading(false);
+      }
     }
   };
 
-  const handleSearch = (e) => {
-    e.preventDefault();
+  const describeWatchChange = (change) => (change.type === 'primaryLanguage'
+    ? t('watch.newPrimary', { from: change.from || t('watch.noLanguage'), to: change.to })
+    : t('watch.starJump', { count: change.delta, total: formatNumber(change.total) }));
+
+  const notifyWatchChanges = ({ login, changes }) => {
+    showNotification(t('watch.notificationTitle', { login }), {
+      body: changes.map(describeWatchChange).join('\n'),
+      tag: `watch:${login.toLowerCase()}`,
+      url: hrefFor({ name: ROUTES.USER, user: login }),
+      icon: `${import.meta.env.BASE_URL}icon.svg`,
+    }).catch(() => {});
+  };
+
+  // Snapshot every watched user that is due, one after another, and notify about notable changes.
+  // Uses its own stale flag so it never marks the page's analysis as served from the cache.
+  const refreshWatched = async (signal) => {
+    setWatchRefreshing(true);
+    try {
+      await refreshWatchedUsers({
+        logins: watchedUsers,
+        store: snapshotStore,
+        fetchUser: async (login) => {
+          let stale = false;
+          const client = getClient({ onCacheFallback: () => { stale = true; } });
+          const profile = await client.getUser(login, { signal });
+          const userRepos = await client.listUserRepos(login, { signal });
+          return { profile, repos: userRepos, stale };
+        },
+        canContinue: () => !signal.aborted
+          && (!rateLimitRef.current || rateLimitRef.current.remaining > WATCH_REFRESH_RESERVE),
+        onResult: (result) => {
+          setWatchResults(prev => ({ ...prev, [result.login.toLowerCase()]: result }));
+          if (result.changes?.length > 0) notifyWatchChanges(result);
+        },
+      });
+    } finally {
+      if (!signal.aborted) setWatchRefreshing(false);
+    }
+  };
+
+  useEffect(() => {
+    saveWatchedUsers(watchedUsers);
+  }, [watchedUsers]);
+
+  // Once per visit; the list is read as it was when the app opened
+  useEffect(() => {
+    if (!snapshotStore || watchedUsers.length === 0) return undefined;
+    const controller = new AbortController();
+    const timer = setTimeout(() => refreshWatched(controller.signal), WATCH_REFRESH_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, []);
+
+  const handleEnableNotifications = async () => {
+    setNotifyPermission(await requestNotificationPermission());
+  };
+
+  // Watching is a natural moment to ask for notifications, and the click allows the prompt
+  const handleToggleWatch = (login) => {
+    const watching = isWatched(watchedUsers, login);
+    setWatchedUsers(prev => toggleWatchedUser(prev, login));
+    if (!watching && notifyPermission === 'default') handleEnableNotifications();
+  };
+
+  // Save the analysis as a snapshot and load the subject's history. Results served from the offline
+  // cache aren't saved, since they would date old data as new.
+  const recordSnapshot = async (snapshot) => {
+    setSnapshotSubject(snapshot.subject);
+    if (!snapshotStore) {
+      setSnapshotStatus({ error: true, message: t('snapshots.unavailable') });
+      return;
+    }
     try {
-      const newUrl = new URL(window.location);
-      newUrl.searchParams.set('user', username);
-      window.history.pushState({}, '', newUrl);
+      if (!servedStaleRef.current) {
+        await snapshotStore.save(snapshot);
+      }
+      setSnapshots(await snapshotStore.list(snapshot.subject));
     } catch (err) {
-      // Ignore history errors
+      setSnapshotStatus({ error: true, message: t('snapshots.storageError') });
+    }
+  };
+
+  const handleDeleteSnapshot = async (id) => {
+    try {
+      await snapshotStore.remove(id);
+      setSnapshots(await snapshotStore.list(snapshotSubject));
+    } catch (err) {
+      setSnapshotStatus({ error: true, message: t('snapshots.storageError') });
+    }
+  };
+
+  const handleExportSnapshots = () => {
+    const [latest] = snapshots;
+    if (!latest) return;
+    downloadText(
+      `gitlang-snapshots-${toFileSlug(latest.login)}-${new Date().toISOString().slice(0, 10)}.json`,
+      serializeSnapshots(snapshots),
+      'application/json'
+    );
+  };
+
+  // Imported files may hold other subjects too; all are stored, the current one is listed
+  const handleImportSnapshots = async (file) => {
+    try {
+      const imported = parseSnapshotFile(await file.text());
+      if (!snapshotStore) throw new Error(t('snapshots.unavailable'));
+      await snapshotStore.importMany(imported);
+      setSnapshots(await snapshotStore.list(snapshotSubject));
+      setSnapshotStatus({ error: false, message: t('snapshots.imported', { count: imported.length }) });
+    } catch (err) {
+      const message = err instanceof SnapshotFileError ? t(`snapshots.fileErrors.${err.code}`) : err.message;
+      setSnapshotStatus({ error: true, message: t('snapshots.importFailed', { message }) });
+    }
+  };
+
+  const getExportModel = () => buildExportModel({
+    profile: userProfile,
+    languages: analysis.languages,
+    byteLanguages: byteData,
+    stats: repoStats,
+    topRepos,
+    repos: filteredRepos,
+    filters,
+  });
+
+  const handleLanguageSelect = (language) => {
+    setLanguageFilter(language);
+    explorerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const handleMetricChange = (nextMetric) => {
+    setMetric(nextMetric);
+    if (nextMetric === 'bytes' && !repoLanguages && !bytesLoading && repos.length > 0) {
+      fetchLanguageBytes();
+    }
+  };
+
+  // Charts and summaries follow the selected metric; fall back to repo counts while bytes load
+  const showBytes = metric === 'bytes' && byteData;
+  const chartData = showBytes ? byteData : data;
+  const chartTotal = chartData ? chartData.reduce((sum, entry) => sum + entry.value, 0) : 0;
+  const formatMetricValue = (value) => (showBytes ? formatBytes(value) : t('metric.repoCount', { count: value }));
+
+  // A search always re-runs, even for the route already shown, so it doubles as a refresh
+  const searchRoute = (nextRoute) => {
+    loadedAnalysisRef.current = null;
+    let apiParam = null;
+    try {
+      apiParam = isEnterprise ? normalizeApiBaseUrl(apiUrl) : null;
+    } catch (err) {
+      // Reported by the search itself
+    }
+    navigate(nextRoute, { params: { api: apiParam } });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const logins = parseUsernames(username);
+    if (mode === 'org' ? !username.trim() : logins.length === 0) {
+      fetchData();
+      return;
+    }
+    if (mode === 'org') {
+      searchRoute({ name: ROUTES.ORG, org: username.trim(), members: includeMembers });
+    } else if (logins.length > 1) {
+      searchRoute({ name: ROUTES.COMPARE, users: logins });
+    } else {
+      searchRoute({ name: ROUTES.USER, user: logins[0] });
     }
-    fetchData();
   };
 
   const handleExample = () => {
-    setUsername('torvalds');
-    fetchData('torvalds');
+    searchRoute({ name: ROUTES.USER, user: 'torvalds' });
   };
 
-  const generateMarkdown = () => {
-    let appUrl = '';
+  const getShareUrl = () => {
+    const login = userProfile?.login || username;
+    const path = hrefFor({ name: ROUTES.USER, user: login }, {
+      api: isEnterprise ? normalizeApiBaseUrl(apiUrl) : null,
+      lang: null,
+    });
     try {
       // If running on actual site, use current URL
       if (window.location.hostname !== 'localhost' && !window.location.hostname.includes('sandbox')) {
-         appUrl = window.location.href.split('?')[0] + `?user=${username}`;
-      } else {
-         throw new Error("Local/Sandbox");
+        return `${window.location.origin}${path}`;
       }
     } catch (e) {
-      // Fallback for when copying link from localhost or sandbox
-      appUrl = `https://gunjan-ghangare.github.io/GitHub-Lang-Detector/?user=${username}`;
+      // Fall through to the published site
     }
-    return `[![My Top Languages](https://img.shields.io/badge/View%20My-Top%20Languages-blue?style=for-the-badge&logo=github)](${appUrl})`;
+    // Fallback for when copying link from localhost or sandbox
+    return `https://gunjan-ghangare.github.io${path}`;
   };
 
-  const generateHTMLEmbed = () => {
-    let appUrl = '';
-    try {
-      if (window.location.hostname !== 'localhost' && !window.location.hostname.includes('sandbox')) {
-         appUrl = window.location.href.split('?')[0] + `?user=${username}`;
-      } else {
-         throw new Error("Local/Sandbox");
-      }
-    } catch (e) {
-      appUrl = `https://gunjan-ghangare.github.io/GitHub-Lang-Detector/?user=${username}`;
+  const getCardUrl = () => {
+    const params = new URLSearchParams({
+      user: userProfile?.login || username,
+      theme: cardOptions.theme,
+      layout: cardOptions.layout,
+      count: String(cardOptions.count),
+    });
+    if (showBytes) {
+      params.set('metric', 'bytes');
     }
-    
-    return `<a href="${appUrl}" target="_blank" rel="noopener noreferrer">
-  <img alt="GitLang Detector - ${username}'s Top Languages" src="https://img.shields.io/badge/📊_View-My_Top_Languages-3b82f6?style=for-the-badge&logo=github&logoColor=white" />
+    return `${CARD_BASE_URL}/api/card?${params}`;
+  };
+
+  // Without a deployed card endpoint the embeds fall back to the static shields.io badge
+  const generateMarkdown = () => {
+    const login = userProfile?.login || username;
+    if (CARD_BASE_URL) {
+      return `[![${login}'s Top Languages](${getCardUrl()})](${getShareUrl()})`;
+    }
+    return `[![My Top Languages](https://img.shields.io/badge/View%20My-Top%20Languages-blue?style=for-the-badge&logo=github)](${getShareUrl()})`;
+  };
+
+  const generateHTMLEmbed = () => {
+    const login = userProfile?.login || username;
+    const imageUrl = CARD_BASE_URL
+      ? getCardUrl().replace(/&/g, '&amp;')
+      : 'https://img.shields.io/badge/📊_View-My_Top_Languages-3b82f6?style=for-the-badge&logo=github&logoColor=white';
+
+    return `<a href="${getShareUrl()}" target="_blank" rel="noopener noreferrer">
+  <img alt="GitLang Detector - ${login}'s Top Languages" src="${imageUrl}" />
 </a>`;
   };
 
+  const cardPreview = useMemo(() => {
+    if (!chartData) return null;
+    const svg = renderLanguageCard({ login: userProfile?.login, languages: chartData }, cardOptions);
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  }, [chartData, userProfile, cardOptions]);
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     setCopied(true);
@@ -194,6 +1100,8 @@ export default function App() {
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-slate-950 via-slate-900 to-slate-950 text-slate-100 font-sans p-4 md:p-8 flex flex-col overflow-hidden">
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
       {/* Animated background elements */}
       <div className="fixed top-0 left-0 w-full h-full pointer-events-none overflow-hidden">
         <div className="absolute -top-40 -right-40 w-80 h-80 bg-blue-500/10 rounded-full blur-3xl animate-pulse"></div>
@@ -211,15 +1119,40 @@ export default function App() {
           </h1>
         </div>
         <p className="text-slate-400 text-lg md:text-xl mb-2">
-          🚀 Analyze your GitHub profile like never before
+          {t('app.tagline')}
         </p>
         <p className="text-slate-500 text-sm">
-          Language analytics • Profile insights • Repository performance
+          {t('app.features')}
         </p>
+        <div className="mt-4 flex items-center justify-center gap-3">
+          <LanguageSwitcher />
+          <DisplaySettingsMenu />
+        </div>
       </div>
 
       {/* Search Section */}
       <div className="max-w-xl mx-auto mb-12 w-full relative z-10">
+        <div className="flex justify-center mb-4">
+          <div className="inline-flex bg-slate-800/80 border border-slate-700 rounded-lg p-1 text-sm">
+            <button
+              type="button"
+              onClick={() => setMode('user')}
+              className={`px-4 py-1.5 rounded-md font-medium transition-colors flex items-center gap-1 ${mode === 'user' ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}
+            >
+              <Users size={14} />
+              {t('mode.user')}
+            </button>
+            <button
+              type="button"
+              onClick={() => setMode('org')}
+              className={`px-4 py-1.5 rounded-md font-medium transition-colors flex items-center gap-1 ${mode === 'org' ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}
+            >
+              <Building2 size={14} />
+              {t('mode.org')}
+            </button>
+          </div>
+        </div>
+
         <form onSubmit={handleSearch} className="relative group">
           <div className="absolute -inset-1 bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 rounded-xl blur-xl opacity-75 group-hover:opacity-100 transition duration-500 group-hover:duration-200 animate-pulse"></div>
           <div className="relative flex flex-col gap-2 bg-slate-800/80 backdrop-blur-xl rounded-xl p-1 border border-slate-700/50">
@@ -228,12 +1161,11 @@ export default function App() {
                 type="text"
                 value={username}
                 onChange={(e) => setUsername(e.target.value)}
-                placeholder="Enter GitHub Username..."
+                placeholder={t(mode === 'org' ? 'search.placeholderOrg' : 'search.placeholderUser')}
                 className="flex-1 bg-transparent border-none outline-none text-white px-4 py-2 placeholder-slate-500"
                 />
                 <button
                 type="submit"
-                disabled={loading}
                 className="bg-blue-600 hover:bg-blue-500 text-white px-6 py-2 rounded-md font-medium transition-colors flex items-center gap-2"
                 >
                 {loading ? (
@@ -241,7 +1173,7 @@ export default function App() {
                 ) : (
                     <>
                     <Search size={18} />
-                    Analyze
+                    {t('search.analyze')}
                     </>
                 )}
                 </button>
@@ -250,11 +1182,23 @@ export default function App() {
         </form>
 
         <div className="mt-4 flex flex-col items-center gap-2">
+            {mode === 'org' && (
+                <label className="flex items-center gap-2 text-sm text-slate-400 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={includeMembers}
+                        onChange={(e) => setIncludeMembers(e.target.checked)}
+                        className="accent-blue-500"
+                    />
+                    {t('search.includeMembers')}
+                </label>
+            )}
+
             <button 
                 onClick={handleExample}
                 className="text-sm text-slate-400 hover:text-blue-400 underline cursor-pointer transition-colors"
             >
-                Try example: torvalds
+                {t('search.example', { login: 'torvalds' })}
             </button>
             
             <button 
@@ -262,36 +1206,115 @@ export default function App() {
                 className="flex items-center gap-1 text-xs text-slate-500 hover:text-slate-300 transition-colors"
             >
                 <Key size={12} />
-                {showTokenInput ? "Hide API Token" : "Add API Token (if rate limited)"}
+                {showTokenInput
+                  ? t('token.hide')
+                  : tokenUser
+                    ? `${t('token.signedIn', { login: tokenUser.login })}${isEnterprise ? ` · ${hostLabel(apiUrl)}` : ''}`
+                    : isEnterprise ? t('token.host', { host: hostLabel(apiUrl) }) : t('token.add')}
             </button>
 
+            <RateLimitStatus rateLimit={rateLimit} />
+
             {showTokenInput && (
-                <div className="w-full animate-in fade-in slide-in-from-top-2 duration-300">
-                    <input
-                        type="password"
-                        value={token}
-                        onChange={(e) => setToken(e.target.value)}
-                        placeholder="Paste GitHub Personal Access Token (optional)"
-                        className="w-full bg-slate-800/50 border border-slate-700 rounded px-3 py-2 text-sm text-slate-300 placeholder-slate-600 focus:border-blue-500 outline-none"
-                    />
-                    <p className="text-[10px] text-slate-500 mt-1 text-center">
-                        Token is only used for this session and not stored.
-                    </p>
-                </div>
+                <TokenManager
+                    token={token}
+                    onTokenChange={setToken}
+                    check={tokenCheck}
+                    persistence={tokenPersistence}
+                    onPersistenceChange={setTokenPersistence}
+                    onForget={handleForgetToken}
+                    apiUrl={apiUrl}
+                    onApiUrlChange={setApiUrl}
+                />
             )}
         </div>
 
+        {loading && (
+          <div className="mt-6 p-4 bg-slate-800/60 border border-slate-700 rounded-lg flex items-center justify-between gap-3 text-slate-300 text-sm">
+            <span className="flex items-center gap-3">
+              <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-400"></span>
+              {progress
+                ? t('progress.pages', { page: formatNumber(progress.page), total: formatNumber(progress.totalPages) })
+                : t('progress.profile')}
+            </span>
+            <button
+              type="button"
+              onClick={cancelFetch}
+              className="flex items-center gap-1 text-xs bg-slate-700 hover:bg-red-600 text-white px-3 py-1.5 rounded-md transition-colors"
+            >
+              <X size={14} />
+              {t('common.cancel')}
+            </button>
+          </div>
+        )}
+
+        {staleAsOf && !loading && (
+          <div className="mt-6 p-4 bg-amber-500/10 border border-amber-500/50 rounded-lg flex items-start gap-3 text-amber-200">
+            <Clock size={20} className="mt-0.5 flex-shrink-0" />
+            <p>
+              {t('stale.message')}{' '}
+              {t('stale.asOf')} <span className="font-semibold">{formatDateTime(staleAsOf)}</span>.
+            </p>
+          </div>
+        )}
+
         {error && (
-          <div className="mt-6 p-4 bg-red-500/10 border border-red-500/50 rounded-lg flex items-start gap-3 text-red-200">
+          <div role="alert" className="mt-6 p-4 bg-red-500/10 border border-red-500/50 rounded-lg flex items-start gap-3 text-red-200">
             <AlertCircle size={20} className="mt-0.5 flex-shrink-0" />
             <p>{error}</p>
           </div>
         )}
       </div>
 
+      {/* Watched Users */}
+      {route.name === ROUTES.HOME && watchedUsers.length > 0 && (
+        <WatchlistPanel
+          watched={watchedUsers}
+          results={watchResults}
+          refreshing={watchRefreshing}
+          permission={notifyPermission}
+          describeChange={describeWatchChange}
+          onEnableNotifications={handleEnableNotifications}
+          onRemove={(login) => setWatchedUsers(prev => toggleWatchedUser(prev, login))}
+        />
+      )}
+
+      {/* Organization Section */}
+      {orgResult && <OrgView org={orgResult.org} repos={orgResult.repos} members={orgResult.members} webUrl={webUrl} />}
+
+      {/* Comparison Section */}
+      {compareResults && <CompareView results={compareResults} />}
+
+      {/* Repository Page */}
+      {data && userProfile && !loading && route.name === ROUTES.REPO && (
+        <RepoDetail
+          owner={userProfile}
+          repoName={route.repo}
+          repo={routeRepo}
+          detail={repoDetail?.fullName === routeRepo?.full_name ? repoDetail : null}
+          loading={repoDetailLoading}
+          error={repoDetailError}
+          onLoad={() => fetchRepoDetail(routeRepo)}
+        />
+      )}
+
       {/* Results Section */}
-      {data && userProfile && (
-        <div className="max-w-6xl mx-auto w-full">
+      {data && userProfile && route.name !== ROUTES.REPO && (
+        <div ref={resultsRef} className="max-w-6xl mx-auto w-full">
+          <FilterPanel
+            repos={repos}
+            filters={filters}
+            onChange={setFilters}
+            shownCount={filteredRepos.length}
+          />
+
+          {filteredRepos.length === 0 && (
+            <div className="mb-8 p-4 bg-amber-500/10 border border-amber-500/50 rounded-lg flex items-start gap-3 text-amber-200">
+              <AlertCircle size={20} className="mt-0.5 flex-shrink-0" />
+              <p>{t('filters.noMatch')}</p>
+            </div>
+          )}
+
           {/* User Profile Dashboard */}
           <div className="mb-8 bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 backdrop-blur-xl p-8 rounded-2xl border border-slate-700/50 shadow-2xl shadow-blue-500/10 hover:shadow-blue-500/20 transition-all duration-500">
             <div className="grid md:grid-cols-4 gap-6 items-center">
@@ -305,7 +1328,7 @@ export default function App() {
                     className="relative w-32 h-32 rounded-full shadow-lg object-cover"
                   />
                 </div>
-                <h2 className="text-2xl font-bold text-white text-center md:text-left">
+                <h2 className="text-2xl font-bold text-white text-center md:text-start">
                   {userProfile.name || userProfile.login}
                 </h2>
                 <p className="text-slate-400 text-sm font-medium">@{userProfile.login}</p>
@@ -314,12 +1337,22 @@ export default function App() {
                     <Award size={14} /> {userProfile.company}
                   </p>
                 )}
+                {snapshotStore && (
+                  <button
+                    type="button"
+                    onClick={() => handleToggleWatch(userProfile.login)}
+                    className="mt-3 flex items-center gap-1 text-xs text-slate-300 hover:text-white bg-slate-700/60 hover:bg-slate-700 rounded-full px-3 py-1 transition-colors"
+                  >
+                    {isWatched(watchedUsers, userProfile.login) ? <EyeOff size={14} /> : <Eye size={14} />}
+                    {isWatched(watchedUsers, userProfile.login) ? t('watch.unwatch') : t('watch.watch')}
+                  </button>
+                )}
               </div>
 
               {/* Bio & Location */}
               <div className="md:col-span-2">
                 {userProfile.bio && (
-                  <p className="text-slate-300 text-sm mb-4 leading-relaxed italic border-l-2 border-blue-500 pl-4">
+                  <p className="text-slate-300 text-sm mb-4 leading-relaxed italic border-s-2 border-blue-500 ps-4">
                     "{userProfile.bio}"
                   </p>
                 )}
@@ -348,29 +1381,29 @@ export default function App() {
                   <div className="flex items-center justify-center mb-2">
                     <Users size={16} className="text-blue-400" />
                   </div>
-                  <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">Followers</p>
-                  <p className="text-2xl font-black text-blue-400 mt-2">{userProfile.followers.toLocaleString()}</p>
+                  <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">{t('profile.followers')}</p>
+                  <p className="text-2xl font-black text-blue-400 mt-2">{formatNumber(userProfile.followers)}</p>
                 </div>
                 <div className="bg-gradient-to-br from-purple-900/40 to-purple-800/20 p-4 rounded-xl text-center border border-purple-500/30 hover:border-purple-500/60 transition-all hover:scale-105 cursor-default">
                   <div className="flex items-center justify-center mb-2">
                     <Users size={16} className="text-purple-400" />
                   </div>
-                  <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">Following</p>
-                  <p className="text-2xl font-black text-purple-400 mt-2">{userProfile.following.toLocaleString()}</p>
+                  <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">{t('profile.following')}</p>
+                  <p className="text-2xl font-black text-purple-400 mt-2">{formatNumber(userProfile.following)}</p>
                 </div>
                 <div className="bg-gradient-to-br from-emerald-900/40 to-emerald-800/20 p-4 rounded-xl text-center border border-emerald-500/30 hover:border-emerald-500/60 transition-all hover:scale-105 cursor-default">
                   <div className="flex items-center justify-center mb-2">
                     <BookOpen size={16} className="text-emerald-400" />
                   </div>
-                  <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">Repos</p>
-                  <p className="text-2xl font-black text-emerald-400 mt-2">{userProfile.public_repos.toLocaleString()}</p>
+                  <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">{t('profile.repos')}</p>
+                  <p className="text-2xl font-black text-emerald-400 mt-2">{formatNumber(userProfile.public_repos)}</p>
                 </div>
                 <div className="bg-gradient-to-br from-pink-900/40 to-pink-800/20 p-4 rounded-xl text-center border border-pink-500/30 hover:border-pink-500/60 transition-all hover:scale-105 cursor-default">
                   <div className="flex items-center justify-center mb-2">
                     <Code size={16} className="text-pink-400" />
                   </div>
-                  <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">Gists</p>
-                  <p className="text-2xl font-black text-pink-400 mt-2">{userProfile.public_gists.toLocaleString()}</p>
+                  <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">{t('profile.gists')}</p>
+                  <p className="text-2xl font-black text-pink-400 mt-2">{formatNumber(userProfile.public_gists)}</p>
                 </div>
               </div>
             </div>
@@ -381,22 +1414,22 @@ export default function App() {
                 <div className="flex items-center justify-center mb-2">
                   <Star size={18} className="text-yellow-400" />
                 </div>
-                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">Total Stars</p>
-                <p className="text-3xl font-black text-yellow-400 mt-1">{repoStats.totalStars.toLocaleString()}</p>
+                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">{t('profile.totalStars')}</p>
+                <p className="text-3xl font-black text-yellow-400 mt-1">{formatNumber(repoStats.totalStars)}</p>
               </div>
               <div className="bg-gradient-to-br from-orange-900/30 to-orange-800/10 p-4 rounded-xl border border-orange-500/30 text-center hover:border-orange-500/60 transition-all">
                 <div className="flex items-center justify-center mb-2">
                   <GitFork size={18} className="text-orange-400" />
                 </div>
-                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">Total Forks</p>
-                <p className="text-3xl font-black text-orange-400 mt-1">{repoStats.totalForks.toLocaleString()}</p>
+                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">{t('profile.totalForks')}</p>
+                <p className="text-3xl font-black text-orange-400 mt-1">{formatNumber(repoStats.totalForks)}</p>
               </div>
               <div className="bg-gradient-to-br from-cyan-900/30 to-cyan-800/10 p-4 rounded-xl border border-cyan-500/30 text-center hover:border-cyan-500/60 transition-all">
                 <div className="flex items-center justify-center mb-2">
                   <TrendingUp size={18} className="text-cyan-400" />
                 </div>
-                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">Avg Stars</p>
-                <p className="text-3xl font-black text-cyan-400 mt-1">{repoStats.avgStars.toLocaleString()}</p>
+                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">{t('profile.avgStars')}</p>
+                <p className="text-3xl font-black text-cyan-400 mt-1">{formatNumber(repoStats.avgStars)}</p>
               </div>
             </div>
             
@@ -405,7 +1438,7 @@ export default function App() {
               <div className="mb-4">
                 <p className="text-sm text-slate-400 mb-4 font-semibold uppercase tracking-wide flex items-center gap-2">
                   <Zap size={16} className="text-yellow-400" />
-                  Connect & Follow
+                  {t('profile.connect')}
                 </p>
               </div>
               <div className="flex flex-wrap gap-3">
@@ -416,8 +1449,8 @@ export default function App() {
                   className="inline-flex items-center gap-2 bg-gradient-to-r from-blue-600 to-blue-500 hover:from-blue-500 hover:to-blue-400 text-white px-5 py-2.5 rounded-lg font-bold transition-all duration-300 hover:shadow-lg hover:shadow-blue-500/50 group text-sm"
                 >
                   <Github size={16} />
-                  <span>GitHub Profile</span>
-                  <ExternalLink size={14} className="group-hover:translate-x-1 transition-transform" />
+                  <span>{t('profile.github')}</span>
+                  <ExternalLink size={14} className="group-hover:translate-x-1 rtl:group-hover:-translate-x-1 rtl:-scale-x-100 transition-transform" />
                 </a>
 
                 {userProfile.twitter_username && (
@@ -430,8 +1463,8 @@ export default function App() {
                     <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
                       <path d="M23 3a10.9 10.9 0 01-3.14 1.53 4.48 4.48 0 00-7.86 3v1A10.66 10.66 0 013 4s-4 9 5 13a11.64 11.64 0 01-7 2s9 5 20 5a9.5 9.5 0 00-9-5.5c4.75 2.25 9 0 11-4s1-6.75-1-9.5a5.5 5.5 0 00-.5-.5z"/>
                     </svg>
-                    <span>Twitter</span>
-                    <ExternalLink size={14} className="group-hover:translate-x-1 transition-transform" />
+                    <span>{t('profile.twitter')}</span>
+                    <ExternalLink size={14} className="group-hover:translate-x-1 rtl:group-hover:-translate-x-1 rtl:-scale-x-100 transition-transform" />
                   </a>
                 )}
 
@@ -443,8 +1476,8 @@ export default function App() {
                     className="inline-flex items-center gap-2 bg-gradient-to-r from-purple-600 to-purple-500 hover:from-purple-500 hover:to-purple-400 text-white px-5 py-2.5 rounded-lg font-bold transition-all duration-300 hover:shadow-lg hover:shadow-purple-500/50 group text-sm"
                   >
                     <LinkIcon size={16} />
-                    <span>Website</span>
-                    <ExternalLink size={14} className="group-hover:translate-x-1 transition-transform" />
+                    <span>{t('profile.website')}</span>
+                    <ExternalLink size={14} className="group-hover:translate-x-1 rtl:group-hover:-translate-x-1 rtl:-scale-x-100 transition-transform" />
                   </a>
                 )}
               </div>
@@ -452,134 +1485,133 @@ export default function App() {
           </div>
 
           {/* Top Repos Section */}
-          {topRepos.length > 0 && (
-            <div className="mb-8 bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 backdrop-blur-xl p-8 rounded-2xl border border-slate-700/50 shadow-2xl shadow-pink-500/10">
-              <h3 className="text-2xl font-bold mb-6 flex items-center gap-3">
-                <div className="p-2 bg-gradient-to-br from-pink-500 to-rose-500 rounded-lg">
-                  <Star size={20} className="text-white" />
-                </div>
-                <span className="bg-clip-text text-transparent bg-gradient-to-r from-pink-400 to-rose-400">
-                  Top Performing Repositories
-                </span>
-              </h3>
-              <div className="grid md:grid-cols-2 lg:grid-cols-5 gap-4">
-                {topRepos.map((repo, idx) => (
-                  <a
-                    key={idx}
-                    href={repo.url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="group bg-gradient-to-br from-slate-700/50 to-slate-800/50 hover:from-slate-700 hover:to-slate-800 p-4 rounded-xl border border-slate-600/50 hover:border-pink-500/50 transition-all duration-300 hover:shadow-lg hover:shadow-pink-500/20 cursor-pointer hover:-translate-y-1"
-                  >
-                    <div className="flex items-start justify-between mb-3">
-                      <h4 className="text-sm font-bold text-white group-hover:text-pink-400 transition-colors truncate flex-1">
-                        {repo.name}
-                      </h4>
-                      <span className="text-xs bg-pink-500/20 text-pink-300 px-2 py-1 rounded-full whitespace-nowrap ml-2">
-                        #{idx + 1}
-                      </span>
-                    </div>
-                    {repo.description && (
-                      <p className="text-xs text-slate-400 mb-3 line-clamp-2">
-                        {repo.description}
-                      </p>
-                    )}
-                    <div className="flex items-center gap-3 text-xs text-slate-400">
-                      <div className="flex items-center gap-1 hover:text-yellow-400 transition-colors">
-                        <Star size={14} fill="currentColor" /> {repo.stars}
-                      </div>
-                      <div className="flex items-center gap-1 hover:text-orange-400 transition-colors">
-                        <GitFork size={14} /> {repo.forks}
-                      </div>
-                    </div>
-                    {repo.language && (
-                      <div className="mt-3 inline-block bg-slate-600/50 px-2 py-1 rounded text-xs text-slate-300">
-                        {repo.language}
-                      </div>
-                    )}
-                  </a>
-                ))}
-              </div>
-            </div>
-          )}
+          <TopRepos repos={topRepos} owner={userProfile.login} />
 
-          <div className="grid md:grid-cols-2 gap-8">
-            
-            {/* Chart Card 1: Pie */}
-            <div className="bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
-              <h3 className="text-xl font-semibold mb-6 flex items-center gap-2">
-                <div className="w-1 h-6 bg-blue-500 rounded-full"></div>
-                Language Distribution
-              </h3>
-              <div className="h-80 w-full">
-                <ResponsiveContainer width="100%" height="100%">
-                  <PieChart>
-                    <Pie
-                      data={data}
-                      cx="50%"
-                      cy="50%"
-                      labelLine={false}
-                      outerRadius={100}
-                      fill="#8884d8"
-                      dataKey="value"
-                    >
-                      {data.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                      ))}
-                    </Pie>
-                    <RechartsTooltip 
-                      contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#fff' }}
-                      itemStyle={{ color: '#fff' }}
-                    />
-                    <Legend />
-                  </PieChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
+          {activity && <TopRepos repos={activity.topContributedRepos} title={t('topRepos.contributed')} />}
 
-            {/* Chart Card 2: Bar */}
-            <div className="bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
-              <h3 className="text-xl font-semibold mb-6 flex items-center gap-2">
-                <div className="w-1 h-6 bg-purple-500 rounded-full"></div>
-                Repo Count by Language
-              </h3>
-              <div className="h-80 w-full">
-                <ResponsiveContainer width="100%" height="100%">
-                  <BarChart data={data} layout="vertical" margin={{ top: 5, right: 30, left: 40, bottom: 5 }}>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-                    <XAxis type="number" stroke="#94a3b8" />
-                    <YAxis dataKey="name" type="category" stroke="#94a3b8" width={100} />
-                    <RechartsTooltip
-                      cursor={{fill: '#334155'}}
-                      contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#fff' }}
-                    />
-                    <Bar dataKey="value" fill="#8884d8" radius={[0, 4, 4, 0]}>
-                      {data.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                      ))}
-                    </Bar>
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
+          <InsightsPanel repos={filteredRepos} languages={analysis.languages} />
+
+          <ActivitySection activity={activity} loading={activityLoading} error={activityError} onLoad={fetchActivity} />
+
+          {/* Metric Toggle */}
+          <div className="mb-6 flex flex-col md:flex-row md:items-center justify-between gap-3">
+            <div className="inline-flex bg-slate-800/80 border border-slate-700 rounded-lg p-1 text-sm">
+              <button
+                onClick={() => handleMetricChange('repos')}
+                className={`px-4 py-2 rounded-md font-medium transition-colors ${metric === 'repos' ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}
+              >
+                {t('metric.repos')}
+              </button>
+              <button
+                onClick={() => handleMetricChange('bytes')}
+                className={`px-4 py-2 rounded-md font-medium transition-colors ${metric === 'bytes' ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}
+              >
+                {t('metric.bytes')}
+              </button>
+            </div>
+            {bytesLoading && (
+              <p className="text-xs text-slate-400 flex items-center gap-2">
+                <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-400"></span>
+                {t('metric.readingBytes', { count: repos.length })}
+                <button onClick={cancelLanguageBytes} className="underline hover:text-red-300">
+                  {t('common.cancel')}
+                </button>
+              </p>
+            )}
+            {bytesError && metric === 'bytes' && (
+              <p role="alert" className="text-xs text-red-300 flex items-center gap-2">
+                <AlertCircle size={14} />
+                {bytesError}
+              </p>
+            )}
+            <div className="md:ms-auto">
+              <ExportMenu
+                getModel={getExportModel}
+                repos={filteredRepos}
+                chartsRef={resultsRef}
+                filenameBase={`gitlang-${toFileSlug(userProfile.login)}-${new Date().toISOString().slice(0, 10)}`}
+              />
             </div>
           </div>
 
+          <LanguageCharts
+            data={chartData}
+            formatValue={formatMetricValue}
+            tickFormatter={showBytes ? formatBytes : undefined}
+            pieTitle={t('charts.pie')}
+            barTitle={t(showBytes ? 'charts.barBytes' : 'charts.barRepos')}
+            valueLabel={t(showBytes ? 'charts.valueBytes' : 'charts.valueRepos')}
+            onSelect={handleLanguageSelect}
+          />
+          <p className="mt-2 text-xs text-slate-500">{t('charts.tip')}</p>
+
+          <TechStackChart
+            techStack={techStack}
+            loading={techStackLoading}
+            error={techStackError}
+            onScan={fetchTechStack}
+            repoLimit={techStackLimit}
+            onRepoLimitChange={setTechStackLimit}
+          />
+
+          <LanguageTimeline repos={filteredRepos} />
+
+          <RepoExplorer
+            ref={explorerRef}
+            repos={filteredRepos}
+            languageFilter={languageFilter}
+            onLanguageFilterChange={setLanguageFilter}
+          />
+
+          {/* Top Languages List */}
+          <div className="mt-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+            <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+              <div className="w-1 h-6 bg-emerald-500 rounded-full"></div>
+              {t('languages.title')}
+            </h3>
+            <ul className="space-y-3">
+              {chartData.slice(0, 8).map((entry, index) => {
+                const share = chartTotal ? (entry.value / chartTotal) * 100 : 0;
+                return (
+                  <li key={entry.name}>
+                    <div className="flex items-center justify-between text-sm mb-1">
+                      <span className="flex items-center gap-2 text-slate-200">
+                        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: colorFor(entry.name, index) }}></span>
+                        {entry.name}
+                      </span>
+                      <span className="text-slate-400">
+                        {formatMetricValue(entry.value)} · {formatPercent(share / 100)}
+                      </span>
+                    </div>
+                    <div className="h-2 bg-slate-700/50 rounded-full overflow-hidden">
+                      <div className="h-full rounded-full" style={{ width: `${share}%`, backgroundColor: colorFor(entry.name, index) }}></div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+
           {/* Stats Summary */}
           <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-6">
             <div className="bg-gradient-to-br from-blue-600 to-blue-800 p-6 rounded-xl shadow-lg">
-              <p className="text-blue-200 text-sm font-medium uppercase tracking-wider">Top Language</p>
-              <p className="text-3xl font-bold mt-1">{data[0]?.name || 'N/A'}</p>
-              <p className="text-blue-200 text-xs mt-2">Most frequently used primary language</p>
+              <p className="text-blue-200 text-sm font-medium uppercase tracking-wider">{t('summary.topLanguage')}</p>
+              <p className="text-3xl font-bold mt-1">{chartData[0]?.name || t('common.notAvailable')}</p>
+              <p className="text-blue-200 text-xs mt-2">
+                {t(showBytes ? 'summary.topLanguageBytes' : 'summary.topLanguageRepos')}
+              </p>
             </div>
             <div className="bg-gradient-to-br from-purple-600 to-purple-800 p-6 rounded-xl shadow-lg">
-              <p className="text-purple-200 text-sm font-medium uppercase tracking-wider">Total Repos Analyzed</p>
-              <p className="text-3xl font-bold mt-1">{repoCount}</p>
-              <p className="text-purple-200 text-xs mt-2">Public repositories fetched</p>
+              <p className="text-purple-200 text-sm font-medium uppercase tracking-wider">{t('summary.analyzed')}</p>
+              <p className="text-3xl font-bold mt-1">{formatNumber(repoCount)}</p>
+              <p className="text-purple-200 text-xs mt-2">
+                {repoCount === repos.length ? t('summary.fetched') : t('summary.matching', { count: repos.length })}
+              </p>
             </div>
             <div className="bg-gradient-to-br from-emerald-600 to-emerald-800 p-6 rounded-xl shadow-lg">
-              <p className="text-emerald-200 text-sm font-medium uppercase tracking-wider">Diversity Score</p>
-              <p className="text-3xl font-bold mt-1">{data.length}</p>
-              <p className="text-emerald-200 text-xs mt-2">Different languages used</p>
+              <p className="text-emerald-200 text-sm font-medium uppercase tracking-wider">{t('summary.diversity')}</p>
+              <p className="text-3xl font-bold mt-1">{formatNumber(chartData.length)}</p>
+              <p className="text-emerald-200 text-xs mt-2">{t('summary.diversityHint')}</p>
             </div>
           </div>
 
@@ -589,23 +1621,75 @@ export default function App() {
               <div>
                 <h3 className="text-2xl font-bold text-white flex items-center gap-2 mb-2">
                   <Share2 className="text-blue-400" size={24} />
-                  Add to your GitHub Profile
+                  {t('embed.title')}
                 </h3>
                 <p className="text-slate-400 mt-2 max-w-3xl">
-                  Add this to your GitHub profile README.md to display your top languages and connect with visitors!
+                  {t('embed.description')}
                 </p>
               </div>
             </div>
 
+            {/* Language Card Options */}
+            <div className="mb-8 grid md:grid-cols-2 gap-6 items-start">
+              <div className="space-y-4">
+                <h4 className="text-lg font-bold text-white">{t('embed.card')}</h4>
+                <label className="block text-sm text-slate-400">
+                  {t('embed.theme')}
+                  <select
+                    value={cardOptions.theme}
+                    onChange={(e) => setCardOptions({ ...cardOptions, theme: e.target.value })}
+                    className="mt-1 w-full bg-slate-800 border border-slate-700 rounded px-3 py-2 text-slate-200 capitalize"
+                  >
+                    {Object.keys(CARD_THEMES).map(theme => (
+                      <option key={theme} value={theme}>{theme}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block text-sm text-slate-400">
+                  {t('embed.layout')}
+                  <select
+                    value={cardOptions.layout}
+                    onChange={(e) => setCardOptions({ ...cardOptions, layout: e.target.value })}
+                    className="mt-1 w-full bg-slate-800 border border-slate-700 rounded px-3 py-2 text-slate-200 capitalize"
+                  >
+                    {CARD_LAYOUTS.map(layout => (
+                      <option key={layout} value={layout}>{layout}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block text-sm text-slate-400">
+                  {t('embed.count')} <span className="text-slate-200 font-semibold">{cardOptions.count}</span>
+                  <input
+                    type="range"
+                    min="1"
+                    max="10"
+                    value={cardOptions.count}
+                    onChange={(e) => setCardOptions({ ...cardOptions, count: Number(e.target.value) })}
+                    className="mt-2 w-full accent-blue-500"
+                  />
+                </label>
+                {!CARD_BASE_URL && (
+                  <p className="text-xs text-amber-300/80">
+                    {t('embed.noEndpoint')}
+                  </p>
+                )}
+              </div>
+              {cardPreview && (
+                <div className="flex justify-center">
+                  <img src={cardPreview} alt={t('embed.preview')} className="max-w-full" />
+                </div>
+              )}
+            </div>
+
             {/* HTML Version - Most Compatible */}
             <div className="mb-8">
               <div className="flex items-center gap-2 mb-3">
                 <div className="w-2 h-6 bg-gradient-to-b from-blue-500 to-purple-500 rounded-full"></div>
-                <h4 className="text-lg font-bold text-white">Recommended: HTML Version</h4>
-                <span className="text-xs bg-green-500/20 text-green-300 px-3 py-1 rounded-full font-bold">BEST FOR GITHUB</span>
+                <h4 className="text-lg font-bold text-white">{t('embed.htmlTitle')}</h4>
+                <span className="text-xs bg-green-500/20 text-green-300 px-3 py-1 rounded-full font-bold">{t('embed.best')}</span>
               </div>
               <p className="text-slate-400 text-sm mb-3">
-                This works best in GitHub README files. Paste this HTML code directly:
+                {t('embed.htmlHint')}
               </p>
               <div className="relative group">
                 <div className="absolute -inset-0.5 bg-gradient-to-r from-green-500 to-emerald-600 rounded-lg blur opacity-25 group-hover:opacity-50 transition duration-200"></div>
@@ -613,8 +1697,8 @@ export default function App() {
                   <pre className="whitespace-pre-wrap break-all">{generateHTMLEmbed()}</pre>
                   <button
                     onClick={() => copyToClipboard(generateHTMLEmbed())}
-                    className="absolute top-2 right-2 bg-green-600 hover:bg-green-500 text-white p-2 rounded-md transition-all"
-                    title="Copy HTML"
+                    className="absolute top-2 end-2 bg-green-600 hover:bg-green-500 text-white p-2 rounded-md transition-all"
+                    title={t('embed.copyHtml')}
                   >
                     {copied ? <Check size={18} className="text-white" /> : <Copy size={18} />}
                   </button>
@@ -626,10 +1710,10 @@ export default function App() {
             <div>
               <div className="flex items-center gap-2 mb-3">
                 <div className="w-2 h-6 bg-gradient-to-b from-blue-500 to-cyan-500 rounded-full"></div>
-                <h4 className="text-lg font-bold text-white">Markdown Version</h4>
+                <h4 className="text-lg font-bold text-white">{t('embed.markdownTitle')}</h4>
               </div>
               <p className="text-slate-400 text-sm mb-3">
-                Alternative markdown format (works on GitHub, GitLab, Bitbucket, etc):
+                {t('embed.markdownHint')}
               </p>
               <div className="relative group">
                 <div className="absolute -inset-0.5 bg-gradient-to-r from-blue-500 to-purple-600 rounded-lg blur opacity-25 group-hover:opacity-50 transition duration-200"></div>
@@ -637,8 +1721,8 @@ export default function App() {
                   <pre className="whitespace-pre-wrap break-all">{generateMarkdown()}</pre>
                   <button
                     onClick={() => copyToClipboard(generateMarkdown())}
-                    className="absolute top-2 right-2 bg-blue-600 hover:bg-blue-500 text-white p-2 rounded-md transition-all"
-                    title="Copy Markdown"
+                    className="absolute top-2 end-2 bg-blue-600 hover:bg-blue-500 text-white p-2 rounded-md transition-all"
+                    title={t('embed.copyMarkdown')}
                   >
                     {copied ? <Check size={18} className="text-white" /> : <Copy size={18} />}
                   </button>
@@ -647,24 +1731,37 @@ export default function App() {
             </div>
             
             <div className="mt-6 p-4 bg-blue-500/10 border border-blue-500/30 rounded-lg text-blue-200 text-sm">
-              <p className="font-bold mb-2">💡 How to use:</p>
+              <p className="font-bold mb-2">{t('embed.howTo')}</p>
               <ol className="list-decimal list-inside space-y-1 text-xs">
-                <li>Copy the code above (HTML recommended)</li>
-                <li>Go to your GitHub profile's README.md file</li>
-                <li>Paste the code where you want it to appear</li>
-                <li>Commit and your profile will show your top languages!</li>
+                <li>{t('embed.step1')}</li>
+                <li>{t('embed.step2')}</li>
+                <li>{t('embed.step3')}</li>
+                <li>{t('embed.step4')}</li>
               </ol>
             </div>
           </div>
         </div>
       )}
       
+      {/* Snapshot History */}
+      {snapshotSubject && !loading && route.name !== ROUTES.REPO && (
+        <div className="max-w-6xl mx-auto w-full">
+          <SnapshotsPanel
+            snapshots={snapshots}
+            onDelete={handleDeleteSnapshot}
+            onExport={handleExportSnapshots}
+            onImport={handleImportSnapshots}
+            status={snapshotStatus}
+          />
+        </div>
+      )}
+
       {/* Creator Section & Footer */}
       <div className="mt-auto pt-20">
         <div className="max-w-6xl mx-auto border-t border-slate-800 pt-8 pb-12 flex flex-col items-center">
             
           <h3 className="text-xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-blue-400 to-purple-500 mb-6">
-            Meet the Creator
+            {t('footer.creator')}
           </h3>
           
           <div className="flex items-center gap-8 mb-6">
@@ -709,10 +1806,10 @@ export default function App() {
           </div>
 
           <p className="text-slate-500 text-sm">
-            Designed & Built by <span className="text-slate-300 font-medium">Gunjan Ghangare</span>
+            {t('footer.builtBy')} <span className="text-slate-300 font-medium">Gunjan Ghangare</span>
           </p>
           <p className="text-slate-600 text-xs mt-2">
-            Copyright © {new Date().getFullYear()} Gunjan Ghangare. All rights reserved.
+            {t('footer.rights', { year: new Date().getFullYear() })}
           </p>
         </div>
       </div>
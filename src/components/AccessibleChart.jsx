@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { nextSegmentIndex } from '../lib/a11y';
+import { useI18n } from './I18nProvider';
+
+// Focusable wrapper around a recharts chart. The arrow keys, Home and End move `activeIndex`
+// through `data` and the active segment is announced through a live region; Enter or Space calls
+// `onSelect(entry)` and Escape clears the selection. Only the focused chart announces, so charts
+// sharing an index (the pie and bar pair) don't talk over each other. The drawing itself is hidden
+// from screen readers, which get the title, the announcements and the data table instead.
+export default function AccessibleChart({
+  title,
+  data,
+  activeIndex,
+  onActiveIndexChange,
+  describe,
+  onSelect,
+  className = '',
+  style,
+  children,
+}) {
+  const { t, dir } = useI18n();
+  const [focused, setFocused] = useState(false);
+  const active = activeIndex >= 0 ? data[activeIndex] : null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && activeIndex >= 0) {
+      e.preventDefault();
+      onActiveIndexChange(-1);
+      return;
+    }
+    if ((e.key === 'Enter' || e.key === ' ') && active && onSelect) {
+      e.preventDefault();
+      onSelect(active);
+      return;
+    }
+    const next = nextSegmentIndex(activeIndex, e.key, data.length, { rtl: dir === 'rtl' });
+    if (next !== null) {
+      e.preventDefault();
+      onActiveIndexChange(next);
+    }
+  };
+
+  return (
+    <div
+      role="group"
+      aria-roledescription={t('a11y.chart')}
+      aria-label={`${title}. ${t(onSelect ? 'a11y.chartHintSelect' : 'a11y.chartHint')}`}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      onFocus={() => setFocused(true)}
+      onBlur={() => {
+        setFocused(false);
+        onActiveIndexChange(-1);
+      }}
+      className={`rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${className}`}
+      style={style}
+      data-export-chart={title}
+    >
+      <div aria-hidden="true" className="h-full w-full">
+        {children}
+      </div>
+      <p className="sr-only" aria-live="polite">
+        {focused && active ? describe(active, activeIndex) : ''}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React from 'react';
+import { Activity, GitPullRequest, GitMerge, CircleDot, Eye } from 'lucide-react';
+import { useDisplaySettings } from './DisplaySettingsProvider';
+import { useI18n } from './I18nProvider';
+
+const HOUR_LABELS = [0, 6, 12, 18];
+
+const CountTile = ({ icon: Icon, label, value, color }) => (
+  <div className="bg-slate-900/40 border border-slate-700 rounded-xl p-4 text-center">
+    <Icon size={18} className={`mx-auto mb-2 ${color}`} />
+    <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">{label}</p>
+    <p className={`text-2xl font-black mt-1 ${color}`}>{value}</p>
+  </div>
+);
+
+const Heatmap = ({ heatmap }) => {
+  const { t, formatNumber, formatWeekday, formatTime } = useI18n();
+  // Screen readers get per-weekday totals instead of 168 colored cells
+  const summary = t('activity.heatmapSummary', {
+    days: heatmap.cells.map((row, day) => `${formatWeekday(day)} ${formatNumber(row.reduce((sum, count) => sum + count, 0))}`).join(', '),
+  });
+
+  return (
+    <div className="overflow-x-auto">
+      <div
+        role="img"
+        aria-label={summary}
+        className="inline-grid gap-[3px]"
+        style={{ gridTemplateColumns: `2.5rem repeat(24, minmax(0.9rem, 1fr))` }}
+      >
+        <span />
+        {Array.from({ length: 24 }, (_, hour) => (
+          <span key={hour} className="text-[10px] text-slate-500 text-center">
+            {HOUR_LABELS.includes(hour) ? formatNumber(hour) : ''}
+          </span>
+        ))}
+        {heatmap.cells.map((row, day) => (
+          <React.Fragment key={day}>
+            <span className="text-[10px] text-slate-500 pe-1 self-center">{formatWeekday(day)}</span>
+            {row.map((count, hour) => (
+              <span
+                key={hour}
+                title={t('activity.heatmapCell', { day: formatWeekday(day), time: formatTime(new Date(2023, 0, 1, hour)), count })}
+                className="h-4 rounded-sm"
+                style={{
+                  backgroundColor: count
+                    ? `rgba(16, 185, 129, ${0.2 + (count / heatmap.max) * 0.8})`
+                    : 'rgba(51, 65, 85, 0.4)',
+                }}
+              />
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Public activity beyond owned repositories: PR/issue/review totals from search, a weekday/hour
+// heatmap of recent events and contributions per external repository and language.
+// Loaded on demand because it costs several search and events requests.
+export default function ActivitySection({ activity, loading, error, onLoad }) {
+  const { t, formatNumber, formatPercent } = useI18n();
+  const { colorFor } = useDisplaySettings();
+  const maxRepoTotal = activity ? Math.max(1, ...activity.contributedRepos.map(entry => entry.total)) : 1;
+  const languageTotal = activity ? activity.languages.reduce((sum, entry) => sum + entry.value, 0) : 0;
+
+  return (
+    <div className="mb-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-semibold flex items-center gap-2">
+          <Activity size={20} className="text-emerald-400" />
+          {t('activity.title')}
+        </h3>
+        {!activity && (
+          <button
+            onClick={onLoad}
+            disabled={loading}
+            className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-500 disabled:bg-slate-700 text-white text-sm px-4 py-2 rounded-lg transition-colors"
+          >
+            {loading && <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></span>}
+            {loading ? t('activity.loading') : t('activity.load')}
+          </button>
+        )}
+      </div>
+
+      {!activity && !loading && (
+        <p className="text-sm text-slate-400">{t('activity.description')}</p>
+      )}
+      {error && <p role="alert" className="mt-3 text-sm text-red-300">{error}</p>}
+
+      {activity && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <CountTile icon={GitPullRequest} label={t('activity.prsOpened')} value={formatNumber(activity.counts.pullRequestsOpened)} color="text-blue-400" />
+            <CountTile icon={GitMerge} label={t('activity.prsMerged')} value={formatNumber(activity.counts.pullRequestsMerged)} color="text-purple-400" />
+            <CountTile icon={CircleDot} label={t('activity.issuesOpened')} value={formatNumber(activity.counts.issuesOpened)} color="text-green-400" />
+            <CountTile icon={Eye} label={t('activity.prsReviewed')} value={formatNumber(activity.counts.reviews)} color="text-amber-400" />
+          </div>
+
+          <h4 className="text-sm font-semibold text-slate-300 mb-2">
+            {t('activity.when')}
+            <span className="font-normal text-slate-500"> · {t('activity.eventCount', { count: activity.eventCount })}</span>
+          </h4>
+          {activity.heatmap.max > 0 ? (
+            <Heatmap heatmap={activity.heatmap} />
+          ) : (
+            <p className="text-sm text-slate-500">{t('activity.noEvents')}</p>
+          )}
+
+          <div className="mt-6 grid md:grid-cols-2 gap-6">
+            <div>
+              <h4 className="text-sm font-semibold text-slate-300 mb-3">{t('activity.contributedRepos')}</h4>
+              {activity.contributedRepos.length === 0 && (
+                <p className="text-sm text-slate-500">{t('activity.noContributedRepos')}</p>
+              )}
+              <div className="space-y-2">
+                {activity.contributedRepos.map(entry => (
+                  <div key={entry.fullName} className="text-sm">
+                    <div className="flex justify-between gap-2">
+                      <a
+                        href={entry.repo?.html_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-slate-200 hover:text-emerald-400 truncate"
+                      >
+                        {entry.fullName}
+                      </a>
+                      <span className="text-slate-400 whitespace-nowrap">
+                        {entry.mergedPullRequests > 0 && `${t('activity.mergedPrs', { count: entry.mergedPullRequests })} · `}
+                        {t('activity.events', { count: entry.events })}
+                      </span>
+                    </div>
+                    <div className="mt-1 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                      <div className="h-full bg-emerald-500 rounded-full" style={{ width: `${(entry.total / maxRepoTotal) * 100}%` }} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+            <div>
+              <h4 className="text-sm font-semibold text-slate-300 mb-3">{t('activity.byLanguage')}</h4>
+              {activity.languages.length === 0 && (
+                <p className="text-sm text-slate-500">{t('activity.noLanguages')}</p>
+              )}
+              <div className="space-y-2">
+                {activity.languages.map((entry, index) => (
+                  <div key={entry.name} className="flex items-center gap-3 text-sm">
+                    <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: colorFor(entry.name, index) }} />
+                    <span className="text-slate-200 flex-1">{entry.name}</span>
+                    <span className="text-slate-400">{formatPercent(entry.value / languageTotal)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
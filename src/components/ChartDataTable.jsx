@@ -0,0 +1,57 @@
+import React from 'react';
+import { BarChart3, Table } from 'lucide-react';
+import { useI18n } from './I18nProvider';
+
+// Table equivalent of a chart. `columns` is a list of `{ key, header, value(row), numeric }`,
+// the same shape the CSV exports use.
+export default function ChartDataTable({ caption, columns, rows, rowKey = (row) => row.name }) {
+  return (
+    <div className="overflow-auto max-h-80">
+      <table className="w-full text-sm">
+        <caption className="sr-only">{caption}</caption>
+        <thead>
+          <tr className="text-slate-400 border-b border-slate-700">
+            {columns.map(column => (
+              <th key={column.key} scope="col" className={`py-2 pe-4 font-semibold ${column.numeric ? 'text-end' : 'text-start'}`}>
+                {column.header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={rowKey(row)} className="border-b border-slate-700/50">
+              {columns.map((column, index) => {
+                const Cell = index === 0 ? 'th' : 'td';
+                return (
+                  <Cell
+                    key={column.key}
+                    scope={index === 0 ? 'row' : undefined}
+                    className={`py-1.5 pe-4 ${index === 0 ? 'font-medium text-slate-200' : 'text-slate-300'} ${column.numeric ? 'text-end' : 'text-start'}`}
+                  >
+                    {column.value(row)}
+                  </Cell>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Chart/table switch placed in a chart card's header
+export const ChartViewToggle = ({ showTable, onToggle }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      type="button"
+      onClick={onToggle}
+      className="flex items-center gap-1 text-xs text-slate-400 hover:text-white border border-slate-700 rounded-md px-2 py-1"
+    >
+      {showTable ? <BarChart3 size={14} /> : <Table size={14} />}
+      {t(showTable ? 'a11y.showChart' : 'a11y.showTable')}
+    </button>
+  );
+};
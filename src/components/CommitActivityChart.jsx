@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip as RechartsTooltip } from 'recharts';
+import AccessibleChart from './AccessibleChart';
+import ChartDataTable, { ChartViewToggle } from './ChartDataTable';
+import { useChartFills } from './DisplaySettingsProvider';
+import { useI18n } from './I18nProvider';
+
+// Commits per week over the last year, from /stats/commit_activity (`[{ week, total }]`, week in
+// Unix seconds)
+export default function CommitActivityChart({ weeks }) {
+  const { t, formatNumber, formatDate } = useI18n();
+  const fills = useChartFills(1);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [showTable, setShowTable] = useState(false);
+  const title = t('repoDetail.commitActivity');
+
+  const data = weeks.map(week => ({ name: formatDate(week.week * 1000), value: week.total }));
+  const describe = (entry, index) => t('repoDetail.weekCommits', {
+    count: entry.value,
+    date: entry.name,
+    position: index + 1,
+    total: data.length,
+  });
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold">{title}</h3>
+        <ChartViewToggle showTable={showTable} onToggle={() => setShowTable(prev => !prev)} />
+      </div>
+      {showTable ? (
+        <ChartDataTable
+          caption={title}
+          columns={[
+            { key: 'week', header: t('repoDetail.weekOf'), value: row => row.name },
+            { key: 'commits', header: t('repoDetail.commits'), value: row => formatNumber(row.value), numeric: true },
+          ]}
+          rows={data}
+        />
+      ) : (
+        <AccessibleChart
+          title={title}
+          data={data}
+          activeIndex={activeIndex}
+          onActiveIndexChange={setActiveIndex}
+          describe={describe}
+          className="h-64 w-full"
+        >
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={data} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              {fills.defs}
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+              <XAxis dataKey="name" stroke="#94a3b8" tick={{ fontSize: 11 }} minTickGap={24} />
+              <YAxis stroke="#94a3b8" allowDecimals={false} width={40} />
+              <RechartsTooltip
+                formatter={(value) => [formatNumber(value), t('repoDetail.commits')]}
+                cursor={{ fill: '#334155' }}
+                contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#fff' }}
+              />
+              <Bar dataKey="value" radius={[2, 2, 0, 0]}>
+                {data.map((entry, index) => (
+                  <Cell
+                    key={`cell-${index}`}
+                    fill={fills.fill(0)}
+                    stroke={index === activeIndex ? '#fff' : undefined}
+                    strokeWidth={index === activeIndex ? 2 : 0}
+                  />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </AccessibleChart>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React, { useMemo, useState } from 'react';
+import { ResponsiveContainer, Tooltip as RechartsTooltip, Legend, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { Star, GitFork, BookOpen, Users, ExternalLink } from 'lucide-react';
+import { analyzeRepos, compareLanguages } from '../lib/analysis';
+import AccessibleChart from './AccessibleChart';
+import { useChartFills } from './DisplaySettingsProvider';
+import { useI18n } from './I18nProvider';
+
+const formatDelta = (delta, formatDecimal) => {
+  if (delta === 0) return `±${formatDecimal(0)}`;
+  return `${delta > 0 ? '+' : ''}${formatDecimal(delta)}`;
+};
+
+// Side-by-side view of several users: stat cards, grouped language bars and per-language deltas
+export default function CompareView({ results }) {
+  const { t, formatNumber, formatDecimal, formatPercent } = useI18n();
+  const fills = useChartFills(results.length);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const analyses = useMemo(
+    () => results.map(result => ({ ...result, analysis: analyzeRepos(result.repos) })),
+    [results]
+  );
+
+  const rows = useMemo(
+    () => compareLanguages(analyses.map(({ profile, analysis }) => ({ login: profile.login, languages: analysis.languages }))),
+    [analyses]
+  );
+
+  const [baseline, ...others] = analyses;
+
+  // The per-language deltas table below doubles as the chart's data table
+  const formatShare = (share) => formatPercent(share / 100);
+  const describeRow = (row) =>
+    `${row.name}: ${analyses.map(({ profile }) => `@${profile.login} ${formatShare(row.shares[profile.login])}`).join(', ')}`;
+
+  return (
+    <div className="max-w-6xl mx-auto w-full">
+      {/* Per-user Stats */}
+      <div className={`mb-8 grid gap-4 md:grid-cols-2 ${analyses.length > 2 ? 'lg:grid-cols-3' : ''}`}>
+        {analyses.map(({ profile, analysis }, idx) => (
+          <div
+            key={profile.login}
+            className="bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 p-6 rounded-2xl border border-slate-700/50 shadow-xl"
+            style={{ borderTopColor: fills.color(idx), borderTopWidth: 4 }}
+          >
+            <div className="flex items-center gap-4 mb-4">
+              <img
+                src={profile.avatar_url}
+                alt={profile.name || profile.login}
+                className="w-14 h-14 rounded-full object-cover"
+              />
+              <div className="min-w-0">
+                <h3 className="text-lg font-bold text-white truncate">{profile.name || profile.login}</h3>
+                <a
+                  href={profile.html_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-slate-400 text-sm hover:text-blue-400 inline-flex items-center gap-1"
+                >
+                  @{profile.login} <ExternalLink size={12} />
+                </a>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <div className="bg-slate-700/30 rounded-lg p-3">
+                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold flex items-center gap-1"><Star size={12} /> {t('profile.totalStars')}</p>
+                <p className="text-xl font-black text-yellow-400">{formatNumber(analysis.stats.totalStars)}</p>
+              </div>
+              <div className="bg-slate-700/30 rounded-lg p-3">
+                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold flex items-center gap-1"><GitFork size={12} /> {t('profile.totalForks')}</p>
+                <p className="text-xl font-black text-orange-400">{formatNumber(analysis.stats.totalForks)}</p>
+              </div>
+              <div className="bg-slate-700/30 rounded-lg p-3">
+                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold flex items-center gap-1"><BookOpen size={12} /> {t('profile.repos')}</p>
+                <p className="text-xl font-black text-emerald-400">{formatNumber(analysis.repoCount)}</p>
+              </div>
+              <div className="bg-slate-700/30 rounded-lg p-3">
+                <p className="text-slate-400 text-xs uppercase tracking-wide font-bold flex items-center gap-1"><Users size={12} /> {t('profile.followers')}</p>
+                <p className="text-xl font-black text-blue-400">{formatNumber(profile.followers)}</p>
+              </div>
+            </div>
+            <p className="mt-4 text-xs text-slate-400">
+              {t('compare.topLanguage')} <span className="text-slate-200 font-semibold">{analysis.languages[0]?.name || t('common.notAvailable')}</span>
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Grouped Language Chart */}
+      <div className="mb-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+        <h3 className="text-xl font-semibold mb-6 flex items-center gap-2">
+          <div className="w-1 h-6 bg-blue-500 rounded-full"></div>
+          {t('compare.chartHeading')}
+        </h3>
+        <AccessibleChart
+          title={t('compare.chartTitle')}
+          data={rows}
+          activeIndex={activeIndex}
+          onActiveIndexChange={setActiveIndex}
+          describe={describeRow}
+          className="h-96 w-full"
+        >
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={rows} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+              {fills.defs}
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="name" stroke="#94a3b8" interval={0} angle={-30} textAnchor="end" height={70} />
+              <YAxis stroke="#94a3b8" unit="%" />
+              <RechartsTooltip
+                formatter={(value) => formatShare(value)}
+                cursor={{ fill: '#334155' }}
+                contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#fff' }}
+              />
+              <Legend />
+              {analyses.map(({ profile }, idx) => (
+                <Bar
+                  key={profile.login}
+                  name={profile.login}
+                  dataKey={(row) => row.shares[profile.login]}
+                  fill={fills.fill(idx)}
+                  radius={[4, 4, 0, 0]}
+                >
+                  {rows.map((row, rowIndex) => (
+                    <Cell
+                      key={row.name}
+                      fill={fills.fill(idx)}
+                      stroke={rowIndex === activeIndex ? '#fff' : undefined}
+                      strokeWidth={rowIndex === activeIndex ? 2 : 0}
+                    />
+                  ))}
+                </Bar>
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </AccessibleChart>
+      </div>
+
+      {/* Per-language Deltas */}
+      <div className="bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl overflow-x-auto">
+        <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+          <div className="w-1 h-6 bg-purple-500 rounded-full"></div>
+          {t('compare.deltas')}
+        </h3>
+        <p className="text-slate-400 text-sm mb-4">{t('compare.deltasDescription', { login: baseline.profile.login })}</p>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-start text-slate-400 border-b border-slate-700">
+              <th className="py-2 pe-4 font-semibold">{t('charts.language')}</th>
+              {analyses.map(({ profile }) => (
+                <th key={profile.login} className="py-2 pe-4 font-semibold">@{profile.login}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.name} className="border-b border-slate-700/50">
+                <td className="py-2 pe-4 text-slate-200 font-medium">{row.name}</td>
+                <td className="py-2 pe-4 text-slate-300">{formatShare(row.shares[baseline.profile.login])}</td>
+                {others.map(({ profile }) => {
+                  const delta = row.deltas[profile.login];
+                  return (
+                    <td key={profile.login} className="py-2 pe-4 text-slate-300">
+                      {formatShare(row.shares[profile.login])}{' '}
+                      <span className={`text-xs ${delta > 0 ? 'text-emerald-400' : delta < 0 ? 'text-red-400' : 'text-slate-500'}`}>
+                        ({formatDelta(delta, formatDecimal)})
+                      </span>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
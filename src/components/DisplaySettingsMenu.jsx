@@ -0,0 +1,217 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { SlidersHorizontal, Plus, X } from 'lucide-react';
+import { PALETTES } from '../lib/colors';
+import { THEMES } from '../lib/displaySettings';
+import { LINGUIST_COLORS } from '../lib/languageColors';
+import { useDisplaySettings } from './DisplaySettingsProvider';
+import { useI18n } from './I18nProvider';
+
+const LEGEND_CLASS = 'text-[10px] uppercase tracking-widest font-bold text-slate-500 mb-2';
+
+// Header popover for the display settings: theme, chart palette, language colors and pattern fills
+export default function DisplaySettingsMenu() {
+  const { t } = useI18n();
+  const { settings, updateSettings } = useDisplaySettings();
+  const [open, setOpen] = useState(false);
+  const [overrideName, setOverrideName] = useState('');
+  const [overrideColor, setOverrideColor] = useState('#3b82f6');
+  const menuRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  const setOverride = (name, color) => updateSettings({ colorOverrides: { ...settings.colorOverrides, [name]: color } });
+
+  const removeOverride = (name) => {
+    const colorOverrides = { ...settings.colorOverrides };
+    delete colorOverrides[name];
+    updateSettings({ colorOverrides });
+  };
+
+  const handleAddOverride = (e) => {
+    e.preventDefault();
+    const name = overrideName.trim();
+    if (!name) return;
+    setOverride(name, overrideColor);
+    setOverrideName('');
+  };
+
+  // Start the picker from the language's current color so small tweaks are easy
+  const handleOverrideNameChange = (e) => {
+    setOverrideName(e.target.value);
+    const name = e.target.value.trim();
+    if (LINGUIST_COLORS[name]) setOverrideColor(LINGUIST_COLORS[name].toLowerCase());
+  };
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setOpen(false);
+        buttonRef.current?.focus();
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  return (
+    <div ref={menuRef} className="relative inline-block text-start">
+      <button
+        ref={buttonRef}
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls="display-settings"
+        className="inline-flex items-center gap-2 text-xs text-slate-400 hover:text-slate-200 bg-slate-800/80 border border-slate-700 rounded px-2 py-1"
+      >
+        <SlidersHorizontal size={14} />
+        {t('settings.title')}
+      </button>
+
+      {open && (
+        <div
+          id="display-settings"
+          role="dialog"
+          aria-label={t('settings.title')}
+          className="absolute end-0 mt-2 w-80 max-h-[80vh] overflow-y-auto z-20 bg-slate-800 border border-slate-700 rounded-lg shadow-2xl p-4 space-y-4"
+        >
+          <fieldset>
+            <legend className={LEGEND_CLASS}>{t('settings.theme')}</legend>
+            <div className="grid grid-cols-2 gap-2">
+              {THEMES.map(theme => (
+                <label key={theme} className="flex items-center gap-2 text-sm text-slate-200 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="ui-theme"
+                    value={theme}
+                    checked={settings.theme === theme}
+                    onChange={() => updateSettings({ theme })}
+                    className="accent-blue-500"
+                  />
+                  {t(`settings.themes.${theme}`)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset>
+            <legend className={LEGEND_CLASS}>{t('settings.palette')}</legend>
+            <div className="space-y-2">
+              {Object.entries(PALETTES).map(([name, colors]) => (
+                <label key={name} className="flex items-center gap-2 text-sm text-slate-200 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="chart-palette"
+                    value={name}
+                    checked={settings.palette === name}
+                    onChange={() => updateSettings({ palette: name })}
+                    className="accent-blue-500"
+                  />
+                  <span className="flex-1">{t(`settings.palettes.${name}`)}</span>
+                  <span className="flex" aria-hidden="true">
+                    {colors.slice(0, 6).map(color => (
+                      <span key={color} className="w-3 h-3 first:rounded-s-sm last:rounded-e-sm" style={{ backgroundColor: color }} />
+                    ))}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset className="space-y-3">
+            <legend className={LEGEND_CLASS}>{t('settings.languageColors')}</legend>
+            <label className="flex items-start gap-2 text-sm text-slate-200 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={settings.languageColors}
+                onChange={(e) => updateSettings({ languageColors: e.target.checked })}
+                className="accent-blue-500 mt-1"
+              />
+              <span>
+                {t('settings.linguist')}
+                <span className="block text-xs text-slate-500">{t('settings.linguistHint')}</span>
+              </span>
+            </label>
+
+            {Object.keys(settings.colorOverrides).length > 0 && (
+              <ul className="space-y-1">
+                {Object.entries(settings.colorOverrides).map(([name, color]) => (
+                  <li key={name} className="flex items-center gap-2 text-sm text-slate-200">
+                    <input
+                      type="color"
+                      value={color}
+                      onChange={(e) => setOverride(name, e.target.value)}
+                      aria-label={t('settings.overrideColor', { name })}
+                      className="w-6 h-6 bg-transparent border-0 p-0 cursor-pointer"
+                    />
+                    <span className="flex-1 truncate">{name}</span>
+                    <button
+                      type="button"
+                      onClick={() => removeOverride(name)}
+                      aria-label={t('settings.removeOverride', { name })}
+                      className="text-slate-500 hover:text-red-300"
+                    >
+                      <X size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <form onSubmit={handleAddOverride} className="flex items-center gap-2">
+              <input
+                type="color"
+                value={overrideColor}
+                onChange={(e) => setOverrideColor(e.target.value)}
+                aria-label={t('settings.newOverrideColor')}
+                className="w-6 h-6 bg-transparent border-0 p-0 cursor-pointer flex-shrink-0"
+              />
+              <input
+                type="text"
+                list="linguist-languages"
+                value={overrideName}
+                onChange={handleOverrideNameChange}
+                placeholder={t('settings.overrideLanguage')}
+                aria-label={t('settings.overrideLanguage')}
+                className="flex-1 min-w-0 bg-slate-900/60 border border-slate-700 rounded px-2 py-1 text-sm text-slate-200 placeholder-slate-500"
+              />
+              <datalist id="linguist-languages">
+                {Object.keys(LINGUIST_COLORS).map(name => <option key={name} value={name} />)}
+              </datalist>
+              <button
+                type="submit"
+                disabled={!overrideName.trim()}
+                aria-label={t('settings.addOverride')}
+                className="text-slate-300 hover:text-white bg-slate-700 rounded p-1"
+              >
+                <Plus size={14} />
+              </button>
+            </form>
+          </fieldset>
+
+          <label className="flex items-start gap-2 text-sm text-slate-200 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.patterns}
+              onChange={(e) => updateSettings({ patterns: e.target.checked })}
+              className="accent-blue-500 mt-1"
+            />
+            <span>
+              {t('settings.patterns')}
+              <span className="block text-xs text-slate-500">{t('settings.patternsHint')}</span>
+            </span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { createContext, useCallback, useContext, useEffect, useId, useLayoutEffect, useMemo, useState } from 'react';
+import { LINE_DASHES, PATTERNS, paletteColors } from '../lib/colors';
+import { loadDisplaySettings, resolveTheme, saveDisplaySettings } from '../lib/displaySettings';
+import { languageColor } from '../lib/languageColors';
+
+const PATTERN_INK = 'rgba(15, 23, 42, 0.6)';
+
+const DIAGONAL = 'M-2,2 l4,-4 M0,8 l8,-8 M6,10 l4,-4';
+const REVERSE_DIAGONAL = 'M-2,6 l4,4 M0,0 l8,8 M6,-2 l4,4';
+
+const PATTERN_SHAPES = {
+  diagonal: <path d={DIAGONAL} stroke={PATTERN_INK} strokeWidth="1.5" />,
+  reverseDiagonal: <path d={REVERSE_DIAGONAL} stroke={PATTERN_INK} strokeWidth="1.5" />,
+  crosshatch: <path d={`${DIAGONAL} ${REVERSE_DIAGONAL}`} stroke={PATTERN_INK} strokeWidth="1" />,
+  horizontal: <path d="M0,4 H8" stroke={PATTERN_INK} strokeWidth="2" />,
+  vertical: <path d="M4,0 V8" stroke={PATTERN_INK} strokeWidth="2" />,
+  grid: <path d="M0,4 H8 M4,0 V8" stroke={PATTERN_INK} strokeWidth="1" />,
+  dots: <circle cx="4" cy="4" r="1.6" fill={PATTERN_INK} />,
+};
+
+const LIGHT_QUERY = '(prefers-color-scheme: light)';
+const MORE_CONTRAST_QUERY = '(prefers-contrast: more)';
+
+const matches = (query) => typeof window !== 'undefined' && Boolean(window.matchMedia?.(query).matches);
+
+// Tracks the OS preferences the `system` theme follows
+const useSystemPreferences = () => {
+  const [preferences, setPreferences] = useState(() => ({
+    prefersLight: matches(LIGHT_QUERY),
+    prefersMoreContrast: matches(MORE_CONTRAST_QUERY),
+  }));
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const queries = [window.matchMedia(LIGHT_QUERY), window.matchMedia(MORE_CONTRAST_QUERY)];
+    const handleChange = () => setPreferences({
+      prefersLight: matches(LIGHT_QUERY),
+      prefersMoreContrast: matches(MORE_CONTRAST_QUERY),
+    });
+    queries.forEach(query => query.addEventListener('change', handleChange));
+    return () => queries.forEach(query => query.removeEventListener('change', handleChange));
+  }, []);
+
+  return preferences;
+};
+
+const DisplaySettingsContext = createContext(null);
+
+// Provides the persisted display settings (theme, chart palette, language colors, pattern fills),
+// `updateSettings(patch)`, the resolved `theme` and `colorFor(language, index)`. The theme is
+// applied as `data-theme` on <html>.
+export default function DisplaySettingsProvider({ children }) {
+  const [settings, setSettings] = useState(loadDisplaySettings);
+  const systemPreferences = useSystemPreferences();
+  const theme = resolveTheme(settings.theme, systemPreferences);
+
+  useEffect(() => {
+    saveDisplaySettings(settings);
+  }, [settings]);
+
+  // Before paint, so switching themes never flashes the previous one
+  useLayoutEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const updateSettings = useCallback((patch) => setSettings(prev => ({ ...prev, ...patch })), []);
+
+  const value = useMemo(() => {
+    const colors = paletteColors(settings.palette);
+    // Languages keep one color everywhere unless linguist colors are off, in which case they
+    // take palette colors by position like any other series; user overrides apply either way
+    const colorFor = (language, index) => {
+      if (settings.languageColors) return languageColor(language, { overrides: settings.colorOverrides, palette: colors });
+      return settings.colorOverrides[language] || colors[index % colors.length];
+    };
+    return { settings, updateSettings, theme, colors, colorFor };
+  }, [settings, updateSettings, theme]);
+
+  return <DisplaySettingsContext.Provider value={value}>{children}</DisplaySettingsContext.Provider>;
+}
+
+export const useDisplaySettings = () => useContext(DisplaySettingsContext);
+
+// Fills for one chart with `count` series or segments. Pass `languages` (names in series order)
+// when the series are languages so they get their language colors. `defs` must be rendered as a
+// direct child of the recharts chart so the pattern ids resolve inside its <svg>; it is null when
+// patterns are off.
+export const useChartFills = (count, languages) => {
+  const { settings, colors, colorFor } = useDisplaySettings();
+  const id = `pattern${useId().replace(/[^a-zA-Z0-9]/g, '')}`;
+  const languageKey = languages ? languages.join('\n') : null;
+
+  return useMemo(() => {
+    const color = (index) => (languages ? colorFor(languages[index], index) : colors[index % colors.length]);
+    const patternOf = (index) => PATTERNS[index % PATTERNS.length];
+    const usesPattern = (index) => settings.patterns && patternOf(index) !== 'solid';
+
+    const defs = settings.patterns ? (
+      <defs>
+        {Array.from({ length: count }, (_, index) => (usesPattern(index) && (
+          <pattern key={index} id={`${id}-${index}`} width="8" height="8" patternUnits="userSpaceOnUse">
+            <rect width="8" height="8" fill={color(index)} />
+            {PATTERN_SHAPES[patternOf(index)]}
+          </pattern>
+        )))}
+      </defs>
+    ) : null;
+
+    return {
+      defs,
+      color,
+      fill: (index) => (usesPattern(index) ? `url(#${id}-${index})` : color(index)),
+      dash: (index) => (settings.patterns ? LINE_DASHES[index % LINE_DASHES.length] : undefined),
+    };
+  }, [settings.patterns, colors, colorFor, count, id, languageKey]);
+};
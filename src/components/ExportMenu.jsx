@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, FileJson, FileSpreadsheet, FileImage, FileText, ChevronDown } from 'lucide-react';
+import {
+  LANGUAGE_COLUMNS,
+  REPO_COLUMNS,
+  STATS_COLUMNS,
+  buildPdfReport,
+  downloadBlob,
+  downloadText,
+  findExportableCharts,
+  statsToRows,
+  svgToPngDataUrl,
+  toCSV,
+  toFileSlug,
+} from '../lib/export';
+import { useI18n } from './I18nProvider';
+
+const MenuItem = ({ icon: Icon, onClick, disabled, children }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    className="w-full flex items-center gap-2 px-3 py-2 text-sm text-slate-200 hover:bg-slate-700 disabled:hover:bg-transparent rounded-md text-start"
+  >
+    <Icon size={14} className="text-slate-400 flex-shrink-0" />
+    {children}
+  </button>
+);
+
+// The page background of the active theme (the slate scale is swapped per theme, see theme-styles.css)
+const themeBackground = () => getComputedStyle(document.documentElement).backgroundColor;
+
+// Download menu for the current analysis. `getModel()` returns the buildExportModel() result and
+// `chartsRef` points at the element containing the charts marked with data-export-chart.
+export default function ExportMenu({ getModel, repos, chartsRef, filenameBase }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [charts, setCharts] = useState([]);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    setCharts(findExportableCharts(chartsRef.current));
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open, chartsRef]);
+
+  const run = async (task) => {
+    if (busy) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await task();
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportJSON = () => run(async () => {
+    downloadText(`${filenameBase}.json`, JSON.stringify(getModel(), null, 2), 'application/json');
+  });
+
+  const exportLanguagesCSV = () => run(async () => {
+    downloadText(`${filenameBase}-languages.csv`, toCSV(getModel().languages, LANGUAGE_COLUMNS), 'text/csv');
+  });
+
+  const exportReposCSV = () => run(async () => {
+    downloadText(`${filenameBase}-repos.csv`, toCSV(repos, REPO_COLUMNS), 'text/csv');
+  });
+
+  const exportStatsCSV = () => run(async () => {
+    const model = getModel();
+    const rows = statsToRows(model.repoStats, model.repoStats.reposAnalyzed);
+    downloadText(`${filenameBase}-stats.csv`, toCSV(rows, STATS_COLUMNS), 'text/csv');
+  });
+
+  const exportChartPNG = (chart) => run(async () => {
+    const { dataUrl } = await svgToPngDataUrl(chart.svg, { background: themeBackground() });
+    const blob = await (await fetch(dataUrl)).blob();
+    downloadBlob(`${filenameBase}-${toFileSlug(chart.title)}.png`, blob);
+  });
+
+  const exportPDF = () => run(async () => {
+    const images = [];
+    for (const chart of findExportableCharts(chartsRef.current)) {
+      images.push({ title: chart.title, ...(await svgToPngDataUrl(chart.svg, { background: themeBackground() })) });
+    }
+    downloadBlob(`${filenameBase}-report.pdf`, await buildPdfReport(getModel(), images, i18n));
+  });
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={busy}
+        className="flex items-center gap-2 bg-slate-800/80 border border-slate-700 hover:border-blue-500 text-sm text-slate-200 px-4 py-2 rounded-lg transition-colors"
+      >
+        {busy ? (
+          <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></span>
+        ) : (
+          <Download size={16} />
+        )}
+        {t('export.button')}
+        <ChevronDown size={14} />
+      </button>
+
+      {open && (
+        <div className="absolute end-0 mt-2 w-64 z-20 bg-slate-800 border border-slate-700 rounded-lg shadow-2xl p-2">
+          <p className="px-3 pt-1 pb-2 text-[10px] uppercase tracking-widest font-bold text-slate-500">{t('export.data')}</p>
+          <MenuItem icon={FileJson} onClick={exportJSON} disabled={busy}>{t('export.json')}</MenuItem>
+          <MenuItem icon={FileSpreadsheet} onClick={exportLanguagesCSV} disabled={busy}>{t('export.languagesCsv')}</MenuItem>
+          <MenuItem icon={FileSpreadsheet} onClick={exportReposCSV} disabled={busy}>{t('export.reposCsv')}</MenuItem>
+          <MenuItem icon={FileSpreadsheet} onClick={exportStatsCSV} disabled={busy}>{t('export.statsCsv')}</MenuItem>
+
+          {charts.length > 0 && (
+            <>
+              <p className="px-3 pt-3 pb-2 text-[10px] uppercase tracking-widest font-bold text-slate-500">{t('export.charts')}</p>
+              {charts.map(chart => (
+                <MenuItem key={chart.title} icon={FileImage} onClick={() => exportChartPNG(chart)} disabled={busy}>
+                  {t('export.chartPng', { title: chart.title })}
+                </MenuItem>
+              ))}
+            </>
+          )}
+
+          <p className="px-3 pt-3 pb-2 text-[10px] uppercase tracking-widest font-bold text-slate-500">{t('export.report')}</p>
+          <MenuItem icon={FileText} onClick={exportPDF} disabled={busy}>{t('export.pdf')}</MenuItem>
+
+          {error && <p className="px-3 pt-2 text-xs text-red-300">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from 'react';
+import { Filter, RotateCcw, ChevronDown } from 'lucide-react';
+import { DEFAULT_FILTERS, countTopics } from '../lib/analysis';
+import { useI18n } from './I18nProvider';
+
+// Topics offered as chips; the rest of the long tail is reachable through the search box
+const MAX_TOPIC_CHIPS = 20;
+
+const Toggle = ({ checked, onChange, children }) => (
+  <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="accent-blue-500"
+    />
+    {children}
+  </label>
+);
+
+// Repository filters applied client-side to the already fetched repos
+export default function FilterPanel({ repos, filters, onChange, shownCount }) {
+  const { t, formatNumber } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [topicQuery, setTopicQuery] = useState('');
+
+  const topics = useMemo(() => countTopics(repos), [repos]);
+  const visibleTopics = topics
+    .filter(topic => topic.name.includes(topicQuery.trim().toLowerCase()))
+    .slice(0, MAX_TOPIC_CHIPS);
+
+  const update = (patch) => onChange({ ...filters, ...patch });
+
+  const toggleTopic = (topic) => {
+    const selected = filters.topics.includes(topic)
+      ? filters.topics.filter(name => name !== topic)
+      : [...filters.topics, topic];
+    update({ topics: selected });
+  };
+
+  const activeCount = [
+    filters.excludeForks,
+    filters.excludeArchived,
+    filters.excludeTemplates,
+    filters.pushedAfter,
+    filters.pushedBefore,
+    filters.topics.length > 0,
+  ].filter(Boolean).length;
+
+  return (
+    <div className="mb-8 bg-slate-800/50 backdrop-blur-sm rounded-2xl border border-slate-700 shadow-xl">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between gap-3 p-4 text-start"
+      >
+        <span className="flex items-center gap-2 font-semibold">
+          <Filter size={18} className="text-blue-400" />
+          {t('filters.title')}
+          {activeCount > 0 && (
+            <span className="text-xs bg-blue-500/20 text-blue-300 px-2 py-0.5 rounded-full">{t('filters.active', { count: activeCount })}</span>
+          )}
+        </span>
+        <span className="flex items-center gap-3 text-xs text-slate-400">
+          {t('filters.analyzing', { count: repos.length, shown: formatNumber(shownCount), total: formatNumber(repos.length) })}
+          <ChevronDown size={16} className={`transition-transform ${open ? 'rotate-180' : ''}`} />
+        </span>
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 grid md:grid-cols-3 gap-6 border-t border-slate-700/50 pt-4">
+          <div className="space-y-2">
+            <p className="text-xs uppercase tracking-wide font-bold text-slate-400">{t('filters.exclude')}</p>
+            <Toggle checked={filters.excludeForks} onChange={(value) => update({ excludeForks: value })}>
+              {t('filters.forks')}
+            </Toggle>
+            <Toggle checked={filters.excludeArchived} onChange={(value) => update({ excludeArchived: value })}>
+              {t('filters.archived')}
+            </Toggle>
+            <Toggle checked={filters.excludeTemplates} onChange={(value) => update({ excludeTemplates: value })}>
+              {t('filters.templates')}
+            </Toggle>
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-xs uppercase tracking-wide font-bold text-slate-400">{t('filters.pushedBetween')}</p>
+            <input
+              type="date"
+              value={filters.pushedAfter}
+              max={filters.pushedBefore || undefined}
+              onChange={(e) => update({ pushedAfter: e.target.value })}
+              className="w-full bg-slate-900/60 border border-slate-700 rounded px-3 py-1.5 text-sm text-slate-200"
+              aria-label={t('filters.pushedAfter')}
+            />
+            <input
+              type="date"
+              value={filters.pushedBefore}
+              min={filters.pushedAfter || undefined}
+              onChange={(e) => update({ pushedBefore: e.target.value })}
+              className="w-full bg-slate-900/60 border border-slate-700 rounded px-3 py-1.5 text-sm text-slate-200"
+              aria-label={t('filters.pushedBefore')}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-xs uppercase tracking-wide font-bold text-slate-400">{t('filters.topics')}</p>
+            {topics.length === 0 ? (
+              <p className="text-xs text-slate-500">{t('filters.noTopics')}</p>
+            ) : (
+              <>
+                <input
+                  type="text"
+                  value={topicQuery}
+                  onChange={(e) => setTopicQuery(e.target.value)}
+                  placeholder={t('filters.searchTopics')}
+                  className="w-full bg-slate-900/60 border border-slate-700 rounded px-3 py-1.5 text-sm text-slate-200 placeholder-slate-500"
+                />
+                <div className="flex flex-wrap gap-1.5">
+                  {[...new Set([...filters.topics, ...visibleTopics.map(topic => topic.name)])].map(topic => (
+                    <button
+                      key={topic}
+                      onClick={() => toggleTopic(topic)}
+                      className={`text-xs px-2 py-1 rounded-full border transition-colors ${filters.topics.includes(topic) ? 'bg-blue-600 border-blue-500 text-white' : 'border-slate-600 text-slate-300 hover:border-blue-500'}`}
+                    >
+                      {topic}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+
+          {activeCount > 0 && (
+            <div className="md:col-span-3 flex justify-end">
+              <button
+                onClick={() => onChange(DEFAULT_FILTERS)}
+                className="flex items-center gap-1 text-xs text-slate-400 hover:text-white"
+              >
+                <RotateCcw size={12} />
+                {t('filters.reset')}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LOCALE, createFormatters, createTranslator, directionOf, resolveLocale } from '../lib/i18n';
+import en from '../locales/en';
+import es from '../locales/es';
+import ar from '../locales/ar';
+
+const CATALOGS = { en, es, ar };
+
+const readInitialLocale = () => {
+  try {
+    return resolveLocale(window.location.search, navigator.languages || [navigator.language]);
+  } catch (e) {
+    return DEFAULT_LOCALE;
+  }
+};
+
+const I18nContext = createContext(null);
+
+// Provides `{ locale, setLocale, dir, t, formatNumber, formatDate, ... }` to the tree. The chosen
+// locale is mirrored to ?lang= so shared links open in the same language, and to <html lang dir>.
+export default function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(readInitialLocale);
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale,
+    dir: directionOf(locale),
+    t: createTranslator(locale, CATALOGS[locale], CATALOGS[DEFAULT_LOCALE]),
+    ...createFormatters(locale),
+  }), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = value.dir;
+    try {
+      const url = new URL(window.location);
+      if (locale === DEFAULT_LOCALE) {
+        url.searchParams.delete('lang');
+      } else {
+        url.searchParams.set('lang', locale);
+      }
+      window.history.replaceState(window.history.state, '', url);
+    } catch (err) {
+      // Ignore history errors
+    }
+  }, [locale, value.dir]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => useContext(I18nContext);
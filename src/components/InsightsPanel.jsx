@@ -0,0 +1,83 @@
+import React, { useMemo } from 'react';
+import { Lightbulb, Info } from 'lucide-react';
+import { buildInsights } from '../lib/insights';
+import { useI18n } from './I18nProvider';
+
+// Hover/focus tooltip with the explanation of how a metric is calculated
+const InfoTip = ({ text }) => (
+  <span className="relative group inline-flex">
+    <button type="button" className="text-slate-500 hover:text-slate-300 focus:text-slate-300 outline-none" aria-label={text}>
+      <Info size={14} />
+    </button>
+    <span
+      role="tooltip"
+      className="pointer-events-none absolute end-0 top-6 z-20 w-64 rounded-lg border border-slate-600 bg-slate-900 p-3 text-xs font-normal normal-case tracking-normal text-slate-300 shadow-xl opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity"
+    >
+      {text}
+    </span>
+  </span>
+);
+
+const InsightCard = ({ label, value, detail, explanation }) => (
+  <div className="bg-slate-900/40 border border-slate-700 rounded-xl p-4">
+    <div className="flex items-start justify-between gap-2">
+      <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">{label}</p>
+      <InfoTip text={explanation} />
+    </div>
+    <p className="text-2xl font-black text-white mt-2">{value}</p>
+    <p className="text-xs text-slate-400 mt-1">{detail}</p>
+  </div>
+);
+
+// Derived specialization, diversity and activity metrics for the (filtered) repositories
+export default function InsightsPanel({ repos, languages }) {
+  const { t, formatNumber, formatDecimal, formatPercent: percent } = useI18n();
+  const formatStars = (value) => (Number.isInteger(value) ? formatNumber(value) : formatDecimal(value));
+  const insights = useMemo(() => buildInsights(repos, languages), [repos, languages]);
+  const { diversity, concentration, originality, activity, stars } = insights;
+
+  if (repos.length === 0) return null;
+
+  return (
+    <div className="mb-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+      <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+        <Lightbulb size={20} className="text-amber-400" />
+        {t('insights.title')}
+      </h3>
+      <div className="grid sm:grid-cols-2 lg:grid-cols-5 gap-4">
+        <InsightCard
+          label={t('insights.diversity')}
+          value={diversity.entropy.toFixed(2)}
+          detail={t('insights.diversityDetail', { count: diversity.languageCount, percent: percent(diversity.normalized) })}
+          explanation={t('insights.diversityExplanation')}
+        />
+        <InsightCard
+          label={t('insights.specialization')}
+          value={concentration.index.toFixed(2)}
+          detail={concentration.primaryLanguage
+            ? t('insights.specializationDetail', { language: concentration.primaryLanguage, percent: percent(concentration.primaryShare) })
+            : t('insights.noLanguageData')}
+          explanation={t('insights.specializationExplanation')}
+        />
+        <InsightCard
+          label={t('insights.originalWork')}
+          value={percent(originality.share)}
+          detail={t('insights.originalWorkDetail', { original: formatNumber(originality.original), forks: formatNumber(originality.forks) })}
+          explanation={t('insights.originalWorkExplanation')}
+        />
+        <InsightCard
+          label={t('insights.recentActivity')}
+          value={percent(activity.find(window => window.days === 90)?.share || 0)}
+          detail={activity.map(window => t('insights.activityWindow', { days: formatNumber(window.days), percent: percent(window.share) })).join(' · ')}
+          explanation={t('insights.recentActivityExplanation')}
+        />
+        <InsightCard
+          label={t('insights.starsPerRepo')}
+          value={`p50 ${formatStars(stars.percentiles[0].value)}`}
+          detail={`${stars.percentiles.slice(1).map(({ p, value }) => `p${p}: ${formatStars(value)}`).join(' · ')} · ${t('insights.max', { value: formatNumber(stars.max) })}`}
+          explanation={t('insights.starsExplanation', { percent: percent(stars.topShare) })}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { PieChart, Pie, Cell, Sector, ResponsiveContainer, Tooltip as RechartsTooltip, Legend, BarChart, Bar, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { shareOf } from '../lib/a11y';
+import AccessibleChart from './AccessibleChart';
+import ChartDataTable, { ChartViewToggle } from './ChartDataTable';
+import { useChartFills } from './DisplaySettingsProvider';
+import { useI18n } from './I18nProvider';
+
+// Slice pulled out and outlined while it is the keyboard-selected segment
+const renderActiveSlice = (props) => (
+  <Sector {...props} outerRadius={props.outerRadius + 8} stroke="#fff" strokeWidth={2} />
+);
+
+// Pie + horizontal bar pair used wherever a `{ name, value }` language list is shown
+export default function LanguageCharts({
+  data,
+  formatValue = (value) => value,
+  tickFormatter,
+  pieTitle,
+  barTitle,
+  valueLabel,
+  onSelect,
+}) {
+  const { t, formatPercent } = useI18n();
+  const fills = useChartFills(data.length, data.map(entry => entry.name));
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [showTable, setShowTable] = useState({ pie: false, bar: false });
+  const titles = { pie: pieTitle || t('charts.pie'), bar: barTitle || t('charts.barRepos') };
+
+  // Clicking a slice or bar reports the language name, e.g. to filter the repo explorer
+  const handleClick = onSelect ? (entry) => entry?.name && onSelect(entry.name) : undefined;
+  const handleSelect = onSelect ? (entry) => onSelect(entry.name) : undefined;
+
+  const describe = (entry, index) => t('a11y.segment', {
+    name: entry.name,
+    value: formatValue(entry.value),
+    share: formatPercent(shareOf(entry.value, data)),
+    position: index + 1,
+    total: data.length,
+  });
+
+  const tableColumns = [
+    { key: 'name', header: t('charts.language'), value: row => row.name },
+    { key: 'value', header: valueLabel || t('charts.valueRepos'), value: row => formatValue(row.value), numeric: true },
+    { key: 'share', header: t('charts.share'), value: row => formatPercent(shareOf(row.value, data)), numeric: true },
+  ];
+
+  const cardHeader = (chart, accent) => (
+    <div className="flex items-center justify-between gap-2 mb-6">
+      <h3 className="text-xl font-semibold flex items-center gap-2">
+        <div className={`w-1 h-6 ${accent} rounded-full`}></div>
+        {titles[chart]}
+      </h3>
+      <ChartViewToggle
+        showTable={showTable[chart]}
+        onToggle={() => setShowTable(prev => ({ ...prev, [chart]: !prev[chart] }))}
+      />
+    </div>
+  );
+
+  return (
+    <div className="grid md:grid-cols-2 gap-8">
+
+      {/* Chart Card 1: Pie */}
+      <div className="bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+        {cardHeader('pie', 'bg-blue-500')}
+        {showTable.pie ? (
+          <ChartDataTable caption={titles.pie} columns={tableColumns} rows={data} />
+        ) : (
+          <AccessibleChart
+            title={titles.pie}
+            data={data}
+            activeIndex={activeIndex}
+            onActiveIndexChange={setActiveIndex}
+            describe={describe}
+            onSelect={handleSelect}
+            className="h-80 w-full"
+          >
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                {fills.defs}
+                <Pie
+                  data={data}
+                  cx="50%"
+                  cy="50%"
+                  labelLine={false}
+                  outerRadius={100}
+                  fill="#8884d8"
+                  dataKey="value"
+                  onClick={handleClick}
+                  className={onSelect ? 'cursor-pointer' : undefined}
+                  activeIndex={activeIndex >= 0 ? activeIndex : undefined}
+                  activeShape={renderActiveSlice}
+                >
+                  {data.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={fills.fill(index)} />
+                  ))}
+                </Pie>
+                <RechartsTooltip
+                  formatter={(value) => formatValue(value)}
+                  contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#fff' }}
+                  itemStyle={{ color: '#fff' }}
+                />
+                <Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          </AccessibleChart>
+        )}
+      </div>
+
+      {/* Chart Card 2: Bar */}
+      <div className="bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+        {cardHeader('bar', 'bg-purple-500')}
+        {showTable.bar ? (
+          <ChartDataTable caption={titles.bar} columns={tableColumns} rows={data} />
+        ) : (
+          <AccessibleChart
+            title={titles.bar}
+            data={data}
+            activeIndex={activeIndex}
+            onActiveIndexChange={setActiveIndex}
+            describe={describe}
+            onSelect={handleSelect}
+            className="h-80 w-full"
+          >
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data} layout="vertical" margin={{ top: 5, right: 30, left: 40, bottom: 5 }}>
+                {fills.defs}
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis type="number" stroke="#94a3b8" tickFormatter={tickFormatter} />
+                <YAxis dataKey="name" type="category" stroke="#94a3b8" width={100} />
+                <RechartsTooltip
+                  formatter={(value) => formatValue(value)}
+                  cursor={{fill: '#334155'}}
+                  contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#fff' }}
+                />
+                <Bar
+                  dataKey="value"
+                  fill="#8884d8"
+                  radius={[0, 4, 4, 0]}
+                  onClick={handleClick}
+                  className={onSelect ? 'cursor-pointer' : undefined}
+                >
+                  {data.map((entry, index) => (
+                    <Cell
+                      key={`cell-${index}`}
+                      fill={fills.fill(index)}
+                      stroke={index === activeIndex ? '#fff' : undefined}
+                      strokeWidth={index === activeIndex ? 2 : 0}
+                    />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </AccessibleChart>
+        )}
+      </div>
+    </div>
+  );
+}
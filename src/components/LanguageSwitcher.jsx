@@ -0,0 +1,24 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { SUPPORTED_LOCALES } from '../lib/i18n';
+import { useI18n } from './I18nProvider';
+
+export default function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="inline-flex items-center gap-2 text-xs text-slate-400">
+      <Languages size={14} />
+      <span className="sr-only">{t('app.language')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-slate-800/80 border border-slate-700 rounded px-2 py-1 text-slate-200"
+      >
+        {Object.entries(SUPPORTED_LOCALES).map(([code, { label }]) => (
+          <option key={code} value={code} lang={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react';
+import { ResponsiveContainer, Tooltip as RechartsTooltip, Legend, LineChart, Line, XAxis, YAxis, CartesianGrid, ReferenceLine } from 'recharts';
+import { TrendingUp } from 'lucide-react';
+import { buildLanguageTimeline } from '../lib/analysis';
+import AccessibleChart from './AccessibleChart';
+import ChartDataTable, { ChartViewToggle } from './ChartDataTable';
+import { useChartFills } from './DisplaySettingsProvider';
+import { useI18n } from './I18nProvider';
+
+const OTHER_COLOR = '#64748B';
+
+const SegmentedControl = ({ value, options, onChange }) => (
+  <div className="inline-flex bg-slate-900/60 border border-slate-700 rounded-lg p-1 text-xs">
+    {options.map(option => (
+      <button
+        key={option.value}
+        type="button"
+        onClick={() => onChange(option.value)}
+        aria-pressed={value === option.value}
+        className={`px-3 py-1 rounded-md font-medium transition-colors ${value === option.value ? 'bg-cyan-600 text-white' : 'text-slate-400 hover:text-white'}`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+// "Language evolution" line chart: each language's share of repos per year or quarter
+export default function LanguageTimeline({ repos }) {
+  const { t, formatPercent } = useI18n();
+  const [dateField, setDateField] = useState('created_at');
+  const [bucket, setBucket] = useState('year');
+  const [cumulative, setCumulative] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [showTable, setShowTable] = useState(false);
+
+  const timeline = useMemo(
+    () => buildLanguageTimeline(repos, { dateField, bucket, cumulative }),
+    [repos, dateField, bucket, cumulative]
+  );
+
+  const fills = useChartFills(timeline.languages.length, timeline.languages);
+
+  if (timeline.points.length === 0) return null;
+
+  // lib/analysis.js groups the long tail under the English name 'Other'
+  const languageLabel = (lang) => (lang === 'Other' ? t('timeline.other') : lang);
+  const shareOf = (point, lang) => formatPercent((point.shares[lang] ?? 0) / 100);
+  const describePoint = (point) =>
+    `${point.period}: ${timeline.languages.map(lang => `${languageLabel(lang)} ${shareOf(point, lang)}`).join(', ')}`;
+  const tableColumns = [
+    { key: 'period', header: t('timeline.period'), value: point => point.period },
+    ...timeline.languages.map(lang => ({ key: lang, header: languageLabel(lang), value: point => shareOf(point, lang), numeric: true })),
+  ];
+
+  return (
+    <div className="mt-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
+        <h3 className="text-xl font-semibold flex items-center gap-2">
+          <TrendingUp size={20} className="text-cyan-400" />
+          {t('timeline.title')}
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          <SegmentedControl
+            value={dateField}
+            onChange={setDateField}
+            options={[
+              { value: 'created_at', label: t('timeline.created') },
+              { value: 'pushed_at', label: t('timeline.pushed') },
+            ]}
+          />
+          <SegmentedControl
+            value={bucket}
+            onChange={setBucket}
+            options={[
+              { value: 'year', label: t('timeline.year') },
+              { value: 'quarter', label: t('timeline.quarter') },
+            ]}
+          />
+          <SegmentedControl
+            value={cumulative ? 'cumulative' : 'period'}
+            onChange={(value) => setCumulative(value === 'cumulative')}
+            options={[
+              { value: 'period', label: t('timeline.perPeriod') },
+              { value: 'cumulative', label: t('timeline.cumulative') },
+            ]}
+          />
+          <ChartViewToggle showTable={showTable} onToggle={() => setShowTable(!showTable)} />
+        </div>
+      </div>
+      {showTable ? (
+        <ChartDataTable caption={t('timeline.title')} columns={tableColumns} rows={timeline.points} rowKey={point => point.period} />
+      ) : (
+        <AccessibleChart
+          title={t('timeline.title')}
+          data={timeline.points}
+          activeIndex={activeIndex}
+          onActiveIndexChange={setActiveIndex}
+          describe={describePoint}
+          className="h-80 w-full"
+        >
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={timeline.points} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="period" stroke="#94a3b8" />
+              <YAxis stroke="#94a3b8" unit="%" domain={[0, 100]} />
+              <RechartsTooltip
+                formatter={(value) => formatPercent(value / 100)}
+                contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#fff' }}
+              />
+              <Legend />
+              {activeIndex >= 0 && <ReferenceLine x={timeline.points[activeIndex]?.period} stroke="#fff" strokeDasharray="3 3" />}
+              {timeline.languages.map((lang, index) => (
+                <Line
+                  key={lang}
+                  type="monotone"
+                  name={languageLabel(lang)}
+                  dataKey={(point) => point.shares[lang]}
+                  stroke={lang === 'Other' ? OTHER_COLOR : fills.color(index)}
+                  strokeDasharray={fills.dash(index)}
+                  strokeWidth={2}
+                  dot={{ r: 3 }}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </AccessibleChart>
+      )}
+      <p className="mt-3 text-xs text-slate-500">
+        {cumulative
+          ? t('timeline.cumulativeNote')
+          : t('timeline.periodNote')}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+import React, { useMemo } from 'react';
+import { Building2, ExternalLink, MapPin, Link as LinkIcon, Star, GitFork, BookOpen, Users } from 'lucide-react';
+import { analyzeRepos, buildLanguageMatrix, mergeRepoLists } from '../lib/analysis';
+import LanguageCharts from './LanguageCharts';
+import TopRepos from './TopRepos';
+import { useI18n } from './I18nProvider';
+
+// Organization dashboard: org profile, language mix, most starred repos and the member matrix
+// `webUrl` is the web root of the host being analyzed (github.com or an Enterprise Server)
+export default function OrgView({ org, repos, members, webUrl }) {
+  const { t, formatNumber } = useI18n();
+  const orgAnalysis = useMemo(() => analyzeRepos(repos), [repos]);
+
+  // With members loaded, the language mix covers the whole team rather than just org-owned repos
+  const teamRepos = useMemo(
+    () => (members ? mergeRepoLists(repos, ...members.map(member => member.repos)) : repos),
+    [repos, members]
+  );
+  const teamLanguages = useMemo(() => analyzeRepos(teamRepos).languages, [teamRepos]);
+  const matrix = useMemo(() => (members ? buildLanguageMatrix(members) : null), [members]);
+
+  const maxCell = matrix
+    ? Math.max(1, ...matrix.rows.flatMap(row => matrix.languages.map(lang => row.counts[lang] || 0)))
+    : 1;
+
+  return (
+    <div className="max-w-6xl mx-auto w-full">
+      {/* Org Profile */}
+      <div className="mb-8 bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 backdrop-blur-xl p-8 rounded-2xl border border-slate-700/50 shadow-2xl shadow-blue-500/10">
+        <div className="grid md:grid-cols-4 gap-6 items-center">
+          <div className="md:col-span-1 flex flex-col items-center md:items-start">
+            <img
+              src={org.avatar_url}
+              alt={org.name || org.login}
+              className="w-28 h-28 rounded-2xl shadow-lg object-cover mb-4"
+            />
+            <h2 className="text-2xl font-bold text-white text-center md:text-start flex items-center gap-2">
+              <Building2 size={20} className="text-blue-400" />
+              {org.name || org.login}
+            </h2>
+            <p className="text-slate-400 text-sm font-medium">@{org.login}</p>
+          </div>
+
+          <div className="md:col-span-2">
+            {org.description && (
+              <p className="text-slate-300 text-sm mb-4 leading-relaxed italic border-s-2 border-blue-500 ps-4">
+                "{org.description}"
+              </p>
+            )}
+            {org.location && (
+              <div className="flex items-center gap-2 text-slate-400 text-sm mb-3">
+                <MapPin size={16} className="text-blue-400" />
+                {org.location}
+              </div>
+            )}
+            {org.blog && (
+              <a
+                href={org.blog}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-2 text-blue-400 hover:text-blue-300 text-sm transition-colors mb-3"
+              >
+                <LinkIcon size={16} />
+                {org.blog}
+              </a>
+            )}
+            <a
+              href={org.html_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-2 bg-gradient-to-r from-blue-600 to-blue-500 hover:from-blue-500 hover:to-blue-400 text-white px-4 py-2 rounded-lg font-bold transition-all text-sm"
+            >
+              {t('repoDetail.open')}
+              <ExternalLink size={14} className="rtl:-scale-x-100" />
+            </a>
+          </div>
+
+          <div className="md:col-span-1 grid grid-cols-2 gap-3">
+            <div className="bg-gradient-to-br from-emerald-900/40 to-emerald-800/20 p-4 rounded-xl text-center border border-emerald-500/30">
+              <BookOpen size={16} className="text-emerald-400 mx-auto mb-2" />
+              <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">{t('profile.repos')}</p>
+              <p className="text-2xl font-black text-emerald-400 mt-2">{formatNumber(orgAnalysis.repoCount)}</p>
+            </div>
+            <div className="bg-gradient-to-br from-blue-900/40 to-blue-800/20 p-4 rounded-xl text-center border border-blue-500/30">
+              <Users size={16} className="text-blue-400 mx-auto mb-2" />
+              <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">{t('org.members')}</p>
+              <p className="text-2xl font-black text-blue-400 mt-2">{members ? formatNumber(members.length) : '—'}</p>
+            </div>
+            <div className="bg-gradient-to-br from-yellow-900/40 to-yellow-800/20 p-4 rounded-xl text-center border border-yellow-500/30">
+              <Star size={16} className="text-yellow-400 mx-auto mb-2" />
+              <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">{t('repoDetail.stars')}</p>
+              <p className="text-2xl font-black text-yellow-400 mt-2">{formatNumber(orgAnalysis.stats.totalStars)}</p>
+            </div>
+            <div className="bg-gradient-to-br from-orange-900/40 to-orange-800/20 p-4 rounded-xl text-center border border-orange-500/30">
+              <GitFork size={16} className="text-orange-400 mx-auto mb-2" />
+              <p className="text-slate-400 text-xs uppercase tracking-widest font-bold">{t('repoDetail.forks')}</p>
+              <p className="text-2xl font-black text-orange-400 mt-2">{formatNumber(orgAnalysis.stats.totalForks)}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <TopRepos repos={orgAnalysis.topRepos} title={t('org.topRepos')} />
+
+      <p className="mb-4 text-xs text-slate-400">
+        {members
+          ? t('org.teamMix', { count: teamRepos.length, members: formatNumber(members.length) })
+          : t('org.orgMix', { count: repos.length })}
+      </p>
+      <LanguageCharts data={teamLanguages} formatValue={(value) => t('metric.repoCount', { count: value })} />
+
+      {/* Member Language Matrix */}
+      {matrix && matrix.rows.length > 0 && (
+        <div className="mt-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl overflow-x-auto">
+          <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+            <div className="w-1 h-6 bg-emerald-500 rounded-full"></div>
+            {t('org.matrix')}
+          </h3>
+          <p className="text-slate-400 text-sm mb-4">{t('org.matrixDescription')}</p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-start text-slate-400 border-b border-slate-700">
+                <th className="py-2 pe-4 font-semibold">{t('org.member')}</th>
+                {matrix.languages.map(lang => (
+                  <th key={lang} className="py-2 px-2 font-semibold text-center whitespace-nowrap">{lang}</th>
+                ))}
+                <th className="py-2 ps-2 font-semibold text-end">{t('profile.repos')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.rows.map(row => (
+                <tr key={row.login} className="border-b border-slate-700/50">
+                  <td className="py-2 pe-4">
+                    <a
+                      href={`${webUrl}/${row.login}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex items-center gap-2 text-slate-200 hover:text-blue-400"
+                    >
+                      <img src={row.avatarUrl} alt="" className="w-6 h-6 rounded-full" />
+                      {row.login}
+                    </a>
+                  </td>
+                  {matrix.languages.map(lang => {
+                    const count = row.counts[lang] || 0;
+                    return (
+                      <td key={lang} className="py-2 px-2 text-center">
+                        <span
+                          className="inline-block min-w-[2rem] rounded px-2 py-1 text-xs text-white"
+                          style={{ backgroundColor: count ? `rgba(16, 185, 129, ${0.15 + (count / maxCell) * 0.85})` : 'transparent' }}
+                        >
+                          {count ? formatNumber(count) : '·'}
+                        </span>
+                      </td>
+                    );
+                  })}
+                  <td className="py-2 ps-2 text-end text-slate-300">{formatNumber(row.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
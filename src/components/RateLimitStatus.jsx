@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react';
+import { Gauge } from 'lucide-react';
+import { useI18n } from './I18nProvider';
+
+// Below this share of the hourly quota the indicator turns amber, at zero it turns red
+const LOW_QUOTA_RATIO = 0.2;
+
+// Remaining GitHub API quota and reset time, as last reported by the response headers
+export default function RateLimitStatus({ rateLimit }) {
+  const { t, formatNumber, formatTime } = useI18n();
+  const [now, setNow] = useState(Date.now());
+
+  // Re-render once a minute so "resets in" stays accurate while idle
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!rateLimit) return null;
+
+  const { remaining, limit, resetAt } = rateLimit;
+  const hasReset = resetAt && resetAt <= now;
+  const shownRemaining = hasReset ? limit : remaining;
+  const color = shownRemaining === 0
+    ? 'text-red-300'
+    : shownRemaining / limit < LOW_QUOTA_RATIO ? 'text-amber-300' : 'text-slate-400';
+  const minutes = resetAt ? Math.max(0, Math.ceil((resetAt - now) / 60000)) : null;
+
+  return (
+    <p className={`flex items-center gap-1 text-xs ${color}`} title={t('rateLimit.title')}>
+      <Gauge size={12} />
+      {t('rateLimit.remaining', { remaining: formatNumber(shownRemaining), limit: formatNumber(limit) })}
+      {resetAt && !hasReset && (
+        <span className="text-slate-500">
+          {t('rateLimit.resets', { time: formatTime(resetAt), minutes: formatNumber(minutes) })}
+        </span>
+      )}
+    </p>
+  );
+}
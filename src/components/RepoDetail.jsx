@@ -0,0 +1,248 @@
+import React from 'react';
+import { ArrowLeft, BookOpen, ExternalLink, Star, GitFork, CircleDot, HardDrive, Users, GitPullRequest, Tag, Activity, Loader2, AlertCircle } from 'lucide-react';
+import { formatBytes } from '../lib/format';
+import { ROUTES } from '../lib/router';
+import CommitActivityChart from './CommitActivityChart';
+import LanguageCharts from './LanguageCharts';
+import { useI18n } from './I18nProvider';
+import { RouteLink } from './RouterProvider';
+
+const StatTile = ({ icon: Icon, label, value, color }) => (
+  <div className="bg-slate-900/40 border border-slate-700 rounded-xl p-4 text-center">
+    <Icon size={18} className={`mx-auto mb-2 ${color}`} />
+    <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">{label}</p>
+    <p className={`text-2xl font-black mt-1 ${color}`}>{value}</p>
+  </div>
+);
+
+const Card = ({ icon: Icon, title, children }) => (
+  <div className="bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+    <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+      <Icon size={18} className="text-blue-400" />
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+// Newest open issues or pull requests from the search API (`{ total, items }`)
+const SearchResultList = ({ result, empty }) => {
+  const { formatDate } = useI18n();
+  if (result.items.length === 0) return <p className="text-sm text-slate-500">{empty}</p>;
+  return (
+    <ul className="space-y-2 text-sm">
+      {result.items.map(item => (
+        <li key={item.id} className="flex items-baseline justify-between gap-3">
+          <a href={item.html_url} target="_blank" rel="noopener noreferrer" className="text-slate-200 hover:text-blue-400 truncate">
+            <span className="text-slate-500">#{item.number}</span> {item.title}
+          </a>
+          <span className="text-xs text-slate-500 whitespace-nowrap">{formatDate(item.created_at)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Page for one repository of the analyzed user (/u/:user/repo/:name). `repo` is the entry from the
+// already fetched repo list, or null when the user has no repository by that name. `detail` holds
+// what is fetched for the page itself (languages, contributors, commit activity, open issues and
+// pull requests, releases, license); `commitActivity` stays undefined while GitHub computes it.
+export default function RepoDetail({ owner, repoName, repo, detail, loading, error, onLoad }) {
+  const { t, formatNumber, formatDate } = useI18n();
+
+  return (
+    <div className="max-w-6xl mx-auto w-full">
+      <RouteLink
+        to={{ name: ROUTES.USER, user: owner.login }}
+        className="mb-6 inline-flex items-center gap-2 text-sm text-slate-400 hover:text-blue-400"
+      >
+        <ArrowLeft size={16} className="rtl:rotate-180" />
+        {t('repoDetail.back', { login: owner.login })}
+      </RouteLink>
+
+      {!repo ? (
+        <div role="alert" className="p-4 bg-red-500/10 border border-red-500/50 rounded-lg text-red-200">
+          {t('repoDetail.notFound', { login: owner.login, name: repoName })}
+        </div>
+      ) : (
+        <div className="bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+          <div className="flex flex-col md:flex-row md:items-start justify-between gap-4 mb-6">
+            <div className="min-w-0">
+              <h2 className="text-3xl font-bold text-white flex items-center gap-3 break-all">
+                <BookOpen size={24} className="text-blue-400 flex-shrink-0" />
+                {repo.full_name || repo.name}
+              </h2>
+              {repo.description && <p className="mt-2 text-slate-400">{repo.description}</p>}
+              <div className="mt-3 flex flex-wrap gap-2 text-xs">
+                {repo.language && <span className="bg-slate-700/60 text-slate-200 px-2 py-1 rounded">{repo.language}</span>}
+                {repo.license?.spdx_id && <span className="bg-slate-700/60 text-slate-300 px-2 py-1 rounded">{repo.license.spdx_id}</span>}
+                {repo.private && <span className="uppercase font-bold bg-purple-500/20 text-purple-300 px-2 py-1 rounded">{t('repoDetail.private')}</span>}
+                {repo.fork && <span className="uppercase font-bold bg-orange-500/20 text-orange-300 px-2 py-1 rounded">{t('repoDetail.fork')}</span>}
+                {repo.archived && <span className="uppercase font-bold bg-slate-500/30 text-slate-300 px-2 py-1 rounded">{t('repoDetail.archived')}</span>}
+                {(repo.topics || []).map(topic => (
+                  <span key={topic} className="bg-blue-500/10 border border-blue-500/30 text-blue-200 px-2 py-1 rounded-full">{topic}</span>
+                ))}
+              </div>
+            </div>
+            <a
+              href={repo.html_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center gap-2 bg-slate-700 hover:bg-slate-600 text-white px-4 py-2 rounded-lg text-sm whitespace-nowrap"
+            >
+              {t('repoDetail.open')}
+              <ExternalLink size={14} className="rtl:-scale-x-100" />
+            </a>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <StatTile icon={Star} label={t('repoDetail.stars')} value={formatNumber(repo.stargazers_count || 0)} color="text-yellow-400" />
+            <StatTile icon={GitFork} label={t('repoDetail.forks')} value={formatNumber(repo.forks_count || 0)} color="text-orange-400" />
+            <StatTile icon={CircleDot} label={t('repoDetail.openIssues')} value={formatNumber(repo.open_issues_count || 0)} color="text-emerald-400" />
+            <StatTile icon={HardDrive} label={t('repoDetail.size')} value={formatBytes((repo.size || 0) * 1024)} color="text-blue-400" />
+          </div>
+
+          <dl className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <dt className="text-slate-500">{t('repoDetail.created')}</dt>
+              <dd className="text-slate-200">{repo.created_at ? formatDate(repo.created_at) : '—'}</dd>
+            </div>
+            <div>
+              <dt className="text-slate-500">{t('repoDetail.pushed')}</dt>
+              <dd className="text-slate-200">{repo.pushed_at ? formatDate(repo.pushed_at) : '—'}</dd>
+            </div>
+            <div>
+              <dt className="text-slate-500">{t('repoDetail.defaultBranch')}</dt>
+              <dd className="text-slate-200">{repo.default_branch || '—'}</dd>
+            </div>
+            <div>
+              <dt className="text-slate-500">{t('repoDetail.license')}</dt>
+              <dd className="text-slate-200">
+                {detail?.license ? (
+                  <a href={detail.license.html_url} target="_blank" rel="noopener noreferrer" className="hover:text-blue-400">
+                    {detail.license.license?.name || detail.license.license?.spdx_id}
+                  </a>
+                ) : (
+                  repo.license?.name || t('repoDetail.noLicense')
+                )}
+              </dd>
+            </div>
+          </dl>
+        </div>
+      )}
+
+      {repo && loading && !detail && (
+        <div role="status" className="mt-8 flex items-center justify-center gap-2 text-slate-400">
+          <Loader2 size={18} className="animate-spin" />
+          {t('repoDetail.loading')}
+        </div>
+      )}
+
+      {repo && error && (
+        <div role="alert" className="mt-8 p-4 bg-red-500/10 border border-red-500/50 rounded-lg text-red-200 flex items-start justify-between gap-3">
+          <p className="flex items-start gap-2">
+            <AlertCircle size={20} className="mt-0.5 flex-shrink-0" />
+            {error}
+          </p>
+          <button type="button" onClick={onLoad} className="text-sm bg-slate-700 hover:bg-slate-600 text-white px-3 py-1.5 rounded-lg whitespace-nowrap">
+            {t('repoDetail.retry')}
+          </button>
+        </div>
+      )}
+
+      {repo && !detail && !loading && !error && (
+        <div className="mt-8 text-center">
+          <button type="button" onClick={onLoad} className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm">
+            {t('repoDetail.load')}
+          </button>
+        </div>
+      )}
+
+      {repo && detail && (
+        <div className="mt-8 space-y-8">
+          {detail.languages.length > 0 ? (
+            <LanguageCharts
+              data={detail.languages}
+              formatValue={formatBytes}
+              tickFormatter={formatBytes}
+              pieTitle={t('repoDetail.languages')}
+              barTitle={t('repoDetail.languageBytes')}
+              valueLabel={t('charts.valueBytes')}
+            />
+          ) : (
+            <p className="text-sm text-slate-500">{t('repoDetail.noLanguages')}</p>
+          )}
+
+          <div className="grid md:grid-cols-2 gap-8">
+            <Card icon={Users} title={t('repoDetail.contributors')}>
+              {detail.contributors.length === 0 ? (
+                <p className="text-sm text-slate-500">{t('repoDetail.noContributors')}</p>
+              ) : (
+                <ol className="space-y-2 text-sm">
+                  {detail.contributors.map(contributor => (
+                    <li key={contributor.login || contributor.email} className="flex items-center gap-3">
+                      {contributor.avatar_url && (
+                        <img src={contributor.avatar_url} alt="" className="w-7 h-7 rounded-full border border-slate-600" loading="lazy" />
+                      )}
+                      <a href={contributor.html_url} target="_blank" rel="noopener noreferrer" className="flex-1 truncate text-slate-200 hover:text-blue-400">
+                        {contributor.login || contributor.name}
+                      </a>
+                      <span className="text-slate-400 whitespace-nowrap">
+                        {t('repoDetail.commitCount', { count: contributor.contributions })}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </Card>
+
+            <Card icon={Activity} title={t('repoDetail.activity')}>
+              {detail.commitActivity === undefined ? (
+                <p role="status" className="flex items-center gap-2 text-sm text-slate-400">
+                  <Loader2 size={16} className="animate-spin" />
+                  {t('repoDetail.activityLoading')}
+                </p>
+              ) : detail.commitActivity === null ? (
+                <p className="text-sm text-slate-500">{t('repoDetail.activityPending')}</p>
+              ) : detail.commitActivity.length === 0 ? (
+                <p className="text-sm text-slate-500">{t('repoDetail.noActivity')}</p>
+              ) : (
+                <CommitActivityChart weeks={detail.commitActivity} />
+              )}
+            </Card>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-8">
+            <Card icon={CircleDot} title={t('repoDetail.issues', { count: detail.openIssues.total })}>
+              <SearchResultList result={detail.openIssues} empty={t('repoDetail.noIssues')} />
+            </Card>
+            <Card icon={GitPullRequest} title={t('repoDetail.pulls', { count: detail.openPulls.total })}>
+              <SearchResultList result={detail.openPulls} empty={t('repoDetail.noPulls')} />
+            </Card>
+          </div>
+
+          <Card icon={Tag} title={t('repoDetail.releases')}>
+            {detail.releases.length === 0 ? (
+              <p className="text-sm text-slate-500">{t('repoDetail.noReleases')}</p>
+            ) : (
+              <ul className="divide-y divide-slate-700/50 text-sm">
+                {detail.releases.map(release => (
+                  <li key={release.id} className="flex items-baseline justify-between gap-3 py-2">
+                    <a href={release.html_url} target="_blank" rel="noopener noreferrer" className="text-slate-200 hover:text-blue-400 truncate">
+                      {release.name || release.tag_name}
+                      {release.name && release.name !== release.tag_name && <span className="ms-2 text-slate-500">{release.tag_name}</span>}
+                    </a>
+                    <span className="flex items-center gap-2 text-xs text-slate-500 whitespace-nowrap">
+                      {release.prerelease && <span className="uppercase font-bold bg-amber-500/20 text-amber-300 px-2 py-0.5 rounded">{t('repoDetail.prerelease')}</span>}
+                      {release.published_at ? formatDate(release.published_at) : t('repoDetail.draft')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+}
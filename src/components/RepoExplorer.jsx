@@ -0,0 +1,221 @@
+import React, { forwardRef, useEffect, useMemo, useState } from 'react';
+import { Table, Search, ArrowUp, ArrowDown, ChevronLeft, ChevronRight, X, ExternalLink } from 'lucide-react';
+import { formatBytes } from '../lib/format';
+import { ROUTES } from '../lib/router';
+import { useI18n } from './I18nProvider';
+import { RouteLink } from './RouterProvider';
+
+const PAGE_SIZE = 25;
+
+// `value` extracts the sortable value; missing values always sort last
+const COLUMNS = [
+  { key: 'name', labelKey: 'explorer.columns.name', value: repo => repo.name.toLowerCase() },
+  { key: 'language', labelKey: 'explorer.columns.language', value: repo => repo.language?.toLowerCase() },
+  { key: 'stars', labelKey: 'explorer.columns.stars', value: repo => repo.stargazers_count, numeric: true },
+  { key: 'forks', labelKey: 'explorer.columns.forks', value: repo => repo.forks_count, numeric: true },
+  { key: 'size', labelKey: 'explorer.columns.size', value: repo => repo.size, numeric: true },
+  { key: 'issues', labelKey: 'explorer.columns.issues', value: repo => repo.open_issues_count, numeric: true },
+  { key: 'license', labelKey: 'explorer.columns.license', value: repo => repo.license?.spdx_id?.toLowerCase() },
+  { key: 'created', labelKey: 'explorer.columns.created', value: repo => repo.created_at },
+  { key: 'pushed', labelKey: 'explorer.columns.pushed', value: repo => repo.pushed_at },
+];
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return a < b ? -1 : 1;
+};
+
+const matchesQuery = (repo, query) => {
+  if (!query) return true;
+  const haystack = [repo.name, repo.description, repo.language, ...(repo.topics || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return haystack.includes(query);
+};
+
+// Paginated, sortable and searchable table of every fetched (and filtered) repository
+const RepoExplorer = forwardRef(function RepoExplorer({ repos, languageFilter, onLanguageFilterChange }, ref) {
+  const { t, formatNumber, formatDate: formatLocaleDate } = useI18n();
+  const formatDate = (value) => (value ? formatLocaleDate(value) : '—');
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState({ key: 'stars', direction: 'desc' });
+  const [page, setPage] = useState(0);
+
+  const rows = useMemo(() => {
+    const normalizedQuery = query.trim().toLowerCase();
+    const column = COLUMNS.find(col => col.key === sort.key);
+    const direction = sort.direction === 'asc' ? 1 : -1;
+
+    return repos
+      .filter(repo => !languageFilter || repo.language === languageFilter)
+      .filter(repo => matchesQuery(repo, normalizedQuery))
+      .sort((a, b) => {
+        const valueA = column.value(a);
+        const valueB = column.value(b);
+        // Keep blanks at the bottom regardless of direction
+        if (valueA === undefined || valueA === null || valueB === undefined || valueB === null) {
+          return compareValues(valueA, valueB);
+        }
+        return compareValues(valueA, valueB) * direction;
+      });
+  }, [repos, languageFilter, query, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+
+  // Jump back to the first page whenever the result set changes shape
+  useEffect(() => {
+    setPage(0);
+  }, [repos, languageFilter, query, sort]);
+
+  const toggleSort = (key) => {
+    const column = COLUMNS.find(col => col.key === key);
+    setSort(prev => (prev.key === key
+      ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: column.numeric ? 'desc' : 'asc' }));
+  };
+
+  const pageRows = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  return (
+    <div ref={ref} className="mt-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+        <h3 className="text-xl font-semibold flex items-center gap-2">
+          <Table size={20} className="text-blue-400" />
+          {t('explorer.title')}
+          <span className="text-sm font-normal text-slate-400">({formatNumber(rows.length)})</span>
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          {languageFilter && (
+            <button
+              onClick={() => onLanguageFilterChange(null)}
+              className="flex items-center gap-1 text-xs bg-blue-600/30 border border-blue-500/50 text-blue-200 px-2 py-1 rounded-full hover:bg-blue-600/50"
+              title={t('explorer.clearLanguage')}
+            >
+              {languageFilter}
+              <X size={12} />
+            </button>
+          )}
+          <div className="relative">
+            <Search size={14} className="absolute start-2.5 top-1/2 -translate-y-1/2 text-slate-500" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('explorer.search')}
+              aria-label={t('explorer.search')}
+              className="bg-slate-900/60 border border-slate-700 rounded ps-8 pe-3 py-1.5 text-sm text-slate-200 placeholder-slate-500 w-64"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-start text-slate-400 border-b border-slate-700">
+              {COLUMNS.map(column => (
+                <th key={column.key} className={`py-2 pe-4 font-semibold whitespace-nowrap ${column.numeric ? 'text-end' : ''}`}>
+                  <button onClick={() => toggleSort(column.key)} className="inline-flex items-center gap-1 hover:text-white">
+                    {t(column.labelKey)}
+                    {sort.key === column.key && (sort.direction === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+                  </button>
+                </th>
+              ))}
+              <th className="py-2 font-semibold">{t('explorer.columns.flags')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(repo => (
+              <tr key={repo.id ?? repo.full_name} className="border-b border-slate-700/50 hover:bg-slate-700/20">
+                <td className="py-2 pe-4 max-w-xs">
+                  <span className="inline-flex items-center gap-1">
+                    <RouteLink
+                      to={{ name: ROUTES.REPO, user: repo.owner?.login, repo: repo.name }}
+                      className="text-slate-100 font-medium hover:text-blue-400"
+                    >
+                      {repo.name}
+                    </RouteLink>
+                    <a
+                      href={repo.html_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-slate-500 hover:text-blue-400"
+                      aria-label={t('explorer.onGitHub', { name: repo.name })}
+                    >
+                      <ExternalLink size={12} />
+                    </a>
+                  </span>
+                  {repo.description && <p className="text-xs text-slate-500 truncate">{repo.description}</p>}
+                </td>
+                <td className="py-2 pe-4 whitespace-nowrap">
+                  {repo.language ? (
+                    <button onClick={() => onLanguageFilterChange(repo.language)} className="text-slate-300 hover:text-blue-400">
+                      {repo.language}
+                    </button>
+                  ) : (
+                    <span className="text-slate-600">—</span>
+                  )}
+                </td>
+                <td className="py-2 pe-4 text-end text-slate-300">{formatNumber(repo.stargazers_count || 0)}</td>
+                <td className="py-2 pe-4 text-end text-slate-300">{formatNumber(repo.forks_count || 0)}</td>
+                <td className="py-2 pe-4 text-end text-slate-400 whitespace-nowrap">{formatBytes((repo.size || 0) * 1024)}</td>
+                <td className="py-2 pe-4 text-end text-slate-300">{formatNumber(repo.open_issues_count || 0)}</td>
+                <td className="py-2 pe-4 text-slate-400 whitespace-nowrap">{repo.license?.spdx_id || '—'}</td>
+                <td className="py-2 pe-4 text-slate-400 whitespace-nowrap">{formatDate(repo.created_at)}</td>
+                <td className="py-2 pe-4 text-slate-400 whitespace-nowrap">{formatDate(repo.pushed_at)}</td>
+                <td className="py-2 whitespace-nowrap">
+                  {repo.private && <span className="text-[10px] uppercase font-bold bg-purple-500/20 text-purple-300 px-1.5 py-0.5 rounded me-1">{t('repoDetail.private')}</span>}
+                  {repo.fork && <span className="text-[10px] uppercase font-bold bg-orange-500/20 text-orange-300 px-1.5 py-0.5 rounded me-1">{t('repoDetail.fork')}</span>}
+                  {repo.archived && <span className="text-[10px] uppercase font-bold bg-slate-500/30 text-slate-300 px-1.5 py-0.5 rounded">{t('repoDetail.archived')}</span>}
+                </td>
+              </tr>
+            ))}
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={COLUMNS.length + 1} className="py-6 text-center text-slate-500">
+                  {t('explorer.noMatch')}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div className="mt-4 flex items-center justify-between text-xs text-slate-400">
+          <span>
+            {t('explorer.showing', {
+              from: formatNumber(page * PAGE_SIZE + 1),
+              to: formatNumber(Math.min((page + 1) * PAGE_SIZE, rows.length)),
+              total: formatNumber(rows.length),
+            })}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page === 0}
+              className="p-1.5 rounded bg-slate-700 hover:bg-slate-600"
+              aria-label={t('explorer.previousPage')}
+            >
+              <ChevronLeft size={14} className="rtl:rotate-180" />
+            </button>
+            <span>{t('explorer.page', { page: formatNumber(page + 1), total: formatNumber(pageCount) })}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pageCount - 1}
+              className="p-1.5 rounded bg-slate-700 hover:bg-slate-600"
+              aria-label={t('explorer.nextPage')}
+            >
+              <ChevronRight size={14} className="rtl:rotate-180" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default RepoExplorer;
@@ -0,0 +1,73 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { parseRoute, readRedirect, routeUrl } from '../lib/router';
+
+const BASE_URL = import.meta.env.BASE_URL;
+
+// Put back a deep link that went through public/404.html, then canonicalize legacy ?user=/?org=
+// links to their path form so the address bar matches what is shown
+const readInitialRoute = () => {
+  try {
+    const redirect = readRedirect(window.location.search, BASE_URL);
+    if (redirect) window.history.replaceState(window.history.state, '', redirect);
+
+    const route = parseRoute(window.location, BASE_URL);
+    const canonical = routeUrl(route, { search: window.location.search, base: BASE_URL });
+    if (canonical !== `${window.location.pathname}${window.location.search}`) {
+      window.history.replaceState(window.history.state, '', `${canonical}${window.location.hash}`);
+    }
+    return route;
+  } catch (err) {
+    return parseRoute({}, BASE_URL);
+  }
+};
+
+const RouterContext = createContext(null);
+
+// Provides `{ route, navigate(route, { replace, params }), hrefFor(route) }`. The route follows the
+// address bar, including back/forward; `params` sets or (with null) clears query parameters.
+export default function RouterProvider({ children }) {
+  const [route, setRoute] = useState(readInitialRoute);
+
+  useEffect(() => {
+    const handlePopState = () => setRoute(parseRoute(window.location, BASE_URL));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const hrefFor = useCallback(
+    (nextRoute, params = {}) => routeUrl(nextRoute, { search: window.location.search, base: BASE_URL, overrides: params }),
+    []
+  );
+
+  const navigate = useCallback((nextRoute, { replace = false, params } = {}) => {
+    const url = hrefFor(nextRoute, params);
+    try {
+      if (replace) {
+        window.history.replaceState(window.history.state, '', url);
+      } else if (url !== `${window.location.pathname}${window.location.search}`) {
+        window.history.pushState({}, '', url);
+        window.scrollTo(0, 0);
+      }
+    } catch (err) {
+      // Ignore history errors; the view still follows the route
+    }
+    setRoute(nextRoute);
+  }, [hrefFor]);
+
+  const value = useMemo(() => ({ route, navigate, hrefFor }), [route, navigate, hrefFor]);
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+}
+
+export const useRouter = () => useContext(RouterContext);
+
+// In-app link: a real href for new tabs and copying, client-side navigation for plain clicks
+export const RouteLink = ({ to, children, ...props }) => {
+  const { navigate, hrefFor } = useRouter();
+  const handleClick = (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+  return <a href={hrefFor(to)} onClick={handleClick} {...props}>{children}</a>;
+};
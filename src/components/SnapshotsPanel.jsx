@@ -0,0 +1,246 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { History, Download, Upload, Trash2, ArrowRight, Plus, Minus } from 'lucide-react';
+import { diffSnapshots } from '../lib/snapshots';
+import { useI18n } from './I18nProvider';
+
+// Rows shown per list in the diff before it gets too long to scan
+const DIFF_LIMIT = 10;
+
+const signed = (value, format) => `${value > 0 ? '+' : value < 0 ? '−' : '±'}${format(Math.abs(value))}`;
+
+const deltaClass = (value) => (value > 0 ? 'text-emerald-300' : value < 0 ? 'text-red-300' : 'text-slate-400');
+
+const DeltaTile = ({ label, value, format }) => (
+  <div className="bg-slate-900/40 border border-slate-700 rounded-xl p-4 text-center">
+    <p className="text-slate-400 text-xs uppercase tracking-wide font-bold">{label}</p>
+    <p className={`text-2xl font-black mt-1 ${deltaClass(value)}`}>{signed(value, format)}</p>
+  </div>
+);
+
+const LanguageChips = ({ names, icon: Icon, className }) => (
+  <div className="flex flex-wrap gap-2">
+    {names.map(name => (
+      <span key={name} className={`inline-flex items-center gap-1 text-xs px-2 py-1 rounded-full border ${className}`}>
+        <Icon size={12} />
+        {name}
+      </span>
+    ))}
+  </div>
+);
+
+// Snapshot history of the analyzed user or organization: pick two snapshots to see what changed
+// between them, and export or import snapshot files. Storage is handled by the parent through
+// `onDelete(id)`, `onExport()` and `onImport(file)`.
+export default function SnapshotsPanel({ snapshots, onDelete, onExport, onImport, status }) {
+  const { t, formatNumber, formatDecimal, formatDateTime } = useI18n();
+  const [baseId, setBaseId] = useState(null);
+  const [targetId, setTargetId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Default to "previous vs. latest" whenever the list changes
+  useEffect(() => {
+    setTargetId(snapshots[0]?.id ?? null);
+    setBaseId(snapshots[1]?.id ?? null);
+  }, [snapshots]);
+
+  const base = snapshots.find(snapshot => snapshot.id === baseId);
+  const target = snapshots.find(snapshot => snapshot.id === targetId);
+
+  const diff = useMemo(() => {
+    if (!base || !target || base.id === target.id) return null;
+    // Always diff older -> newer, whichever way round they were picked
+    return base.takenAt <= target.takenAt ? diffSnapshots(base, target) : diffSnapshots(target, base);
+  }, [base, target]);
+
+  const changedLanguages = diff ? diff.languages.filter(entry => entry.shareDelta !== 0).slice(0, DIFF_LIMIT) : [];
+  const formatPoints = (value) => t('snapshots.points', { value: formatDecimal(value) });
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    if (file) onImport(file);
+    e.target.value = '';
+  };
+
+  const snapshotSelect = (id, value, onChange) => (
+    <select
+      id={id}
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="bg-slate-900/60 border border-slate-700 rounded px-2 py-1.5 text-sm text-slate-200"
+    >
+      {snapshots.map(snapshot => (
+        <option key={snapshot.id} value={snapshot.id}>
+          {formatDateTime(snapshot.takenAt)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="mt-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-semibold flex items-center gap-2">
+          <History size={20} className="text-amber-400" />
+          {t('snapshots.title')}
+          <span className="text-sm font-normal text-slate-400">({formatNumber(snapshots.length)})</span>
+        </h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <button
+            type="button"
+            onClick={onExport}
+            disabled={snapshots.length === 0}
+            className="flex items-center gap-1 bg-slate-700 hover:bg-slate-600 text-slate-200 px-3 py-1.5 rounded-lg"
+          >
+            <Download size={14} />
+            {t('snapshots.export')}
+          </button>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center gap-1 bg-slate-700 hover:bg-slate-600 text-slate-200 px-3 py-1.5 rounded-lg"
+          >
+            <Upload size={14} />
+            {t('snapshots.import')}
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleFileChange} className="hidden" />
+        </div>
+      </div>
+
+      <p className="text-sm text-slate-400 mb-4">{t('snapshots.description')}</p>
+      {status && (
+        <p role={status.error ? 'alert' : 'status'} className={`mb-4 text-sm ${status.error ? 'text-red-300' : 'text-emerald-300'}`}>
+          {status.message}
+        </p>
+      )}
+
+      {snapshots.length > 0 && (
+        <ul className="mb-6 divide-y divide-slate-700/50 text-sm max-h-48 overflow-y-auto">
+          {snapshots.map(snapshot => (
+            <li key={snapshot.id} className="flex items-center justify-between gap-3 py-2">
+              <span className="text-slate-200">{formatDateTime(snapshot.takenAt)}</span>
+              <span className="text-slate-400 text-xs flex-1">
+                {t('metric.repoCount', { count: snapshot.repoCount })} · {t('snapshots.stars', { count: snapshot.stats.totalStars })}
+              </span>
+              <button
+                type="button"
+                onClick={() => onDelete(snapshot.id)}
+                className="text-slate-500 hover:text-red-300"
+                aria-label={t('snapshots.delete', { date: formatDateTime(snapshot.takenAt) })}
+              >
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {snapshots.length < 2 ? (
+        <p className="text-sm text-slate-500">{t('snapshots.needTwo')}</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-2 mb-6 text-sm text-slate-400">
+            <label htmlFor="snapshot-base">{t('snapshots.compare')}</label>
+            {snapshotSelect('snapshot-base', baseId, setBaseId)}
+            <ArrowRight size={14} className="rtl:rotate-180" />
+            <label htmlFor="snapshot-target" className="sr-only">{t('snapshots.with')}</label>
+            {snapshotSelect('snapshot-target', targetId, setTargetId)}
+          </div>
+
+          {!diff ? (
+            <p className="text-sm text-slate-500">{t('snapshots.pickDifferent')}</p>
+          ) : (
+            <div className="space-y-6">
+              <div className="grid grid-cols-3 gap-4">
+                <DeltaTile label={t('snapshots.repos')} value={diff.stats.repoCount} format={formatNumber} />
+                <DeltaTile label={t('snapshots.totalStars')} value={diff.stats.totalStars} format={formatNumber} />
+                <DeltaTile label={t('snapshots.totalForks')} value={diff.stats.totalForks} format={formatNumber} />
+              </div>
+
+              {(diff.gainedLanguages.length > 0 || diff.lostLanguages.length > 0) && (
+                <div className="space-y-2">
+                  <h4 className="text-sm font-semibold text-slate-300">{t('snapshots.languagesChanged')}</h4>
+                  <LanguageChips names={diff.gainedLanguages} icon={Plus} className="border-emerald-500/50 text-emerald-200 bg-emerald-500/10" />
+                  <LanguageChips names={diff.lostLanguages} icon={Minus} className="border-red-500/50 text-red-200 bg-red-500/10" />
+                </div>
+              )}
+
+              <div className="grid md:grid-cols-2 gap-6">
+                <div>
+                  <h4 className="text-sm font-semibold text-slate-300 mb-2">{t('snapshots.shareChanges')}</h4>
+                  {changedLanguages.length === 0 ? (
+                    <p className="text-sm text-slate-500">{t('snapshots.noShareChanges')}</p>
+                  ) : (
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-slate-400 border-b border-slate-700">
+                          <th scope="col" className="py-1.5 pe-4 font-semibold text-start">{t('charts.language')}</th>
+                          <th scope="col" className="py-1.5 pe-4 font-semibold text-end">{t('snapshots.before')}</th>
+                          <th scope="col" className="py-1.5 pe-4 font-semibold text-end">{t('snapshots.after')}</th>
+                          <th scope="col" className="py-1.5 font-semibold text-end">{t('snapshots.change')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {changedLanguages.map(entry => (
+                          <tr key={entry.name} className="border-b border-slate-700/50">
+                            <th scope="row" className="py-1.5 pe-4 font-medium text-slate-200 text-start">{entry.name}</th>
+                            <td className="py-1.5 pe-4 text-end text-slate-400">{formatDecimal(entry.shareBefore)}%</td>
+                            <td className="py-1.5 pe-4 text-end text-slate-300">{formatDecimal(entry.shareAfter)}%</td>
+                            <td className={`py-1.5 text-end ${deltaClass(entry.shareDelta)}`}>{signed(entry.shareDelta, formatPoints)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+
+                <div className="space-y-6">
+                  <div>
+                    <h4 className="text-sm font-semibold text-slate-300 mb-2">
+                      {t('snapshots.newRepos')} <span className="font-normal text-slate-500">({formatNumber(diff.newRepos.length)})</span>
+                    </h4>
+                    {diff.newRepos.length === 0 ? (
+                      <p className="text-sm text-slate-500">{t('snapshots.none')}</p>
+                    ) : (
+                      <ul className="space-y-1 text-sm">
+                        {diff.newRepos.slice(0, DIFF_LIMIT).map(repo => (
+                          <li key={repo.name} className="flex justify-between gap-2">
+                            <span className="text-slate-200 truncate">{repo.name}</span>
+                            <span className="text-slate-500">{repo.language || '—'}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {diff.removedRepos.length > 0 && (
+                      <p className="mt-2 text-xs text-slate-500">
+                        {t('snapshots.removedRepos', { count: diff.removedRepos.length })}
+                      </p>
+                    )}
+                  </div>
+
+                  <div>
+                    <h4 className="text-sm font-semibold text-slate-300 mb-2">{t('snapshots.growth')}</h4>
+                    {diff.repoGrowth.length === 0 ? (
+                      <p className="text-sm text-slate-500">{t('snapshots.none')}</p>
+                    ) : (
+                      <ul className="space-y-1 text-sm">
+                        {diff.repoGrowth.slice(0, DIFF_LIMIT).map(repo => (
+                          <li key={repo.name} className="flex justify-between gap-2">
+                            <span className="text-slate-200 truncate">{repo.name}</span>
+                            <span className="whitespace-nowrap">
+                              <span className={deltaClass(repo.starsDelta)}>{signed(repo.starsDelta, formatNumber)} ★</span>
+                              <span className={`ms-3 ${deltaClass(repo.forksDelta)}`}>{signed(repo.forksDelta, formatNumber)} {t('snapshots.forks')}</span>
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, Tooltip as RechartsTooltip, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { Layers } from 'lucide-react';
+import { TECH_CATEGORIES } from '../lib/techStack';
+import AccessibleChart from './AccessibleChart';
+import ChartDataTable, { ChartViewToggle } from './ChartDataTable';
+import { useChartFills } from './DisplaySettingsProvider';
+import { useI18n } from './I18nProvider';
+
+// Categories take the palette colors (and patterns) in this order
+const CATEGORIES = [
+  TECH_CATEGORIES.FRONTEND,
+  TECH_CATEGORIES.BACKEND,
+  TECH_CATEGORIES.MOBILE,
+  TECH_CATEGORIES.DATA,
+  TECH_CATEGORIES.TESTING,
+  TECH_CATEGORIES.TOOLING,
+];
+
+// Catalog keys for the category names, which lib/techStack.js keeps in English
+const CATEGORY_KEYS = {
+  [TECH_CATEGORIES.FRONTEND]: 'techStack.categories.frontend',
+  [TECH_CATEGORIES.BACKEND]: 'techStack.categories.backend',
+  [TECH_CATEGORIES.MOBILE]: 'techStack.categories.mobile',
+  [TECH_CATEGORIES.DATA]: 'techStack.categories.data',
+  [TECH_CATEGORIES.TESTING]: 'techStack.categories.testing',
+  [TECH_CATEGORIES.TOOLING]: 'techStack.categories.tooling',
+};
+
+const REPO_LIMITS = [5, 10, 20];
+
+// Most frequent technologies shown in the chart
+const CHART_LIMIT = 12;
+
+// Frameworks and libraries detected from the manifests of the top repositories (see lib/techStack.js).
+// The scan is opt-in; `onScan()` starts it with the selected `repoLimit`.
+export default function TechStackChart({ techStack, loading, error, onScan, repoLimit, onRepoLimitChange }) {
+  const { t, formatNumber } = useI18n();
+  const technologies = techStack ? techStack.technologies.slice(0, CHART_LIMIT) : [];
+  const fills = useChartFills(CATEGORIES.length);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [showTable, setShowTable] = useState(false);
+  const categoryIndex = (category) => Math.max(0, CATEGORIES.indexOf(category));
+  const categoryLabel = (category) => (CATEGORY_KEYS[category] ? t(CATEGORY_KEYS[category]) : category);
+  const repoCount = (value) => t('metric.repoCount', { count: value });
+  const tableColumns = [
+    { key: 'name', header: t('techStack.technology'), value: tech => tech.name },
+    { key: 'category', header: t('techStack.category'), value: tech => categoryLabel(tech.category) },
+    { key: 'value', header: t('charts.valueRepos'), value: tech => formatNumber(tech.value), numeric: true },
+  ];
+
+  return (
+    <div className="mt-8 bg-slate-800/50 backdrop-blur-sm p-6 rounded-2xl border border-slate-700 shadow-xl">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-semibold flex items-center gap-2">
+          <Layers size={20} className="text-indigo-400" />
+          {t('techStack.title')}
+        </h3>
+        <div className="flex items-center gap-2 text-sm">
+          <label className="text-slate-400" htmlFor="tech-stack-limit">{t('techStack.top')}</label>
+          <select
+            id="tech-stack-limit"
+            value={repoLimit}
+            onChange={(e) => onRepoLimitChange(Number(e.target.value))}
+            disabled={loading}
+            className="bg-slate-900/60 border border-slate-700 rounded px-2 py-1.5 text-slate-200"
+          >
+            {REPO_LIMITS.map(limit => <option key={limit} value={limit}>{repoCount(limit)}</option>)}
+          </select>
+          <button
+            onClick={onScan}
+            disabled={loading}
+            className="flex items-center gap-2 bg-indigo-600 hover:bg-indigo-500 disabled:bg-slate-700 text-white px-4 py-1.5 rounded-lg transition-colors"
+          >
+            {loading && <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></span>}
+            {loading ? t('techStack.scanning') : techStack ? t('techStack.rescan') : t('techStack.scan')}
+          </button>
+        </div>
+      </div>
+
+      {!techStack && !loading && (
+        <p className="text-sm text-slate-400">{t('techStack.description')}</p>
+      )}
+      {error && <p role="alert" className="mt-2 text-sm text-red-300">{error}</p>}
+
+      {techStack && (
+        <>
+          <p className="text-xs text-slate-500 mb-4">
+            {t('techStack.withManifests', { withManifests: formatNumber(techStack.reposWithManifests), count: techStack.scannedRepos })}
+            {techStack.skippedRepos > 0 && ` ${t('techStack.skipped', { count: techStack.skippedRepos })}`}
+          </p>
+          {technologies.length === 0 ? (
+            <p className="text-sm text-slate-500">{t('techStack.none')}</p>
+          ) : (
+            <div className="grid lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2">
+                <div className="flex justify-end mb-2">
+                  <ChartViewToggle showTable={showTable} onToggle={() => setShowTable(!showTable)} />
+                </div>
+                {showTable ? (
+                  <ChartDataTable caption={t('techStack.title')} columns={tableColumns} rows={technologies} />
+                ) : (
+                  <AccessibleChart
+                    title={t('techStack.title')}
+                    data={technologies}
+                    activeIndex={activeIndex}
+                    onActiveIndexChange={setActiveIndex}
+                    describe={(tech, index) => t('techStack.describe', {
+                      name: tech.name,
+                      category: categoryLabel(tech.category),
+                      repos: repoCount(tech.value),
+                      position: formatNumber(index + 1),
+                      total: formatNumber(technologies.length),
+                    })}
+                    className="w-full"
+                    style={{ height: Math.max(160, technologies.length * 32) }}
+                  >
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={technologies} layout="vertical" margin={{ top: 5, right: 30, left: 40, bottom: 5 }}>
+                        {fills.defs}
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                        <XAxis type="number" stroke="#94a3b8" allowDecimals={false} />
+                        <YAxis dataKey="name" type="category" stroke="#94a3b8" width={110} />
+                        <RechartsTooltip
+                          formatter={(value, name, item) => [repoCount(value), categoryLabel(item.payload.category)]}
+                          cursor={{ fill: '#334155' }}
+                          contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#fff' }}
+                        />
+                        <Bar dataKey="value" radius={[0, 4, 4, 0]}>
+                          {technologies.map((tech, index) => (
+                            <Cell
+                              key={tech.name}
+                              fill={fills.fill(categoryIndex(tech.category))}
+                              stroke={index === activeIndex ? '#fff' : undefined}
+                              strokeWidth={index === activeIndex ? 2 : 0}
+                            />
+                          ))}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </AccessibleChart>
+                )}
+                {!showTable && (
+                  <div className="mt-3 flex flex-wrap gap-3 text-xs text-slate-400">
+                    {CATEGORIES.map((category, index) => (
+                      <span key={category} className="flex items-center gap-1">
+                        <span className="w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: fills.color(index) }} />
+                        {categoryLabel(category)}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div>
+                <h4 className="text-sm font-semibold text-slate-300 mb-3">{t('techStack.libraries')}</h4>
+                <ul className="space-y-1.5 text-sm">
+                  {techStack.libraries.map(library => (
+                    <li key={`${library.ecosystem}:${library.name}`} className="flex justify-between gap-2">
+                      <span className="text-slate-200 truncate" title={library.name}>{library.name}</span>
+                      <span className="text-slate-500 whitespace-nowrap">{library.ecosystem} · {formatNumber(library.value)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
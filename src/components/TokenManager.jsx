@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { CheckCircle2, AlertCircle, Trash2, Eye, EyeOff } from 'lucide-react';
+import { TOKEN_PERSISTENCE } from '../lib/tokenStore';
+import { useI18n } from './I18nProvider';
+
+const PERSISTENCE_OPTIONS = [
+  { value: TOKEN_PERSISTENCE.NONE, labelKey: 'token.persistence.none', hintKey: 'token.persistence.noneHint' },
+  { value: TOKEN_PERSISTENCE.SESSION, labelKey: 'token.persistence.session', hintKey: 'token.persistence.sessionHint' },
+  { value: TOKEN_PERSISTENCE.LOCAL, labelKey: 'token.persistence.local', hintKey: 'token.persistence.localHint' },
+];
+
+const scopeHintKey = (scopes) => {
+  if (scopes === null) return 'token.fineGrained';
+  if (!scopes.includes('repo')) return 'token.publicOnly';
+  return null;
+};
+
+// Token input with its validation result, opt-in persistence and the Enterprise API URL.
+// `check` is `{ status: 'idle' | 'checking' | 'valid' | 'invalid', user, scopes, error }`.
+export default function TokenManager({
+  token,
+  onTokenChange,
+  check,
+  persistence,
+  onPersistenceChange,
+  onForget,
+  apiUrl,
+  onApiUrlChange,
+}) {
+  const { t } = useI18n();
+  const [revealed, setRevealed] = useState(false);
+
+  const hintKey = check.status === 'valid' ? scopeHintKey(check.scopes) : null;
+  const persistenceHintKey = PERSISTENCE_OPTIONS.find(option => option.value === persistence)?.hintKey;
+
+  return (
+    <div className="w-full animate-in fade-in slide-in-from-top-2 duration-300 bg-slate-800/40 border border-slate-700 rounded-lg p-4 text-start">
+      <div className="relative">
+        <input
+          type={revealed ? 'text' : 'password'}
+          value={token}
+          onChange={(e) => onTokenChange(e.target.value.trim())}
+          placeholder={t('token.placeholder')}
+          autoComplete="off"
+          spellCheck={false}
+          className="w-full bg-slate-800/50 border border-slate-700 rounded ps-3 pe-9 py-2 text-sm text-slate-300 placeholder-slate-600 focus:border-blue-500 outline-none"
+        />
+        <button
+          type="button"
+          onClick={() => setRevealed(!revealed)}
+          className="absolute end-2 top-1/2 -translate-y-1/2 text-slate-500 hover:text-slate-300"
+          aria-label={revealed ? t('token.hideToken') : t('token.showToken')}
+        >
+          {revealed ? <EyeOff size={14} /> : <Eye size={14} />}
+        </button>
+      </div>
+
+      {check.status === 'checking' && (
+        <p className="mt-2 flex items-center gap-2 text-xs text-slate-400">
+          <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-slate-400"></span>
+          {t('token.checking')}
+        </p>
+      )}
+      {check.status === 'valid' && (
+        <div className="mt-2 text-xs">
+          <p className="flex items-center gap-2 text-green-300">
+            <CheckCircle2 size={14} />
+            <img src={check.user.avatar_url} alt="" className="w-4 h-4 rounded-full" />
+            {t('token.authenticated', { login: check.user.login })}
+          </p>
+          {check.scopes && (
+            <p className="mt-1 text-slate-400">
+              {t('token.scopes', { scopes: check.scopes.length > 0 ? check.scopes.join(', ') : t('token.noScopes') })}
+            </p>
+          )}
+          {hintKey && <p className="mt-1 text-slate-500">{t(hintKey)}</p>}
+        </div>
+      )}
+      {check.status === 'invalid' && (
+        <p className="mt-2 flex items-center gap-2 text-xs text-red-300">
+          <AlertCircle size={14} />
+          {check.error}
+        </p>
+      )}
+
+      <div className="mt-3 flex flex-wrap items-center justify-between gap-2">
+        <div className="inline-flex bg-slate-900/60 border border-slate-700 rounded-lg p-1 text-xs" role="radiogroup" aria-label={t('token.remember')}>
+          {PERSISTENCE_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              role="radio"
+              aria-checked={persistence === option.value}
+              onClick={() => onPersistenceChange(option.value)}
+              className={`px-3 py-1 rounded-md font-medium transition-colors ${persistence === option.value ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}
+            >
+              {t(option.labelKey)}
+            </button>
+          ))}
+        </div>
+        {(token || persistence !== TOKEN_PERSISTENCE.NONE) && (
+          <button
+            type="button"
+            onClick={onForget}
+            className="flex items-center gap-1 text-xs text-slate-400 hover:text-red-300 transition-colors"
+          >
+            <Trash2 size={12} />
+            {t('token.forget')}
+          </button>
+        )}
+      </div>
+      <p className="text-[10px] text-slate-500 mt-1">
+        {persistenceHintKey && t(persistenceHintKey)}
+      </p>
+
+      <input
+        type="url"
+        value={apiUrl}
+        onChange={(e) => onApiUrlChange(e.target.value)}
+        placeholder={t('token.apiUrlPlaceholder')}
+        className="mt-4 w-full bg-slate-800/50 border border-slate-700 rounded px-3 py-2 text-sm text-slate-300 placeholder-slate-600 focus:border-blue-500 outline-none"
+      />
+      <p className="text-[10px] text-slate-500 mt-1">
+        {t('token.apiUrlHint')}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React from 'react';
+import { Star, GitFork } from 'lucide-react';
+import { ROUTES } from '../lib/router';
+import { useI18n } from './I18nProvider';
+import { RouteLink } from './RouterProvider';
+
+const CARD_CLASS = 'group bg-gradient-to-br from-slate-700/50 to-slate-800/50 hover:from-slate-700 hover:to-slate-800 p-4 rounded-xl border border-slate-600/50 hover:border-pink-500/50 transition-all duration-300 hover:shadow-lg hover:shadow-pink-500/20 cursor-pointer hover:-translate-y-1';
+
+// Ranked cards for the most starred repositories (see `selectTopRepos`). With `owner` (the login
+// the repos belong to) cards open the in-app repository page, otherwise they link to GitHub.
+export default function TopRepos({ repos, title, owner }) {
+  const { t, formatNumber } = useI18n();
+
+  if (repos.length === 0) return null;
+
+  return (
+    <div className="mb-8 bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 backdrop-blur-xl p-8 rounded-2xl border border-slate-700/50 shadow-2xl shadow-pink-500/10">
+      <h3 className="text-2xl font-bold mb-6 flex items-center gap-3">
+        <div className="p-2 bg-gradient-to-br from-pink-500 to-rose-500 rounded-lg">
+          <Star size={20} className="text-white" />
+        </div>
+        <span className="bg-clip-text text-transparent bg-gradient-to-r from-pink-400 to-rose-400">
+          {title || t('topRepos.title')}
+        </span>
+      </h3>
+      <div className="grid md:grid-cols-2 lg:grid-cols-5 gap-4">
+        {repos.map((repo, idx) => {
+          const content = (
+            <>
+              <div className="flex items-start justify-between mb-3">
+                <h4 className="text-sm font-bold text-white group-hover:text-pink-400 transition-colors truncate flex-1">
+                  {repo.name}
+                </h4>
+                <span className="text-xs bg-pink-500/20 text-pink-300 px-2 py-1 rounded-full whitespace-nowrap ms-2">
+                  #{idx + 1}
+                </span>
+              </div>
+              {repo.description && (
+                <p className="text-xs text-slate-400 mb-3 line-clamp-2">
+                  {repo.description}
+                </p>
+              )}
+              <div className="flex items-center gap-3 text-xs text-slate-400">
+                <div className="flex items-center gap-1 hover:text-yellow-400 transition-colors">
+                  <Star size={14} fill="currentColor" /> {formatNumber(repo.stars)}
+                </div>
+                <div className="flex items-center gap-1 hover:text-orange-400 transition-colors">
+                  <GitFork size={14} /> {formatNumber(repo.forks)}
+                </div>
+              </div>
+              {repo.language && (
+                <div className="mt-3 inline-block bg-slate-600/50 px-2 py-1 rounded text-xs text-slate-300">
+                  {repo.language}
+                </div>
+              )}
+            </>
+          );
+          return owner ? (
+            <RouteLink key={idx} to={{ name: ROUTES.REPO, user: owner, repo: repo.name }} className={CARD_CLASS}>
+              {content}
+            </RouteLink>
+          ) : (
+            <a key={idx} href={repo.url} target="_blank" rel="noopener noreferrer" className={CARD_CLASS}>
+              {content}
+            </a>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
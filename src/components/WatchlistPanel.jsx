@@ -0,0 +1,92 @@
+import React from 'react';
+import { Eye, Bell, BellOff, Loader2, X } from 'lucide-react';
+import { ROUTES } from '../lib/router';
+import { useI18n } from './I18nProvider';
+import { RouteLink } from './RouterProvider';
+
+// Watched users on the start page with the outcome of this visit's background refresh.
+// `results` is keyed by lowercased login; `describeChange(change)` phrases a notable change the
+// same way the notification does.
+export default function WatchlistPanel({
+  watched,
+  results,
+  refreshing,
+  permission,
+  describeChange,
+  onEnableNotifications,
+  onRemove,
+}) {
+  const { t } = useI18n();
+
+  const statusOf = (login) => {
+    const result = results[login.toLowerCase()];
+    if (!result) return refreshing ? t('watch.pending') : null;
+    if (result.error) return t('watch.failed');
+    if (result.skipped) return t('watch.upToDate');
+    if (result.changes.length === 0) return t('watch.noChanges');
+    return result.changes.map(describeChange).join(' · ');
+  };
+
+  return (
+    <div className="max-w-xl mx-auto w-full mt-8 bg-slate-800/50 backdrop-blur-sm p-5 rounded-2xl border border-slate-700 shadow-xl">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h2 className="text-lg font-semibold flex items-center gap-2">
+          <Eye size={18} className="text-blue-400" />
+          {t('watch.title')}
+        </h2>
+        {refreshing && (
+          <span role="status" className="flex items-center gap-1 text-xs text-slate-400">
+            <Loader2 size={12} className="animate-spin" />
+            {t('watch.refreshing')}
+          </span>
+        )}
+      </div>
+
+      <ul className="divide-y divide-slate-700/50 text-sm">
+        {watched.map(login => {
+          const result = results[login.toLowerCase()];
+          const status = statusOf(login);
+          return (
+            <li key={login} className="flex items-start gap-3 py-2">
+              <div className="flex-1 min-w-0">
+                <RouteLink to={{ name: ROUTES.USER, user: login }} className="text-slate-200 hover:text-blue-400 font-medium">
+                  @{login}
+                </RouteLink>
+                {status && (
+                  <p className={`text-xs ${result?.changes?.length ? 'text-amber-300' : result?.error ? 'text-red-300' : 'text-slate-500'}`}>
+                    {status}
+                  </p>
+                )}
+              </div>
+              <button
+                type="button"
+                onClick={() => onRemove(login)}
+                aria-label={t('watch.remove', { login })}
+                className="text-slate-500 hover:text-red-300 mt-0.5"
+              >
+                <X size={14} />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {permission === 'default' && (
+        <button
+          type="button"
+          onClick={onEnableNotifications}
+          className="mt-3 flex items-center gap-2 text-xs text-slate-300 hover:text-white bg-slate-700 rounded-lg px-3 py-1.5"
+        >
+          <Bell size={14} />
+          {t('watch.enableNotifications')}
+        </button>
+      )}
+      {(permission === 'denied' || permission === 'unsupported') && (
+        <p className="mt-3 flex items-center gap-2 text-xs text-slate-500">
+          <BellOff size={14} />
+          {t(permission === 'denied' ? 'watch.notificationsBlocked' : 'watch.notificationsUnsupported')}
+        </p>
+      )}
+    </div>
+  );
+}
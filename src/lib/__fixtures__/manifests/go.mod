@@ -0,0 +1,13 @@
+module github.com/acme/service
+
+go 1.21
+
+require github.com/spf13/cobra v1.8.0
+
+require (
+	github.com/gin-gonic/gin v1.9.1
+	gorm.io/gorm v1.25.5 // indirect
+	// github.com/old/dependency v0.1.0
+)
+
+replace github.com/acme/shared => ../shared
@@ -0,0 +1,28 @@
+// Keyboard navigation shared by the charts: a focused chart moves its active segment with the
+// arrow keys, Home and End. Returns the next index, or null when the key is not a navigation key.
+export const nextSegmentIndex = (current, key, count, { rtl = false } = {}) => {
+  if (count === 0) return null;
+  const forward = rtl ? 'ArrowLeft' : 'ArrowRight';
+  const backward = rtl ? 'ArrowRight' : 'ArrowLeft';
+
+  switch (key) {
+    case forward:
+    case 'ArrowDown':
+      return current < 0 ? 0 : (current + 1) % count;
+    case backward:
+    case 'ArrowUp':
+      return current < 0 ? count - 1 : (current - 1 + count) % count;
+    case 'Home':
+      return 0;
+    case 'End':
+      return count - 1;
+    default:
+      return null;
+  }
+};
+
+// Share of `value` in a list of `{ value }` entries, as a 0..1 ratio
+export const shareOf = (value, entries) => {
+  const total = entries.reduce((sum, entry) => sum + (entry.value || 0), 0);
+  return total ? value / total : 0;
+};
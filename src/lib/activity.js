@@ -0,0 +1,94 @@
+// Pure summaries of a user's public activity: the events feed (last 90 days, at most 300 events)
+// and search results for pull requests, issues and reviews across every repository.
+
+// Events that represent work on a repository; watches (stars) and forks are left out
+export const CONTRIBUTION_EVENT_TYPES = [
+  'PushEvent',
+  'PullRequestEvent',
+  'PullRequestReviewEvent',
+  'PullRequestReviewCommentEvent',
+  'IssuesEvent',
+  'IssueCommentEvent',
+  'CommitCommentEvent',
+  'CreateEvent',
+  'ReleaseEvent',
+];
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const isContributionEvent = (event) => CONTRIBUTION_EVENT_TYPES.includes(event.type);
+
+const ownerOf = (fullName) => (fullName || '').split('/')[0].toLowerCase();
+
+// Search results only carry the API URL of their repository: .../repos/{owner}/{name}
+export const repoNameFromApiUrl = (url) => {
+  const match = (url || '').match(/\/repos\/([^/]+\/[^/]+)$/);
+  return match ? match[1] : null;
+};
+
+// 7 x 24 grid of contribution counts by weekday (0 = Sunday) and hour, in the viewer's local time
+export const buildActivityHeatmap = (events) => {
+  const cells = WEEKDAYS.map(() => new Array(24).fill(0));
+  let max = 0;
+  events.filter(isContributionEvent).forEach(event => {
+    const date = new Date(event.created_at);
+    if (Number.isNaN(date.getTime())) return;
+    const row = cells[date.getDay()];
+    row[date.getHours()] += 1;
+    max = Math.max(max, row[date.getHours()]);
+  });
+  return { cells, max };
+};
+
+export const countEventsByType = (events) => {
+  const counts = {};
+  events.forEach(event => {
+    counts[event.type] = (counts[event.type] || 0) + 1;
+  });
+  return counts;
+};
+
+// Repositories the user worked on but doesn't own, ranked by events plus merged pull requests.
+// `mergedPullRequests` are search items (`type:pr is:merged author:<login>`).
+export const summarizeContributedRepos = (login, events, mergedPullRequests = []) => {
+  const self = login.toLowerCase();
+  const byRepo = {};
+  const entryFor = (fullName) => {
+    if (!byRepo[fullName]) {
+      byRepo[fullName] = { fullName, events: 0, mergedPullRequests: 0 };
+    }
+    return byRepo[fullName];
+  };
+
+  events.filter(isContributionEvent).forEach(event => {
+    const fullName = event.repo?.name;
+    if (fullName && ownerOf(fullName) !== self) {
+      entryFor(fullName).events += 1;
+    }
+  });
+  mergedPullRequests.forEach(item => {
+    const fullName = repoNameFromApiUrl(item.repository_url);
+    if (fullName && ownerOf(fullName) !== self) {
+      entryFor(fullName).mergedPullRequests += 1;
+    }
+  });
+
+  return Object.values(byRepo)
+    .map(entry => ({ ...entry, total: entry.events + entry.mergedPullRequests }))
+    .sort((a, b) => b.total - a.total || a.fullName.localeCompare(b.fullName));
+};
+
+// Contribution totals per primary language of the contributed repos. `repoDetails` maps
+// full_name to the /repos response; repos without details or language are skipped.
+export const contributionsByLanguage = (contributedRepos, repoDetails) => {
+  const byLanguage = {};
+  contributedRepos.forEach(entry => {
+    const language = repoDetails[entry.fullName]?.language;
+    if (language) {
+      byLanguage[language] = (byLanguage[language] || 0) + entry.total;
+    }
+  });
+  return Object.keys(byLanguage)
+    .map(name => ({ name, value: byLanguage[name] }))
+    .sort((a, b) => b.value - a.value);
+};
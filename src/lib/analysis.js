@@ -0,0 +1,243 @@
+// Pure functions that turn a list of GitHub repository objects into the language/stats model
+// rendered by the app. Nothing in here touches the network or React state.
+
+const byValueDesc = (a, b) => b.value - a.value;
+
+const toSortedEntries = (map) =>
+  Object.keys(map)
+    .map(name => ({ name, value: map[name] }))
+    .sort(byValueDesc);
+
+// Count repositories by their single primary `language` field
+export const countPrimaryLanguages = (repos) => {
+  const langMap = {};
+  repos.forEach(repo => {
+    if (repo.language) {
+      langMap[repo.language] = (langMap[repo.language] || 0) + 1;
+    }
+  });
+  return toSortedEntries(langMap);
+};
+
+// Sum a list of /repos/{owner}/{repo}/languages responses into total bytes per language
+export const sumLanguageBytes = (languageMaps) => {
+  const byteMap = {};
+  languageMaps.forEach(languages => {
+    Object.entries(languages || {}).forEach(([name, bytes]) => {
+      byteMap[name] = (byteMap[name] || 0) + bytes;
+    });
+  });
+  return toSortedEntries(byteMap);
+};
+
+export const calculateRepoStats = (repos) => {
+  const totalStars = repos.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0);
+  const totalForks = repos.reduce((sum, repo) => sum + (repo.forks_count || 0), 0);
+  const avgStars = repos.length > 0 ? Math.round(totalStars / repos.length) : 0;
+  return { totalStars, totalForks, avgStars };
+};
+
+export const toRepoSummary = (repo) => ({
+  name: repo.name,
+  stars: repo.stargazers_count,
+  forks: repo.forks_count,
+  description: repo.description,
+  url: repo.html_url,
+  language: repo.language,
+});
+
+// Most starred repositories first, without mutating the input list
+export const selectTopRepos = (repos, limit = 5) =>
+  [...repos]
+    .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
+    .slice(0, limit)
+    .map(toRepoSummary);
+
+// The `limit` most recently pushed repositories; repos never pushed to sort last
+export const selectRecentlyPushed = (repos, limit) =>
+  [...repos]
+    .sort((a, b) => (Date.parse(b.pushed_at) || 0) - (Date.parse(a.pushed_at) || 0))
+    .slice(0, limit);
+
+export const analyzeRepos = (repos) => ({
+  languages: countPrimaryLanguages(repos),
+  stats: calculateRepoStats(repos),
+  topRepos: selectTopRepos(repos),
+  repoCount: repos.length,
+});
+
+// Convert `{ name, value }` entries into percentage shares keyed by language
+export const toShares = (entries) => {
+  const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+  const shares = {};
+  entries.forEach(entry => {
+    shares[entry.name] = total ? (entry.value / total) * 100 : 0;
+  });
+  return shares;
+};
+
+// Line up several users' language distributions for side-by-side charts.
+// `profiles` is a list of `{ login, languages }`; each row holds every user's share of that
+// language (in percent) plus its delta against the first (baseline) user, keyed by login.
+export const compareLanguages = (profiles, limit = 10) => {
+  const sharesByLogin = profiles.map(profile => ({ login: profile.login, shares: toShares(profile.languages) }));
+
+  const combined = {};
+  sharesByLogin.forEach(({ shares }) => {
+    Object.entries(shares).forEach(([name, share]) => {
+      combined[name] = (combined[name] || 0) + share;
+    });
+  });
+
+  const [baseline] = sharesByLogin;
+
+  return toSortedEntries(combined)
+    .slice(0, limit)
+    .map(({ name }) => {
+      const row = { name, shares: {}, deltas: {} };
+      sharesByLogin.forEach(({ login, shares }) => {
+        row.shares[login] = Number((shares[name] || 0).toFixed(1));
+        row.deltas[login] = Number(((shares[name] || 0) - (baseline.shares[name] || 0)).toFixed(1));
+      });
+      return row;
+    });
+};
+
+// Merge several repo lists, keeping the first copy of any repository that appears twice
+export const mergeRepoLists = (...lists) => {
+  const seen = new Set();
+  return lists.flat().filter(repo => {
+    const key = repo.id ?? repo.full_name;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Per-member primary-language repo counts for the org matrix.
+// `members` is a list of `{ login, avatar_url, repos }`; columns are the most common languages overall.
+export const buildLanguageMatrix = (members, limit = 8) => {
+  const languages = countPrimaryLanguages(members.flatMap(member => member.repos))
+    .slice(0, limit)
+    .map(entry => entry.name);
+
+  const rows = members
+    .map(member => {
+      const counts = {};
+      countPrimaryLanguages(member.repos).forEach(entry => {
+        counts[entry.name] = entry.value;
+      });
+      return {
+        login: member.login,
+        avatarUrl: member.avatar_url,
+        counts,
+        total: member.repos.length,
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+
+  return { languages, rows };
+};
+
+const periodIndex = (date, bucket) =>
+  bucket === 'quarter'
+    ? date.getUTCFullYear() * 4 + Math.floor(date.getUTCMonth() / 3)
+    : date.getUTCFullYear();
+
+const periodLabel = (index, bucket) =>
+  bucket === 'quarter'
+    ? `${Math.floor(index / 4)} Q${(index % 4) + 1}`
+    : String(index);
+
+// Bucket repos by `created_at` or `pushed_at` per year/quarter and compute each language's share
+// of the repos in that bucket (or of every repo up to that bucket when `cumulative` is set).
+// Empty periods between the first and last bucket are kept so the x axis stays continuous.
+export const buildLanguageTimeline = (repos, { dateField = 'created_at', bucket = 'year', cumulative = false, limit = 6 } = {}) => {
+  const dated = repos.filter(repo => repo.language && repo[dateField]);
+  if (dated.length === 0) {
+    return { languages: [], points: [] };
+  }
+
+  const languages = countPrimaryLanguages(dated).slice(0, limit).map(entry => entry.name);
+  const tracked = new Set(languages);
+
+  const buckets = {};
+  dated.forEach(repo => {
+    const index = periodIndex(new Date(repo[dateField]), bucket);
+    buckets[index] = buckets[index] || {};
+    const name = tracked.has(repo.language) ? repo.language : 'Other';
+    buckets[index][name] = (buckets[index][name] || 0) + 1;
+  });
+
+  const indices = Object.keys(buckets).map(Number);
+  const first = Math.min(...indices);
+  const last = Math.max(...indices);
+  const running = {};
+  const points = [];
+
+  for (let index = first; index <= last; index += 1) {
+    const periodCounts = buckets[index] || {};
+    Object.entries(periodCounts).forEach(([name, count]) => {
+      running[name] = (running[name] || 0) + count;
+    });
+
+    const counts = cumulative ? { ...running } : periodCounts;
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const shares = {};
+    [...languages, 'Other'].forEach(name => {
+      shares[name] = total ? Number((((counts[name] || 0) / total) * 100).toFixed(1)) : 0;
+    });
+
+    points.push({ period: periodLabel(index, bucket), total, counts, shares });
+  }
+
+  const hasOther = points.some(point => point.counts.Other);
+  return { languages: hasOther ? [...languages, 'Other'] : languages, points };
+};
+
+export const DEFAULT_FILTERS = {
+  excludeForks: false,
+  excludeArchived: false,
+  excludeTemplates: false,
+  pushedAfter: '',
+  pushedBefore: '',
+  topics: [],
+};
+
+// Apply the filter panel settings; dates are inclusive `YYYY-MM-DD` strings and every
+// listed topic must be present on the repo
+export const filterRepos = (repos, filters = DEFAULT_FILTERS) => {
+  const after = filters.pushedAfter ? Date.parse(filters.pushedAfter) : null;
+  // Include the whole "before" day
+  const before = filters.pushedBefore ? Date.parse(filters.pushedBefore) + 24 * 60 * 60 * 1000 - 1 : null;
+
+  return repos.filter(repo => {
+    if (filters.excludeForks && repo.fork) return false;
+    if (filters.excludeArchived && repo.archived) return false;
+    if (filters.excludeTemplates && repo.is_template) return false;
+
+    if (after !== null || before !== null) {
+      const pushed = repo.pushed_at ? Date.parse(repo.pushed_at) : null;
+      if (pushed === null) return false;
+      if (after !== null && pushed < after) return false;
+      if (before !== null && pushed > before) return false;
+    }
+
+    if (filters.topics.length > 0) {
+      const topics = repo.topics || [];
+      if (!filters.topics.every(topic => topics.includes(topic))) return false;
+    }
+
+    return true;
+  });
+};
+
+export const countTopics = (repos) => {
+  const topicMap = {};
+  repos.forEach(repo => {
+    (repo.topics || []).forEach(topic => {
+      topicMap[topic] = (topicMap[topic] || 0) + 1;
+    });
+  });
+  return toSortedEntries(topicMap);
+};
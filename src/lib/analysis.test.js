@@ -0,0 +1,207 @@
+import { describe, expect, it } from 'vitest';
+import {
+  analyzeRepos,
+  buildLanguageMatrix,
+  buildLanguageTimeline,
+  calculateRepoStats,
+  compareLanguages,
+  countPrimaryLanguages,
+  countTopics,
+  filterRepos,
+  mergeRepoLists,
+  selectRecentlyPushed,
+  selectTopRepos,
+  sumLanguageBytes,
+  toShares,
+  DEFAULT_FILTERS,
+} from './analysis.js';
+
+const repo = (overrides) => ({
+  id: overrides.name,
+  name: overrides.name,
+  full_name: `octocat/${overrides.name}`,
+  language: null,
+  stargazers_count: 0,
+  forks_count: 0,
+  description: null,
+  html_url: `https://github.com/octocat/${overrides.name}`,
+  ...overrides,
+});
+
+const repos = [
+  repo({ name: 'api', language: 'Go', stargazers_count: 40, forks_count: 3, created_at: '2020-02-01T00:00:00Z', pushed_at: '2024-01-10T00:00:00Z', topics: ['cli', 'http'] }),
+  repo({ name: 'web', language: 'TypeScript', stargazers_count: 120, forks_count: 10, created_at: '2021-05-01T00:00:00Z', pushed_at: '2024-03-01T00:00:00Z', topics: ['http'] }),
+  repo({ name: 'tools', language: 'Go', stargazers_count: 5, forks_count: 0, created_at: '2021-11-01T00:00:00Z', pushed_at: '2022-07-15T00:00:00Z', fork: true }),
+  repo({ name: 'notes', language: null, stargazers_count: 1, created_at: '2023-01-01T00:00:00Z', archived: true }),
+];
+
+describe('countPrimaryLanguages', () => {
+  it('counts repos by primary language, most used first, ignoring repos without one', () => {
+    expect(countPrimaryLanguages(repos)).toEqual([
+      { name: 'Go', value: 2 },
+      { name: 'TypeScript', value: 1 },
+    ]);
+  });
+
+  it('returns nothing for an empty list', () => {
+    expect(countPrimaryLanguages([])).toEqual([]);
+  });
+});
+
+describe('sumLanguageBytes', () => {
+  it('adds up bytes per language and skips missing maps', () => {
+    expect(sumLanguageBytes([{ Go: 100, Shell: 5 }, null, { Go: 50, TypeScript: 400 }])).toEqual([
+      { name: 'TypeScript', value: 400 },
+      { name: 'Go', value: 150 },
+      { name: 'Shell', value: 5 },
+    ]);
+  });
+});
+
+describe('calculateRepoStats', () => {
+  it('totals stars and forks and rounds the average', () => {
+    expect(calculateRepoStats(repos)).toEqual({ totalStars: 166, totalForks: 13, avgStars: 42 });
+  });
+
+  it('avoids dividing by zero', () => {
+    expect(calculateRepoStats([])).toEqual({ totalStars: 0, totalForks: 0, avgStars: 0 });
+  });
+});
+
+describe('selectTopRepos', () => {
+  it('orders by stars without mutating the input', () => {
+    const before = repos.map(item => item.name);
+    expect(selectTopRepos(repos, 2).map(item => item.name)).toEqual(['web', 'api']);
+    expect(repos.map(item => item.name)).toEqual(before);
+  });
+});
+
+describe('selectRecentlyPushed', () => {
+  it('keeps the most recently pushed repos and puts never-pushed ones last', () => {
+    expect(selectRecentlyPushed(repos, 3).map(item => item.name)).toEqual(['web', 'api', 'tools']);
+    expect(selectRecentlyPushed(repos, 10).map(item => item.name)).toEqual(['web', 'api', 'tools', 'notes']);
+  });
+});
+
+describe('analyzeRepos', () => {
+  it('combines languages, stats and top repos', () => {
+    const analysis = analyzeRepos(repos);
+    expect(analysis.repoCount).toBe(4);
+    expect(analysis.languages[0]).toEqual({ name: 'Go', value: 2 });
+    expect(analysis.topRepos[0]).toMatchObject({ name: 'web', stars: 120, forks: 10, language: 'TypeScript' });
+  });
+});
+
+describe('toShares', () => {
+  it('converts values to percentages', () => {
+    expect(toShares([{ name: 'Go', value: 3 }, { name: 'Rust', value: 1 }])).toEqual({ Go: 75, Rust: 25 });
+  });
+
+  it('gives zero shares when every value is zero', () => {
+    expect(toShares([{ name: 'Go', value: 0 }])).toEqual({ Go: 0 });
+  });
+});
+
+describe('compareLanguages', () => {
+  it('lines up shares and deltas against the first user', () => {
+    const rows = compareLanguages([
+      { login: 'alice', languages: [{ name: 'Go', value: 3 }, { name: 'Rust', value: 1 }] },
+      { login: 'bob', languages: [{ name: 'Rust', value: 1 }] },
+    ]);
+
+    expect(rows).toEqual([
+      { name: 'Rust', shares: { alice: 25, bob: 100 }, deltas: { alice: 0, bob: 75 } },
+      { name: 'Go', shares: { alice: 75, bob: 0 }, deltas: { alice: 0, bob: -75 } },
+    ]);
+  });
+});
+
+describe('mergeRepoLists', () => {
+  it('keeps the first copy of a repeated repository', () => {
+    const updated = { ...repos[0], stargazers_count: 999 };
+    const merged = mergeRepoLists(repos.slice(0, 2), [updated, repos[2]]);
+    expect(merged.map(item => item.name)).toEqual(['api', 'web', 'tools']);
+    expect(merged[0].stargazers_count).toBe(40);
+  });
+});
+
+describe('buildLanguageMatrix', () => {
+  it('builds per-member counts sorted by repo count', () => {
+    const matrix = buildLanguageMatrix([
+      { login: 'alice', avatar_url: 'a.png', repos: [repos[1]] },
+      { login: 'bob', avatar_url: 'b.png', repos: [repos[0], repos[2]] },
+    ]);
+
+    expect(matrix.languages).toEqual(['Go', 'TypeScript']);
+    expect(matrix.rows).toEqual([
+      { login: 'bob', avatarUrl: 'b.png', counts: { Go: 2 }, total: 2 },
+      { login: 'alice', avatarUrl: 'a.png', counts: { TypeScript: 1 }, total: 1 },
+    ]);
+  });
+});
+
+describe('buildLanguageTimeline', () => {
+  it('buckets by year and keeps empty years between the first and last', () => {
+    const timeline = buildLanguageTimeline([
+      repo({ name: 'a', language: 'Go', created_at: '2019-04-01T00:00:00Z' }),
+      repo({ name: 'b', language: 'Rust', created_at: '2021-04-01T00:00:00Z' }),
+      repo({ name: 'c', language: 'Go', created_at: '2021-09-01T00:00:00Z' }),
+    ]);
+
+    expect(timeline.languages).toEqual(['Go', 'Rust']);
+    expect(timeline.points.map(point => [point.period, point.total])).toEqual([['2019', 1], ['2020', 0], ['2021', 2]]);
+    expect(timeline.points[2].shares).toMatchObject({ Go: 50, Rust: 50 });
+  });
+
+  it('accumulates shares over time when cumulative', () => {
+    const timeline = buildLanguageTimeline(repos, { cumulative: true });
+    const last = timeline.points[timeline.points.length - 1];
+    expect(last.counts).toEqual({ Go: 2, TypeScript: 1 });
+  });
+
+  it('groups languages beyond the limit into Other', () => {
+    const timeline = buildLanguageTimeline(repos, { limit: 1 });
+    expect(timeline.languages).toEqual(['Go', 'Other']);
+  });
+
+  it('labels quarters', () => {
+    const timeline = buildLanguageTimeline([repo({ name: 'a', language: 'Go', pushed_at: '2024-05-02T00:00:00Z' })], {
+      dateField: 'pushed_at',
+      bucket: 'quarter',
+    });
+    expect(timeline.points.map(point => point.period)).toEqual(['2024 Q2']);
+  });
+
+  it('is empty when no repo has a language and date', () => {
+    expect(buildLanguageTimeline([repo({ name: 'x' })])).toEqual({ languages: [], points: [] });
+  });
+});
+
+describe('filterRepos', () => {
+  it('returns every repo with the default filters', () => {
+    expect(filterRepos(repos, DEFAULT_FILTERS)).toHaveLength(repos.length);
+  });
+
+  it('excludes forks and archived repositories', () => {
+    const filtered = filterRepos(repos, { ...DEFAULT_FILTERS, excludeForks: true, excludeArchived: true });
+    expect(filtered.map(item => item.name)).toEqual(['api', 'web']);
+  });
+
+  it('treats the date range as inclusive and drops repos never pushed', () => {
+    const filtered = filterRepos(repos, { ...DEFAULT_FILTERS, pushedAfter: '2024-01-10', pushedBefore: '2024-03-01' });
+    expect(filtered.map(item => item.name)).toEqual(['api', 'web']);
+  });
+
+  it('requires every selected topic', () => {
+    expect(filterRepos(repos, { ...DEFAULT_FILTERS, topics: ['http', 'cli'] }).map(item => item.name)).toEqual(['api']);
+  });
+});
+
+describe('countTopics', () => {
+  it('counts topics across repos', () => {
+    expect(countTopics(repos)).toEqual([
+      { name: 'http', value: 2 },
+      { name: 'cli', value: 1 },
+    ]);
+  });
+});
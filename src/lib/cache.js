@@ -0,0 +1,72 @@
+// Persistent HTTP response cache backed by IndexedDB. Entries keep the ETag/Last-Modified
+// validators so the GitHub client can revalidate with conditional requests, and the body so
+// the last known result can still be shown when the API is unreachable or rate-limited.
+import { isAuthenticatedCacheKey } from './github.js';
+import { STORES, isIndexedDBAvailable, withStore } from './idb.js';
+
+// Entries not refreshed for this long are dropped when the cache is opened
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const createResponseCache = ({ maxAge = MAX_AGE_MS } = {}) => {
+  if (!isIndexedDBAvailable()) return null;
+
+  const get = (key) => withStore(STORES.RESPONSES, 'readonly', store => store.get(key));
+
+  const put = (key, entry) =>
+    withStore(STORES.RESPONSES, 'readwrite', store => store.put({ ...entry, key, cachedAt: entry.cachedAt ?? Date.now() }));
+
+  const prune = () =>
+    withStore(STORES.RESPONSES, 'readwrite', store => {
+      const range = IDBKeyRange.upperBound(Date.now() - maxAge);
+      const cursorRequest = store.index('cachedAt').openCursor(range);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      return null;
+    });
+
+  const clear = () => withStore(STORES.RESPONSES, 'readwrite', store => store.clear());
+
+  // Drop every response fetched with a token, keeping the anonymous ones
+  const clearAuthenticated = () =>
+    withStore(STORES.RESPONSES, 'readwrite', store => {
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          if (isAuthenticatedCacheKey(cursor.key)) cursor.delete();
+          cursor.continue();
+        }
+      };
+      return null;
+    });
+
+  prune().catch(() => {});
+
+  return { get, put, prune, clear, clearAuthenticated };
+};
+
+// Same interface kept in memory only, for responses that must not outlive the page
+export const createMemoryCache = () => {
+  const entries = new Map();
+
+  const get = async (key) => entries.get(key) ?? null;
+
+  const put = async (key, entry) => {
+    entries.set(key, { ...entry, key, cachedAt: entry.cachedAt ?? Date.now() });
+  };
+
+  const clear = async () => {
+    entries.clear();
+  };
+
+  const clearAuthenticated = async () => {
+    [...entries.keys()].filter(isAuthenticatedCacheKey).forEach(key => entries.delete(key));
+  };
+
+  return { get, put, prune: async () => {}, clear, clearAuthenticated };
+};
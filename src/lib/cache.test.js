@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryCache } from './cache.js';
+
+describe('createMemoryCache', () => {
+  it('stores entries with their key and time', async () => {
+    const cache = createMemoryCache();
+    await cache.put('anon https://api.github.com/users/octocat', { etag: '"v1"', body: { login: 'octocat' }, cachedAt: 5 });
+    await expect(cache.get('anon https://api.github.com/users/octocat')).resolves.toEqual({
+      key: 'anon https://api.github.com/users/octocat',
+      etag: '"v1"',
+      body: { login: 'octocat' },
+      cachedAt: 5,
+    });
+    await expect(cache.get('anon https://api.github.com/users/ghost')).resolves.toBeNull();
+  });
+
+  it('clears authenticated entries only', async () => {
+    const cache = createMemoryCache();
+    await cache.put('anon https://api.github.com/users/octocat', { body: {} });
+    await cache.put('auth:0123456789abcdef01234567 https://api.github.com/user/repos', { body: [] });
+
+    await cache.clearAuthenticated();
+
+    await expect(cache.get('anon https://api.github.com/users/octocat')).resolves.not.toBeNull();
+    await expect(cache.get('auth:0123456789abcdef01234567 https://api.github.com/user/repos')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+// Renders the embeddable "top languages" SVG card. Pure string building so it can run in the
+// browser (live preview) as well as in the self-hosted card endpoint under api/.
+import { languageColor } from './languageColors.js';
+
+export const CARD_THEMES = {
+  dark: { background: '#0f172a', border: '#334155', title: '#60a5fa', text: '#e2e8f0', muted: '#94a3b8', track: '#1e293b' },
+  light: { background: '#ffffff', border: '#e2e8f0', title: '#2563eb', text: '#0f172a', muted: '#64748b', track: '#e2e8f0' },
+  transparent: { background: 'none', border: 'none', title: '#3b82f6', text: '#64748b', muted: '#94a3b8', track: '#94a3b833' },
+};
+
+export const CARD_LAYOUTS = ['compact', 'donut', 'bars'];
+
+export const DEFAULT_CARD_OPTIONS = { theme: 'dark', layout: 'compact', count: 6 };
+
+const MAX_LANGUAGES = 10;
+const WIDTH = 350;
+
+const escapeXml = (value) =>
+  String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[char]));
+
+// Normalise untrusted query-string values into a valid option set
+export const parseCardOptions = (params = {}) => {
+  const get = (key) => (typeof params.get === 'function' ? params.get(key) : params[key]);
+  const theme = CARD_THEMES[get('theme')] ? get('theme') : DEFAULT_CARD_OPTIONS.theme;
+  const layout = CARD_LAYOUTS.includes(get('layout')) ? get('layout') : DEFAULT_CARD_OPTIONS.layout;
+  const count = Math.min(MAX_LANGUAGES, Math.max(1, parseInt(get('count'), 10) || DEFAULT_CARD_OPTIONS.count));
+  return { theme, layout, count };
+};
+
+// Top `count` languages as percentages, folding the remainder into "Other"
+const toCardEntries = (languages, count) => {
+  const total = languages.reduce((sum, entry) => sum + entry.value, 0);
+  if (!total) return [];
+
+  const top = languages.slice(0, count).map(entry => ({
+    name: entry.name,
+    percent: (entry.value / total) * 100,
+    color: languageColor(entry.name),
+  }));
+  const rest = languages.slice(count).reduce((sum, entry) => sum + entry.value, 0);
+  if (rest > 0) {
+    top.push({ name: 'Other', percent: (rest / total) * 100, color: '#64748b' });
+  }
+  return top;
+};
+
+const frame = (height, colors, title, body) => `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${escapeXml(title)}">
+  <title>${escapeXml(title)}</title>
+  <style>
+    .title { font: 600 16px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${colors.title}; }
+    .label { font: 400 12px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${colors.text}; }
+    .muted { font: 400 11px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${colors.muted}; }
+  </style>
+  <rect x="0.5" y="0.5" rx="6" width="${WIDTH - 1}" height="${height - 1}" fill="${colors.background}" stroke="${colors.border}" />
+  <text x="20" y="32" class="title">${escapeXml(title)}</text>
+${body}
+</svg>`;
+
+const legendItem = (entry, x, y) => `  <g transform="translate(${x}, ${y})">
+    <circle cx="5" cy="-4" r="5" fill="${entry.color}" />
+    <text x="16" y="0" class="label">${escapeXml(entry.name)}</text>
+    <text x="${WIDTH / 2 - 40}" y="0" class="muted" text-anchor="end">${entry.percent.toFixed(1)}%</text>
+  </g>`;
+
+const renderCompact = (entries, colors) => {
+  let offset = 0;
+  const segments = entries.map(entry => {
+    const width = ((WIDTH - 40) * entry.percent) / 100;
+    const rect = `    <rect x="${offset.toFixed(2)}" y="0" width="${width.toFixed(2)}" height="8" fill="${entry.color}" />`;
+    offset += width;
+    return rect;
+  });
+
+  const legend = entries.map((entry, index) =>
+    legendItem(entry, 20 + (index % 2) * (WIDTH / 2 - 10), 90 + Math.floor(index / 2) * 24)
+  );
+  const height = 90 + Math.ceil(entries.length / 2) * 24;
+
+  const body = `  <clipPath id="bar-clip"><rect x="0" y="0" width="${WIDTH - 40}" height="8" rx="4" /></clipPath>
+  <g transform="translate(20, 52)" clip-path="url(#bar-clip)">
+    <rect x="0" y="0" width="${WIDTH - 40}" height="8" fill="${colors.track}" />
+${segments.join('\n')}
+  </g>
+${legend.join('\n')}`;
+
+  return { height, body };
+};
+
+const renderBars = (entries, colors) => {
+  const rows = entries.map((entry, index) => {
+    const y = 62 + index * 36;
+    const width = ((WIDTH - 40) * entry.percent) / 100;
+    return `  <g transform="translate(20, ${y})">
+    <text x="0" y="0" class="label">${escapeXml(entry.name)}</text>
+    <text x="${WIDTH - 40}" y="0" class="muted" text-anchor="end">${entry.percent.toFixed(1)}%</text>
+    <rect x="0" y="8" rx="4" width="${WIDTH - 40}" height="8" fill="${colors.track}" />
+    <rect x="0" y="8" rx="4" width="${width.toFixed(2)}" height="8" fill="${entry.color}" />
+  </g>`;
+  });
+  return { height: 62 + entries.length * 36, body: rows.join('\n') };
+};
+
+const renderDonut = (entries, colors) => {
+  const radius = 45;
+  const circumference = 2 * Math.PI * radius;
+  const cx = WIDTH - 80;
+  const cy = 110;
+  let offset = 0;
+
+  const arcs = entries.map(entry => {
+    const length = (circumference * entry.percent) / 100;
+    const arc = `    <circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${entry.color}" stroke-width="18" stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" />`;
+    offset += length;
+    return arc;
+  });
+
+  const legend = entries.map((entry, index) => legendItem(entry, 20, 62 + index * 22));
+  const height = Math.max(190, 62 + entries.length * 22);
+
+  const body = `  <g transform="rotate(-90 ${cx} ${cy})">
+    <circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${colors.track}" stroke-width="18" />
+${arcs.join('\n')}
+  </g>
+${legend.join('\n')}`;
+
+  return { height, body };
+};
+
+const RENDERERS = { compact: renderCompact, bars: renderBars, donut: renderDonut };
+
+// `languages` is the `{ name, value }` list produced by the analysis functions
+export const renderLanguageCard = ({ login, languages }, options = {}) => {
+  const { theme, layout, count } = parseCardOptions(options);
+  const colors = CARD_THEMES[theme];
+  const title = login ? `${login}'s Top Languages` : 'Top Languages';
+  const entries = toCardEntries(languages, count);
+
+  if (entries.length === 0) {
+    return frame(80, colors, title, '  <text x="20" y="58" class="muted">No language data available.</text>');
+  }
+
+  const { height, body } = RENDERERS[layout](entries, colors);
+  return frame(height + 16, colors, title, body);
+};
+
+export const renderErrorCard = (message, options = {}) => {
+  const { theme } = parseCardOptions(options);
+  return frame(80, CARD_THEMES[theme], 'GitLang Detector', `  <text x="20" y="58" class="muted">${escapeXml(message)}</text>`);
+};
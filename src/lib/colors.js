@@ -0,0 +1,21 @@
+export const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
+export const GRADIENT_COLORS = ['#0EA5E9', '#06B6D4', '#10B981', '#84CC16', '#F59E0B', '#EF4444', '#EC4899', '#D946EF'];
+
+// Chart palettes selectable in the display settings. Okabe-Ito and Tol's "bright" set stay
+// distinguishable under the common forms of color vision deficiency.
+export const PALETTES = {
+  default: COLORS,
+  okabeIto: ['#0072B2', '#E69F00', '#009E73', '#CC79A7', '#56B4E9', '#D55E00', '#F0E442', '#999999'],
+  tolBright: ['#4477AA', '#EE6677', '#228833', '#CCBB44', '#66CCEE', '#AA3377', '#BBBBBB'],
+};
+
+export const DEFAULT_PALETTE = 'default';
+
+export const paletteColors = (name) => PALETTES[name] || PALETTES[DEFAULT_PALETTE];
+
+// Fill patterns layered over the palette colors so segments can be told apart without color.
+// Index 0 is solid; the rest cycle through line and dot textures.
+export const PATTERNS = ['solid', 'diagonal', 'dots', 'horizontal', 'crosshatch', 'vertical', 'reverseDiagonal', 'grid'];
+
+// Dash styles for line charts, the stroke equivalent of PATTERNS
+export const LINE_DASHES = [undefined, '6 3', '2 2', '10 4 2 4', '1 4', '12 3', '4 4 1 4', '8 2 2 2'];
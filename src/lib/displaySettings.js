@@ -0,0 +1,67 @@
+// Display preferences chosen in the settings menu, kept in localStorage across visits
+import { DEFAULT_PALETTE, PALETTES } from './colors.js';
+import { isHexColor } from './languageColors.js';
+
+const STORAGE_KEY = 'gitlang.display';
+
+// `system` follows the OS color scheme and contrast preference
+export const THEMES = ['system', 'dark', 'light', 'highContrast'];
+
+// Values of the `data-theme` attribute on <html> that src/theme-styles.css keys off
+const THEME_ATTRIBUTES = { dark: 'dark', light: 'light', highContrast: 'high-contrast' };
+
+// Cap on remembered per-language colors so a bad entry can't grow storage without bound
+const MAX_COLOR_OVERRIDES = 200;
+
+export const DEFAULT_DISPLAY_SETTINGS = {
+  theme: 'dark',
+  palette: DEFAULT_PALETTE,
+  patterns: false,
+  // Color languages by GitHub's linguist table instead of by position in the palette
+  languageColors: true,
+  colorOverrides: {},
+};
+
+const sanitizeColorOverrides = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([name, color]) => name.trim() && isHexColor(color))
+      .slice(0, MAX_COLOR_OVERRIDES)
+  );
+};
+
+// Unknown or malformed values are dropped so an old or edited entry can't break the charts
+export const sanitizeDisplaySettings = (value) => {
+  const settings = { ...DEFAULT_DISPLAY_SETTINGS };
+  if (!value || typeof value !== 'object') return settings;
+  if (THEMES.includes(value.theme)) settings.theme = value.theme;
+  if (Object.prototype.hasOwnProperty.call(PALETTES, value.palette)) settings.palette = value.palette;
+  if (typeof value.patterns === 'boolean') settings.patterns = value.patterns;
+  if (typeof value.languageColors === 'boolean') settings.languageColors = value.languageColors;
+  settings.colorOverrides = sanitizeColorOverrides(value.colorOverrides);
+  return settings;
+};
+
+// The `data-theme` value for a theme setting; `system` resolves from the media query results
+export const resolveTheme = (theme, { prefersLight = false, prefersMoreContrast = false } = {}) => {
+  if (theme !== 'system') return THEME_ATTRIBUTES[theme] || THEME_ATTRIBUTES.dark;
+  if (prefersMoreContrast) return THEME_ATTRIBUTES.highContrast;
+  return prefersLight ? THEME_ATTRIBUTES.light : THEME_ATTRIBUTES.dark;
+};
+
+export const loadDisplaySettings = () => {
+  try {
+    return sanitizeDisplaySettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (err) {
+    return { ...DEFAULT_DISPLAY_SETTINGS };
+  }
+};
+
+export const saveDisplaySettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sanitizeDisplaySettings(settings)));
+  } catch (err) {
+    // Storage disabled; the settings still apply until the page is closed
+  }
+};
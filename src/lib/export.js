@@ -0,0 +1,296 @@
+// Builders for the export menu: JSON/CSV serialisation of the analysis, PNG snapshots of the
+// recharts SVGs and a multi-section PDF report. Everything runs in the browser.
+
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of `{ header, value(row) }`
+export const toCSV = (rows, columns) =>
+  [
+    columns.map(column => escapeCsvCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvCell(column.value(row))).join(',')),
+  ].join('\r\n');
+
+// One row per language with repo counts, shares and (when loaded) byte totals
+export const buildLanguageRows = (languages, byteLanguages = null) => {
+  const totalRepos = languages.reduce((sum, entry) => sum + entry.value, 0);
+  const totalBytes = byteLanguages ? byteLanguages.reduce((sum, entry) => sum + entry.value, 0) : 0;
+  const bytesByName = {};
+  (byteLanguages || []).forEach(entry => {
+    bytesByName[entry.name] = entry.value;
+  });
+
+  const names = [...new Set([...languages.map(entry => entry.name), ...Object.keys(bytesByName)])];
+  const reposByName = {};
+  languages.forEach(entry => {
+    reposByName[entry.name] = entry.value;
+  });
+
+  return names.map(name => ({
+    language: name,
+    repos: reposByName[name] || 0,
+    repoShare: totalRepos ? Number((((reposByName[name] || 0) / totalRepos) * 100).toFixed(2)) : 0,
+    bytes: byteLanguages ? bytesByName[name] || 0 : null,
+    byteShare: byteLanguages && totalBytes ? Number((((bytesByName[name] || 0) / totalBytes) * 100).toFixed(2)) : null,
+  }));
+};
+
+export const LANGUAGE_COLUMNS = [
+  { header: 'language', value: row => row.language },
+  { header: 'repos', value: row => row.repos },
+  { header: 'repo_share_percent', value: row => row.repoShare },
+  { header: 'bytes', value: row => row.bytes },
+  { header: 'byte_share_percent', value: row => row.byteShare },
+];
+
+export const REPO_COLUMNS = [
+  { header: 'name', value: repo => repo.name },
+  { header: 'full_name', value: repo => repo.full_name },
+  { header: 'language', value: repo => repo.language },
+  { header: 'stars', value: repo => repo.stargazers_count },
+  { header: 'forks', value: repo => repo.forks_count },
+  { header: 'size_kb', value: repo => repo.size },
+  { header: 'open_issues', value: repo => repo.open_issues_count },
+  { header: 'license', value: repo => repo.license?.spdx_id },
+  { header: 'topics', value: repo => (repo.topics || []).join(' ') },
+  { header: 'created_at', value: repo => repo.created_at },
+  { header: 'pushed_at', value: repo => repo.pushed_at },
+  { header: 'fork', value: repo => Boolean(repo.fork) },
+  { header: 'archived', value: repo => Boolean(repo.archived) },
+  { header: 'url', value: repo => repo.html_url },
+];
+
+export const STATS_COLUMNS = [
+  { header: 'metric', value: row => row.metric },
+  { header: 'value', value: row => row.value },
+];
+
+export const statsToRows = (stats, repoCount) => [
+  { metric: 'total_stars', value: stats.totalStars },
+  { metric: 'total_forks', value: stats.totalForks },
+  { metric: 'avg_stars', value: stats.avgStars },
+  { metric: 'repos_analyzed', value: repoCount },
+];
+
+// The subset of repo fields worth keeping in an export
+export const toExportRepo = (repo) =>
+  Object.fromEntries(REPO_COLUMNS.map(column => [column.header, column.value(repo) ?? null]));
+
+export const buildExportModel = ({ profile, languages, byteLanguages, stats, topRepos, repos, filters }) => ({
+  generatedAt: new Date().toISOString(),
+  user: profile && {
+    login: profile.login,
+    name: profile.name,
+    url: profile.html_url,
+    followers: profile.followers,
+    following: profile.following,
+    publicRepos: profile.public_repos,
+  },
+  filters,
+  repoStats: { ...stats, reposAnalyzed: repos.length },
+  languages: buildLanguageRows(languages, byteLanguages),
+  topRepos,
+  repos: repos.map(toExportRepo),
+});
+
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (filename, text, type) => downloadBlob(filename, new Blob([text], { type }));
+
+// Rasterise an inline <svg> (e.g. a recharts surface) into a PNG data URL; `background` is any CSS color
+export const svgToPngDataUrl = (svg, { background = '#0f172a', scale = 2 } = {}) =>
+  new Promise((resolve, reject) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+
+    const source = new XMLSerializer().serializeToString(clone);
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(width * scale);
+      canvas.height = Math.ceil(height * scale);
+      const context = canvas.getContext('2d');
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve({ dataUrl: canvas.toDataURL('image/png'), width, height });
+    };
+    image.onerror = () => reject(new Error('Could not render chart image.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}`;
+  });
+
+// Charts opt in to exporting by marking their container with data-export-chart="<title>"
+export const findExportableCharts = (root) =>
+  [...(root?.querySelectorAll('[data-export-chart]') || [])]
+    .map(container => ({ title: container.dataset.exportChart, svg: container.querySelector('svg.recharts-surface') }))
+    .filter(chart => chart.svg);
+
+export const toFileSlug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// jsPDF's built-in fonts only cover Latin-1, so the report embeds Noto Sans Arabic, which also has
+// Latin glyphs and serves every locale. The files are only fetched when a PDF is built.
+const PDF_FONT = 'NotoSansArabic';
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const loadPdfFonts = async (doc) => {
+  const [{ default: regularUrl }, { default: boldUrl }] = await Promise.all([
+    import('@expo-google-fonts/noto-sans-arabic/400Regular/NotoSansArabic_400Regular.ttf?url'),
+    import('@expo-google-fonts/noto-sans-arabic/700Bold/NotoSansArabic_700Bold.ttf?url'),
+  ]);
+  const fonts = [[regularUrl, 'normal'], [boldUrl, 'bold']];
+  await Promise.all(fonts.map(async ([url, style]) => {
+    const file = `${PDF_FONT}-${style}.ttf`;
+    doc.addFileToVFS(file, toBase64(await (await fetch(url)).arrayBuffer()));
+    doc.addFont(file, PDF_FONT, style);
+  }));
+};
+
+// Multi-section PDF: summary, stats, language table, charts, top repos and the full repo list.
+// `i18n` is the useI18n() value; its `dir` mirrors the layout and tables for right-to-left locales.
+export const buildPdfReport = async (model, charts, { t, dir, formatNumber, formatPercent, formatDate, formatDateTime }) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  await loadPdfFonts(doc);
+
+  const rtl = dir === 'rtl';
+  // Strings are in logical order; jsPDF's bidi pass turns them into visual order for RTL
+  const textOptions = rtl ? { align: 'right', isInputVisual: false, isOutputVisual: true, isInputRtl: true } : {};
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 40;
+  const printable = pageWidth - margin * 2;
+  let y = margin;
+
+  // `x` and `width` are measured from the start edge: the left in LTR, the right in RTL
+  const write = (text, x = 0) => doc.text(String(text), rtl ? pageWidth - margin - x : margin + x, y, textOptions);
+
+  const setFont = (size, bold = false) => {
+    doc.setFont(PDF_FONT, bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+  };
+
+  const ensureSpace = (needed) => {
+    if (y + needed > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(40);
+    y += 10;
+    setFont(14, true);
+    write(text);
+    y += 20;
+    setFont(10);
+  };
+
+  const line = (text) => {
+    ensureSpace(14);
+    write(text);
+    y += 14;
+  };
+
+  // Simple fixed-width table; `widths` are fractions of the printable width
+  const table = (columns, rows, widths) => {
+    const drawRow = (cells, bold) => {
+      ensureSpace(14);
+      setFont(10, bold);
+      let x = 0;
+      cells.forEach((cell, index) => {
+        const width = printable * widths[index];
+        const text = doc.splitTextToSize(cell === null || cell === undefined ? '' : String(cell), width - 6)[0] || '';
+        write(text, x);
+        x += width;
+      });
+      y += 14;
+    };
+    drawRow(columns, true);
+    rows.forEach(row => drawRow(row, false));
+    setFont(10);
+  };
+
+  const count = (value) => (value === null || value === undefined ? '-' : formatNumber(value));
+  const share = (value) => (value === null || value === undefined ? '-' : formatPercent(value / 100));
+
+  setFont(20, true);
+  write(model.user ? t('pdf.titleFor', { login: model.user.login }) : t('pdf.title'));
+  y += 20;
+  setFont(10);
+  line(t('pdf.generated', { date: formatDateTime(model.generatedAt) }));
+
+  if (model.user) {
+    heading(t('pdf.profile'));
+    line(t('pdf.name', { name: model.user.name || model.user.login }));
+    line(t('pdf.profileUrl', { url: model.user.url }));
+    line(t('pdf.profileCounts', {
+      followers: count(model.user.followers),
+      following: count(model.user.following),
+      repos: count(model.user.publicRepos),
+    }));
+  }
+
+  heading(t('pdf.stats'));
+  line(t('pdf.reposAnalyzed', { count: model.repoStats.reposAnalyzed }));
+  line(t('pdf.totals', {
+    stars: count(model.repoStats.totalStars),
+    forks: count(model.repoStats.totalForks),
+    avgStars: count(model.repoStats.avgStars),
+  }));
+
+  heading(t('pdf.languages'));
+  table(
+    [t('charts.language'), t('pdf.repos'), t('pdf.repoShare'), t('charts.valueBytes'), t('pdf.byteShare')],
+    model.languages.map(row => [row.language, count(row.repos), share(row.repoShare), count(row.bytes), share(row.byteShare)]),
+    [0.32, 0.14, 0.14, 0.24, 0.16]
+  );
+
+  (charts || []).forEach(chart => {
+    const height = (chart.height / chart.width) * printable;
+    heading(chart.title);
+    ensureSpace(height);
+    doc.addImage(chart.dataUrl, 'PNG', margin, y, printable, height);
+    y += height + 10;
+  });
+
+  if (model.topRepos.length > 0) {
+    heading(t('topRepos.title'));
+    table(
+      [t('explorer.columns.name'), t('explorer.columns.language'), t('explorer.columns.stars'), t('explorer.columns.forks')],
+      model.topRepos.map(repo => [repo.name, repo.language || '-', count(repo.stars), count(repo.forks)]),
+      [0.46, 0.24, 0.15, 0.15]
+    );
+  }
+
+  heading(t('pdf.allRepos', { count: model.repos.length }));
+  table(
+    [t('explorer.columns.name'), t('explorer.columns.language'), t('explorer.columns.stars'), t('explorer.columns.forks'), t('explorer.columns.pushed')],
+    model.repos.map(repo => [repo.name, repo.language || '-', count(repo.stars), count(repo.forks), repo.pushed_at ? formatDate(repo.pushed_at) : '-']),
+    [0.4, 0.2, 0.12, 0.12, 0.16]
+  );
+
+  return doc.output('blob');
+};
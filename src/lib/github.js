@@ -0,0 +1,489 @@
+// Minimal GitHub REST client shared by the app and any other consumer of the analysis.
+// It only knows about HTTP: auth headers, pagination and mapping status codes to typed errors.
+
+export const DEFAULT_API_BASE_URL = 'https://api.github.com';
+
+export const ERROR_CODES = {
+  NOT_FOUND: 'not_found',
+  UNAUTHORIZED: 'unauthorized',
+  RATE_LIMITED: 'rate_limited',
+  SECONDARY_RATE_LIMITED: 'secondary_rate_limited',
+  FORBIDDEN: 'forbidden',
+  SSO_REQUIRED: 'sso_required',
+  NETWORK_ERROR: 'network_error',
+  HTTP_ERROR: 'http_error',
+};
+
+export class GitHubError extends Error {
+  constructor(message, { status = null, code = ERROR_CODES.HTTP_ERROR, resetAt = null, details = {} } = {}) {
+    super(message);
+    this.name = 'GitHubError';
+    this.status = status;
+    this.code = code;
+    // Epoch milliseconds after which a rate-limited request may be retried
+    this.resetAt = resetAt;
+    // Values interpolated into the message (e.g. `{ url }`, `{ host }`), so callers can rephrase it
+    this.details = details;
+  }
+}
+
+export const isRateLimitError = (err) =>
+  err instanceof GitHubError && (err.code === ERROR_CODES.RATE_LIMITED || err.code === ERROR_CODES.SECONDARY_RATE_LIMITED);
+
+// Read the X-RateLimit-* headers; null when the response carries none (e.g. network errors)
+export const parseRateLimit = (headers) => {
+  const limit = headers.get('X-RateLimit-Limit');
+  const remaining = headers.get('X-RateLimit-Remaining');
+  if (limit === null || remaining === null) return null;
+
+  const reset = Number(headers.get('X-RateLimit-Reset'));
+  return {
+    limit: Number(limit),
+    remaining: Number(remaining),
+    used: Number(headers.get('X-RateLimit-Used')) || Number(limit) - Number(remaining),
+    resetAt: reset ? reset * 1000 : null,
+    resource: headers.get('X-RateLimit-Resource') || 'core',
+  };
+};
+
+export const formatRetryTime = (resetAt, now = Date.now()) => {
+  const minutes = Math.max(1, Math.ceil((resetAt - now) / 60000));
+  const time = new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${time} (in ${minutes} minute${minutes === 1 ? '' : 's'})`;
+};
+
+const readErrorMessage = async (response) => {
+  try {
+    const body = await response.json();
+    return body?.message || '';
+  } catch (err) {
+    return '';
+  }
+};
+
+// `X-GitHub-SSO: required; url=<authorize url>` is sent when a token hasn't been authorized for an
+// organization that enforces SAML single sign-on
+const parseSsoHeader = (headers) => {
+  const header = headers.get('X-GitHub-SSO');
+  if (!header || !/^\s*required/i.test(header)) return null;
+  const match = header.match(/url=(\S+)/);
+  return { url: match ? match[1] : null };
+};
+
+// Map a failed response to a typed error. A 403 is only a rate limit when the quota is actually
+// exhausted; secondary (abuse) limits come with Retry-After, anything else is a real permission error.
+// Messages don't assume where the client runs; the app and the CLI rephrase them from `code` and
+// `details` with advice that fits (e.g. where to enter a token).
+export const errorFromResponse = async (response, { notFoundMessage = "User not found. Check the username." } = {}) => {
+  if (response.status === 404) {
+    return new GitHubError(notFoundMessage, { status: 404, code: ERROR_CODES.NOT_FOUND });
+  }
+  if (response.status === 401) {
+    return new GitHubError("Invalid GitHub Token.", { status: 401, code: ERROR_CODES.UNAUTHORIZED });
+  }
+
+  if (response.status === 403 || response.status === 429) {
+    const message = await readErrorMessage(response);
+    const rateLimit = parseRateLimit(response.headers);
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    const sso = parseSsoHeader(response.headers);
+
+    if (sso) {
+      return new GitHubError(
+        `This token must be authorized for the organization's SAML single sign-on. Authorize it ${sso.url ? `at ${sso.url}` : 'in your token settings'} and try again.`,
+        { status: response.status, code: ERROR_CODES.SSO_REQUIRED, details: { url: sso.url } }
+      );
+    }
+
+    if (rateLimit && rateLimit.remaining === 0) {
+      const resetAt = rateLimit.resetAt || Date.now() + 60000;
+      return new GitHubError(
+        `API rate limit exceeded. You can retry at ${formatRetryTime(resetAt)}, or use a GitHub token for a higher limit.`,
+        { status: response.status, code: ERROR_CODES.RATE_LIMITED, resetAt }
+      );
+    }
+
+    if (retryAfter || /secondary rate limit/i.test(message) || response.status === 429) {
+      const resetAt = Date.now() + (retryAfter || 60) * 1000;
+      return new GitHubError(
+        `GitHub's secondary rate limit was triggered by too many requests in a short time. You can retry at ${formatRetryTime(resetAt)}.`,
+        { status: response.status, code: ERROR_CODES.SECONDARY_RATE_LIMITED, resetAt }
+      );
+    }
+
+    return new GitHubError(
+      `Access forbidden${message ? `: ${message}` : '.'}`,
+      { status: response.status, code: ERROR_CODES.FORBIDDEN, details: { message } }
+    );
+  }
+
+  return new GitHubError(`GitHub API Error: ${response.status} ${response.statusText}`, { status: response.status });
+};
+
+const ORG_NOT_FOUND_MESSAGE = "Organization not found. Check the organization name.";
+
+// GitHub caps list endpoints at 100 items per page
+const PER_PAGE = 100;
+
+// Parse `<url>; rel="next", <url>; rel="last"` into `{ next, last }`
+export const parseLinkHeader = (header) => {
+  const links = {};
+  (header || '').split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  });
+  return links;
+};
+
+const pageOf = (url) => Number(new URL(url).searchParams.get('page')) || null;
+
+// The contents API returns files base64-encoded with line breaks every 60 characters
+const decodeBase64Utf8 = (content) => {
+  const binary = atob(content.replace(/\s/g, ''));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+
+// Short SHA-256 fingerprint of a token, so things can be keyed by token without storing it.
+// Null where Web Crypto is unavailable (pages served over plain http).
+export const fingerprintToken = async (token) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].slice(0, 12).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Cache keys are `<scope> <url>`: this scope for anonymous requests, `auth:<fingerprint>` otherwise
+export const ANONYMOUS_CACHE_SCOPE = 'anon';
+
+export const isAuthenticatedCacheKey = (key) => !key.startsWith(`${ANONYMOUS_CACHE_SCOPE} `);
+
+// GitHub computes repository statistics in the background and answers 202 until they are ready
+const STATS_RETRY_DELAYS_MS = [2000, 4000, 8000];
+
+// Run `fn` over `items` with at most `concurrency` calls pending, preserving input order
+export const mapConcurrent = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  // The first rejection stops every worker from starting another item, so an auth or rate-limit
+  // error doesn't keep the remaining workers sending requests that will fail the same way
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
+
+// `cache` is an optional `{ get, put }` store (see lib/cache.js). When given, responses are
+// revalidated with If-None-Match/If-Modified-Since, and the cached body is served (reported
+// through `onCacheFallback(entry)`) if the network fails or the rate limit is exhausted.
+// `onRateLimit(rateLimit)` receives the parsed quota headers of every response.
+export const createGitHubClient = ({
+  token = '',
+  baseUrl = DEFAULT_API_BASE_URL,
+  fetchImpl = (...args) => fetch(...args),
+  cache = null,
+  onCacheFallback = () => {},
+  onRateLimit = () => {},
+} = {}) => {
+  const headers = { Accept: 'application/vnd.github+json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  let lastRateLimit = null;
+
+  const getRateLimit = () => lastRateLimit;
+
+  const trackRateLimit = (response) => {
+    const rateLimit = parseRateLimit(response.headers);
+    if (rateLimit) {
+      lastRateLimit = rateLimit;
+      onRateLimit(rateLimit);
+    }
+  };
+
+  const resolveUrl = (path) => (/^https?:\/\//.test(path) ? path : `${baseUrl.replace(/\/+$/, '')}${path}`);
+
+  // Entries are scoped to the token that fetched them, so one token's private data is never
+  // revalidated against or served to another. Without a fingerprint, authenticated requests skip the cache.
+  let cacheScope = null;
+  const getCacheScope = () => {
+    if (!cacheScope) {
+      cacheScope = token
+        ? fingerprintToken(token).then(fingerprint => (fingerprint ? `auth:${fingerprint}` : null), () => null)
+        : Promise.resolve(ANONYMOUS_CACHE_SCOPE);
+    }
+    return cacheScope;
+  };
+
+  const readCache = async (key) => {
+    if (!cache || !key) return null;
+    try {
+      return await cache.get(key);
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const writeCache = (key, entry) => {
+    if (!cache || !key) return;
+    cache.put(key, entry).catch(() => {});
+  };
+
+  // Returns the parsed body plus the Link header, which pagination needs even for cached pages
+  const send = async (path, { signal, notFoundMessage } = {}) => {
+    const url = resolveUrl(path);
+    const scope = cache ? await getCacheScope() : null;
+    const cacheKey = scope ? `${scope} ${url}` : null;
+    const cached = await readCache(cacheKey);
+
+    const requestHeaders = { ...headers };
+    if (cached?.etag) {
+      requestHeaders['If-None-Match'] = cached.etag;
+    } else if (cached?.lastModified) {
+      requestHeaders['If-Modified-Since'] = cached.lastModified;
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(url, { headers: requestHeaders, signal });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      if (cached) {
+        onCacheFallback(cached);
+        return cached;
+      }
+      // Browsers hide the reason (DNS, VPN, TLS or CORS); `enterprise` lets the app mention CORS,
+      // which only matters for self-hosted servers
+      const host = new URL(url).host;
+      const enterprise = baseUrl !== DEFAULT_API_BASE_URL;
+      throw new GitHubError(
+        `Could not reach ${host}. Check the API URL and your network or VPN connection.`,
+        { code: ERROR_CODES.NETWORK_ERROR, details: { host, enterprise } }
+      );
+    }
+
+    trackRateLimit(response);
+
+    // Not modified: conditional requests don't count against the rate limit
+    if (response.status === 304 && cached) {
+      const refreshed = { ...cached, link: response.headers.get('Link') ?? cached.link, cachedAt: Date.now() };
+      writeCache(cacheKey, refreshed);
+      return refreshed;
+    }
+
+    if (!response.ok) {
+      const error = await errorFromResponse(response, { notFoundMessage });
+      if (cached && isRateLimitError(error)) {
+        onCacheFallback(cached);
+        return cached;
+      }
+      throw error;
+    }
+
+    // 204 No Content, e.g. the contributors of an empty repository
+    const body = response.status === 204 ? null : await response.json();
+    const link = response.headers.get('Link');
+    const etag = response.headers.get('ETag');
+    const lastModified = response.headers.get('Last-Modified');
+    if (etag || lastModified) {
+      writeCache(cacheKey, { url, etag, lastModified, link, body, cachedAt: Date.now() });
+    }
+    return { body, link };
+  };
+
+  const request = async (path, options) => (await send(path, options)).body;
+
+  // Follow the Link header until the last page. `onPage({ page, totalPages, items })` fires after
+  // every page with everything collected so far; totalPages comes from rel="last" when GitHub sends it.
+  const paginate = async (path, { signal, notFoundMessage, onPage } = {}) => {
+    const separator = path.includes('?') ? '&' : '?';
+    let url = `${path}${separator}per_page=${PER_PAGE}`;
+    let page = 0;
+    let totalPages = null;
+    let items = [];
+
+    while (url) {
+      const { body, link } = await send(url, { signal, notFoundMessage });
+      const links = parseLinkHeader(link);
+      page += 1;
+      items = items.concat(body);
+
+      if (links.last) {
+        totalPages = pageOf(links.last) || totalPages;
+      } else if (!links.next) {
+        totalPages = page;
+      }
+
+      if (onPage) {
+        onPage({ page, totalPages: Math.max(totalPages || page, page), items });
+      }
+      url = links.next || null;
+    }
+
+    return items;
+  };
+
+  const getUser = (username, options) => request(`/users/${encodeURIComponent(username)}`, options);
+
+  const listUserRepos = (username, options) =>
+    paginate(`/users/${encodeURIComponent(username)}/repos?sort=updated`, options);
+
+  // The token's own account. Not cached: it's how a token is validated, so it must hit the network.
+  // `scopes` comes from X-OAuth-Scopes and is null for fine-grained tokens, which don't report any.
+  const getAuthenticatedUser = async ({ signal } = {}) => {
+    const response = await fetchImpl(resolveUrl('/user'), { headers, signal });
+    trackRateLimit(response);
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+
+    const scopesHeader = response.headers.get('X-OAuth-Scopes');
+    return {
+      user: await response.json(),
+      scopes: scopesHeader === null ? null : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean),
+    };
+  };
+
+  // Repositories owned by the token's account, private ones included
+  const listAuthenticatedUserRepos = (options) =>
+    paginate('/user/repos?affiliation=owner&visibility=all&sort=updated', options);
+
+  // Public events from the last 90 days; GitHub serves at most 300 of them
+  const listUserEvents = (username, options) =>
+    paginate(`/users/${encodeURIComponent(username)}/events/public`, options);
+
+  // Issue/PR search, e.g. `type:pr author:octocat is:merged`. Returns `{ total_count, items }`;
+  // searches have their own, much smaller rate limit (the "search" resource).
+  const searchIssues = (query, { perPage = 30, ...options } = {}) =>
+    request(`/search/issues?q=${encodeURIComponent(query)}&per_page=${perPage}`, options);
+
+  const getRepo = (fullName, options) => request(`/repos/${fullName}`, options);
+
+  const getOrg = (org, options) =>
+    request(`/orgs/${encodeURIComponent(org)}`, { notFoundMessage: ORG_NOT_FOUND_MESSAGE, ...options });
+
+  const listOrgRepos = (org, options) =>
+    paginate(`/orgs/${encodeURIComponent(org)}/repos?sort=updated`, { notFoundMessage: ORG_NOT_FOUND_MESSAGE, ...options });
+
+  const listOrgMembers = (org, options) =>
+    paginate(`/orgs/${encodeURIComponent(org)}/public_members`, { notFoundMessage: ORG_NOT_FOUND_MESSAGE, ...options });
+
+  const getRepoContents = (fullName, path = '', options) =>
+    request(`/repos/${fullName}/contents/${path.split('/').map(encodeURIComponent).join('/')}`, options);
+
+  const getFileText = async (fullName, path, options) => {
+    const file = await getRepoContents(fullName, path, options);
+    return file.encoding === 'base64' ? decodeBase64Utf8(file.content) : file.content;
+  };
+
+  const getRepoLanguages = (repo, options) =>
+    request(repo.languages_url || `/repos/${repo.full_name}/languages`, options);
+
+  // Read the /languages map of every repo with a bounded number of requests in flight.
+  // The result lines up with `repos`; empty or unavailable repos yield null, while auth and
+  // rate-limit errors abort the scan.
+  const listRepoLanguages = (repos, { concurrency = 8, signal } = {}) =>
+    mapConcurrent(repos, concurrency, async (repo) => {
+      try {
+        return await getRepoLanguages(repo, { signal });
+      } catch (err) {
+        if (err instanceof GitHubError && !isRateLimitError(err) && err.code !== ERROR_CODES.UNAUTHORIZED) {
+          return null;
+        }
+        throw err;
+      }
+    });
+
+  // Top contributors by commit count; empty repositories have none
+  const listContributors = async (fullName, { perPage = 10, ...options } = {}) =>
+    (await request(`/repos/${fullName}/contributors?per_page=${perPage}`, options)) || [];
+
+  const listReleases = (fullName, { perPage = 5, ...options } = {}) =>
+    request(`/repos/${fullName}/releases?per_page=${perPage}`, options);
+
+  // The detected license file, or null when the repository has none
+  const getRepoLicense = async (fullName, options) => {
+    try {
+      return await request(`/repos/${fullName}/license`, options);
+    } catch (err) {
+      if (err instanceof GitHubError && err.code === ERROR_CODES.NOT_FOUND) return null;
+      throw err;
+    }
+  };
+
+  // Commits per week for the last year (`[{ week, total, days }]`, oldest first). Not cached, since
+  // a 202 "still computing" answer must not be stored; resolves to null if GitHub is still
+  // computing after the retries.
+  const getCommitActivity = async (fullName, { signal } = {}) => {
+    for (let attempt = 0; ; attempt += 1) {
+      let response;
+      try {
+        response = await fetchImpl(resolveUrl(`/repos/${fullName}/stats/commit_activity`), { headers, signal });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw new GitHubError(`Could not reach ${new URL(resolveUrl('/')).host}.`, { code: ERROR_CODES.NETWORK_ERROR });
+      }
+      trackRateLimit(response);
+
+      if (response.status === 204) return [];
+      if (response.status !== 202) {
+        if (!response.ok) throw await errorFromResponse(response);
+        return response.json();
+      }
+      if (attempt >= STATS_RETRY_DELAYS_MS.length) return null;
+      await sleep(STATS_RETRY_DELAYS_MS[attempt], signal);
+    }
+  };
+
+  return {
+    getRateLimit,
+    request,
+    paginate,
+    getUser,
+    listUserRepos,
+    getAuthenticatedUser,
+    listAuthenticatedUserRepos,
+    getOrg,
+    listOrgRepos,
+    listOrgMembers,
+    listUserEvents,
+    searchIssues,
+    getRepo,
+    getRepoContents,
+    getFileText,
+    getRepoLanguages,
+    listRepoLanguages,
+    listContributors,
+    listReleases,
+    getRepoLicense,
+    getCommitActivity,
+  };
+};
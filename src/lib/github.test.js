@@ -0,0 +1,339 @@
+import { describe, expect, it, vi } from 'vitest';
+import { ERROR_CODES, GitHubError, createGitHubClient, mapConcurrent, parseLinkHeader } from './github.js';
+import user from './__fixtures__/github/user.json';
+import reposPage1 from './__fixtures__/github/repos-page-1.json';
+import reposPage2 from './__fixtures__/github/repos-page-2.json';
+import rateLimited from './__fixtures__/github/rate-limited.json';
+import secondaryRateLimited from './__fixtures__/github/secondary-rate-limited.json';
+import forbidden from './__fixtures__/github/forbidden.json';
+import notFound from './__fixtures__/github/not-found.json';
+import badCredentials from './__fixtures__/github/bad-credentials.json';
+
+const API = 'https://api.github.com';
+const RESET_EPOCH_SECONDS = 1893456000;
+
+const rateLimitHeaders = (remaining, limit = 60) => ({
+  'X-RateLimit-Limit': String(limit),
+  'X-RateLimit-Remaining': String(remaining),
+  'X-RateLimit-Reset': String(RESET_EPOCH_SECONDS),
+  'X-RateLimit-Resource': 'core',
+});
+
+const fixtureResponse = (body, { status = 200, headers = {} } = {}) =>
+  new Response(body === null ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+
+// Serves queued responses per URL and records every request, so tests never touch the network
+const createFixtureFetch = (routes) => {
+  const queues = Object.fromEntries(Object.entries(routes).map(([url, responses]) => [url, [...responses]]));
+  const calls = [];
+  const fetchImpl = vi.fn(async (url, init = {}) => {
+    calls.push({ url, headers: init.headers || {} });
+    const next = queues[url]?.shift();
+    if (!next) throw new TypeError(`Unexpected request: ${url}`);
+    return typeof next === 'function' ? next() : next;
+  });
+  return { fetchImpl, calls };
+};
+
+const createMemoryCache = () => {
+  const entries = new Map();
+  return {
+    entries,
+    get: async (key) => entries.get(key) ?? null,
+    put: async (key, entry) => {
+      entries.set(key, entry);
+    },
+  };
+};
+
+describe('parseLinkHeader', () => {
+  it('reads every rel from the header', () => {
+    const links = parseLinkHeader(
+      `<${API}/user/583231/repos?per_page=100&page=2>; rel="next", <${API}/user/583231/repos?per_page=100&page=3>; rel="last"`
+    );
+    expect(links).toEqual({
+      next: `${API}/user/583231/repos?per_page=100&page=2`,
+      last: `${API}/user/583231/repos?per_page=100&page=3`,
+    });
+  });
+
+  it('returns an empty object without a header', () => {
+    expect(parseLinkHeader(null)).toEqual({});
+  });
+});
+
+describe('createGitHubClient', () => {
+  it('sends the token as a bearer header', async () => {
+    const { fetchImpl, calls } = createFixtureFetch({
+      [`${API}/users/octocat`]: [() => fixtureResponse(user, { headers: rateLimitHeaders(4999, 5000) })],
+    });
+    const client = createGitHubClient({ token: 'ghp_fixture', fetchImpl });
+
+    await expect(client.getUser('octocat')).resolves.toEqual(user);
+    expect(calls[0].headers.Authorization).toBe('Bearer ghp_fixture');
+    expect(client.getRateLimit()).toMatchObject({ limit: 5000, remaining: 4999, resetAt: RESET_EPOCH_SECONDS * 1000 });
+  });
+
+  describe('pagination', () => {
+    it('follows rel="next" until the last page and reports progress', async () => {
+      const page2Url = `${API}/user/583231/repos?sort=updated&per_page=100&page=2`;
+      const { fetchImpl, calls } = createFixtureFetch({
+        [`${API}/users/octocat/repos?sort=updated&per_page=100`]: [
+          () => fixtureResponse(reposPage1, {
+            headers: { Link: `<${page2Url}>; rel="next", <${page2Url}>; rel="last"` },
+          }),
+        ],
+        [page2Url]: [
+          () => fixtureResponse(reposPage2, {
+            headers: { Link: `<${API}/user/583231/repos?sort=updated&per_page=100&page=1>; rel="first"` },
+          }),
+        ],
+      });
+      const onPage = vi.fn();
+      const client = createGitHubClient({ fetchImpl });
+
+      const repos = await client.listUserRepos('octocat', { onPage });
+
+      expect(repos.map(repo => repo.name)).toEqual(['Hello-World', 'boysenberry-repo-1', 'git-consortium']);
+      expect(calls.map(call => call.url)).toEqual([`${API}/users/octocat/repos?sort=updated&per_page=100`, page2Url]);
+      expect(onPage.mock.calls.map(([progress]) => [progress.page, progress.totalPages, progress.items.length])).toEqual([
+        [1, 2, 2],
+        [2, 2, 3],
+      ]);
+    });
+
+    it('stops after a single page without a Link header', async () => {
+      const { fetchImpl } = createFixtureFetch({
+        [`${API}/users/octocat/repos?sort=updated&per_page=100`]: [() => fixtureResponse(reposPage2)],
+      });
+      const client = createGitHubClient({ fetchImpl });
+
+      await expect(client.listUserRepos('octocat')).resolves.toEqual(reposPage2);
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('conditional requests', () => {
+    it('revalidates with the stored ETag and serves the cached body on 304', async () => {
+      const { fetchImpl, calls } = createFixtureFetch({
+        [`${API}/users/octocat`]: [
+          () => fixtureResponse(user, { headers: { ETag: 'W/"abc123"' } }),
+          () => fixtureResponse(null, { status: 304, headers: { ETag: 'W/"abc123"' } }),
+        ],
+      });
+      const cache = createMemoryCache();
+      const client = createGitHubClient({ fetchImpl, cache });
+
+      await expect(client.getUser('octocat')).resolves.toEqual(user);
+      expect(calls[0].headers['If-None-Match']).toBeUndefined();
+
+      await expect(client.getUser('octocat')).resolves.toEqual(user);
+      expect(calls[1].headers['If-None-Match']).toBe('W/"abc123"');
+    });
+
+    it('falls back to If-Modified-Since when only Last-Modified was sent', async () => {
+      const lastModified = 'Fri, 01 Mar 2024 12:00:00 GMT';
+      const { fetchImpl, calls } = createFixtureFetch({
+        [`${API}/users/octocat`]: [
+          () => fixtureResponse(user, { headers: { 'Last-Modified': lastModified } }),
+          () => fixtureResponse(null, { status: 304 }),
+        ],
+      });
+      const client = createGitHubClient({ fetchImpl, cache: createMemoryCache() });
+
+      await client.getUser('octocat');
+      await client.getUser('octocat');
+      expect(calls[1].headers['If-Modified-Since']).toBe(lastModified);
+    });
+
+    it('serves the cached body when the rate limit is exhausted', async () => {
+      const { fetchImpl } = createFixtureFetch({
+        [`${API}/users/octocat`]: [
+          () => fixtureResponse(user, { headers: { ETag: '"v1"' } }),
+          () => fixtureResponse(rateLimited, { status: 403, headers: rateLimitHeaders(0) }),
+        ],
+      });
+      const onCacheFallback = vi.fn();
+      const client = createGitHubClient({ fetchImpl, cache: createMemoryCache(), onCacheFallback });
+
+      await client.getUser('octocat');
+      await expect(client.getUser('octocat')).resolves.toEqual(user);
+      expect(onCacheFallback).toHaveBeenCalledWith(expect.objectContaining({ etag: '"v1"' }));
+    });
+
+    it('keeps anonymous entries and each token\'s entries apart', async () => {
+      const cache = createMemoryCache();
+      const { fetchImpl, calls } = createFixtureFetch({
+        [`${API}/users/octocat`]: [
+          () => fixtureResponse(user, { headers: { ETag: '"anon"' } }),
+          () => fixtureResponse(user, { headers: { ETag: '"first"' } }),
+          () => fixtureResponse(user, { headers: { ETag: '"second"' } }),
+        ],
+      });
+
+      await createGitHubClient({ fetchImpl, cache }).getUser('octocat');
+      await createGitHubClient({ token: 'ghp_first', fetchImpl, cache }).getUser('octocat');
+      await createGitHubClient({ token: 'ghp_second', fetchImpl, cache }).getUser('octocat');
+
+      const keys = [...cache.entries.keys()];
+      expect(keys).toHaveLength(3);
+      expect(keys[0]).toBe(`anon ${API}/users/octocat`);
+      expect(keys[1]).toMatch(/^auth:[0-9a-f]{24} /);
+      expect(keys.join(' ')).not.toContain('ghp_');
+      expect(calls.map(call => call.headers['If-None-Match'])).toEqual([undefined, undefined, undefined]);
+    });
+
+    it('never falls back to another token\'s cached response', async () => {
+      const cache = createMemoryCache();
+      const { fetchImpl } = createFixtureFetch({
+        [`${API}/users/octocat`]: [
+          () => fixtureResponse(user, { headers: { ETag: '"first"' } }),
+          () => fixtureResponse(rateLimited, { status: 403, headers: rateLimitHeaders(0) }),
+        ],
+      });
+      const onCacheFallback = vi.fn();
+
+      await createGitHubClient({ token: 'ghp_first', fetchImpl, cache }).getUser('octocat');
+      await expect(createGitHubClient({ token: 'ghp_second', fetchImpl, cache, onCacheFallback }).getUser('octocat'))
+        .rejects.toMatchObject({ code: ERROR_CODES.RATE_LIMITED });
+      expect(onCacheFallback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('errors', () => {
+    const failWith = (body, options) => {
+      const { fetchImpl } = createFixtureFetch({
+        [`${API}/users/octocat`]: [() => fixtureResponse(body, options)],
+      });
+      return createGitHubClient({ fetchImpl }).getUser('octocat');
+    };
+
+    it('maps 404 to NOT_FOUND', async () => {
+      await expect(failWith(notFound, { status: 404 })).rejects.toMatchObject({
+        name: 'GitHubError',
+        status: 404,
+        code: ERROR_CODES.NOT_FOUND,
+      });
+    });
+
+    it('maps 401 to UNAUTHORIZED', async () => {
+      await expect(failWith(badCredentials, { status: 401 })).rejects.toMatchObject({
+        status: 401,
+        code: ERROR_CODES.UNAUTHORIZED,
+      });
+    });
+
+    it('maps a 403 with no remaining quota to RATE_LIMITED with the reset time', async () => {
+      const error = await failWith(rateLimited, { status: 403, headers: rateLimitHeaders(0) }).catch(err => err);
+      expect(error).toBeInstanceOf(GitHubError);
+      expect(error.code).toBe(ERROR_CODES.RATE_LIMITED);
+      expect(error.resetAt).toBe(RESET_EPOCH_SECONDS * 1000);
+    });
+
+    it('maps a 403 with Retry-After to SECONDARY_RATE_LIMITED', async () => {
+      const error = await failWith(secondaryRateLimited, {
+        status: 403,
+        headers: { ...rateLimitHeaders(42), 'Retry-After': '30' },
+      }).catch(err => err);
+      expect(error.code).toBe(ERROR_CODES.SECONDARY_RATE_LIMITED);
+      expect(error.resetAt).toBeGreaterThan(Date.now());
+    });
+
+    it('maps 429 to SECONDARY_RATE_LIMITED', async () => {
+      await expect(failWith(secondaryRateLimited, { status: 429 })).rejects.toMatchObject({
+        code: ERROR_CODES.SECONDARY_RATE_LIMITED,
+      });
+    });
+
+    it('maps an SSO challenge to SSO_REQUIRED with the authorization url', async () => {
+      const url = 'https://github.com/orgs/acme/sso?authorization_request=fixture';
+      await expect(failWith(forbidden, {
+        status: 403,
+        headers: { ...rateLimitHeaders(4000, 5000), 'X-GitHub-SSO': `required; url=${url}` },
+      })).rejects.toMatchObject({ code: ERROR_CODES.SSO_REQUIRED, details: { url } });
+    });
+
+    it('maps any other 403 to FORBIDDEN with the API message', async () => {
+      await expect(failWith(forbidden, { status: 403, headers: rateLimitHeaders(4000, 5000) })).rejects.toMatchObject({
+        code: ERROR_CODES.FORBIDDEN,
+        details: { message: forbidden.message },
+      });
+    });
+
+    it('maps other failures to HTTP_ERROR', async () => {
+      await expect(failWith({ message: 'Server Error' }, { status: 500 })).rejects.toMatchObject({
+        status: 500,
+        code: ERROR_CODES.HTTP_ERROR,
+      });
+    });
+
+    it('maps a failed fetch to NETWORK_ERROR', async () => {
+      const fetchImpl = vi.fn(async () => {
+        throw new TypeError('Failed to fetch');
+      });
+      await expect(createGitHubClient({ fetchImpl }).getUser('octocat')).rejects.toMatchObject({
+        code: ERROR_CODES.NETWORK_ERROR,
+        details: { host: 'api.github.com', enterprise: false },
+      });
+    });
+
+    it('uses the organization message for a missing organization', async () => {
+      const { fetchImpl } = createFixtureFetch({
+        [`${API}/orgs/acme`]: [() => fixtureResponse(notFound, { status: 404 })],
+      });
+      await expect(createGitHubClient({ fetchImpl }).getOrg('acme')).rejects.toThrow(/Organization not found/);
+    });
+  });
+
+  describe('listRepoLanguages', () => {
+    it('skips unavailable repositories but stops on a rate limit', async () => {
+      const [helloWorld, boysenberry, consortium] = [...reposPage1, ...reposPage2];
+      const { fetchImpl } = createFixtureFetch({
+        [helloWorld.languages_url]: [() => fixtureResponse({ JavaScript: 1200, CSS: 300 })],
+        [boysenberry.languages_url]: [() => fixtureResponse(notFound, { status: 404 })],
+        [consortium.languages_url]: [() => fixtureResponse({ Python: 800 })],
+      });
+      const client = createGitHubClient({ fetchImpl });
+
+      await expect(client.listRepoLanguages([helloWorld, boysenberry, consortium], { concurrency: 2 })).resolves.toEqual([
+        { JavaScript: 1200, CSS: 300 },
+        null,
+        { Python: 800 },
+      ]);
+
+      const limited = createFixtureFetch({
+        [helloWorld.languages_url]: [() => fixtureResponse(rateLimited, { status: 403, headers: rateLimitHeaders(0) })],
+      });
+      await expect(createGitHubClient({ fetchImpl: limited.fetchImpl }).listRepoLanguages([helloWorld, boysenberry, consortium], { concurrency: 1 }))
+        .rejects.toMatchObject({ code: ERROR_CODES.RATE_LIMITED });
+      expect(limited.fetchImpl).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('mapConcurrent', () => {
+  it('keeps input order regardless of completion order', async () => {
+    const delays = [30, 5, 15];
+    const results = await mapConcurrent(delays, 2, (ms, index) =>
+      new Promise(resolve => setTimeout(() => resolve(index), ms)));
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  it('stops starting new items after the first failure', async () => {
+    const started = [];
+    const run = mapConcurrent([1, 2, 3, 4, 5, 6], 2, async (item) => {
+      started.push(item);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      if (item === 1) throw new Error('boom');
+      return item;
+    });
+
+    await expect(run).rejects.toThrow('boom');
+    // Only the item already in flight on the other worker finishes
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(started).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,62 @@
+// GitHub.com vs GitHub Enterprise Server hosts: normalising user-entered API URLs, deriving the
+// matching web URL and remembering which host each token belongs to.
+import { DEFAULT_API_BASE_URL, fingerprintToken } from './github.js';
+
+const DEFAULT_WEB_URL = 'https://github.com';
+const TOKEN_HOSTS_KEY = 'gitlang.tokenHosts';
+
+// Accept "ghe.example.com", "https://ghe.example.com" or the full ".../api/v3" URL
+export const normalizeApiBaseUrl = (input) => {
+  const value = (input || '').trim().replace(/\/+$/, '');
+  if (!value) return DEFAULT_API_BASE_URL;
+
+  const withProtocol = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+  let url;
+  try {
+    url = new URL(withProtocol);
+  } catch (err) {
+    throw new Error(`"${input}" is not a valid URL.`);
+  }
+
+  if (url.hostname === 'github.com' || url.hostname === 'api.github.com' || url.hostname === 'www.github.com') {
+    return DEFAULT_API_BASE_URL;
+  }
+
+  const path = url.pathname.replace(/\/+$/, '');
+  return `${url.origin}${path.endsWith('/api/v3') ? path : `${path}/api/v3`}`;
+};
+
+export const isEnterpriseApi = (apiBaseUrl) => normalizeApiBaseUrl(apiBaseUrl) !== DEFAULT_API_BASE_URL;
+
+// Web UI root for an API base URL: https://ghe.example.com/api/v3 -> https://ghe.example.com
+export const webUrlForApi = (apiBaseUrl) => {
+  const normalized = normalizeApiBaseUrl(apiBaseUrl);
+  return normalized === DEFAULT_API_BASE_URL ? DEFAULT_WEB_URL : normalized.replace(/\/api\/v3$/, '');
+};
+
+export const hostLabel = (apiBaseUrl) => new URL(webUrlForApi(apiBaseUrl)).host;
+
+// Keyed by token fingerprint; tokens themselves are never stored here
+const readTokenHosts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TOKEN_HOSTS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+export const recallTokenHost = async (token) => {
+  if (!token || typeof crypto === 'undefined' || !crypto.subtle) return null;
+  return readTokenHosts()[await fingerprintToken(token)] || null;
+};
+
+export const rememberTokenHost = async (token, apiBaseUrl) => {
+  if (!token || typeof crypto === 'undefined' || !crypto.subtle) return;
+  const hosts = readTokenHosts();
+  hosts[await fingerprintToken(token)] = normalizeApiBaseUrl(apiBaseUrl);
+  try {
+    localStorage.setItem(TOKEN_HOSTS_KEY, JSON.stringify(hosts));
+  } catch (err) {
+    // Storage may be full or disabled; remembering the host is best effort
+  }
+};
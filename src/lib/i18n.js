@@ -0,0 +1,65 @@
+// Translation and locale-aware formatting helpers. Catalogs (src/locales) are flat maps from keys
+// such as 'search.analyze' to strings with {placeholders}; a value can also be an object of
+// Intl.PluralRules categories ({ one, other, ... }) chosen by the `count` parameter.
+
+export const DEFAULT_LOCALE = 'en';
+
+export const SUPPORTED_LOCALES = {
+  en: { label: 'English', dir: 'ltr' },
+  es: { label: 'Español', dir: 'ltr' },
+  ar: { label: 'العربية', dir: 'rtl' },
+};
+
+export const isSupportedLocale = (locale) => Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, locale);
+
+export const directionOf = (locale) => SUPPORTED_LOCALES[locale]?.dir || 'ltr';
+
+// ?lang= wins, then the browser's preferred languages, then English
+export const resolveLocale = (search = '', preferred = []) => {
+  const param = new URLSearchParams(search).get('lang');
+  if (isSupportedLocale(param)) return param;
+  const match = preferred.map(tag => tag.toLowerCase().split('-')[0]).find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+};
+
+export const interpolate = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+
+// Missing keys fall back to the English catalog and finally to the key itself
+export const createTranslator = (locale, catalog, fallbackCatalog = {}) => {
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  return (key, params = {}) => {
+    let message = catalog[key] ?? fallbackCatalog[key] ?? key;
+    if (typeof message === 'object') {
+      const category = params.count === undefined ? 'other' : pluralRules.select(params.count);
+      message = message[category] ?? message.other;
+    }
+    // Counts are interpolated already formatted for the locale
+    const formatted = typeof params.count === 'number' ? { ...params, count: numberFormat.format(params.count) } : params;
+    return interpolate(message, formatted);
+  };
+};
+
+export const createFormatters = (locale) => {
+  const number = new Intl.NumberFormat(locale);
+  const decimal = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+  const percent = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 });
+  const date = new Intl.DateTimeFormat(locale, { dateStyle: 'medium' });
+  const dateTime = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
+  const time = new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit' });
+  const weekday = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' });
+
+  return {
+    formatNumber: (value) => number.format(value || 0),
+    formatDecimal: (value) => decimal.format(value || 0),
+    // `ratio` is 0..1
+    formatPercent: (ratio) => percent.format(ratio || 0),
+    formatDate: (value) => date.format(new Date(value)),
+    formatDateTime: (value) => dateTime.format(new Date(value)),
+    formatTime: (value) => time.format(new Date(value)),
+    // `day` is 0 (Sunday) to 6; 2023-01-01 was a Sunday
+    formatWeekday: (day) => weekday.format(new Date(Date.UTC(2023, 0, 1 + day))),
+  };
+};
@@ -0,0 +1,65 @@
+// Shared IndexedDB connection for everything the app persists in the browser.
+// Each feature owns one object store; add new stores here and bump DB_VERSION.
+
+const DB_NAME = 'gitlang-detector';
+const DB_VERSION = 2;
+
+export const STORES = {
+  RESPONSES: 'responses',
+  SNAPSHOTS: 'snapshots',
+};
+
+let dbPromise = null;
+
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined';
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const openDatabase = () => {
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this environment.'));
+  }
+
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.RESPONSES)) {
+        const store = db.createObjectStore(STORES.RESPONSES, { keyPath: 'key' });
+        store.createIndex('cachedAt', 'cachedAt');
+      }
+      if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+        const store = db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' });
+        store.createIndex('subject', 'subject');
+      }
+    };
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run `fn(store)` inside a transaction and resolve with the value of the request it returns
+export const withStore = async (storeName, mode, fn) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    let result;
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
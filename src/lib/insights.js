@@ -0,0 +1,84 @@
+// Derived "insight" metrics for a set of repositories: how spread out the languages are, how much
+// of the work is original, how recently it was touched and how stars are distributed. Pure
+// functions over the same repo objects and `{ name, value }` language entries used in analysis.js.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows used for the recent-activity ratios
+export const ACTIVITY_WINDOWS_DAYS = [30, 90, 365];
+
+const toProportions = (entries) => {
+  const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+  return total ? entries.map(entry => entry.value / total).filter(p => p > 0) : [];
+};
+
+// Shannon entropy in bits, plus the same value normalised by its maximum (log2 of the language
+// count) so 1 means perfectly even use of every language and 0 means a single language
+export const languageDiversity = (entries) => {
+  const proportions = toProportions(entries);
+  const entropy = proportions.reduce((sum, p) => sum - p * Math.log2(p), 0);
+  const maxEntropy = Math.log2(proportions.length);
+  return {
+    entropy,
+    normalized: maxEntropy > 0 ? entropy / maxEntropy : 0,
+    languageCount: proportions.length,
+  };
+};
+
+// Herfindahl-Hirschman index: the sum of squared shares, from 1/n (even) to 1 (one language)
+export const languageConcentration = (entries) => {
+  const proportions = toProportions(entries);
+  const topEntry = entries.reduce((top, entry) => (!top || entry.value > top.value ? entry : top), null);
+  return {
+    index: proportions.reduce((sum, p) => sum + p * p, 0),
+    primaryLanguage: topEntry?.name || null,
+    primaryShare: proportions.length > 0 ? Math.max(...proportions) : 0,
+  };
+};
+
+export const originalWorkShare = (repos) => {
+  const forks = repos.filter(repo => repo.fork).length;
+  return {
+    original: repos.length - forks,
+    forks,
+    share: repos.length > 0 ? (repos.length - forks) / repos.length : 0,
+  };
+};
+
+// Share of repositories pushed to within each window, measured back from `now`
+export const recentActivity = (repos, { now = Date.now(), windows = ACTIVITY_WINDOWS_DAYS } = {}) =>
+  windows.map(days => {
+    const cutoff = now - days * DAY_MS;
+    const active = repos.filter(repo => repo.pushed_at && new Date(repo.pushed_at).getTime() >= cutoff).length;
+    return { days, active, share: repos.length > 0 ? active / repos.length : 0 };
+  });
+
+// Linear interpolation between closest ranks, so percentile(values, 50) is the usual median
+export const percentile = (sortedValues, p) => {
+  if (sortedValues.length === 0) return 0;
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+};
+
+export const starPercentiles = (repos, points = [50, 75, 90]) => {
+  const stars = repos.map(repo => repo.stargazers_count || 0).sort((a, b) => a - b);
+  return {
+    percentiles: points.map(p => ({ p, value: percentile(stars, p) })),
+    max: stars.length > 0 ? stars[stars.length - 1] : 0,
+    // Share of all stars held by the single most starred repository
+    topShare: stars.length > 0 && stars[stars.length - 1] > 0
+      ? stars[stars.length - 1] / stars.reduce((sum, value) => sum + value, 0)
+      : 0,
+  };
+};
+
+// Everything the insights panel shows. `languages` are the primary-language entries for `repos`.
+export const buildInsights = (repos, languages, options) => ({
+  diversity: languageDiversity(languages),
+  concentration: languageConcentration(languages),
+  originality: originalWorkShare(repos),
+  activity: recentActivity(repos, options),
+  stars: starPercentiles(repos),
+});
@@ -0,0 +1,172 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildInsights,
+  languageConcentration,
+  languageDiversity,
+  originalWorkShare,
+  percentile,
+  recentActivity,
+  starPercentiles,
+} from './insights.js';
+
+const NOW = Date.parse('2024-06-30T00:00:00Z');
+const daysAgo = (days) => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('languageDiversity', () => {
+  it('is maximal for evenly used languages', () => {
+    const diversity = languageDiversity([
+      { name: 'Go', value: 2 },
+      { name: 'Rust', value: 2 },
+      { name: 'Python', value: 2 },
+      { name: 'Ruby', value: 2 },
+    ]);
+    expect(diversity.entropy).toBeCloseTo(2);
+    expect(diversity.normalized).toBeCloseTo(1);
+    expect(diversity.languageCount).toBe(4);
+  });
+
+  it('falls between 0 and 1 for uneven use', () => {
+    const { entropy, normalized } = languageDiversity([{ name: 'Go', value: 3 }, { name: 'Rust', value: 1 }]);
+    expect(entropy).toBeCloseTo(0.8113, 4);
+    expect(normalized).toBeCloseTo(0.8113, 4);
+  });
+
+  it('is zero for a single language', () => {
+    expect(languageDiversity([{ name: 'Go', value: 7 }])).toEqual({ entropy: 0, normalized: 0, languageCount: 1 });
+  });
+
+  it('is zero without any languages', () => {
+    expect(languageDiversity([])).toEqual({ entropy: 0, normalized: 0, languageCount: 0 });
+  });
+
+  it('ignores languages with no repositories', () => {
+    expect(languageDiversity([{ name: 'Go', value: 4 }, { name: 'Rust', value: 0 }]).languageCount).toBe(1);
+  });
+});
+
+describe('languageConcentration', () => {
+  it('is the sum of squared shares with the primary language', () => {
+    expect(languageConcentration([{ name: 'Go', value: 3 }, { name: 'Rust', value: 1 }])).toEqual({
+      index: 0.625,
+      primaryLanguage: 'Go',
+      primaryShare: 0.75,
+    });
+  });
+
+  it('is 1 for a single language', () => {
+    expect(languageConcentration([{ name: 'Go', value: 7 }])).toEqual({ index: 1, primaryLanguage: 'Go', primaryShare: 1 });
+  });
+
+  it('is empty without any languages', () => {
+    expect(languageConcentration([])).toEqual({ index: 0, primaryLanguage: null, primaryShare: 0 });
+  });
+});
+
+describe('originalWorkShare', () => {
+  it('splits original repositories from forks', () => {
+    expect(originalWorkShare([{ fork: false }, { fork: true }, { fork: false }, { fork: false }])).toEqual({
+      original: 3,
+      forks: 1,
+      share: 0.75,
+    });
+  });
+
+  it('is zero for an empty list', () => {
+    expect(originalWorkShare([])).toEqual({ original: 0, forks: 0, share: 0 });
+  });
+});
+
+describe('recentActivity', () => {
+  const repos = [
+    { pushed_at: daysAgo(10) },
+    { pushed_at: daysAgo(60) },
+    { pushed_at: daysAgo(200) },
+    { pushed_at: daysAgo(800) },
+  ];
+
+  it('counts repositories pushed within each window', () => {
+    expect(recentActivity(repos, { now: NOW })).toEqual([
+      { days: 30, active: 1, share: 0.25 },
+      { days: 90, active: 2, share: 0.5 },
+      { days: 365, active: 3, share: 0.75 },
+    ]);
+  });
+
+  it('includes a push exactly on the window boundary', () => {
+    expect(recentActivity([{ pushed_at: daysAgo(30) }], { now: NOW, windows: [30] })).toEqual([
+      { days: 30, active: 1, share: 1 },
+    ]);
+  });
+
+  it('treats repositories without a push date as inactive', () => {
+    expect(recentActivity([{ pushed_at: null }, {}], { now: NOW })).toEqual([
+      { days: 30, active: 0, share: 0 },
+      { days: 90, active: 0, share: 0 },
+      { days: 365, active: 0, share: 0 },
+    ]);
+  });
+
+  it('has zero shares for an empty list', () => {
+    expect(recentActivity([], { now: NOW, windows: [30] })).toEqual([{ days: 30, active: 0, share: 0 }]);
+  });
+});
+
+describe('percentile', () => {
+  it('interpolates between closest ranks', () => {
+    const values = [1, 2, 3, 4];
+    expect(percentile(values, 50)).toBe(2.5);
+    expect(percentile(values, 75)).toBeCloseTo(3.25);
+  });
+
+  it('returns the extremes at 0 and 100', () => {
+    expect(percentile([5, 10, 40], 0)).toBe(5);
+    expect(percentile([5, 10, 40], 100)).toBe(40);
+  });
+
+  it('returns the only value of a single-element list', () => {
+    expect(percentile([7], 90)).toBe(7);
+  });
+
+  it('is zero for an empty list', () => {
+    expect(percentile([], 50)).toBe(0);
+  });
+});
+
+describe('starPercentiles', () => {
+  it('reports percentiles, the maximum and the top repository share', () => {
+    const stats = starPercentiles([{ stargazers_count: 30 }, { stargazers_count: 0 }, { stargazers_count: 10 }, {}]);
+    expect(stats.percentiles.map(({ p }) => p)).toEqual([50, 75, 90]);
+    [5, 15, 24].forEach((value, index) => expect(stats.percentiles[index].value).toBeCloseTo(value));
+    expect(stats.max).toBe(30);
+    expect(stats.topShare).toBe(0.75);
+  });
+
+  it('is zero when nothing has stars', () => {
+    expect(starPercentiles([{ stargazers_count: 0 }])).toMatchObject({ max: 0, topShare: 0 });
+    expect(starPercentiles([])).toMatchObject({ max: 0, topShare: 0 });
+  });
+});
+
+describe('buildInsights', () => {
+  it('handles an empty repository list', () => {
+    expect(buildInsights([], [], { now: NOW })).toEqual({
+      diversity: { entropy: 0, normalized: 0, languageCount: 0 },
+      concentration: { index: 0, primaryLanguage: null, primaryShare: 0 },
+      originality: { original: 0, forks: 0, share: 0 },
+      activity: [
+        { days: 30, active: 0, share: 0 },
+        { days: 90, active: 0, share: 0 },
+        { days: 365, active: 0, share: 0 },
+      ],
+      stars: {
+        percentiles: [
+          { p: 50, value: 0 },
+          { p: 75, value: 0 },
+          { p: 90, value: 0 },
+        ],
+        max: 0,
+        topShare: 0,
+      },
+    });
+  });
+});
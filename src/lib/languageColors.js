@@ -0,0 +1,153 @@
+// Per-language colors from GitHub's linguist (languages.yml), so a language keeps its color across
+// users and charts. Languages missing here get a color picked from their name.
+import { COLORS } from './colors.js';
+
+export const LINGUIST_COLORS = {
+  ABAP: '#E8274B',
+  ActionScript: '#882B0F',
+  Ada: '#02f88c',
+  Agda: '#315665',
+  Apex: '#1797c0',
+  AppleScript: '#101F1F',
+  Assembly: '#6E4C13',
+  Astro: '#ff5a03',
+  AutoHotkey: '#6594b9',
+  Awk: '#c30e9b',
+  Batchfile: '#C1F12E',
+  Bicep: '#519aba',
+  Blade: '#f7523f',
+  C: '#555555',
+  'C#': '#178600',
+  'C++': '#f34b7d',
+  Cairo: '#ff4a48',
+  Clojure: '#db5855',
+  CMake: '#DA3434',
+  CoffeeScript: '#244776',
+  'Common Lisp': '#3fb68b',
+  Coq: '#d0b68c',
+  Crystal: '#000100',
+  CSS: '#663399',
+  Cuda: '#3A4E3A',
+  Cython: '#fedf5b',
+  D: '#ba595e',
+  Dart: '#00B4AB',
+  Dockerfile: '#384d54',
+  EJS: '#a91e50',
+  Elixir: '#6e4a7e',
+  Elm: '#60B5CC',
+  'Emacs Lisp': '#c065db',
+  Erlang: '#B83998',
+  'F#': '#b845fc',
+  Fennel: '#fff3d7',
+  Fortran: '#4d41b1',
+  GDScript: '#355570',
+  Gleam: '#ffaff3',
+  GLSL: '#5686a5',
+  Go: '#00ADD8',
+  Groovy: '#4298b8',
+  Hack: '#878787',
+  Haml: '#ece2a9',
+  Handlebars: '#f7931e',
+  Haskell: '#5e5086',
+  Haxe: '#df7900',
+  HCL: '#844FBA',
+  HLSL: '#aace60',
+  HTML: '#e34c26',
+  Idris: '#b30000',
+  Janet: '#0886a5',
+  Java: '#b07219',
+  JavaScript: '#f1e05a',
+  JSON: '#292929',
+  Jsonnet: '#0064bd',
+  Julia: '#a270ba',
+  'Jupyter Notebook': '#DA5B0B',
+  Kotlin: '#A97BFF',
+  Less: '#1d365d',
+  Liquid: '#67b8de',
+  Lua: '#000080',
+  Makefile: '#427819',
+  Markdown: '#083fa1',
+  MATLAB: '#e16737',
+  MDX: '#fcb32c',
+  Meson: '#007800',
+  Mojo: '#ff4c1f',
+  Move: '#4a137a',
+  Mustache: '#724b3b',
+  Nim: '#ffc200',
+  Nix: '#7e7eff',
+  Nunjucks: '#3d8137',
+  'Objective-C': '#438eff',
+  'Objective-C++': '#6866fb',
+  OCaml: '#ef7a08',
+  Odin: '#60AFFE',
+  Pascal: '#E3F171',
+  Perl: '#0298c3',
+  PHP: '#4F5D95',
+  PLpgSQL: '#336790',
+  PLSQL: '#dad8d8',
+  PowerShell: '#012456',
+  Processing: '#0096D8',
+  Prolog: '#74283c',
+  Pug: '#a86454',
+  PureScript: '#1D222D',
+  Python: '#3572A5',
+  QML: '#44a51c',
+  R: '#198CE7',
+  Racket: '#3c5caa',
+  Raku: '#0000fb',
+  Reason: '#ff5847',
+  ReScript: '#ed5051',
+  Roff: '#ecdebe',
+  Ruby: '#701516',
+  Rust: '#dea584',
+  Sass: '#a53b70',
+  Scala: '#c22d40',
+  Scheme: '#1e4aec',
+  SCSS: '#c6538c',
+  Shell: '#89e051',
+  ShaderLab: '#222c37',
+  Smalltalk: '#596706',
+  Smarty: '#f0c040',
+  Solidity: '#AA6746',
+  SQL: '#e38c00',
+  'Standard ML': '#dc566d',
+  Starlark: '#76d275',
+  Stylus: '#ff6347',
+  Svelte: '#ff3e00',
+  Swift: '#F05138',
+  SystemVerilog: '#DAE1C2',
+  Tcl: '#e4cc98',
+  TeX: '#3D6117',
+  TOML: '#9c4221',
+  TSQL: '#e38c00',
+  Twig: '#c1d026',
+  TypeScript: '#3178c6',
+  V: '#4f87c4',
+  Vala: '#a56de2',
+  Verilog: '#b2b7f8',
+  VHDL: '#adb2cb',
+  'Vim Script': '#199f4b',
+  'Visual Basic .NET': '#945db7',
+  VBA: '#867db1',
+  Vue: '#41b883',
+  Vyper: '#2980b9',
+  WebAssembly: '#04133b',
+  XML: '#0060ac',
+  YAML: '#cb171e',
+  Zig: '#ec915c',
+};
+
+export const isHexColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+// Stable pick from `palette` for names linguist has no color for, e.g. "Other"
+const hashedColor = (name, palette) => {
+  let hash = 0;
+  for (let i = 0; i < name.length; i += 1) {
+    hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+  }
+  return palette[hash % palette.length];
+};
+
+// `overrides` (`{ [language]: '#rrggbb' }`) are the user's own picks and win over linguist
+export const languageColor = (name, { overrides = {}, palette = COLORS } = {}) =>
+  overrides[name] || LINGUIST_COLORS[name] || hashedColor(String(name), palette);
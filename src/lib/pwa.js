@@ -0,0 +1,40 @@
+// Installable-app plumbing: registering public/sw.js and showing notifications through it
+
+export const registerServiceWorker = async (base = '/') => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register(`${base}sw.js`, { scope: base });
+  } catch (err) {
+    // No offline shell, but the app works as before
+    return null;
+  }
+};
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+export const notificationPermission = () => (
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+);
+
+export const requestNotificationPermission = async () => {
+  if (notificationPermission() === 'unsupported') return 'unsupported';
+  return Notification.requestPermission();
+};
+
+// Prefers the service worker, which is the only way on some mobile browsers and lets a click
+// open the app when no tab is left. `url` is opened when the notification is clicked.
+export const showNotification = async (title, { body, tag, url, icon } = {}) => {
+  if (notificationPermission() !== 'granted') return false;
+
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) {
+    await registration.showNotification(title, { body, tag, icon, data: { url } });
+    return true;
+  }
+
+  const notification = new Notification(title, { body, tag, icon });
+  notification.onclick = () => {
+    window.focus();
+    if (url) window.location.assign(url);
+  };
+  return true;
+};
@@ -0,0 +1,117 @@
+// History-API routes. Paths are relative to the app's base path (vite.config.js `base`), e.g.
+//   /u/torvalds                 user analysis
+//   /u/torvalds/repo/linux      one repository of that user
+//   /compare/alice/bob          side-by-side comparison
+//   /org/github?members=1       organization (optionally with its public members)
+// Links from before routing existed (?user=a,b and ?org=x&members=1) still resolve.
+
+export const ROUTES = {
+  HOME: 'home',
+  USER: 'user',
+  REPO: 'repo',
+  COMPARE: 'compare',
+  ORG: 'org',
+};
+
+// Query parameters that describe the route itself; everything else (?api=, ?lang=) is carried along
+const ROUTE_PARAMS = ['user', 'org', 'members', 'redirect'];
+
+const normalizeBase = (base = '/') => (base.endsWith('/') ? base : `${base}/`);
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+};
+
+const splitLogins = (values) => values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+
+const usersRoute = (users) => (users.length > 1 ? { name: ROUTES.COMPARE, users } : { name: ROUTES.USER, user: users[0] });
+
+export const stripBase = (pathname, base = '/') => {
+  const prefix = normalizeBase(base);
+  if (pathname.startsWith(prefix)) return `/${pathname.slice(prefix.length)}`;
+  if (`${pathname}/` === prefix) return '/';
+  return pathname;
+};
+
+export const parseRoute = ({ pathname = '/', search = '' }, base = '/') => {
+  const [head, ...rest] = stripBase(pathname, base).split('/').filter(Boolean).map(decodeSegment);
+  const params = new URLSearchParams(search);
+
+  if (head === 'u' && rest[0]) {
+    if (rest[1] === 'repo' && rest[2]) return { name: ROUTES.REPO, user: rest[0], repo: rest[2] };
+    return { name: ROUTES.USER, user: rest[0] };
+  }
+  if (head === 'compare') {
+    const users = splitLogins(rest);
+    if (users.length > 0) return usersRoute(users);
+  }
+  if (head === 'org' && rest[0]) {
+    return { name: ROUTES.ORG, org: rest[0], members: params.get('members') === '1' };
+  }
+
+  const org = params.get('org');
+  if (org) return { name: ROUTES.ORG, org, members: params.get('members') === '1' };
+  const users = splitLogins([params.get('user') || '']);
+  if (users.length > 0) return usersRoute(users);
+
+  return { name: ROUTES.HOME };
+};
+
+export const buildPath = (route) => {
+  const encode = encodeURIComponent;
+  switch (route.name) {
+    case ROUTES.USER:
+      return `/u/${encode(route.user)}`;
+    case ROUTES.REPO:
+      return `/u/${encode(route.user)}/repo/${encode(route.repo)}`;
+    case ROUTES.COMPARE:
+      return `/compare/${route.users.map(encode).join('/')}`;
+    case ROUTES.ORG:
+      return `/org/${encode(route.org)}`;
+    default:
+      return '/';
+  }
+};
+
+// Full URL path for `route`, keeping the non-route parameters of `search`. `overrides` sets or,
+// with null, removes parameters (e.g. `{ api: null }`).
+export const routeUrl = (route, { search = '', base = '/', overrides = {} } = {}) => {
+  const params = new URLSearchParams(search);
+  ROUTE_PARAMS.forEach(name => params.delete(name));
+  if (route.name === ROUTES.ORG && route.members) params.set('members', '1');
+  Object.entries(overrides).forEach(([name, value]) => {
+    if (value === null || value === undefined) {
+      params.delete(name);
+    } else {
+      params.set(name, value);
+    }
+  });
+  const query = params.toString();
+  return `${normalizeBase(base).slice(0, -1)}${buildPath(route)}${query ? `?${query}` : ''}`;
+};
+
+// Identifies the analysis a route needs; the user and repo routes of one login share it
+export const analysisKey = (route) => {
+  switch (route.name) {
+    case ROUTES.USER:
+    case ROUTES.REPO:
+      return `user:${route.user.toLowerCase()}`;
+    case ROUTES.COMPARE:
+      return `compare:${route.users.join(',').toLowerCase()}`;
+    case ROUTES.ORG:
+      return `org:${route.org.toLowerCase()}${route.members ? ':members' : ''}`;
+    default:
+      return null;
+  }
+};
+
+// public/404.html sends GitHub Pages deep links to the base path with ?redirect=<original path>.
+// Returns that path when it belongs to this app, so it can be put back with history.replaceState.
+export const readRedirect = (search, base = '/') => {
+  const target = new URLSearchParams(search).get('redirect');
+  return target && target.startsWith(normalizeBase(base)) && !target.startsWith('//') ? target : null;
+};
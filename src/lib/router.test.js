@@ -0,0 +1,129 @@
+import { describe, expect, it } from 'vitest';
+import { ROUTES, analysisKey, buildPath, parseRoute, readRedirect, routeUrl, stripBase } from './router.js';
+
+const BASE = '/GitHub-Lang-Detector/';
+
+describe('stripBase', () => {
+  it('removes the base path with or without a trailing slash', () => {
+    expect(stripBase('/GitHub-Lang-Detector/u/octocat', BASE)).toBe('/u/octocat');
+    expect(stripBase('/GitHub-Lang-Detector', BASE)).toBe('/');
+    expect(stripBase('/elsewhere', BASE)).toBe('/elsewhere');
+  });
+});
+
+describe('parseRoute', () => {
+  it('reads user and repository paths', () => {
+    expect(parseRoute({ pathname: `${BASE}u/octocat` }, BASE)).toEqual({ name: ROUTES.USER, user: 'octocat' });
+    expect(parseRoute({ pathname: `${BASE}u/octocat/repo/Hello-World` }, BASE)).toEqual({
+      name: ROUTES.REPO,
+      user: 'octocat',
+      repo: 'Hello-World',
+    });
+  });
+
+  it('treats an incomplete repository path as the user', () => {
+    expect(parseRoute({ pathname: `${BASE}u/octocat/repo` }, BASE)).toEqual({ name: ROUTES.USER, user: 'octocat' });
+  });
+
+  it('reads comparisons and falls back to a single user', () => {
+    expect(parseRoute({ pathname: `${BASE}compare/alice/bob` }, BASE)).toEqual({ name: ROUTES.COMPARE, users: ['alice', 'bob'] });
+    expect(parseRoute({ pathname: `${BASE}compare/alice` }, BASE)).toEqual({ name: ROUTES.USER, user: 'alice' });
+  });
+
+  it('reads organizations with the members flag', () => {
+    expect(parseRoute({ pathname: `${BASE}org/github`, search: '?members=1' }, BASE)).toEqual({
+      name: ROUTES.ORG,
+      org: 'github',
+      members: true,
+    });
+    expect(parseRoute({ pathname: `${BASE}org/github` }, BASE)).toMatchObject({ members: false });
+  });
+
+  it('decodes path segments and keeps malformed ones as they are', () => {
+    expect(parseRoute({ pathname: `${BASE}u/a%20b` }, BASE)).toEqual({ name: ROUTES.USER, user: 'a b' });
+    expect(parseRoute({ pathname: `${BASE}u/%E0%A4` }, BASE)).toEqual({ name: ROUTES.USER, user: '%E0%A4' });
+  });
+
+  it('resolves legacy ?user= and ?org= links', () => {
+    expect(parseRoute({ pathname: BASE, search: '?user=octocat' }, BASE)).toEqual({ name: ROUTES.USER, user: 'octocat' });
+    expect(parseRoute({ pathname: BASE, search: '?user=alice,%20bob,' }, BASE)).toEqual({
+      name: ROUTES.COMPARE,
+      users: ['alice', 'bob'],
+    });
+    expect(parseRoute({ pathname: BASE, search: '?org=github&members=1' }, BASE)).toEqual({
+      name: ROUTES.ORG,
+      org: 'github',
+      members: true,
+    });
+  });
+
+  it('is the home route for the base path and unknown paths', () => {
+    expect(parseRoute({ pathname: BASE }, BASE)).toEqual({ name: ROUTES.HOME });
+    expect(parseRoute({ pathname: `${BASE}nowhere` }, BASE)).toEqual({ name: ROUTES.HOME });
+    expect(parseRoute({ pathname: BASE, search: '?user=' }, BASE)).toEqual({ name: ROUTES.HOME });
+  });
+});
+
+describe('buildPath', () => {
+  it('encodes path segments', () => {
+    expect(buildPath({ name: ROUTES.REPO, user: 'octocat', repo: 'a b' })).toBe('/u/octocat/repo/a%20b');
+    expect(buildPath({ name: ROUTES.COMPARE, users: ['alice', 'bob'] })).toBe('/compare/alice/bob');
+    expect(buildPath({ name: ROUTES.HOME })).toBe('/');
+  });
+});
+
+describe('routeUrl', () => {
+  it('prefixes the base path and keeps unrelated parameters', () => {
+    expect(routeUrl({ name: ROUTES.USER, user: 'octocat' }, { base: BASE, search: '?lang=es&api=x' })).toBe(
+      '/GitHub-Lang-Detector/u/octocat?lang=es&api=x'
+    );
+  });
+
+  it('adds the members flag for organizations only', () => {
+    expect(routeUrl({ name: ROUTES.ORG, org: 'github', members: true }, { base: BASE })).toBe('/GitHub-Lang-Detector/org/github?members=1');
+    expect(routeUrl({ name: ROUTES.USER, user: 'octocat' }, { base: BASE, search: '?members=1' })).toBe('/GitHub-Lang-Detector/u/octocat');
+  });
+
+  it('sets and removes parameters through overrides', () => {
+    expect(routeUrl({ name: ROUTES.HOME }, { base: BASE, search: '?api=x&lang=ar', overrides: { api: null, lang: 'es' } })).toBe(
+      '/GitHub-Lang-Detector/?lang=es'
+    );
+  });
+
+  it('canonicalizes legacy query links into paths', () => {
+    const location = { pathname: BASE, search: '?user=alice,bob&lang=es' };
+    expect(routeUrl(parseRoute(location, BASE), { base: BASE, search: location.search })).toBe(
+      '/GitHub-Lang-Detector/compare/alice/bob?lang=es'
+    );
+
+    const orgLocation = { pathname: BASE, search: '?org=github&members=1' };
+    expect(routeUrl(parseRoute(orgLocation, BASE), { base: BASE, search: orgLocation.search })).toBe(
+      '/GitHub-Lang-Detector/org/github?members=1'
+    );
+  });
+
+  it('works without a base path', () => {
+    expect(routeUrl({ name: ROUTES.USER, user: 'octocat' })).toBe('/u/octocat');
+  });
+});
+
+describe('analysisKey', () => {
+  it('shares one key between a user and their repositories, ignoring case', () => {
+    expect(analysisKey({ name: ROUTES.USER, user: 'OctoCat' })).toBe('user:octocat');
+    expect(analysisKey({ name: ROUTES.REPO, user: 'octocat', repo: 'x' })).toBe('user:octocat');
+    expect(analysisKey({ name: ROUTES.ORG, org: 'GitHub', members: true })).toBe('org:github:members');
+    expect(analysisKey({ name: ROUTES.HOME })).toBeNull();
+  });
+});
+
+describe('readRedirect', () => {
+  it('returns a redirect path inside the app', () => {
+    expect(readRedirect('?redirect=%2FGitHub-Lang-Detector%2Fu%2Foctocat%3Flang%3Des', BASE)).toBe('/GitHub-Lang-Detector/u/octocat?lang=es');
+  });
+
+  it('ignores redirects outside the base path or to another host', () => {
+    expect(readRedirect('?redirect=%2Fother%2Fpage', BASE)).toBeNull();
+    expect(readRedirect('?redirect=%2F%2Fevil.example.com%2F', '/')).toBeNull();
+    expect(readRedirect('', BASE)).toBeNull();
+  });
+});
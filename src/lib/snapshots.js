@@ -0,0 +1,201 @@
+// Dated snapshots of an analysis so a user's or organization's profile can be tracked over time.
+// A snapshot keeps the analyzeRepos() language and stats model plus a trimmed repo list; they are
+// stored in IndexedDB and can be exported to and imported from JSON files.
+import { analyzeRepos, toShares } from './analysis.js';
+import { STORES, isIndexedDBAvailable, withStore } from './idb.js';
+
+export const SNAPSHOT_FILE_FORMAT = 'gitlang-snapshots';
+export const SNAPSHOT_FILE_VERSION = 1;
+
+// Oldest snapshots of a subject are dropped beyond this many
+const MAX_SNAPSHOTS_PER_SUBJECT = 50;
+
+export const SNAPSHOT_KINDS = {
+  USER: 'user',
+  ORG: 'org',
+};
+
+export const subjectKey = (kind, login) => `${kind}:${login.toLowerCase()}`;
+
+const toSnapshotRepo = (repo) => ({
+  name: repo.name,
+  language: repo.language || null,
+  stars: repo.stargazers_count || 0,
+  forks: repo.forks_count || 0,
+});
+
+export const createSnapshot = ({ kind = SNAPSHOT_KINDS.USER, profile, repos, takenAt = new Date().toISOString() }) => {
+  const { languages, stats, repoCount } = analyzeRepos(repos);
+  return {
+    id: `${subjectKey(kind, profile.login)}:${takenAt}`,
+    subject: subjectKey(kind, profile.login),
+    kind,
+    login: profile.login,
+    name: profile.name || null,
+    takenAt,
+    languages,
+    stats,
+    repoCount,
+    repos: repos.map(toSnapshotRepo),
+    // Only analyses run with a token can see private repositories; forgetting the token deletes these
+    includesPrivate: repos.some(repo => repo.private),
+  };
+};
+
+const round = (value) => Number(value.toFixed(1));
+
+// Compare two snapshots of the same subject. Shares and their deltas are in percent
+// (percentage points for deltas); repo growth only lists repos whose stars or forks changed.
+export const diffSnapshots = (before, after) => {
+  const sharesBefore = toShares(before.languages);
+  const sharesAfter = toShares(after.languages);
+  const countsBefore = Object.fromEntries(before.languages.map(entry => [entry.name, entry.value]));
+  const countsAfter = Object.fromEntries(after.languages.map(entry => [entry.name, entry.value]));
+  const names = [...new Set([...Object.keys(countsBefore), ...Object.keys(countsAfter)])];
+
+  const languages = names
+    .map(name => ({
+      name,
+      reposBefore: countsBefore[name] || 0,
+      reposAfter: countsAfter[name] || 0,
+      shareBefore: round(sharesBefore[name] || 0),
+      shareAfter: round(sharesAfter[name] || 0),
+      shareDelta: round((sharesAfter[name] || 0) - (sharesBefore[name] || 0)),
+    }))
+    .sort((a, b) => Math.abs(b.shareDelta) - Math.abs(a.shareDelta) || b.reposAfter - a.reposAfter);
+
+  const reposBefore = Object.fromEntries(before.repos.map(repo => [repo.name, repo]));
+  const reposAfter = Object.fromEntries(after.repos.map(repo => [repo.name, repo]));
+
+  const growth = after.repos
+    .filter(repo => reposBefore[repo.name])
+    .map(repo => ({
+      name: repo.name,
+      language: repo.language,
+      stars: repo.stars,
+      forks: repo.forks,
+      starsDelta: repo.stars - reposBefore[repo.name].stars,
+      forksDelta: repo.forks - reposBefore[repo.name].forks,
+    }))
+    .filter(repo => repo.starsDelta !== 0 || repo.forksDelta !== 0)
+    .sort((a, b) => b.starsDelta - a.starsDelta || b.forksDelta - a.forksDelta);
+
+  return {
+    from: before.takenAt,
+    to: after.takenAt,
+    gainedLanguages: names.filter(name => !countsBefore[name]),
+    lostLanguages: names.filter(name => !countsAfter[name]),
+    languages,
+    newRepos: after.repos.filter(repo => !reposBefore[repo.name]),
+    removedRepos: before.repos.filter(repo => !reposAfter[repo.name]),
+    repoGrowth: growth,
+    stats: {
+      repoCount: after.repoCount - before.repoCount,
+      totalStars: after.stats.totalStars - before.stats.totalStars,
+      totalForks: after.stats.totalForks - before.stats.totalForks,
+    },
+  };
+};
+
+export const serializeSnapshots = (snapshots) => JSON.stringify({
+  format: SNAPSHOT_FILE_FORMAT,
+  version: SNAPSHOT_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  snapshots,
+}, null, 2);
+
+const isSnapshot = (value) =>
+  Boolean(value)
+  && typeof value.id === 'string'
+  && typeof value.subject === 'string'
+  && typeof value.login === 'string'
+  && !Number.isNaN(Date.parse(value.takenAt))
+  && Array.isArray(value.languages)
+  && Array.isArray(value.repos)
+  && typeof value.stats === 'object';
+
+export const SNAPSHOT_FILE_ERRORS = {
+  EMPTY: 'empty',
+  INVALID_JSON: 'invalid_json',
+  NOT_AN_EXPORT: 'not_an_export',
+  NEWER_VERSION: 'newer_version',
+  NO_SNAPSHOTS: 'no_snapshots',
+};
+
+// The message is for logs; the UI translates `code`
+export class SnapshotFileError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SnapshotFileError';
+    this.code = code;
+  }
+}
+
+// Throws a SnapshotFileError when the file isn't a snapshot export this version can read
+export const parseSnapshotFile = (text) => {
+  if (!text || !text.trim()) {
+    throw new SnapshotFileError('The file is empty.', SNAPSHOT_FILE_ERRORS.EMPTY);
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new SnapshotFileError('The file is not valid JSON.', SNAPSHOT_FILE_ERRORS.INVALID_JSON);
+  }
+  if (data?.format !== SNAPSHOT_FILE_FORMAT || !Array.isArray(data.snapshots)) {
+    throw new SnapshotFileError('The file is not a GitLang snapshot export.', SNAPSHOT_FILE_ERRORS.NOT_AN_EXPORT);
+  }
+  if (data.version > SNAPSHOT_FILE_VERSION) {
+    throw new SnapshotFileError('The file was exported by a newer version of GitLang Detector.', SNAPSHOT_FILE_ERRORS.NEWER_VERSION);
+  }
+  const snapshots = data.snapshots.filter(isSnapshot);
+  if (snapshots.length === 0) {
+    throw new SnapshotFileError('The file contains no snapshots.', SNAPSHOT_FILE_ERRORS.NO_SNAPSHOTS);
+  }
+  return snapshots;
+};
+
+// IndexedDB-backed snapshot storage; null when IndexedDB is unavailable
+export const createSnapshotStore = () => {
+  if (!isIndexedDBAvailable()) return null;
+
+  // Newest first
+  const list = async (subject) => {
+    const snapshots = await withStore(STORES.SNAPSHOTS, 'readonly', store => (
+      subject ? store.index('subject').getAll(subject) : store.getAll()
+    ));
+    return (snapshots || []).sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+  };
+
+  const remove = (id) => withStore(STORES.SNAPSHOTS, 'readwrite', store => store.delete(id));
+
+  const prune = async (subject) => {
+    const stale = (await list(subject)).slice(MAX_SNAPSHOTS_PER_SUBJECT);
+    await Promise.all(stale.map(snapshot => remove(snapshot.id)));
+  };
+
+  const save = async (snapshot) => {
+    await withStore(STORES.SNAPSHOTS, 'readwrite', store => store.put(snapshot));
+    await prune(snapshot.subject);
+    return snapshot;
+  };
+
+  // Imported snapshots overwrite ones with the same id; returns how many were written
+  const importMany = async (snapshots) => {
+    await withStore(STORES.SNAPSHOTS, 'readwrite', store => {
+      snapshots.forEach(snapshot => store.put(snapshot));
+      return null;
+    });
+    await Promise.all([...new Set(snapshots.map(snapshot => snapshot.subject))].map(prune));
+    return snapshots.length;
+  };
+
+  // Delete every snapshot that includes private repositories; returns how many were removed
+  const removePrivate = async () => {
+    const privateSnapshots = (await list()).filter(snapshot => snapshot.includesPrivate);
+    await Promise.all(privateSnapshots.map(snapshot => remove(snapshot.id)));
+    return privateSnapshots.length;
+  };
+
+  return { list, save, remove, importMany, removePrivate };
+};
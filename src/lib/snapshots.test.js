@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SNAPSHOT_FILE_ERRORS,
+  SNAPSHOT_FILE_FORMAT,
+  SNAPSHOT_FILE_VERSION,
+  SnapshotFileError,
+  createSnapshot,
+  diffSnapshots,
+  parseSnapshotFile,
+  serializeSnapshots,
+} from './snapshots.js';
+
+const repo = (name, language, stars = 0, forks = 0) => ({ name, language, stargazers_count: stars, forks_count: forks });
+
+const before = createSnapshot({
+  profile: { login: 'octocat' },
+  takenAt: '2024-01-01T00:00:00.000Z',
+  repos: [repo('api', 'Go', 10, 1), repo('web', 'Go', 5), repo('old', 'Perl', 2)],
+});
+
+const after = createSnapshot({
+  profile: { login: 'octocat' },
+  takenAt: '2024-06-01T00:00:00.000Z',
+  repos: [repo('api', 'Go', 25, 3), repo('web', 'Go', 5), repo('cli', 'Rust', 1), repo('lib', 'Rust')],
+});
+
+const fileCode = (text) => {
+  try {
+    parseSnapshotFile(text);
+  } catch (err) {
+    expect(err).toBeInstanceOf(SnapshotFileError);
+    return err.code;
+  }
+  return null;
+};
+
+describe('parseSnapshotFile', () => {
+  it('reads back an export', () => {
+    expect(parseSnapshotFile(serializeSnapshots([before, after]))).toEqual([before, after]);
+  });
+
+  it('skips entries that are not snapshots', () => {
+    const text = JSON.stringify({ format: SNAPSHOT_FILE_FORMAT, version: 1, snapshots: [before, { id: 'x' }, null] });
+    expect(parseSnapshotFile(text)).toEqual([before]);
+  });
+
+  it('rejects empty input', () => {
+    expect(fileCode('')).toBe(SNAPSHOT_FILE_ERRORS.EMPTY);
+    expect(fileCode('  \n')).toBe(SNAPSHOT_FILE_ERRORS.EMPTY);
+  });
+
+  it('rejects invalid JSON', () => {
+    expect(fileCode('{"format":')).toBe(SNAPSHOT_FILE_ERRORS.INVALID_JSON);
+  });
+
+  it('rejects JSON that is not a snapshot export', () => {
+    expect(fileCode('null')).toBe(SNAPSHOT_FILE_ERRORS.NOT_AN_EXPORT);
+    expect(fileCode(JSON.stringify({ format: 'other', snapshots: [] }))).toBe(SNAPSHOT_FILE_ERRORS.NOT_AN_EXPORT);
+    expect(fileCode(JSON.stringify({ format: SNAPSHOT_FILE_FORMAT, snapshots: {} }))).toBe(SNAPSHOT_FILE_ERRORS.NOT_AN_EXPORT);
+  });
+
+  it('rejects files from a newer version', () => {
+    const text = JSON.stringify({ format: SNAPSHOT_FILE_FORMAT, version: SNAPSHOT_FILE_VERSION + 1, snapshots: [before] });
+    expect(fileCode(text)).toBe(SNAPSHOT_FILE_ERRORS.NEWER_VERSION);
+  });
+
+  it('rejects an export without any valid snapshot', () => {
+    const text = JSON.stringify({ format: SNAPSHOT_FILE_FORMAT, version: 1, snapshots: [{ id: 'x' }] });
+    expect(fileCode(text)).toBe(SNAPSHOT_FILE_ERRORS.NO_SNAPSHOTS);
+  });
+});
+
+describe('diffSnapshots', () => {
+  const diff = diffSnapshots(before, after);
+
+  it('lists gained and lost languages with share deltas', () => {
+    expect(diff.gainedLanguages).toEqual(['Rust']);
+    expect(diff.lostLanguages).toEqual(['Perl']);
+    expect(diff.languages.find(entry => entry.name === 'Perl')).toEqual({
+      name: 'Perl',
+      reposBefore: 1,
+      reposAfter: 0,
+      shareBefore: 33.3,
+      shareAfter: 0,
+      shareDelta: -33.3,
+    });
+    expect(diff.languages.find(entry => entry.name === 'Go').shareDelta).toBe(-16.7);
+  });
+
+  it('lists new, removed and growing repositories', () => {
+    expect(diff.newRepos.map(item => item.name)).toEqual(['cli', 'lib']);
+    expect(diff.removedRepos.map(item => item.name)).toEqual(['old']);
+    expect(diff.repoGrowth).toEqual([{ name: 'api', language: 'Go', stars: 25, forks: 3, starsDelta: 15, forksDelta: 2 }]);
+  });
+
+  it('reports the change in totals', () => {
+    expect(diff.stats).toEqual({ repoCount: 1, totalStars: 14, totalForks: 2 });
+    expect(diff).toMatchObject({ from: before.takenAt, to: after.takenAt });
+  });
+
+  it('is empty for identical snapshots', () => {
+    const same = diffSnapshots(before, before);
+    expect(same.gainedLanguages).toEqual([]);
+    expect(same.lostLanguages).toEqual([]);
+    expect(same.repoGrowth).toEqual([]);
+    expect(same.languages.every(entry => entry.shareDelta === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,237 @@
+// Framework and library detection from dependency manifests. Parsers turn a manifest's text into
+// dependency names; the catalog maps well-known dependencies to the technology they indicate.
+// Everything here is pure: fetching the files is up to the caller.
+
+const parsePackageJson = (text) => {
+  try {
+    const manifest = JSON.parse(text);
+    return [...new Set(['dependencies', 'devDependencies', 'peerDependencies']
+      .flatMap(field => Object.keys(manifest?.[field] || {})))];
+  } catch (err) {
+    return [];
+  }
+};
+
+// PEP 508 names: stop at the first version specifier, extra, marker or URL. A bare URL
+// (e.g. git+https://...) only names its package through an #egg= fragment.
+const requirementName = (line) => {
+  if (/^[a-z][\w+.-]*:\/\//i.test(line)) return line.match(/#egg=([\w.-]+)/)?.[1] || '';
+  return line.split(/[<>=!~;[\s@]/)[0];
+};
+
+// pip only treats "#" as a comment at the start of a line or after whitespace
+const parseRequirements = (text) =>
+  text.split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*/, '').trim())
+    .filter(line => line && !line.startsWith('-'))
+    .map(line => requirementName(line).toLowerCase().replace(/_/g, '-'))
+    .filter(Boolean);
+
+const xmlTag = (block, tag) => block.match(new RegExp(`<${tag}>\\s*([^<\\s]+)\\s*</${tag}>`))?.[1];
+
+// `groupId:artifactId` for every <dependency> plus the <parent> (e.g. spring-boot-starter-parent)
+const parsePom = (text) =>
+  [...text.matchAll(/<(dependency|parent)>([\s\S]*?)<\/\1>/g)]
+    .map(([, , block]) => {
+      const groupId = xmlTag(block, 'groupId');
+      const artifactId = xmlTag(block, 'artifactId');
+      return groupId && artifactId ? `${groupId}:${artifactId}` : null;
+    })
+    .filter(Boolean);
+
+const parseGoMod = (text) => {
+  const modules = [];
+  let inRequireBlock = false;
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\/\/.*/, '').trim();
+    if (line.startsWith('require (')) {
+      inRequireBlock = true;
+    } else if (inRequireBlock && line === ')') {
+      inRequireBlock = false;
+    } else if (inRequireBlock && line) {
+      modules.push(line.split(/\s+/)[0]);
+    } else if (line.startsWith('require ')) {
+      modules.push(line.split(/\s+/)[1]);
+    }
+  });
+  return modules;
+};
+
+// Keys of [dependencies]-style tables, including [target.'cfg(..)'.dependencies] and [dependencies.foo]
+const parseCargoToml = (text) => {
+  const crates = [];
+  let inDependencies = false;
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const section = line.match(/^\[([^\]]+)\]$/);
+    if (section) {
+      const name = section[1].trim();
+      const table = name.match(/(?:^|\.)(?:dev-|build-)?dependencies\.([\w-]+)$/);
+      if (table) crates.push(table[1]);
+      inDependencies = /(?:^|\.)(?:dev-|build-)?dependencies$/.test(name);
+      return;
+    }
+    const key = inDependencies && line.match(/^([\w-]+)\s*=/);
+    if (key) crates.push(key[1]);
+  });
+  return crates;
+};
+
+const parseGemfile = (text) =>
+  [...text.matchAll(/^\s*gem\s+['"]([^'"]+)['"]/gm)].map(match => match[1]);
+
+// Manifests looked for in a repository's root directory
+export const MANIFESTS = {
+  'package.json': { ecosystem: 'npm', parse: parsePackageJson },
+  'requirements.txt': { ecosystem: 'pypi', parse: parseRequirements },
+  'pom.xml': { ecosystem: 'maven', parse: parsePom },
+  'go.mod': { ecosystem: 'go', parse: parseGoMod },
+  'Cargo.toml': { ecosystem: 'cargo', parse: parseCargoToml },
+  Gemfile: { ecosystem: 'rubygems', parse: parseGemfile },
+};
+
+export const parseManifest = (filename, text) => {
+  const manifest = MANIFESTS[filename];
+  return manifest ? { file: filename, ecosystem: manifest.ecosystem, dependencies: manifest.parse(text) } : null;
+};
+
+export const findManifests = (rootListing) =>
+  (Array.isArray(rootListing) ? rootListing : [])
+    .filter(entry => entry.type === 'file' && MANIFESTS[entry.name])
+    .map(entry => entry.name);
+
+export const TECH_CATEGORIES = {
+  FRONTEND: 'Frontend',
+  BACKEND: 'Backend',
+  MOBILE: 'Mobile & Desktop',
+  DATA: 'Data & ML',
+  TESTING: 'Testing',
+  TOOLING: 'Tooling',
+};
+
+const C = TECH_CATEGORIES;
+
+// `dependency` matches exactly, or as a prefix when it ends with "*"
+const CATALOG = [
+  ['npm', 'react', 'React', C.FRONTEND],
+  ['npm', 'vue', 'Vue', C.FRONTEND],
+  ['npm', '@angular/core', 'Angular', C.FRONTEND],
+  ['npm', 'svelte', 'Svelte', C.FRONTEND],
+  ['npm', 'next', 'Next.js', C.FRONTEND],
+  ['npm', 'nuxt', 'Nuxt', C.FRONTEND],
+  ['npm', 'tailwindcss', 'Tailwind CSS', C.FRONTEND],
+  ['npm', 'jquery', 'jQuery', C.FRONTEND],
+  ['npm', 'express', 'Express', C.BACKEND],
+  ['npm', 'fastify', 'Fastify', C.BACKEND],
+  ['npm', 'koa', 'Koa', C.BACKEND],
+  ['npm', '@nestjs/core', 'NestJS', C.BACKEND],
+  ['npm', 'graphql', 'GraphQL', C.BACKEND],
+  ['npm', 'prisma', 'Prisma', C.BACKEND],
+  ['npm', 'mongoose', 'MongoDB', C.BACKEND],
+  ['npm', 'react-native', 'React Native', C.MOBILE],
+  ['npm', 'electron', 'Electron', C.MOBILE],
+  ['npm', '@tensorflow/tfjs', 'TensorFlow', C.DATA],
+  ['npm', 'd3', 'D3', C.DATA],
+  ['npm', 'jest', 'Jest', C.TESTING],
+  ['npm', 'vitest', 'Vitest', C.TESTING],
+  ['npm', 'mocha', 'Mocha', C.TESTING],
+  ['npm', 'cypress', 'Cypress', C.TESTING],
+  ['npm', '@playwright/test', 'Playwright', C.TESTING],
+  ['npm', 'typescript', 'TypeScript', C.TOOLING],
+  ['npm', 'vite', 'Vite', C.TOOLING],
+  ['npm', 'webpack', 'webpack', C.TOOLING],
+  ['npm', 'eslint', 'ESLint', C.TOOLING],
+  ['pypi', 'django', 'Django', C.BACKEND],
+  ['pypi', 'flask', 'Flask', C.BACKEND],
+  ['pypi', 'fastapi', 'FastAPI', C.BACKEND],
+  ['pypi', 'sqlalchemy', 'SQLAlchemy', C.BACKEND],
+  ['pypi', 'celery', 'Celery', C.BACKEND],
+  ['pypi', 'numpy', 'NumPy', C.DATA],
+  ['pypi', 'pandas', 'pandas', C.DATA],
+  ['pypi', 'scikit-learn', 'scikit-learn', C.DATA],
+  ['pypi', 'tensorflow', 'TensorFlow', C.DATA],
+  ['pypi', 'torch', 'PyTorch', C.DATA],
+  ['pypi', 'jupyter', 'Jupyter', C.DATA],
+  ['pypi', 'matplotlib', 'Matplotlib', C.DATA],
+  ['pypi', 'pytest', 'pytest', C.TESTING],
+  ['maven', 'org.springframework.boot:*', 'Spring Boot', C.BACKEND],
+  ['maven', 'org.springframework:*', 'Spring', C.BACKEND],
+  ['maven', 'org.hibernate*', 'Hibernate', C.BACKEND],
+  ['maven', 'io.quarkus:*', 'Quarkus', C.BACKEND],
+  ['maven', 'org.apache.spark:*', 'Apache Spark', C.DATA],
+  ['maven', 'junit:junit', 'JUnit', C.TESTING],
+  ['maven', 'org.junit.jupiter:*', 'JUnit', C.TESTING],
+  ['maven', 'org.mockito:*', 'Mockito', C.TESTING],
+  ['go', 'github.com/gin-gonic/gin', 'Gin', C.BACKEND],
+  ['go', 'github.com/labstack/echo*', 'Echo', C.BACKEND],
+  ['go', 'github.com/gofiber/fiber*', 'Fiber', C.BACKEND],
+  ['go', 'gorm.io/gorm', 'GORM', C.BACKEND],
+  ['go', 'google.golang.org/grpc', 'gRPC', C.BACKEND],
+  ['go', 'github.com/spf13/cobra', 'Cobra', C.TOOLING],
+  ['go', 'github.com/stretchr/testify', 'Testify', C.TESTING],
+  ['cargo', 'tokio', 'Tokio', C.BACKEND],
+  ['cargo', 'actix-web', 'Actix Web', C.BACKEND],
+  ['cargo', 'axum', 'Axum', C.BACKEND],
+  ['cargo', 'rocket', 'Rocket', C.BACKEND],
+  ['cargo', 'serde', 'Serde', C.TOOLING],
+  ['cargo', 'clap', 'clap', C.TOOLING],
+  ['cargo', 'wasm-bindgen', 'WebAssembly', C.FRONTEND],
+  ['cargo', 'bevy', 'Bevy', C.MOBILE],
+  ['cargo', 'tauri', 'Tauri', C.MOBILE],
+  ['rubygems', 'rails', 'Ruby on Rails', C.BACKEND],
+  ['rubygems', 'sinatra', 'Sinatra', C.BACKEND],
+  ['rubygems', 'sidekiq', 'Sidekiq', C.BACKEND],
+  ['rubygems', 'rspec', 'RSpec', C.TESTING],
+  ['rubygems', 'rspec-rails', 'RSpec', C.TESTING],
+].map(([ecosystem, dependency, name, category]) => ({ ecosystem, dependency, name, category }));
+
+const matchesDependency = (pattern, dependency) =>
+  pattern.endsWith('*') ? dependency.startsWith(pattern.slice(0, -1)) : dependency === pattern;
+
+export const detectTechnologies = ({ ecosystem, dependencies }) => {
+  const found = new Map();
+  dependencies.forEach(dependency => {
+    CATALOG
+      .filter(entry => entry.ecosystem === ecosystem && matchesDependency(entry.dependency, dependency))
+      .forEach(entry => found.set(entry.name, entry.category));
+  });
+  return [...found].map(([name, category]) => ({ name, category }));
+};
+
+// Count, per technology and per raw dependency, how many scanned repositories use it.
+// `scans` is a list of `{ repo, manifests: [parseManifest() results] }`.
+export const aggregateTechStack = (scans, { libraryLimit = 10 } = {}) => {
+  const technologies = {};
+  const libraries = {};
+
+  scans.forEach(({ repo, manifests }) => {
+    const repoTechnologies = new Map();
+    const repoLibraries = new Set();
+    manifests.forEach(manifest => {
+      detectTechnologies(manifest).forEach(tech => repoTechnologies.set(tech.name, tech.category));
+      manifest.dependencies.forEach(dependency => repoLibraries.add(`${manifest.ecosystem}\u0000${dependency}`));
+    });
+
+    repoTechnologies.forEach((category, name) => {
+      technologies[name] = technologies[name] || { name, category, value: 0, repos: [] };
+      technologies[name].value += 1;
+      technologies[name].repos.push(repo);
+    });
+    repoLibraries.forEach(key => {
+      libraries[key] = (libraries[key] || 0) + 1;
+    });
+  });
+
+  return {
+    technologies: Object.values(technologies).sort((a, b) => b.value - a.value || a.name.localeCompare(b.name)),
+    libraries: Object.entries(libraries)
+      .map(([key, value]) => {
+        const [ecosystem, name] = key.split('\u0000');
+        return { name, ecosystem, value };
+      })
+      .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name))
+      .slice(0, libraryLimit),
+    scannedRepos: scans.length,
+    reposWithManifests: scans.filter(scan => scan.manifests.length > 0).length,
+  };
+};
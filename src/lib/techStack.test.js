@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { TECH_CATEGORIES, aggregateTechStack, detectTechnologies, findManifests, parseManifest } from './techStack.js';
+import packageJson from './__fixtures__/manifests/package.json?raw';
+import requirementsTxt from './__fixtures__/manifests/requirements.txt?raw';
+import goMod from './__fixtures__/manifests/go.mod?raw';
+import cargoToml from './__fixtures__/manifests/Cargo.toml?raw';
+import pomXml from './__fixtures__/manifests/pom.xml?raw';
+
+const dependenciesOf = (filename, text) => parseManifest(filename, text).dependencies;
+
+describe('parseManifest', () => {
+  it('merges package.json dependency fields without duplicates', () => {
+    expect(parseManifest('package.json', packageJson)).toEqual({
+      file: 'package.json',
+      ecosystem: 'npm',
+      dependencies: ['react', '@nestjs/core', 'vitest', 'react-dom'],
+    });
+  });
+
+  it('ignores an unreadable package.json', () => {
+    expect(dependenciesOf('package.json', '{ "dependencies": ')).toEqual([]);
+  });
+
+  it('normalizes requirements.txt names and skips options and unnamed URLs', () => {
+    // -r includes, pip options, editable installs and a URL without #egg= name nothing
+    expect(dependenciesOf('requirements.txt', requirementsTxt)).toEqual([
+      'django',
+      'djangorestframework',
+      'numpy',
+      'scikit-learn',
+      'pandas',
+      'torch',
+      'internal-tools',
+    ]);
+  });
+
+  it('reads single requires and require blocks from go.mod', () => {
+    // Commented-out modules and replace directives are not dependencies
+    expect(dependenciesOf('go.mod', goMod)).toEqual(['github.com/spf13/cobra', 'github.com/gin-gonic/gin', 'gorm.io/gorm']);
+  });
+
+  it('reads every dependency table from Cargo.toml', () => {
+    expect(dependenciesOf('Cargo.toml', cargoToml)).toEqual(['tokio', 'serde_json', 'axum', 'criterion', 'winapi']);
+  });
+
+  it('reads the parent and dependencies from pom.xml but not plugins', () => {
+    expect(dependenciesOf('pom.xml', pomXml)).toEqual([
+      'org.springframework.boot:spring-boot-starter-parent',
+      'org.springframework.boot:spring-boot-starter-web',
+      'org.junit.jupiter:junit-jupiter',
+    ]);
+  });
+
+  it('returns null for files it does not know', () => {
+    expect(parseManifest('setup.py', '')).toBeNull();
+  });
+});
+
+describe('findManifests', () => {
+  it('keeps known manifests among the root files', () => {
+    const listing = [
+      { name: 'package.json', type: 'file' },
+      { name: 'go.mod', type: 'dir' },
+      { name: 'README.md', type: 'file' },
+      { name: 'Cargo.toml', type: 'file' },
+    ];
+    expect(findManifests(listing)).toEqual(['package.json', 'Cargo.toml']);
+    expect(findManifests({ message: 'Not Found' })).toEqual([]);
+  });
+});
+
+describe('detectTechnologies', () => {
+  it('matches exact names and prefixes within an ecosystem', () => {
+    expect(detectTechnologies(parseManifest('pom.xml', pomXml))).toEqual([
+      { name: 'Spring Boot', category: TECH_CATEGORIES.BACKEND },
+      { name: 'JUnit', category: TECH_CATEGORIES.TESTING },
+    ]);
+    expect(detectTechnologies({ ecosystem: 'pypi', dependencies: ['react'] })).toEqual([]);
+  });
+});
+
+describe('aggregateTechStack', () => {
+  it('counts each technology and library once per repository', () => {
+    const scans = [
+      { repo: 'web', manifests: [parseManifest('package.json', packageJson)] },
+      { repo: 'api', manifests: [parseManifest('go.mod', goMod), parseManifest('package.json', packageJson)] },
+      { repo: 'docs', manifests: [] },
+    ];
+    const stack = aggregateTechStack(scans, { libraryLimit: 2 });
+
+    expect(stack.technologies.find(tech => tech.name === 'React')).toEqual({
+      name: 'React',
+      category: TECH_CATEGORIES.FRONTEND,
+      value: 2,
+      repos: ['web', 'api'],
+    });
+    expect(stack.technologies.find(tech => tech.name === 'Gin')).toMatchObject({ value: 1, repos: ['api'] });
+    expect(stack.libraries).toEqual([
+      { name: '@nestjs/core', ecosystem: 'npm', value: 2 },
+      { name: 'react', ecosystem: 'npm', value: 2 },
+    ]);
+    expect(stack).toMatchObject({ scannedRepos: 3, reposWithManifests: 2 });
+  });
+});
@@ -0,0 +1,53 @@
+// Opt-in persistence for the GitHub token. By default it only lives in memory; "session" keeps it
+// until the tab is closed and "local" until the user forgets it. Only one storage holds it at a time.
+
+const STORAGE_KEY = 'gitlang.token';
+
+export const TOKEN_PERSISTENCE = {
+  NONE: 'none',
+  SESSION: 'session',
+  LOCAL: 'local',
+};
+
+const storageFor = (persistence) => {
+  try {
+    if (persistence === TOKEN_PERSISTENCE.SESSION) return window.sessionStorage;
+    if (persistence === TOKEN_PERSISTENCE.LOCAL) return window.localStorage;
+  } catch (err) {
+    // Storage access throws when cookies are blocked
+  }
+  return null;
+};
+
+export const loadStoredToken = () => {
+  for (const persistence of [TOKEN_PERSISTENCE.SESSION, TOKEN_PERSISTENCE.LOCAL]) {
+    try {
+      const token = storageFor(persistence)?.getItem(STORAGE_KEY);
+      if (token) return { token, persistence };
+    } catch (err) {
+      // Fall through to the next storage
+    }
+  }
+  return { token: '', persistence: TOKEN_PERSISTENCE.NONE };
+};
+
+export const forgetToken = () => {
+  [TOKEN_PERSISTENCE.SESSION, TOKEN_PERSISTENCE.LOCAL].forEach(persistence => {
+    try {
+      storageFor(persistence)?.removeItem(STORAGE_KEY);
+    } catch (err) {
+      // Nothing stored there
+    }
+  });
+};
+
+export const saveToken = (token, persistence) => {
+  forgetToken();
+  const storage = storageFor(persistence);
+  if (!token || !storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, token);
+  } catch (err) {
+    // Quota exceeded or storage disabled; the token still works for this session
+  }
+};
@@ -0,0 +1,104 @@
+// Watched users: profiles whose analyses are refreshed in the background whenever the app opens.
+// Each refresh is saved as a snapshot and compared with the previous one, so a change worth
+// knowing about (a new primary language, a jump in stars) can be reported as a notification.
+import { GitHubError, ERROR_CODES } from './github.js';
+import { SNAPSHOT_KINDS, createSnapshot, subjectKey } from './snapshots.js';
+
+const STORAGE_KEY = 'gitlang.watched';
+
+export const MAX_WATCHED_USERS = 20;
+
+// A user refreshed more recently than this is skipped, so reopening the app doesn't spend quota
+export const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Stars gained since the last snapshot that count as a jump: at least this many, and at least this
+// share of the previous total
+const STAR_JUMP_MIN = 10;
+const STAR_JUMP_RATIO = 0.1;
+
+export const loadWatchedUsers = () => {
+  try {
+    const value = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(value) ? value.filter(login => typeof login === 'string' && login).slice(0, MAX_WATCHED_USERS) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveWatchedUsers = (logins) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(logins));
+  } catch (err) {
+    // Storage disabled; the list lasts until the page is closed
+  }
+};
+
+export const isWatched = (logins, login) => logins.some(entry => entry.toLowerCase() === login.toLowerCase());
+
+// Adds or removes `login`; new entries go first and the oldest fall off past the limit
+export const toggleWatchedUser = (logins, login) => (
+  isWatched(logins, login)
+    ? logins.filter(entry => entry.toLowerCase() !== login.toLowerCase())
+    : [login, ...logins].slice(0, MAX_WATCHED_USERS)
+);
+
+export const primaryLanguage = (snapshot) => snapshot.languages[0]?.name || null;
+
+// `[{ type: 'primaryLanguage', from, to } | { type: 'stars', delta, total }]` between two snapshots
+export const detectNotableChanges = (before, after) => {
+  const changes = [];
+  const from = primaryLanguage(before);
+  const to = primaryLanguage(after);
+  if (to && from !== to) changes.push({ type: 'primaryLanguage', from, to });
+
+  const delta = after.stats.totalStars - before.stats.totalStars;
+  if (delta >= STAR_JUMP_MIN && delta >= before.stats.totalStars * STAR_JUMP_RATIO) {
+    changes.push({ type: 'stars', delta, total: after.stats.totalStars });
+  }
+  return changes;
+};
+
+const RATE_LIMIT_CODES = [ERROR_CODES.RATE_LIMITED, ERROR_CODES.SECONDARY_RATE_LIMITED];
+
+const isDue = (latest, now) => !latest || now - Date.parse(latest.takenAt) >= REFRESH_INTERVAL_MS;
+
+// Refresh the due users one at a time. `fetchUser(login)` resolves to `{ profile, repos, stale }`;
+// stale (offline cache) results aren't saved. `canContinue()` is asked before each user, e.g. to
+// keep some quota back. Resolves to `[{ login, changes } | { login, error } | { login, skipped }]`,
+// reporting each one through `onResult` as it finishes. A rate limit or abort ends the run early.
+export const refreshWatchedUsers = async ({
+  logins,
+  store,
+  fetchUser,
+  canContinue = () => true,
+  onResult = () => {},
+  now = Date.now(),
+}) => {
+  const results = [];
+  for (const login of logins) {
+    if (!canContinue()) break;
+
+    let result;
+    try {
+      const [latest] = await store.list(subjectKey(SNAPSHOT_KINDS.USER, login));
+      if (!isDue(latest, now)) {
+        result = { login, skipped: true };
+      } else {
+        const { profile, repos, stale } = await fetchUser(login);
+        if (stale) {
+          result = { login, skipped: true };
+        } else {
+          const snapshot = await store.save(createSnapshot({ profile, repos }));
+          result = { login, changes: latest ? detectNotableChanges(latest, snapshot) : [] };
+        }
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') break;
+      result = { login, error: err };
+    }
+    results.push(result);
+    onResult(result);
+    if (result.error instanceof GitHubError && RATE_LIMIT_CODES.includes(result.error.code)) break;
+  }
+  return results;
+};
@@ -0,0 +1,132 @@
+import { describe, expect, it, vi } from 'vitest';
+import { ERROR_CODES, GitHubError } from './github.js';
+import { createSnapshot } from './snapshots.js';
+import { REFRESH_INTERVAL_MS, detectNotableChanges, refreshWatchedUsers } from './watchlist.js';
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+
+const snapshotOf = ({ login = 'octocat', stars = 0, languages = ['Go'], takenAt = '2024-06-01T00:00:00.000Z' } = {}) =>
+  createSnapshot({
+    profile: { login },
+    takenAt,
+    repos: languages.map((language, index) => ({
+      name: `repo-${index}`,
+      language,
+      stargazers_count: index === 0 ? stars : 0,
+      forks_count: 0,
+    })),
+  });
+
+const starChange = (beforeStars, afterStars) =>
+  detectNotableChanges(snapshotOf({ stars: beforeStars }), snapshotOf({ stars: afterStars })).find(change => change.type === 'stars');
+
+describe('detectNotableChanges', () => {
+  it('reports a new primary language', () => {
+    const changes = detectNotableChanges(snapshotOf({ languages: ['Go'] }), snapshotOf({ languages: ['Rust', 'Rust', 'Go'] }));
+    expect(changes).toEqual([{ type: 'primaryLanguage', from: 'Go', to: 'Rust' }]);
+  });
+
+  it('reports a first primary language but not losing the last one', () => {
+    expect(detectNotableChanges(snapshotOf({ languages: [null] }), snapshotOf({ languages: ['Go'] }))).toEqual([
+      { type: 'primaryLanguage', from: null, to: 'Go' },
+    ]);
+    expect(detectNotableChanges(snapshotOf({ languages: ['Go'] }), snapshotOf({ languages: [null] }))).toEqual([]);
+  });
+
+  it('needs at least 10 new stars', () => {
+    expect(starChange(0, 9)).toBeUndefined();
+    expect(starChange(0, 10)).toEqual({ type: 'stars', delta: 10, total: 10 });
+  });
+
+  it('needs the new stars to be at least a tenth of the previous total', () => {
+    expect(starChange(200, 219)).toBeUndefined();
+    expect(starChange(200, 220)).toEqual({ type: 'stars', delta: 20, total: 220 });
+    // Both thresholds meet at 100 stars
+    expect(starChange(100, 109)).toBeUndefined();
+    expect(starChange(100, 110)).toEqual({ type: 'stars', delta: 10, total: 110 });
+  });
+
+  it('ignores losing stars', () => {
+    expect(starChange(100, 50)).toBeUndefined();
+  });
+});
+
+// An in-memory stand-in for the snapshot store
+const createStore = (initial = []) => {
+  const snapshots = [...initial];
+  return {
+    snapshots,
+    list: vi.fn(async (subject) => snapshots.filter(snapshot => snapshot.subject === subject).sort((a, b) => b.takenAt.localeCompare(a.takenAt))),
+    save: vi.fn(async (snapshot) => {
+      snapshots.push(snapshot);
+      return snapshot;
+    }),
+  };
+};
+
+const fetched = (login, stars) => ({
+  profile: { login },
+  repos: [{ name: 'repo-0', language: 'Go', stargazers_count: stars, forks_count: 0 }],
+  stale: false,
+});
+
+describe('refreshWatchedUsers', () => {
+  it('saves a first snapshot without reporting changes', async () => {
+    const store = createStore();
+    const results = await refreshWatchedUsers({ logins: ['octocat'], store, fetchUser: async (login) => fetched(login, 500), now: NOW });
+    expect(results).toEqual([{ login: 'octocat', changes: [] }]);
+    expect(store.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('compares a due user with their latest snapshot', async () => {
+    const latest = snapshotOf({ stars: 100, takenAt: new Date(NOW - REFRESH_INTERVAL_MS).toISOString() });
+    const store = createStore([latest]);
+    const results = await refreshWatchedUsers({ logins: ['octocat'], store, fetchUser: async (login) => fetched(login, 110), now: NOW });
+    expect(results).toEqual([{ login: 'octocat', changes: [{ type: 'stars', delta: 10, total: 110 }] }]);
+  });
+
+  it('skips users refreshed within the interval and stale results', async () => {
+    const recent = snapshotOf({ takenAt: new Date(NOW - REFRESH_INTERVAL_MS + 1).toISOString() });
+    const store = createStore([recent]);
+    const fetchUser = vi.fn(async (login) => ({ ...fetched(login, 0), stale: true }));
+    const results = await refreshWatchedUsers({ logins: ['octocat', 'hubot'], store, fetchUser, now: NOW });
+    expect(results).toEqual([{ login: 'octocat', skipped: true }, { login: 'hubot', skipped: true }]);
+    expect(fetchUser).toHaveBeenCalledTimes(1);
+    expect(store.save).not.toHaveBeenCalled();
+  });
+
+  it('reports errors and stops at a rate limit', async () => {
+    const rateLimited = new GitHubError('limited', { code: ERROR_CODES.RATE_LIMITED });
+    const notFound = new GitHubError('missing', { code: ERROR_CODES.NOT_FOUND });
+    const fetchUser = vi.fn(async (login) => {
+      if (login === 'ghost') throw notFound;
+      throw rateLimited;
+    });
+    const onResult = vi.fn();
+    const results = await refreshWatchedUsers({ logins: ['ghost', 'octocat', 'hubot'], store: createStore(), fetchUser, onResult, now: NOW });
+    expect(results).toEqual([{ login: 'ghost', error: notFound }, { login: 'octocat', error: rateLimited }]);
+    expect(onResult).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops when aborted or when canContinue says so', async () => {
+    const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    const aborted = await refreshWatchedUsers({
+      logins: ['octocat', 'hubot'],
+      store: createStore(),
+      fetchUser: async () => { throw abort; },
+      now: NOW,
+    });
+    expect(aborted).toEqual([]);
+
+    const fetchUser = vi.fn(async (login) => fetched(login, 0));
+    let allowed = 1;
+    const limited = await refreshWatchedUsers({
+      logins: ['octocat', 'hubot'],
+      store: createStore(),
+      fetchUser,
+      canContinue: () => allowed-- > 0,
+      now: NOW,
+    });
+    expect(limited.map(result => result.login)).toEqual(['octocat']);
+  });
+});
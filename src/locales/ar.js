@@ -0,0 +1,427 @@
+// Arabic catalog (right-to-left)
+export default {
+  'app.tagline': '🚀 حلّل ملفك الشخصي على GitHub كما لم تفعل من قبل',
+  'app.features': 'تحليل اللغات • رؤى الملف الشخصي • أداء المستودعات',
+  'app.language': 'اللغة',
+
+  'mode.user': 'مستخدم',
+  'mode.org': 'مؤسسة',
+
+  'search.placeholderUser': 'أدخل اسم مستخدم GitHub (افصل بفواصل للمقارنة)...',
+  'search.placeholderOrg': 'أدخل اسم مؤسسة على GitHub...',
+  'search.analyze': 'تحليل',
+  'search.includeMembers': 'تضمين مستودعات جميع الأعضاء العلنيين',
+  'search.example': 'جرّب مثالاً: {login}',
+
+  'token.hide': 'إخفاء إعدادات الواجهة البرمجية',
+  'token.add': 'إضافة رمز الواجهة البرمجية (عند تجاوز الحد)',
+  'token.signedIn': 'تم تسجيل الدخول باسم ‎@{login}',
+  'token.host': 'رمز الواجهة البرمجية · {host}',
+  'token.placeholder': 'الصق رمز وصول شخصي من GitHub (اختياري)',
+  'token.showToken': 'إظهار الرمز',
+  'token.hideToken': 'إخفاء الرمز',
+  'token.checking': 'جارٍ التحقق من الرمز...',
+  'token.authenticated': 'تمت المصادقة باسم @{login}',
+  'token.scopes': 'الصلاحيات: {scopes}',
+  'token.noScopes': 'لا شيء (البيانات العامة فقط)',
+  'token.fineGrained': 'رمز دقيق الصلاحيات: يُضبط الوصول إلى المستودعات في الرمز نفسه.',
+  'token.publicOnly': 'بدون صلاحية repo تظهر المستودعات العامة فقط.',
+  'token.remember': 'تذكّر الرمز',
+  'token.persistence.none': 'عدم الحفظ',
+  'token.persistence.session': 'حتى إغلاق التبويب',
+  'token.persistence.local': 'على هذا الجهاز',
+  'token.persistence.noneHint': 'يُحفظ الرمز في الذاكرة فقط ويختفي بعد إعادة التحميل.',
+  'token.persistence.sessionHint': 'يُحفظ الرمز في تخزين الجلسة حتى إغلاق هذا التبويب.',
+  'token.persistence.localHint': 'يُحفظ الرمز في التخزين المحلي على هذا الجهاز حتى تطلب نسيانه. يمكن لأي شخص يستخدم ملف تعريف المتصفح هذا قراءته. تُخزَّن الردود التي جُلبت به هنا أيضًا، وتُحذف عند نسيان الرمز.',
+  'token.forget': 'نسيان الرمز',
+  'token.apiUrlPlaceholder': 'عنوان API لخادم GitHub Enterprise، مثل https://github.example.com/api/v3',
+  'token.apiUrlHint': 'اتركه فارغًا لـ github.com. يُحفظ الخادم لكل رمز تستخدمه معه.',
+
+  'progress.profile': 'جارٍ جلب الملف الشخصي...',
+  'progress.pages': 'جارٍ جلب المستودعات: الصفحة {page} من {total}',
+  'common.cancel': 'إلغاء',
+  'common.notAvailable': 'غير متاح',
+
+  'stale.message': 'تعذّر الوصول إلى GitHub أو تم تجاوز حد الطلبات، لذا هذه آخر نتيجة محفوظة.',
+  'stale.asOf': 'البيانات بتاريخ',
+
+  'filters.noMatch': 'لا توجد مستودعات تطابق عوامل التصفية الحالية.',
+  'filters.title': 'مرشحات المستودعات',
+  'filters.active': { zero: 'لا مرشحات نشطة', one: 'مرشح نشط واحد', two: 'مرشحان نشطان', few: '{count} مرشحات نشطة', other: '{count} مرشحًا نشطًا' },
+  'filters.analyzing': { zero: 'تحليل {shown} من {total} مستودع', one: 'تحليل {shown} من مستودع واحد', two: 'تحليل {shown} من مستودعين', few: 'تحليل {shown} من {total} مستودعات', other: 'تحليل {shown} من {total} مستودعًا' },
+  'filters.exclude': 'استبعاد',
+  'filters.forks': 'النسخ المتفرعة',
+  'filters.archived': 'المستودعات المؤرشفة',
+  'filters.templates': 'مستودعات القوالب',
+  'filters.pushedBetween': 'آخر دفع بين',
+  'filters.pushedAfter': 'دُفع بعد',
+  'filters.pushedBefore': 'دُفع قبل',
+  'filters.topics': 'الموضوعات المطلوبة',
+  'filters.noTopics': 'لا تحتوي أي من هذه المستودعات على موضوعات.',
+  'filters.searchTopics': 'ابحث في الموضوعات...',
+  'filters.reset': 'إعادة ضبط المرشحات',
+
+  'profile.followers': 'المتابِعون',
+  'profile.following': 'يتابِع',
+  'profile.repos': 'المستودعات',
+  'profile.gists': 'المقتطفات',
+  'profile.totalStars': 'مجموع النجوم',
+  'profile.totalForks': 'مجموع التفرعات',
+  'profile.avgStars': 'متوسط النجوم',
+  'profile.connect': 'تواصل وتابِع',
+  'profile.github': 'الملف على GitHub',
+  'profile.twitter': 'تويتر',
+  'profile.website': 'الموقع',
+
+  'topRepos.title': 'المستودعات الأعلى أداءً',
+  'topRepos.contributed': 'أبرز المستودعات التي ساهم فيها (غير المملوكة)',
+  'repoDetail.back': 'العودة إلى @{login}',
+  'repoDetail.notFound': 'لا يملك @{login} مستودعًا باسم "{name}" ضمن المستودعات المحللة.',
+  'repoDetail.open': 'عرض على GitHub',
+  'repoDetail.private': 'خاص',
+  'repoDetail.fork': 'تفرع',
+  'repoDetail.archived': 'مؤرشف',
+  'repoDetail.stars': 'النجوم',
+  'repoDetail.forks': 'التفرعات',
+  'repoDetail.openIssues': 'المشكلات المفتوحة',
+  'repoDetail.size': 'الحجم',
+  'repoDetail.created': 'تاريخ الإنشاء',
+  'repoDetail.pushed': 'آخر دفع',
+  'repoDetail.defaultBranch': 'الفرع الافتراضي',
+  'repoDetail.license': 'الترخيص',
+  'repoDetail.noLicense': 'لا يوجد',
+  'repoDetail.loading': 'جارٍ تحميل تفاصيل المستودع…',
+  'repoDetail.load': 'تحميل تفاصيل المستودع',
+  'repoDetail.retry': 'إعادة المحاولة',
+  'repoDetail.languages': 'اللغات',
+  'repoDetail.languageBytes': 'البايتات لكل لغة',
+  'repoDetail.noLanguages': 'لم يكتشف GitHub أي لغات في هذا المستودع.',
+  'repoDetail.contributors': 'أبرز المساهمين',
+  'repoDetail.noContributors': 'لا يوجد مساهمون بعد.',
+  'repoDetail.commitCount': { zero: 'لا إيداعات', one: 'إيداع واحد', two: 'إيداعان', few: '{count} إيداعات', other: '{count} إيداعًا' },
+  'repoDetail.activity': 'نشاط الإيداعات',
+  'repoDetail.activityLoading': 'بانتظار أن يحسب GitHub إحصاءات الإيداعات…',
+  'repoDetail.activityPending': 'لا يزال GitHub يحسب إحصاءات الإيداعات لهذا المستودع. أعد تحميل الصفحة بعد دقيقة.',
+  'repoDetail.noActivity': 'لا إيداعات خلال العام الماضي.',
+  'repoDetail.commitActivity': 'الإيداعات أسبوعيًا خلال العام الماضي',
+  'repoDetail.weekCommits': { zero: 'أسبوع {date}: لا إيداعات. {position} من {total}.', one: 'أسبوع {date}: إيداع واحد. {position} من {total}.', two: 'أسبوع {date}: إيداعان. {position} من {total}.', few: 'أسبوع {date}: {count} إيداعات. {position} من {total}.', other: 'أسبوع {date}: {count} إيداعًا. {position} من {total}.' },
+  'repoDetail.weekOf': 'الأسبوع',
+  'repoDetail.commits': 'الإيداعات',
+  'repoDetail.issues': { zero: 'لا مشكلات مفتوحة', one: 'مشكلة مفتوحة واحدة', two: 'مشكلتان مفتوحتان', few: '{count} مشكلات مفتوحة', other: '{count} مشكلة مفتوحة' },
+  'repoDetail.noIssues': 'لا توجد مشكلات مفتوحة.',
+  'repoDetail.pulls': { zero: 'لا طلبات سحب مفتوحة', one: 'طلب سحب مفتوح واحد', two: 'طلبا سحب مفتوحان', few: '{count} طلبات سحب مفتوحة', other: '{count} طلب سحب مفتوح' },
+  'repoDetail.noPulls': 'لا توجد طلبات سحب مفتوحة.',
+  'repoDetail.releases': 'الإصدارات',
+  'repoDetail.noReleases': 'لم تُنشر أي إصدارات.',
+  'repoDetail.prerelease': 'إصدار تجريبي',
+  'repoDetail.draft': 'مسودة',
+
+  'metric.repos': 'المستودعات حسب اللغة الأساسية',
+  'metric.bytes': 'حجم الشيفرة لكل لغة',
+  'metric.readingBytes': {
+    zero: 'جارٍ قراءة أحجام اللغات...',
+    one: 'جارٍ قراءة أحجام اللغات لمستودع واحد...',
+    two: 'جارٍ قراءة أحجام اللغات لمستودعين...',
+    few: 'جارٍ قراءة أحجام اللغات لـ {count} مستودعات...',
+    other: 'جارٍ قراءة أحجام اللغات لـ {count} مستودعًا...',
+  },
+  'metric.repoCount': { zero: 'لا مستودعات', one: 'مستودع واحد', two: 'مستودعان', few: '{count} مستودعات', other: '{count} مستودعًا' },
+
+  'charts.pie': 'توزيع اللغات',
+  'charts.barRepos': 'عدد المستودعات حسب اللغة',
+  'charts.barBytes': 'حجم الشيفرة حسب اللغة',
+  'charts.tip': 'تلميح: انقر على لغة في أي من المخططين لعرض مستودعاتها أدناه.',
+  'charts.language': 'اللغة',
+  'charts.valueRepos': 'المستودعات',
+  'charts.valueBytes': 'البايتات',
+  'charts.share': 'النسبة',
+
+  'languages.title': 'أبرز اللغات',
+
+  'summary.topLanguage': 'اللغة الأولى',
+  'summary.topLanguageBytes': 'الحصة الأكبر من الشيفرة بالبايت',
+  'summary.topLanguageRepos': 'اللغة الأساسية الأكثر استخدامًا',
+  'summary.analyzed': 'المستودعات التي تم تحليلها',
+  'summary.fetched': 'المستودعات العامة التي تم جلبها',
+  'summary.matching': 'مطابقة لعوامل التصفية، من أصل {count}',
+  'summary.diversity': 'درجة التنوع',
+  'summary.diversityHint': 'عدد اللغات المختلفة المستخدمة',
+
+  'embed.title': 'أضِفه إلى ملفك على GitHub',
+  'embed.description': 'أضِف هذا إلى ملف README.md في ملفك الشخصي لعرض أبرز لغاتك والتواصل مع الزوار!',
+  'embed.card': 'بطاقة اللغات',
+  'embed.theme': 'السمة',
+  'embed.layout': 'التخطيط',
+  'embed.count': 'عدد اللغات المعروضة:',
+  'embed.noEndpoint': 'لم يتم إعداد خدمة البطاقات (VITE_CARD_URL)، لذا تستخدم المقتطفات أدناه شارة ثابتة. انشر api/card.js لتضمين هذه البطاقة.',
+  'embed.preview': 'معاينة بطاقة اللغات',
+  'embed.htmlTitle': 'مُوصى به: نسخة HTML',
+  'embed.best': 'الأفضل لـ GitHub',
+  'embed.htmlHint': 'تعمل هذه النسخة بأفضل شكل في ملفات README على GitHub. الصق شيفرة HTML هذه مباشرة:',
+  'embed.copyHtml': 'نسخ HTML',
+  'embed.markdownTitle': 'نسخة Markdown',
+  'embed.markdownHint': 'صيغة Markdown بديلة (تعمل على GitHub وGitLab وBitbucket وغيرها):',
+  'embed.copyMarkdown': 'نسخ Markdown',
+  'embed.howTo': '💡 طريقة الاستخدام:',
+  'embed.step1': 'انسخ الشيفرة أعلاه (يُفضّل HTML)',
+  'embed.step2': 'افتح ملف README.md في ملفك الشخصي على GitHub',
+  'embed.step3': 'الصق الشيفرة في المكان الذي تريد أن تظهر فيه',
+  'embed.step4': 'احفظ التغيير وسيعرض ملفك أبرز لغاتك!',
+  'snapshots.title': 'سجل اللقطات',
+  'snapshots.description': 'يُحفظ كل تحليل في هذا المتصفح كلقطة مؤرخة. قارن بين لقطتين لمعرفة ما تغيّر.',
+  'snapshots.export': 'تصدير',
+  'snapshots.import': 'استيراد',
+  'snapshots.unavailable': 'تتطلب اللقطات IndexedDB، وهو غير متاح في هذا المتصفح.',
+  'snapshots.storageError': 'تعذّرت قراءة اللقطات أو حفظها في تخزين المتصفح.',
+  'snapshots.imported': { zero: 'لم تُستورد أي لقطة.', one: 'تم استيراد لقطة واحدة.', two: 'تم استيراد لقطتين.', few: 'تم استيراد {count} لقطات.', other: 'تم استيراد {count} لقطة.' },
+  'snapshots.importFailed': 'فشل الاستيراد: {message}',
+  'snapshots.fileErrors.empty': 'الملف فارغ.',
+  'snapshots.fileErrors.invalid_json': 'الملف ليس بتنسيق JSON صالح.',
+  'snapshots.fileErrors.not_an_export': 'الملف ليس تصديرًا للقطات GitLang.',
+  'snapshots.fileErrors.newer_version': 'تم تصدير الملف بإصدار أحدث من GitLang Detector.',
+  'snapshots.fileErrors.no_snapshots': 'لا يحتوي الملف على أي لقطات.',
+  'snapshots.privateRemoved': { zero: 'لم تُحذف أي لقطة.', one: 'تم حذف لقطة واحدة تضمنت مستودعات خاصة.', two: 'تم حذف لقطتين تضمنتا مستودعات خاصة.', few: 'تم حذف {count} لقطات تضمنت مستودعات خاصة.', other: 'تم حذف {count} لقطة تضمنت مستودعات خاصة.' },
+  'snapshots.delete': 'حذف لقطة {date}',
+  'snapshots.stars': { zero: 'لا نجوم', one: 'نجمة واحدة', two: 'نجمتان', few: '{count} نجوم', other: '{count} نجمة' },
+  'snapshots.needTwo': 'حلّل مجددًا لاحقًا، أو استورد ملف تصدير أقدم، لمقارنة اللقطات.',
+  'snapshots.compare': 'قارن',
+  'snapshots.with': 'مع',
+  'snapshots.pickDifferent': 'اختر لقطتين مختلفتين.',
+  'snapshots.repos': 'المستودعات',
+  'snapshots.totalStars': 'النجوم',
+  'snapshots.totalForks': 'التفرعات',
+  'snapshots.languagesChanged': 'اللغات المضافة والمفقودة',
+  'snapshots.shareChanges': 'تغيّر النسب',
+  'snapshots.noShareChanges': 'لم تتغير نسب اللغات.',
+  'snapshots.before': 'قبل',
+  'snapshots.after': 'بعد',
+  'snapshots.change': 'التغيّر',
+  'snapshots.points': '{value} نقطة مئوية',
+  'snapshots.newRepos': 'مستودعات جديدة',
+  'snapshots.removedRepos': { zero: 'لم يُحذف أي مستودع.', one: 'حُذف مستودع واحد أو أُعيدت تسميته.', two: 'حُذف مستودعان أو أُعيدت تسميتهما.', few: 'حُذفت {count} مستودعات أو أُعيدت تسميتها.', other: 'حُذف {count} مستودعًا أو أُعيدت تسميتها.' },
+  'snapshots.growth': 'نمو النجوم والتفرعات',
+  'snapshots.forks': 'تفرعات',
+  'snapshots.none': 'لا شيء.',
+  'watch.title': 'المستخدمون المتابَعون',
+  'watch.watch': 'متابعة',
+  'watch.unwatch': 'إلغاء المتابعة',
+  'watch.remove': 'إلغاء متابعة @{login}',
+  'watch.refreshing': 'جارٍ التحديث…',
+  'watch.pending': 'بانتظار التحديث',
+  'watch.failed': 'تعذر التحديث',
+  'watch.upToDate': 'حُدّث مؤخرًا',
+  'watch.noChanges': 'لا تغييرات لافتة',
+  'watch.newPrimary': 'اللغة الأساسية: {from} ← {to}',
+  'watch.noLanguage': 'لا شيء',
+  'watch.starJump': { zero: '+{count} نجمة (الإجمالي {total})', one: '+نجمة واحدة (الإجمالي {total})', two: '+نجمتان (الإجمالي {total})', few: '+{count} نجوم (الإجمالي {total})', other: '+{count} نجمة (الإجمالي {total})' },
+  'watch.notificationTitle': 'تغيّر @{login}',
+  'watch.enableNotifications': 'أعلمني بالتغييرات',
+  'watch.notificationsBlocked': 'الإشعارات محظورة لهذا الموقع؛ تظهر التغييرات هنا فقط.',
+  'watch.notificationsUnsupported': 'لا يدعم هذا المتصفح الإشعارات؛ تظهر التغييرات هنا فقط.',
+
+  'footer.creator': 'تعرّف على المطوّر',
+  'footer.builtBy': 'تصميم وتطوير',
+  'footer.rights': 'حقوق النشر © {year} Gunjan Ghangare. جميع الحقوق محفوظة.',
+
+  'rateLimit.title': 'طلبات الواجهة البرمجية المتبقية في نافذة الحد الحالية',
+  'rateLimit.remaining': 'حصة الواجهة البرمجية: المتبقي {remaining}/{limit}',
+  'rateLimit.resets': '· تتجدد عند {time} ({minutes} دقيقة)',
+
+  'quota.confirm': '{what} يحتاج إلى نحو {needed} طلبًا، لكن لم يتبقَّ سوى {remaining} من {limit} حتى {time}. هل تريد المتابعة؟',
+  'quota.analyzing': 'تحليل ‎@{login}',
+  'quota.members': { one: 'تحميل مستودعات عضو واحد', two: 'تحميل مستودعات عضوين', few: 'تحميل مستودعات {count} أعضاء', other: 'تحميل مستودعات {count} عضوًا' },
+  'quota.comparing': { one: 'مقارنة مستخدم واحد', two: 'مقارنة مستخدمَين', few: 'مقارنة {count} مستخدمين', other: 'مقارنة {count} مستخدمًا' },
+  'quota.bytes': 'قراءة أحجام اللغات',
+  'quota.activity': 'تحميل النشاط',
+  'quota.techStack': 'فحص ملفات التبعيات',
+  'quota.repoDetail': 'تحميل تفاصيل {name}',
+
+  'errors.enterUser': 'يرجى إدخال اسم مستخدم GitHub أولاً.',
+  'errors.enterOrg': 'يرجى إدخال اسم مؤسسة GitHub أولاً.',
+  'errors.noPublicRepos': 'لم يتم العثور على مستودعات عامة لهذا المستخدم.',
+  'errors.noOrgRepos': 'لم يتم العثور على مستودعات عامة لهذه المؤسسة.',
+  'errors.noLanguageData': 'تم العثور على مستودعات، لكن دون بيانات عن اللغات.',
+  'errors.noByteData': 'لم يتم العثور على أحجام اللغات لهذه المستودعات.',
+  'errors.compareLimit': 'يمكنك مقارنة {max} مستخدمين كحد أقصى في المرة الواحدة.',
+  'errors.cancelled': 'تم إلغاء التحليل.',
+  'errors.cancelledPartial': 'تم إلغاء التحليل. يتم عرض المستودعات التي تم تحميلها حتى الآن ({count}).',
+  'errors.quotaCancelled': 'تم إلغاء التحليل للحفاظ على حصتك المتبقية. أضِف رمز GitHub للحصول على حد أعلى.',
+  'errors.scanQuota': 'لا توجد حصة كافية لفحص أي مستودع. أضِف رمز GitHub أو حاول لاحقًا.',
+  'errors.userNotFound': 'المستخدم غير موجود. تحقق من اسم المستخدم.',
+  'errors.orgNotFound': 'المؤسسة غير موجودة. تحقق من اسم المؤسسة.',
+  'errors.repoNotFound': 'المستودع غير موجود. ربما أُعيدت تسميته أو حُذف أو أصبح خاصًا.',
+  'errors.unauthorized': 'رمز GitHub غير صالح.',
+  'errors.rateLimited': 'تم تجاوز حد الواجهة البرمجية. يمكنك المحاولة مجددًا عند {time} (بعد {minutes} دقيقة)، أو إضافة رمز GitHub أدناه.',
+  'errors.secondaryRateLimited': 'تم تفعيل الحد الثانوي في GitHub بسبب كثرة الطلبات في وقت قصير. يمكنك المحاولة مجددًا عند {time} (بعد {minutes} دقيقة).',
+  'errors.forbidden': 'الوصول مرفوض: {message}',
+  'errors.ssoRequired': 'يجب تفويض هذا الرمز لتسجيل الدخول الموحد SAML الخاص بالمؤسسة. فوّضه من {url} ثم حاول مجددًا.',
+  'errors.ssoRequiredNoUrl': 'يجب تفويض هذا الرمز لتسجيل الدخول الموحد SAML الخاص بالمؤسسة. فوّضه من إعدادات الرمز ثم حاول مجددًا.',
+  'errors.network': 'تعذّر الوصول إلى {host}. تحقق من عنوان الواجهة البرمجية ومن اتصال الشبكة أو VPN.',
+  'errors.networkEnterprise': 'تعذّر الوصول إلى {host}. تحقق من عنوان الواجهة البرمجية ومن اتصال الشبكة أو VPN، ومن أن الخادم يسمح بالطلبات عبر المصادر من هذا الموقع.',
+  'errors.http': 'خطأ في واجهة GitHub البرمجية: {status}',
+  'settings.title': 'العرض',
+  'settings.theme': 'السمة',
+  'settings.themes.system': 'حسب النظام',
+  'settings.themes.dark': 'داكنة',
+  'settings.themes.light': 'فاتحة',
+  'settings.themes.highContrast': 'تباين عالٍ',
+  'settings.languageColors': 'ألوان اللغات',
+  'settings.linguist': 'استخدام ألوان اللغات في GitHub',
+  'settings.linguistHint': 'تحتفظ كل لغة بلونها في GitHub في جميع المخططات. أوقف الخيار لتلوين اللغات بلوحة الألوان أعلاه.',
+  'settings.overrideLanguage': 'اللغة',
+  'settings.newOverrideColor': 'لون اللغة',
+  'settings.addOverride': 'إضافة لون للغة',
+  'settings.overrideColor': 'لون {name}',
+  'settings.removeOverride': 'إعادة تعيين لون {name}',
+  'settings.palette': 'ألوان المخططات',
+  'settings.palettes.default': 'الافتراضية',
+  'settings.palettes.okabeIto': 'Okabe-Ito (مناسبة لعمى الألوان)',
+  'settings.palettes.tolBright': 'Tol bright (مناسبة لعمى الألوان)',
+  'settings.patterns': 'تعبئة بالأنماط',
+  'settings.patternsHint': 'يضيف أنماطًا إلى أجزاء المخططات وتقطيعًا إلى الخطوط لتمييزها دون الاعتماد على اللون.',
+  'a11y.chart': 'مخطط',
+  'a11y.chartHint': 'استخدم مفاتيح الأسهم للتنقل بين البيانات.',
+  'a11y.chartHintSelect': 'استخدم مفاتيح الأسهم للتنقل بين اللغات وEnter لعرض مستودعاتها.',
+  'a11y.segment': '{name}: {value}، {share}. {position} من {total}.',
+  'a11y.showTable': 'عرض الجدول',
+  'a11y.showChart': 'عرض المخطط',
+  'a11y.loading': 'جارٍ التحميل…',
+  'a11y.userLoaded': { zero: 'تم تحميل @{login}: لا مستودعات.', one: 'تم تحميل @{login}: مستودع واحد.', two: 'تم تحميل @{login}: مستودعان.', few: 'تم تحميل @{login}: {count} مستودعات.', other: 'تم تحميل @{login}: {count} مستودعًا.' },
+  'a11y.orgLoaded': { zero: 'تم تحميل المؤسسة {login}: لا مستودعات.', one: 'تم تحميل المؤسسة {login}: مستودع واحد.', two: 'تم تحميل المؤسسة {login}: مستودعان.', few: 'تم تحميل المؤسسة {login}: {count} مستودعات.', other: 'تم تحميل المؤسسة {login}: {count} مستودعًا.' },
+  'a11y.compareLoaded': 'تم تحميل مقارنة {count} مستخدمين.',
+  'a11y.bytesLoaded': 'تم تحميل أحجام اللغات.',
+  'a11y.activityLoaded': 'تم تحميل النشاط.',
+  'a11y.techStackLoaded': 'اكتمل فحص التقنيات.',
+  'a11y.repoDetailLoaded': 'تم تحميل تفاصيل {name}.',
+
+  'insights.title': 'رؤى المطوّر',
+  'insights.diversity': 'تنوّع اللغات',
+  'insights.diversityDetail': { zero: '{percent} من الحد الأقصى لعدم وجود لغات', one: '{percent} من الحد الأقصى للغة واحدة', two: '{percent} من الحد الأقصى للغتين', few: '{percent} من الحد الأقصى لـ {count} لغات', other: '{percent} من الحد الأقصى لـ {count} لغة' },
+  'insights.diversityExplanation': 'إنتروبيا شانون لحصص اللغة الأساسية بالبت: −Σ p·log₂(p). تُقسَم النسبة على log₂ لعدد اللغات، فتعني 100% أن كل اللغات مستخدمة بالتساوي و0% أن هناك لغة واحدة.',
+  'insights.specialization': 'التخصص',
+  'insights.specializationDetail': '{language} تمثّل {percent} من المستودعات',
+  'insights.noLanguageData': 'لا توجد بيانات لغات',
+  'insights.specializationExplanation': 'مؤشر هيرفيندال–هيرشمان للتركّز: مجموع مربعات حصة كل لغة من المستودعات. يتراوح من 1/n عندما تُستخدم n لغة بالتساوي حتى 1.00 عندما تستخدم كل المستودعات اللغة نفسها.',
+  'insights.originalWork': 'العمل الأصلي',
+  'insights.originalWorkDetail': '{original} أصلي · {forks} متفرع',
+  'insights.originalWorkExplanation': 'حصة المستودعات التي ليست نسخًا متفرعة من مستودع آخر. غالبًا ما تُحفظ النسخ المتفرعة للرجوع إليها أو لتصحيحات صغيرة، لذا تعني الحصة العالية أن معظم العمل بدأه هذا الحساب.',
+  'insights.recentActivity': 'النشاط الأخير',
+  'insights.activityWindow': '{days} يوم: {percent}',
+  'insights.recentActivityExplanation': 'حصة المستودعات التي كان آخر دفع إليها (pushed_at) خلال آخر 30 و90 و365 يومًا. القيمة الرئيسية هي نسبة 90 يومًا.',
+  'insights.starsPerRepo': 'النجوم لكل مستودع',
+  'insights.max': 'الأقصى: {value}',
+  'insights.starsExplanation': 'مئينات أعداد النجوم عبر المستودعات، مع الاستيفاء بين الرتب المتجاورة: p50 هو المستودع الوسيط وp90 يتفوق على 90% منها. يحمل المستودع الأكثر نجومًا {percent} من كل النجوم.',
+
+  'explorer.title': 'مستكشف المستودعات',
+  'explorer.clearLanguage': 'إزالة مرشح اللغة',
+  'explorer.search': 'ابحث بالاسم أو الوصف أو الموضوع...',
+  'explorer.columns.name': 'المستودع',
+  'explorer.columns.language': 'اللغة',
+  'explorer.columns.stars': 'النجوم',
+  'explorer.columns.forks': 'النسخ المتفرعة',
+  'explorer.columns.size': 'الحجم',
+  'explorer.columns.issues': 'المشكلات المفتوحة',
+  'explorer.columns.license': 'الترخيص',
+  'explorer.columns.created': 'تاريخ الإنشاء',
+  'explorer.columns.pushed': 'آخر دفع',
+  'explorer.columns.flags': 'العلامات',
+  'explorer.onGitHub': '{name} على GitHub',
+  'explorer.noMatch': 'لا توجد مستودعات تطابق بحثك.',
+  'explorer.showing': 'عرض {from}–{to} من {total}',
+  'explorer.page': 'الصفحة {page} من {total}',
+  'explorer.previousPage': 'الصفحة السابقة',
+  'explorer.nextPage': 'الصفحة التالية',
+
+  'export.button': 'تصدير',
+  'export.data': 'البيانات',
+  'export.json': 'التحليل الكامل (JSON)',
+  'export.languagesCsv': 'اللغات (CSV)',
+  'export.reposCsv': 'المستودعات (CSV)',
+  'export.statsCsv': 'إحصاءات المستودعات (CSV)',
+  'export.charts': 'المخططات',
+  'export.chartPng': '{title} (PNG)',
+  'export.report': 'التقرير',
+  'export.pdf': 'التقرير الكامل (PDF)',
+
+  'techStack.title': 'الحزمة التقنية',
+  'techStack.top': 'أعلى',
+  'techStack.scanning': 'جارٍ الفحص...',
+  'techStack.rescan': 'إعادة الفحص',
+  'techStack.scan': 'فحص ملفات البيان',
+  'techStack.description': 'يقرأ package.json وrequirements.txt وpom.xml وgo.mod وCargo.toml وGemfile في جذر المستودعات الأكثر نجومًا للعثور على أطر العمل وراء اللغات. يكلّف طلبًا واحدًا لكل مستودع بالإضافة إلى طلب لكل ملف بيان يُعثر عليه.',
+  'techStack.withManifests': { zero: '{withManifests} من {count} مستودع مفحوص لديها ملف بيان مدعوم.', one: '{withManifests} من مستودع مفحوص واحد لديه ملف بيان مدعوم.', two: '{withManifests} من مستودعين مفحوصين لديها ملف بيان مدعوم.', few: '{withManifests} من {count} مستودعات مفحوصة لديها ملف بيان مدعوم.', other: '{withManifests} من {count} مستودعًا مفحوصًا لديها ملف بيان مدعوم.' },
+  'techStack.skipped': { zero: 'تم تخطي {count} مستودع إضافي للبقاء ضمن حصة الواجهة البرمجية.', one: 'تم تخطي مستودع إضافي واحد للبقاء ضمن حصة الواجهة البرمجية.', two: 'تم تخطي مستودعين إضافيين للبقاء ضمن حصة الواجهة البرمجية.', few: 'تم تخطي {count} مستودعات إضافية للبقاء ضمن حصة الواجهة البرمجية.', other: 'تم تخطي {count} مستودعًا إضافيًا للبقاء ضمن حصة الواجهة البرمجية.' },
+  'techStack.none': 'لم يتم اكتشاف أطر عمل أو مكتبات معروفة.',
+  'techStack.libraries': 'المكتبات الأكثر استخدامًا',
+  'techStack.technology': 'التقنية',
+  'techStack.category': 'الفئة',
+  'techStack.describe': '{name} ({category}): {repos}. {position} من {total}.',
+  'techStack.categories.frontend': 'الواجهة الأمامية',
+  'techStack.categories.backend': 'الواجهة الخلفية',
+  'techStack.categories.mobile': 'الجوال وسطح المكتب',
+  'techStack.categories.data': 'البيانات وتعلم الآلة',
+  'techStack.categories.testing': 'الاختبار',
+  'techStack.categories.tooling': 'الأدوات',
+
+  'activity.title': 'النشاط والمساهمات',
+  'activity.loading': 'جارٍ تحميل النشاط...',
+  'activity.load': 'تحميل النشاط',
+  'activity.description': 'طلبات السحب والمشكلات والمراجعات عبر GitHub بالكامل، بالإضافة إلى متى وأين وقعت الأحداث العامة الأخيرة. يستخدم واجهة البحث وموجز الأحداث العامة (آخر 90 يومًا).',
+  'activity.prsOpened': 'طلبات سحب مفتوحة',
+  'activity.prsMerged': 'طلبات سحب مدمجة',
+  'activity.issuesOpened': 'مشكلات مفتوحة',
+  'activity.prsReviewed': 'طلبات سحب تمت مراجعتها',
+  'activity.when': 'متى يحدث النشاط الأخير',
+  'activity.eventCount': { zero: '{count} حدث عام، بتوقيتك المحلي', one: 'حدث عام واحد، بتوقيتك المحلي', two: 'حدثان عامان، بتوقيتك المحلي', few: '{count} أحداث عامة، بتوقيتك المحلي', other: '{count} حدثًا عامًا، بتوقيتك المحلي' },
+  'activity.heatmapSummary': 'الأحداث حسب يوم الأسبوع: {days}',
+  'activity.heatmapCell': { zero: '{day} {time} · {count} حدث', one: '{day} {time} · حدث واحد', two: '{day} {time} · حدثان', few: '{day} {time} · {count} أحداث', other: '{day} {time} · {count} حدثًا' },
+  'activity.noEvents': 'لا توجد أحداث مساهمة عامة في آخر 90 يومًا.',
+  'activity.contributedRepos': 'المساهمات في مستودعات الآخرين',
+  'activity.noContributedRepos': 'لا توجد مساهمات حديثة خارج مستودعاته الخاصة.',
+  'activity.mergedPrs': { zero: '{count} طلب سحب مدمج', one: 'طلب سحب مدمج واحد', two: 'طلبا سحب مدمجان', few: '{count} طلبات سحب مدمجة', other: '{count} طلب سحب مدمجًا' },
+  'activity.events': { zero: '{count} حدث', one: 'حدث واحد', two: 'حدثان', few: '{count} أحداث', other: '{count} حدثًا' },
+  'activity.byLanguage': 'المساهمات حسب اللغة',
+  'activity.noLanguages': 'لا توجد بيانات لغة للمستودعات التي تمت المساهمة فيها.',
+
+  'compare.topLanguage': 'اللغة الأولى:',
+  'compare.chartHeading': 'مقارنة حصص اللغات (% من المستودعات)',
+  'compare.chartTitle': 'مقارنة حصص اللغات',
+  'compare.deltas': 'الفروق حسب اللغة',
+  'compare.deltasDescription': 'حصة المستودعات لكل لغة، مع الفرق بالنقاط المئوية مقارنةً بـ @{login}.',
+
+  'org.members': 'الأعضاء',
+  'org.topRepos': 'مستودعات المؤسسة الأكثر نجومًا',
+  'org.teamMix': { zero: 'مزيج اللغات عبر {count} مستودع تملكها المؤسسة وأعضاؤها العامون البالغ عددهم {members}.', one: 'مزيج اللغات عبر مستودع واحد تملكه المؤسسة وأعضاؤها العامون البالغ عددهم {members}.', two: 'مزيج اللغات عبر مستودعين تملكهما المؤسسة وأعضاؤها العامون البالغ عددهم {members}.', few: 'مزيج اللغات عبر {count} مستودعات تملكها المؤسسة وأعضاؤها العامون البالغ عددهم {members}.', other: 'مزيج اللغات عبر {count} مستودعًا تملكها المؤسسة وأعضاؤها العامون البالغ عددهم {members}.' },
+  'org.orgMix': { zero: 'مزيج اللغات عبر {count} مستودع مملوك للمؤسسة.', one: 'مزيج اللغات عبر مستودع واحد مملوك للمؤسسة.', two: 'مزيج اللغات عبر مستودعين مملوكين للمؤسسة.', few: 'مزيج اللغات عبر {count} مستودعات مملوكة للمؤسسة.', other: 'مزيج اللغات عبر {count} مستودعًا مملوكًا للمؤسسة.' },
+  'org.matrix': 'مصفوفة لغات الأعضاء',
+  'org.matrixDescription': 'عدد المستودعات الخاصة بكل عضو حسب اللغة الأساسية.',
+  'org.member': 'العضو',
+
+  'timeline.title': 'تطور اللغات',
+  'timeline.created': 'الإنشاء',
+  'timeline.pushed': 'آخر دفع',
+  'timeline.year': 'السنة',
+  'timeline.quarter': 'الربع',
+  'timeline.perPeriod': 'لكل فترة',
+  'timeline.cumulative': 'تراكمي',
+  'timeline.period': 'الفترة',
+  'timeline.other': 'أخرى',
+  'timeline.cumulativeNote': 'حصة جميع المستودعات حتى كل فترة، حسب اللغة الأساسية.',
+  'timeline.periodNote': 'حصة المستودعات في كل فترة، حسب اللغة الأساسية.',
+
+  'pdf.title': 'تقرير GitLang Detector',
+  'pdf.titleFor': 'تقرير GitLang Detector - @{login}',
+  'pdf.generated': 'أُنشئ في {date}',
+  'pdf.profile': 'الملف الشخصي',
+  'pdf.name': 'الاسم: {name}',
+  'pdf.profileUrl': 'الملف الشخصي: {url}',
+  'pdf.profileCounts': 'المتابِعون: {followers}   يتابع: {following}   المستودعات العامة: {repos}',
+  'pdf.stats': 'إحصاءات المستودعات',
+  'pdf.reposAnalyzed': 'المستودعات المحلَّلة: {count}',
+  'pdf.totals': 'إجمالي النجوم: {stars}   إجمالي التفرعات: {forks}   متوسط النجوم: {avgStars}',
+  'pdf.languages': 'اللغات',
+  'pdf.repos': 'المستودعات',
+  'pdf.repoShare': '% من المستودعات',
+  'pdf.byteShare': '% من البايتات',
+  'pdf.allRepos': 'جميع المستودعات ({count})',
+};
@@ -0,0 +1,421 @@
+// English catalog; the source of truth for keys. Other locales may omit keys to fall back to these.
+export default {
+  'app.tagline': '🚀 Analyze your GitHub profile like never before',
+  'app.features': 'Language analytics • Profile insights • Repository performance',
+  'app.language': 'Language',
+
+  'mode.user': 'User',
+  'mode.org': 'Organization',
+
+  'search.placeholderUser': 'Enter GitHub Username (comma-separate to compare)...',
+  'search.placeholderOrg': 'Enter GitHub Organization...',
+  'search.analyze': 'Analyze',
+  'search.includeMembers': 'Include repositories of all public members',
+  'search.example': 'Try example: {login}',
+
+  'token.hide': 'Hide API Settings',
+  'token.add': 'Add API Token (if rate limited)',
+  'token.signedIn': 'Signed in as @{login}',
+  'token.host': 'API Token · {host}',
+  'token.placeholder': 'Paste GitHub Personal Access Token (optional)',
+  'token.showToken': 'Show token',
+  'token.hideToken': 'Hide token',
+  'token.checking': 'Checking token...',
+  'token.authenticated': 'Authenticated as @{login}',
+  'token.scopes': 'Scopes: {scopes}',
+  'token.noScopes': 'none (public data only)',
+  'token.fineGrained': 'Fine-grained token: repository access is configured on the token itself.',
+  'token.publicOnly': 'Without the repo scope only public repositories are visible.',
+  'token.remember': 'Remember token',
+  'token.persistence.none': "Don't save",
+  'token.persistence.session': 'Until tab closes',
+  'token.persistence.local': 'On this device',
+  'token.persistence.noneHint': 'The token is kept in memory only and is gone after a reload.',
+  'token.persistence.sessionHint': 'The token is kept in session storage until this tab is closed.',
+  'token.persistence.localHint': 'The token is kept in local storage on this device until you forget it. Anyone using this browser profile can read it. Responses fetched with it are cached here too, and forgetting the token deletes them.',
+  'token.forget': 'Forget token',
+  'token.apiUrlPlaceholder': 'API URL for GitHub Enterprise Server, e.g. https://github.example.com/api/v3',
+  'token.apiUrlHint': 'Leave empty for github.com. The host is remembered for each token you use with it.',
+
+  'progress.profile': 'Fetching profile...',
+  'progress.pages': 'Fetching repositories: page {page} of {total}',
+  'common.cancel': 'Cancel',
+  'common.notAvailable': 'N/A',
+
+  'stale.message': 'GitHub is unreachable or rate-limited, so this is the last cached result.',
+  'stale.asOf': 'Data as of',
+
+  'filters.noMatch': 'No repositories match the current filters.',
+  'filters.title': 'Repository Filters',
+  'filters.active': '{count} active',
+  'filters.analyzing': { one: 'Analyzing {shown} of {total} repository', other: 'Analyzing {shown} of {total} repositories' },
+  'filters.exclude': 'Exclude',
+  'filters.forks': 'Forks',
+  'filters.archived': 'Archived repositories',
+  'filters.templates': 'Template repositories',
+  'filters.pushedBetween': 'Last pushed between',
+  'filters.pushedAfter': 'Pushed after',
+  'filters.pushedBefore': 'Pushed before',
+  'filters.topics': 'Require topics',
+  'filters.noTopics': 'None of these repositories have topics.',
+  'filters.searchTopics': 'Search topics...',
+  'filters.reset': 'Reset filters',
+
+  'profile.followers': 'Followers',
+  'profile.following': 'Following',
+  'profile.repos': 'Repos',
+  'profile.gists': 'Gists',
+  'profile.totalStars': 'Total Stars',
+  'profile.totalForks': 'Total Forks',
+  'profile.avgStars': 'Avg Stars',
+  'profile.connect': 'Connect & Follow',
+  'profile.github': 'GitHub Profile',
+  'profile.twitter': 'Twitter',
+  'profile.website': 'Website',
+
+  'topRepos.title': 'Top Performing Repositories',
+  'topRepos.contributed': 'Top Repos Contributed To (not owned)',
+  'repoDetail.back': 'Back to @{login}',
+  'repoDetail.notFound': '@{login} has no repository named "{name}" among the analyzed repositories.',
+  'repoDetail.open': 'View on GitHub',
+  'repoDetail.private': 'Private',
+  'repoDetail.fork': 'Fork',
+  'repoDetail.archived': 'Archived',
+  'repoDetail.stars': 'Stars',
+  'repoDetail.forks': 'Forks',
+  'repoDetail.openIssues': 'Open issues',
+  'repoDetail.size': 'Size',
+  'repoDetail.created': 'Created',
+  'repoDetail.pushed': 'Last push',
+  'repoDetail.defaultBranch': 'Default branch',
+  'repoDetail.license': 'License',
+  'repoDetail.noLicense': 'None',
+  'repoDetail.loading': 'Loading repository details…',
+  'repoDetail.load': 'Load repository details',
+  'repoDetail.retry': 'Try again',
+  'repoDetail.languages': 'Languages',
+  'repoDetail.languageBytes': 'Bytes per Language',
+  'repoDetail.noLanguages': 'GitHub detected no languages in this repository.',
+  'repoDetail.contributors': 'Top contributors',
+  'repoDetail.noContributors': 'No contributors yet.',
+  'repoDetail.commitCount': { one: '{count} commit', other: '{count} commits' },
+  'repoDetail.activity': 'Commit activity',
+  'repoDetail.activityLoading': 'Waiting for GitHub to compute commit statistics…',
+  'repoDetail.activityPending': 'GitHub is still computing commit statistics for this repository. Reload the page in a minute.',
+  'repoDetail.noActivity': 'No commits in the last year.',
+  'repoDetail.commitActivity': 'Commits per week, last year',
+  'repoDetail.weekCommits': { one: 'Week of {date}: {count} commit. {position} of {total}.', other: 'Week of {date}: {count} commits. {position} of {total}.' },
+  'repoDetail.weekOf': 'Week of',
+  'repoDetail.commits': 'Commits',
+  'repoDetail.issues': { one: '{count} open issue', other: '{count} open issues' },
+  'repoDetail.noIssues': 'No open issues.',
+  'repoDetail.pulls': { one: '{count} open pull request', other: '{count} open pull requests' },
+  'repoDetail.noPulls': 'No open pull requests.',
+  'repoDetail.releases': 'Releases',
+  'repoDetail.noReleases': 'No releases published.',
+  'repoDetail.prerelease': 'Pre-release',
+  'repoDetail.draft': 'Draft',
+
+  'metric.repos': 'Repos by primary language',
+  'metric.bytes': 'Bytes of code per language',
+  'metric.readingBytes': { one: 'Reading language bytes for {count} repository...', other: 'Reading language bytes for {count} repositories...' },
+  'metric.repoCount': { one: '{count} repo', other: '{count} repos' },
+
+  'charts.pie': 'Language Distribution',
+  'charts.barRepos': 'Repo Count by Language',
+  'charts.barBytes': 'Bytes of Code by Language',
+  'charts.tip': 'Tip: click a language in either chart to list its repositories below.',
+  'charts.language': 'Language',
+  'charts.valueRepos': 'Repositories',
+  'charts.valueBytes': 'Bytes',
+  'charts.share': 'Share',
+
+  'languages.title': 'Top Languages',
+
+  'summary.topLanguage': 'Top Language',
+  'summary.topLanguageBytes': 'Largest share of code by bytes',
+  'summary.topLanguageRepos': 'Most frequently used primary language',
+  'summary.analyzed': 'Total Repos Analyzed',
+  'summary.fetched': 'Public repositories fetched',
+  'summary.matching': 'Matching filters, of {count} fetched',
+  'summary.diversity': 'Diversity Score',
+  'summary.diversityHint': 'Different languages used',
+
+  'embed.title': 'Add to your GitHub Profile',
+  'embed.description': 'Add this to your GitHub profile README.md to display your top languages and connect with visitors!',
+  'embed.card': 'Language Card',
+  'embed.theme': 'Theme',
+  'embed.layout': 'Layout',
+  'embed.count': 'Languages shown:',
+  'embed.noEndpoint': 'No card endpoint configured (VITE_CARD_URL), so the snippets below use a static badge. Deploy api/card.js to embed this card.',
+  'embed.preview': 'Language card preview',
+  'embed.htmlTitle': 'Recommended: HTML Version',
+  'embed.best': 'BEST FOR GITHUB',
+  'embed.htmlHint': 'This works best in GitHub README files. Paste this HTML code directly:',
+  'embed.copyHtml': 'Copy HTML',
+  'embed.markdownTitle': 'Markdown Version',
+  'embed.markdownHint': 'Alternative markdown format (works on GitHub, GitLab, Bitbucket, etc):',
+  'embed.copyMarkdown': 'Copy Markdown',
+  'embed.howTo': '💡 How to use:',
+  'embed.step1': 'Copy the code above (HTML recommended)',
+  'embed.step2': "Go to your GitHub profile's README.md file",
+  'embed.step3': 'Paste the code where you want it to appear',
+  'embed.step4': 'Commit and your profile will show your top languages!',
+  'snapshots.title': 'Snapshot History',
+  'snapshots.description': 'Every analysis is saved in this browser as a dated snapshot. Compare two of them to see what changed.',
+  'snapshots.export': 'Export',
+  'snapshots.import': 'Import',
+  'snapshots.unavailable': 'Snapshots need IndexedDB, which is not available in this browser.',
+  'snapshots.storageError': 'Could not read or write snapshots in browser storage.',
+  'snapshots.imported': { one: 'Imported {count} snapshot.', other: 'Imported {count} snapshots.' },
+  'snapshots.importFailed': 'Import failed: {message}',
+  'snapshots.fileErrors.empty': 'The file is empty.',
+  'snapshots.fileErrors.invalid_json': 'The file is not valid JSON.',
+  'snapshots.fileErrors.not_an_export': 'The file is not a GitLang snapshot export.',
+  'snapshots.fileErrors.newer_version': 'The file was exported by a newer version of GitLang Detector.',
+  'snapshots.fileErrors.no_snapshots': 'The file contains no snapshots.',
+  'snapshots.privateRemoved': { one: 'Deleted {count} snapshot that included private repositories.', other: 'Deleted {count} snapshots that included private repositories.' },
+  'snapshots.delete': 'Delete snapshot from {date}',
+  'snapshots.stars': { one: '{count} star', other: '{count} stars' },
+  'snapshots.needTwo': 'Analyze again later, or import an older export, to compare snapshots.',
+  'snapshots.compare': 'Compare',
+  'snapshots.with': 'with',
+  'snapshots.pickDifferent': 'Pick two different snapshots.',
+  'snapshots.repos': 'Repositories',
+  'snapshots.totalStars': 'Stars',
+  'snapshots.totalForks': 'Forks',
+  'snapshots.languagesChanged': 'Languages gained and lost',
+  'snapshots.shareChanges': 'Share changes',
+  'snapshots.noShareChanges': 'Language shares did not change.',
+  'snapshots.before': 'Before',
+  'snapshots.after': 'After',
+  'snapshots.change': 'Change',
+  'snapshots.points': '{value} pp',
+  'snapshots.newRepos': 'New repositories',
+  'snapshots.removedRepos': { one: '{count} repository was removed or renamed.', other: '{count} repositories were removed or renamed.' },
+  'snapshots.growth': 'Star and fork growth',
+  'snapshots.forks': 'forks',
+  'snapshots.none': 'None.',
+  'watch.title': 'Watched users',
+  'watch.watch': 'Watch',
+  'watch.unwatch': 'Stop watching',
+  'watch.remove': 'Stop watching @{login}',
+  'watch.refreshing': 'Refreshing…',
+  'watch.pending': 'Waiting for refresh',
+  'watch.failed': 'Refresh failed',
+  'watch.upToDate': 'Refreshed recently',
+  'watch.noChanges': 'No notable changes',
+  'watch.newPrimary': 'Primary language: {from} → {to}',
+  'watch.noLanguage': 'none',
+  'watch.starJump': { one: '+{count} star (now {total})', other: '+{count} stars (now {total})' },
+  'watch.notificationTitle': '@{login} changed',
+  'watch.enableNotifications': 'Notify me about changes',
+  'watch.notificationsBlocked': 'Notifications are blocked for this site; changes are only shown here.',
+  'watch.notificationsUnsupported': 'This browser has no notifications; changes are only shown here.',
+
+  'footer.creator': 'Meet the Creator',
+  'footer.builtBy': 'Designed & Built by',
+  'footer.rights': 'Copyright © {year} Gunjan Ghangare. All rights reserved.',
+
+  'rateLimit.title': 'GitHub API requests left in the current rate-limit window',
+  'rateLimit.remaining': 'API quota: {remaining}/{limit} remaining',
+  'rateLimit.resets': '· resets at {time} ({minutes} min)',
+
+  'quota.confirm': '{what} needs about {needed} API requests, but only {remaining} of {limit} remain until {time}. Continue anyway?',
+  'quota.analyzing': 'Analyzing @{login}',
+  'quota.members': { one: "Loading {count} member's repositories", other: "Loading {count} members' repositories" },
+  'quota.comparing': { one: 'Comparing {count} user', other: 'Comparing {count} users' },
+  'quota.bytes': 'Reading language bytes',
+  'quota.activity': 'Loading activity',
+  'quota.techStack': 'Scanning manifests',
+  'quota.repoDetail': 'Loading details of {name}',
+
+  'errors.enterUser': 'Please enter a GitHub username first.',
+  'errors.enterOrg': 'Please enter a GitHub organization first.',
+  'errors.noPublicRepos': 'No public repositories found for this user.',
+  'errors.noOrgRepos': 'No public repositories found for this organization.',
+  'errors.noLanguageData': 'Repositories found, but no language data detected.',
+  'errors.noByteData': 'No language byte data detected for these repositories.',
+  'errors.compareLimit': 'You can compare up to {max} users at once.',
+  'errors.cancelled': 'Analysis cancelled.',
+  'errors.cancelledPartial': { one: 'Analysis cancelled. Showing the {count} repository loaded so far.', other: 'Analysis cancelled. Showing the {count} repositories loaded so far.' },
+  'errors.quotaCancelled': 'Analysis cancelled to keep your remaining API quota. Add a GitHub Token for a higher limit.',
+  'errors.scanQuota': 'Not enough API quota left to scan any repositories. Add a GitHub Token or try again later.',
+  'errors.userNotFound': 'User not found. Check the username.',
+  'errors.orgNotFound': 'Organization not found. Check the organization name.',
+  'errors.repoNotFound': 'Repository not found. It may have been renamed, deleted or made private.',
+  'errors.unauthorized': 'Invalid GitHub Token.',
+  'errors.rateLimited': 'API rate limit exceeded. You can retry at {time} (in {minutes} min), or add a GitHub Token below.',
+  'errors.secondaryRateLimited': "GitHub's secondary rate limit was triggered by too many requests in a short time. You can retry at {time} (in {minutes} min).",
+  'errors.forbidden': 'Access forbidden: {message}',
+  'errors.ssoRequired': "This token must be authorized for the organization's SAML single sign-on. Authorize it at {url} and try again.",
+  'errors.ssoRequiredNoUrl': "This token must be authorized for the organization's SAML single sign-on. Authorize it in your token settings and try again.",
+  'errors.network': 'Could not reach {host}. Check the API URL and your network or VPN connection.',
+  'errors.networkEnterprise': 'Could not reach {host}. Check the API URL and your network or VPN connection, and that the server allows cross-origin requests from this site.',
+  'errors.http': 'GitHub API Error: {status}',
+  'settings.title': 'Display',
+  'settings.theme': 'Theme',
+  'settings.themes.system': 'System',
+  'settings.themes.dark': 'Dark',
+  'settings.themes.light': 'Light',
+  'settings.themes.highContrast': 'High contrast',
+  'settings.languageColors': 'Language colors',
+  'settings.linguist': "Use GitHub's language colors",
+  'settings.linguistHint': 'Each language keeps its GitHub color on every chart. Turn off to color languages with the palette above.',
+  'settings.overrideLanguage': 'Language',
+  'settings.newOverrideColor': 'Color for the language',
+  'settings.addOverride': 'Add language color',
+  'settings.overrideColor': 'Color for {name}',
+  'settings.removeOverride': 'Reset the color for {name}',
+  'settings.palette': 'Chart palette',
+  'settings.palettes.default': 'Default',
+  'settings.palettes.okabeIto': 'Okabe-Ito (colorblind-safe)',
+  'settings.palettes.tolBright': 'Tol bright (colorblind-safe)',
+  'settings.patterns': 'Pattern fills',
+  'settings.patternsHint': 'Adds textures to chart segments and dashes to lines so they can be told apart without color.',
+  'a11y.chart': 'chart',
+  'a11y.chartHint': 'Use the arrow keys to move between data points.',
+  'a11y.chartHintSelect': 'Use the arrow keys to move between languages and Enter to list their repositories.',
+  'a11y.segment': '{name}: {value}, {share}. {position} of {total}.',
+  'a11y.showTable': 'Show table',
+  'a11y.showChart': 'Show chart',
+  'a11y.loading': 'Loading…',
+  'a11y.userLoaded': { one: 'Loaded @{login}: {count} repository.', other: 'Loaded @{login}: {count} repositories.' },
+  'a11y.orgLoaded': { one: 'Loaded organization {login}: {count} repository.', other: 'Loaded organization {login}: {count} repositories.' },
+  'a11y.compareLoaded': 'Comparison of {count} users loaded.',
+  'a11y.bytesLoaded': 'Language bytes loaded.',
+  'a11y.activityLoaded': 'Activity loaded.',
+  'a11y.techStackLoaded': 'Tech stack scan finished.',
+  'a11y.repoDetailLoaded': 'Details of {name} loaded.',
+
+  'insights.title': 'Developer Insights',
+  'insights.diversity': 'Language diversity',
+  'insights.diversityDetail': { one: '{percent} of the maximum for {count} language', other: '{percent} of the maximum for {count} languages' },
+  'insights.diversityExplanation': 'Shannon entropy of the primary-language shares, in bits: −Σ p·log₂(p). The percentage divides it by log₂ of the language count, so 100% means every language is used equally and 0% means a single language.',
+  'insights.specialization': 'Specialization',
+  'insights.specializationDetail': '{language} is {percent} of repos',
+  'insights.noLanguageData': 'No language data',
+  'insights.specializationExplanation': "Herfindahl–Hirschman concentration index: the sum of each language's squared share of repositories. It ranges from 1/n when n languages are used evenly up to 1.00 when every repository uses the same language.",
+  'insights.originalWork': 'Original work',
+  'insights.originalWorkDetail': '{original} original · {forks} forks',
+  'insights.originalWorkExplanation': 'Share of repositories that are not forks of another repository. Forks are often kept for reference or small patches, so a high share means most of the work here was started by this account.',
+  'insights.recentActivity': 'Recent activity',
+  'insights.activityWindow': '{days}d: {percent}',
+  'insights.recentActivityExplanation': 'Share of repositories whose last push (pushed_at) falls within the last 30, 90 and 365 days. The headline value is the 90-day ratio.',
+  'insights.starsPerRepo': 'Stars per repo',
+  'insights.max': 'max: {value}',
+  'insights.starsExplanation': 'Percentiles of stargazer counts across repositories, interpolated between neighbouring ranks: p50 is the median repository and p90 beats 90% of them. The most starred repository holds {percent} of all stars.',
+
+  'explorer.title': 'Repository Explorer',
+  'explorer.clearLanguage': 'Clear language filter',
+  'explorer.search': 'Search name, description, topic...',
+  'explorer.columns.name': 'Repository',
+  'explorer.columns.language': 'Language',
+  'explorer.columns.stars': 'Stars',
+  'explorer.columns.forks': 'Forks',
+  'explorer.columns.size': 'Size',
+  'explorer.columns.issues': 'Open issues',
+  'explorer.columns.license': 'License',
+  'explorer.columns.created': 'Created',
+  'explorer.columns.pushed': 'Last push',
+  'explorer.columns.flags': 'Flags',
+  'explorer.onGitHub': '{name} on GitHub',
+  'explorer.noMatch': 'No repositories match your search.',
+  'explorer.showing': 'Showing {from}–{to} of {total}',
+  'explorer.page': 'Page {page} of {total}',
+  'explorer.previousPage': 'Previous page',
+  'explorer.nextPage': 'Next page',
+
+  'export.button': 'Export',
+  'export.data': 'Data',
+  'export.json': 'Full analysis (JSON)',
+  'export.languagesCsv': 'Languages (CSV)',
+  'export.reposCsv': 'Repositories (CSV)',
+  'export.statsCsv': 'Repo stats (CSV)',
+  'export.charts': 'Charts',
+  'export.chartPng': '{title} (PNG)',
+  'export.report': 'Report',
+  'export.pdf': 'Full report (PDF)',
+
+  'techStack.title': 'Tech Stack',
+  'techStack.top': 'Top',
+  'techStack.scanning': 'Scanning...',
+  'techStack.rescan': 'Rescan',
+  'techStack.scan': 'Scan manifests',
+  'techStack.description': 'Reads package.json, requirements.txt, pom.xml, go.mod, Cargo.toml and Gemfile in the root of the most starred repositories to find the frameworks behind the languages. Costs one request per repository plus one per manifest found.',
+  'techStack.withManifests': { one: '{withManifests} of {count} scanned repository has a supported manifest.', other: '{withManifests} of {count} scanned repositories have a supported manifest.' },
+  'techStack.skipped': { one: '{count} more was skipped to stay within the API quota.', other: '{count} more were skipped to stay within the API quota.' },
+  'techStack.none': 'No known frameworks or libraries detected.',
+  'techStack.libraries': 'Most used libraries',
+  'techStack.technology': 'Technology',
+  'techStack.category': 'Category',
+  'techStack.describe': '{name} ({category}): {repos}. {position} of {total}.',
+  'techStack.categories.frontend': 'Frontend',
+  'techStack.categories.backend': 'Backend',
+  'techStack.categories.mobile': 'Mobile & Desktop',
+  'techStack.categories.data': 'Data & ML',
+  'techStack.categories.testing': 'Testing',
+  'techStack.categories.tooling': 'Tooling',
+
+  'activity.title': 'Activity & Contributions',
+  'activity.loading': 'Loading activity...',
+  'activity.load': 'Load activity',
+  'activity.description': 'Pull requests, issues and reviews across all of GitHub, plus when and where recent public events happened. Uses the search API and the public events feed (last 90 days).',
+  'activity.prsOpened': 'PRs opened',
+  'activity.prsMerged': 'PRs merged',
+  'activity.issuesOpened': 'Issues opened',
+  'activity.prsReviewed': 'PRs reviewed',
+  'activity.when': 'When recent activity happens',
+  'activity.eventCount': { one: '{count} public event, your local time', other: '{count} public events, your local time' },
+  'activity.heatmapSummary': 'Events per weekday: {days}',
+  'activity.heatmapCell': { one: '{day} {time} · {count} event', other: '{day} {time} · {count} events' },
+  'activity.noEvents': 'No public contribution events in the last 90 days.',
+  'activity.contributedRepos': "Contributions to others' repositories",
+  'activity.noContributedRepos': 'No recent contributions outside their own repositories.',
+  'activity.mergedPrs': { one: '{count} merged PR', other: '{count} merged PRs' },
+  'activity.events': { one: '{count} event', other: '{count} events' },
+  'activity.byLanguage': 'Contributions by language',
+  'activity.noLanguages': 'No language data for the contributed repositories.',
+
+  'compare.topLanguage': 'Top language:',
+  'compare.chartHeading': 'Language Share Comparison (% of repos)',
+  'compare.chartTitle': 'Language Share Comparison',
+  'compare.deltas': 'Per-language Deltas',
+  'compare.deltasDescription': 'Share of repositories per language, with the difference in percentage points against @{login}.',
+
+  'org.members': 'Members',
+  'org.topRepos': 'Most Starred Organization Repositories',
+  'org.teamMix': { one: 'Language mix across {count} repository owned by the organization and its {members} public members.', other: 'Language mix across {count} repositories owned by the organization and its {members} public members.' },
+  'org.orgMix': { one: 'Language mix across {count} organization-owned repository.', other: 'Language mix across {count} organization-owned repositories.' },
+  'org.matrix': 'Member Language Matrix',
+  'org.matrixDescription': "Number of each member's own repositories by primary language.",
+  'org.member': 'Member',
+
+  'timeline.title': 'Language Evolution',
+  'timeline.created': 'Created',
+  'timeline.pushed': 'Last pushed',
+  'timeline.year': 'Year',
+  'timeline.quarter': 'Quarter',
+  'timeline.perPeriod': 'Per period',
+  'timeline.cumulative': 'Cumulative',
+  'timeline.period': 'Period',
+  'timeline.other': 'Other',
+  'timeline.cumulativeNote': 'Share of all repositories up to each period, by primary language.',
+  'timeline.periodNote': 'Share of repositories in each period, by primary language.',
+
+  'pdf.title': 'GitLang Detector Report',
+  'pdf.titleFor': 'GitLang Detector Report - @{login}',
+  'pdf.generated': 'Generated {date}',
+  'pdf.profile': 'Profile',
+  'pdf.name': 'Name: {name}',
+  'pdf.profileUrl': 'Profile: {url}',
+  'pdf.profileCounts': 'Followers: {followers}   Following: {following}   Public repos: {repos}',
+  'pdf.stats': 'Repository Stats',
+  'pdf.reposAnalyzed': 'Repositories analyzed: {count}',
+  'pdf.totals': 'Total stars: {stars}   Total forks: {forks}   Avg stars: {avgStars}',
+  'pdf.languages': 'Languages',
+  'pdf.repos': 'Repos',
+  'pdf.repoShare': 'Repo %',
+  'pdf.byteShare': 'Byte %',
+  'pdf.allRepos': 'All Repositories ({count})',
+};
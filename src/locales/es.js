@@ -0,0 +1,421 @@
+// Spanish catalog
+export default {
+  'app.tagline': '🚀 Analiza tu perfil de GitHub como nunca antes',
+  'app.features': 'Análisis de lenguajes • Perfil • Rendimiento de repositorios',
+  'app.language': 'Idioma',
+
+  'mode.user': 'Usuario',
+  'mode.org': 'Organización',
+
+  'search.placeholderUser': 'Usuario de GitHub (separa con comas para comparar)...',
+  'search.placeholderOrg': 'Organización de GitHub...',
+  'search.analyze': 'Analizar',
+  'search.includeMembers': 'Incluir los repositorios de todos los miembros públicos',
+  'search.example': 'Prueba un ejemplo: {login}',
+
+  'token.hide': 'Ocultar ajustes de la API',
+  'token.add': 'Añadir token de la API (si alcanzas el límite)',
+  'token.signedIn': 'Sesión iniciada como @{login}',
+  'token.host': 'Token de la API · {host}',
+  'token.placeholder': 'Pega un token de acceso personal de GitHub (opcional)',
+  'token.showToken': 'Mostrar token',
+  'token.hideToken': 'Ocultar token',
+  'token.checking': 'Comprobando el token...',
+  'token.authenticated': 'Autenticado como @{login}',
+  'token.scopes': 'Permisos: {scopes}',
+  'token.noScopes': 'ninguno (solo datos públicos)',
+  'token.fineGrained': 'Token de permisos detallados: el acceso a repositorios se configura en el propio token.',
+  'token.publicOnly': 'Sin el permiso repo solo se ven los repositorios públicos.',
+  'token.remember': 'Recordar el token',
+  'token.persistence.none': 'No guardar',
+  'token.persistence.session': 'Hasta cerrar la pestaña',
+  'token.persistence.local': 'En este dispositivo',
+  'token.persistence.noneHint': 'El token solo se guarda en memoria y desaparece al recargar.',
+  'token.persistence.sessionHint': 'El token se guarda en el almacenamiento de sesión hasta que cierres esta pestaña.',
+  'token.persistence.localHint': 'El token se guarda en el almacenamiento local de este dispositivo hasta que lo olvides. Cualquiera que use este perfil del navegador puede leerlo. Las respuestas obtenidas con él también se guardan aquí, y al olvidar el token se eliminan.',
+  'token.forget': 'Olvidar el token',
+  'token.apiUrlPlaceholder': 'URL de la API de GitHub Enterprise Server, p. ej. https://github.example.com/api/v3',
+  'token.apiUrlHint': 'Déjalo vacío para github.com. El servidor se recuerda para cada token que uses con él.',
+
+  'progress.profile': 'Obteniendo el perfil...',
+  'progress.pages': 'Obteniendo repositorios: página {page} de {total}',
+  'common.cancel': 'Cancelar',
+  'common.notAvailable': 'N/D',
+
+  'stale.message': 'GitHub no responde o se alcanzó el límite de peticiones, así que este es el último resultado guardado.',
+  'stale.asOf': 'Datos del',
+
+  'filters.noMatch': 'Ningún repositorio coincide con los filtros actuales.',
+  'filters.title': 'Filtros de repositorios',
+  'filters.active': { one: '{count} activo', other: '{count} activos' },
+  'filters.analyzing': { one: 'Analizando {shown} de {total} repositorio', other: 'Analizando {shown} de {total} repositorios' },
+  'filters.exclude': 'Excluir',
+  'filters.forks': 'Forks',
+  'filters.archived': 'Repositorios archivados',
+  'filters.templates': 'Repositorios plantilla',
+  'filters.pushedBetween': 'Último push entre',
+  'filters.pushedAfter': 'Push después de',
+  'filters.pushedBefore': 'Push antes de',
+  'filters.topics': 'Temas obligatorios',
+  'filters.noTopics': 'Ninguno de estos repositorios tiene temas.',
+  'filters.searchTopics': 'Buscar temas...',
+  'filters.reset': 'Restablecer filtros',
+
+  'profile.followers': 'Seguidores',
+  'profile.following': 'Siguiendo',
+  'profile.repos': 'Repos',
+  'profile.gists': 'Gists',
+  'profile.totalStars': 'Estrellas totales',
+  'profile.totalForks': 'Forks totales',
+  'profile.avgStars': 'Estrellas de media',
+  'profile.connect': 'Conecta y sigue',
+  'profile.github': 'Perfil de GitHub',
+  'profile.twitter': 'Twitter',
+  'profile.website': 'Sitio web',
+
+  'topRepos.title': 'Repositorios más destacados',
+  'topRepos.contributed': 'Repositorios ajenos con más contribuciones',
+  'repoDetail.back': 'Volver a @{login}',
+  'repoDetail.notFound': '@{login} no tiene ningún repositorio llamado "{name}" entre los analizados.',
+  'repoDetail.open': 'Ver en GitHub',
+  'repoDetail.private': 'Privado',
+  'repoDetail.fork': 'Fork',
+  'repoDetail.archived': 'Archivado',
+  'repoDetail.stars': 'Estrellas',
+  'repoDetail.forks': 'Forks',
+  'repoDetail.openIssues': 'Issues abiertos',
+  'repoDetail.size': 'Tamaño',
+  'repoDetail.created': 'Creado',
+  'repoDetail.pushed': 'Último push',
+  'repoDetail.defaultBranch': 'Rama principal',
+  'repoDetail.license': 'Licencia',
+  'repoDetail.noLicense': 'Ninguna',
+  'repoDetail.loading': 'Cargando los detalles del repositorio…',
+  'repoDetail.load': 'Cargar los detalles del repositorio',
+  'repoDetail.retry': 'Reintentar',
+  'repoDetail.languages': 'Lenguajes',
+  'repoDetail.languageBytes': 'Bytes por lenguaje',
+  'repoDetail.noLanguages': 'GitHub no detectó lenguajes en este repositorio.',
+  'repoDetail.contributors': 'Principales contribuidores',
+  'repoDetail.noContributors': 'Todavía no hay contribuidores.',
+  'repoDetail.commitCount': { one: '{count} commit', other: '{count} commits' },
+  'repoDetail.activity': 'Actividad de commits',
+  'repoDetail.activityLoading': 'Esperando a que GitHub calcule las estadísticas de commits…',
+  'repoDetail.activityPending': 'GitHub todavía está calculando las estadísticas de commits de este repositorio. Recarga la página en un minuto.',
+  'repoDetail.noActivity': 'No hay commits en el último año.',
+  'repoDetail.commitActivity': 'Commits por semana, último año',
+  'repoDetail.weekCommits': { one: 'Semana del {date}: {count} commit. {position} de {total}.', other: 'Semana del {date}: {count} commits. {position} de {total}.' },
+  'repoDetail.weekOf': 'Semana del',
+  'repoDetail.commits': 'Commits',
+  'repoDetail.issues': { one: '{count} issue abierta', other: '{count} issues abiertas' },
+  'repoDetail.noIssues': 'No hay issues abiertas.',
+  'repoDetail.pulls': { one: '{count} pull request abierta', other: '{count} pull requests abiertas' },
+  'repoDetail.noPulls': 'No hay pull requests abiertas.',
+  'repoDetail.releases': 'Versiones',
+  'repoDetail.noReleases': 'No se han publicado versiones.',
+  'repoDetail.prerelease': 'Preliminar',
+  'repoDetail.draft': 'Borrador',
+
+  'metric.repos': 'Repos por lenguaje principal',
+  'metric.bytes': 'Bytes de código por lenguaje',
+  'metric.readingBytes': { one: 'Leyendo los bytes por lenguaje de {count} repositorio...', other: 'Leyendo los bytes por lenguaje de {count} repositorios...' },
+  'metric.repoCount': { one: '{count} repo', other: '{count} repos' },
+
+  'charts.pie': 'Distribución de lenguajes',
+  'charts.barRepos': 'Repos por lenguaje',
+  'charts.barBytes': 'Bytes de código por lenguaje',
+  'charts.tip': 'Consejo: haz clic en un lenguaje de cualquiera de los gráficos para ver sus repositorios abajo.',
+  'charts.language': 'Lenguaje',
+  'charts.valueRepos': 'Repositorios',
+  'charts.valueBytes': 'Bytes',
+  'charts.share': 'Proporción',
+
+  'languages.title': 'Lenguajes principales',
+
+  'summary.topLanguage': 'Lenguaje principal',
+  'summary.topLanguageBytes': 'Mayor parte del código en bytes',
+  'summary.topLanguageRepos': 'El lenguaje principal más frecuente',
+  'summary.analyzed': 'Repos analizados',
+  'summary.fetched': 'Repositorios públicos obtenidos',
+  'summary.matching': 'Coinciden con los filtros, de {count} obtenidos',
+  'summary.diversity': 'Diversidad',
+  'summary.diversityHint': 'Lenguajes distintos usados',
+
+  'embed.title': 'Añádelo a tu perfil de GitHub',
+  'embed.description': '¡Añade esto al README.md de tu perfil de GitHub para mostrar tus lenguajes principales y conectar con tus visitantes!',
+  'embed.card': 'Tarjeta de lenguajes',
+  'embed.theme': 'Tema',
+  'embed.layout': 'Diseño',
+  'embed.count': 'Lenguajes mostrados:',
+  'embed.noEndpoint': 'No hay un servicio de tarjetas configurado (VITE_CARD_URL), así que los fragmentos usan una insignia estática. Despliega api/card.js para incrustar esta tarjeta.',
+  'embed.preview': 'Vista previa de la tarjeta de lenguajes',
+  'embed.htmlTitle': 'Recomendado: versión HTML',
+  'embed.best': 'LA MEJOR PARA GITHUB',
+  'embed.htmlHint': 'Funciona mejor en los README de GitHub. Pega este código HTML directamente:',
+  'embed.copyHtml': 'Copiar HTML',
+  'embed.markdownTitle': 'Versión Markdown',
+  'embed.markdownHint': 'Formato Markdown alternativo (funciona en GitHub, GitLab, Bitbucket, etc.):',
+  'embed.copyMarkdown': 'Copiar Markdown',
+  'embed.howTo': '💡 Cómo usarlo:',
+  'embed.step1': 'Copia el código de arriba (se recomienda HTML)',
+  'embed.step2': 'Abre el archivo README.md de tu perfil de GitHub',
+  'embed.step3': 'Pega el código donde quieras que aparezca',
+  'embed.step4': '¡Haz commit y tu perfil mostrará tus lenguajes principales!',
+  'snapshots.title': 'Historial de instantáneas',
+  'snapshots.description': 'Cada análisis se guarda en este navegador como una instantánea con fecha. Compara dos para ver qué cambió.',
+  'snapshots.export': 'Exportar',
+  'snapshots.import': 'Importar',
+  'snapshots.unavailable': 'Las instantáneas necesitan IndexedDB, que no está disponible en este navegador.',
+  'snapshots.storageError': 'No se pudieron leer ni guardar las instantáneas en el almacenamiento del navegador.',
+  'snapshots.imported': { one: 'Se importó {count} instantánea.', other: 'Se importaron {count} instantáneas.' },
+  'snapshots.importFailed': 'Error al importar: {message}',
+  'snapshots.fileErrors.empty': 'El archivo está vacío.',
+  'snapshots.fileErrors.invalid_json': 'El archivo no es JSON válido.',
+  'snapshots.fileErrors.not_an_export': 'El archivo no es una exportación de instantáneas de GitLang.',
+  'snapshots.fileErrors.newer_version': 'El archivo se exportó con una versión más reciente de GitLang Detector.',
+  'snapshots.fileErrors.no_snapshots': 'El archivo no contiene instantáneas.',
+  'snapshots.privateRemoved': { one: 'Se eliminó {count} instantánea que incluía repositorios privados.', other: 'Se eliminaron {count} instantáneas que incluían repositorios privados.' },
+  'snapshots.delete': 'Eliminar la instantánea del {date}',
+  'snapshots.stars': { one: '{count} estrella', other: '{count} estrellas' },
+  'snapshots.needTwo': 'Vuelve a analizar más adelante, o importa una exportación anterior, para comparar instantáneas.',
+  'snapshots.compare': 'Comparar',
+  'snapshots.with': 'con',
+  'snapshots.pickDifferent': 'Elige dos instantáneas distintas.',
+  'snapshots.repos': 'Repositorios',
+  'snapshots.totalStars': 'Estrellas',
+  'snapshots.totalForks': 'Forks',
+  'snapshots.languagesChanged': 'Lenguajes nuevos y perdidos',
+  'snapshots.shareChanges': 'Cambios de proporción',
+  'snapshots.noShareChanges': 'Las proporciones de lenguajes no cambiaron.',
+  'snapshots.before': 'Antes',
+  'snapshots.after': 'Después',
+  'snapshots.change': 'Cambio',
+  'snapshots.points': '{value} pp',
+  'snapshots.newRepos': 'Repositorios nuevos',
+  'snapshots.removedRepos': { one: 'Se eliminó o renombró {count} repositorio.', other: 'Se eliminaron o renombraron {count} repositorios.' },
+  'snapshots.growth': 'Crecimiento de estrellas y forks',
+  'snapshots.forks': 'forks',
+  'snapshots.none': 'Ninguno.',
+  'watch.title': 'Usuarios seguidos',
+  'watch.watch': 'Seguir',
+  'watch.unwatch': 'Dejar de seguir',
+  'watch.remove': 'Dejar de seguir a @{login}',
+  'watch.refreshing': 'Actualizando…',
+  'watch.pending': 'Pendiente de actualizar',
+  'watch.failed': 'No se pudo actualizar',
+  'watch.upToDate': 'Actualizado hace poco',
+  'watch.noChanges': 'Sin cambios destacables',
+  'watch.newPrimary': 'Lenguaje principal: {from} → {to}',
+  'watch.noLanguage': 'ninguno',
+  'watch.starJump': { one: '+{count} estrella (ahora {total})', other: '+{count} estrellas (ahora {total})' },
+  'watch.notificationTitle': '@{login} ha cambiado',
+  'watch.enableNotifications': 'Avisarme de los cambios',
+  'watch.notificationsBlocked': 'Las notificaciones están bloqueadas para este sitio; los cambios solo se muestran aquí.',
+  'watch.notificationsUnsupported': 'Este navegador no admite notificaciones; los cambios solo se muestran aquí.',
+
+  'footer.creator': 'Conoce al creador',
+  'footer.builtBy': 'Diseñado y creado por',
+  'footer.rights': 'Copyright © {year} Gunjan Ghangare. Todos los derechos reservados.',
+
+  'rateLimit.title': 'Peticiones a la API de GitHub restantes en la ventana actual',
+  'rateLimit.remaining': 'Cuota de la API: quedan {remaining}/{limit}',
+  'rateLimit.resets': '· se renueva a las {time} ({minutes} min)',
+
+  'quota.confirm': '{what} necesita unas {needed} peticiones a la API, pero solo quedan {remaining} de {limit} hasta las {time}. ¿Continuar de todos modos?',
+  'quota.analyzing': 'Analizar a @{login}',
+  'quota.members': { one: 'Cargar los repositorios de {count} miembro', other: 'Cargar los repositorios de {count} miembros' },
+  'quota.comparing': { one: 'Comparar {count} usuario', other: 'Comparar {count} usuarios' },
+  'quota.bytes': 'Leer los bytes por lenguaje',
+  'quota.activity': 'Cargar la actividad',
+  'quota.techStack': 'Analizar los manifiestos',
+  'quota.repoDetail': 'Cargar los detalles de {name}',
+
+  'errors.enterUser': 'Introduce primero un usuario de GitHub.',
+  'errors.enterOrg': 'Introduce primero una organización de GitHub.',
+  'errors.noPublicRepos': 'No se encontraron repositorios públicos para este usuario.',
+  'errors.noOrgRepos': 'No se encontraron repositorios públicos para esta organización.',
+  'errors.noLanguageData': 'Se encontraron repositorios, pero ninguno tiene datos de lenguaje.',
+  'errors.noByteData': 'No se detectaron bytes por lenguaje en estos repositorios.',
+  'errors.compareLimit': 'Puedes comparar hasta {max} usuarios a la vez.',
+  'errors.cancelled': 'Análisis cancelado.',
+  'errors.cancelledPartial': { one: 'Análisis cancelado. Se muestra el {count} repositorio cargado hasta ahora.', other: 'Análisis cancelado. Se muestran los {count} repositorios cargados hasta ahora.' },
+  'errors.quotaCancelled': 'Análisis cancelado para conservar tu cuota de la API. Añade un token de GitHub para tener un límite mayor.',
+  'errors.scanQuota': 'No queda cuota suficiente para analizar ningún repositorio. Añade un token de GitHub o inténtalo más tarde.',
+  'errors.userNotFound': 'Usuario no encontrado. Revisa el nombre de usuario.',
+  'errors.orgNotFound': 'Organización no encontrada. Revisa el nombre de la organización.',
+  'errors.repoNotFound': 'Repositorio no encontrado. Puede que se haya renombrado, eliminado o hecho privado.',
+  'errors.unauthorized': 'El token de GitHub no es válido.',
+  'errors.rateLimited': 'Se superó el límite de la API. Puedes reintentarlo a las {time} (en {minutes} min) o añadir un token de GitHub abajo.',
+  'errors.secondaryRateLimited': 'Se activó el límite secundario de GitHub por demasiadas peticiones en poco tiempo. Puedes reintentarlo a las {time} (en {minutes} min).',
+  'errors.forbidden': 'Acceso denegado: {message}',
+  'errors.ssoRequired': 'Este token debe estar autorizado para el inicio de sesión único SAML de la organización. Autorízalo en {url} y vuelve a intentarlo.',
+  'errors.ssoRequiredNoUrl': 'Este token debe estar autorizado para el inicio de sesión único SAML de la organización. Autorízalo en los ajustes del token y vuelve a intentarlo.',
+  'errors.network': 'No se pudo conectar con {host}. Revisa la URL de la API y tu red o VPN.',
+  'errors.networkEnterprise': 'No se pudo conectar con {host}. Revisa la URL de la API, tu red o VPN y que el servidor permita peticiones de origen cruzado desde este sitio.',
+  'errors.http': 'Error de la API de GitHub: {status}',
+  'settings.title': 'Visualización',
+  'settings.theme': 'Tema',
+  'settings.themes.system': 'Del sistema',
+  'settings.themes.dark': 'Oscuro',
+  'settings.themes.light': 'Claro',
+  'settings.themes.highContrast': 'Alto contraste',
+  'settings.languageColors': 'Colores de lenguajes',
+  'settings.linguist': 'Usar los colores de lenguajes de GitHub',
+  'settings.linguistHint': 'Cada lenguaje conserva su color de GitHub en todos los gráficos. Desactívalo para colorear los lenguajes con la paleta de arriba.',
+  'settings.overrideLanguage': 'Lenguaje',
+  'settings.newOverrideColor': 'Color del lenguaje',
+  'settings.addOverride': 'Añadir color de lenguaje',
+  'settings.overrideColor': 'Color de {name}',
+  'settings.removeOverride': 'Restablecer el color de {name}',
+  'settings.palette': 'Paleta de gráficos',
+  'settings.palettes.default': 'Predeterminada',
+  'settings.palettes.okabeIto': 'Okabe-Ito (apta para daltonismo)',
+  'settings.palettes.tolBright': 'Tol bright (apta para daltonismo)',
+  'settings.patterns': 'Rellenos con patrones',
+  'settings.patternsHint': 'Añade texturas a los segmentos y trazos a las líneas para distinguirlos sin color.',
+  'a11y.chart': 'gráfico',
+  'a11y.chartHint': 'Usa las flechas para moverte entre los datos.',
+  'a11y.chartHintSelect': 'Usa las flechas para moverte entre lenguajes e Intro para ver sus repositorios.',
+  'a11y.segment': '{name}: {value}, {share}. {position} de {total}.',
+  'a11y.showTable': 'Ver tabla',
+  'a11y.showChart': 'Ver gráfico',
+  'a11y.loading': 'Cargando…',
+  'a11y.userLoaded': { one: '@{login} cargado: {count} repositorio.', other: '@{login} cargado: {count} repositorios.' },
+  'a11y.orgLoaded': { one: 'Organización {login} cargada: {count} repositorio.', other: 'Organización {login} cargada: {count} repositorios.' },
+  'a11y.compareLoaded': 'Comparación de {count} usuarios cargada.',
+  'a11y.bytesLoaded': 'Bytes por lenguaje cargados.',
+  'a11y.activityLoaded': 'Actividad cargada.',
+  'a11y.techStackLoaded': 'Análisis de tecnologías terminado.',
+  'a11y.repoDetailLoaded': 'Detalles de {name} cargados.',
+
+  'insights.title': 'Análisis del desarrollador',
+  'insights.diversity': 'Diversidad de lenguajes',
+  'insights.diversityDetail': { one: '{percent} del máximo para {count} lenguaje', other: '{percent} del máximo para {count} lenguajes' },
+  'insights.diversityExplanation': 'Entropía de Shannon de las proporciones de lenguaje principal, en bits: −Σ p·log₂(p). El porcentaje la divide entre log₂ del número de lenguajes, así que 100% significa que todos se usan por igual y 0% que hay un solo lenguaje.',
+  'insights.specialization': 'Especialización',
+  'insights.specializationDetail': '{language} es el {percent} de los repositorios',
+  'insights.noLanguageData': 'Sin datos de lenguajes',
+  'insights.specializationExplanation': 'Índice de concentración de Herfindahl–Hirschman: la suma de los cuadrados de la proporción de repositorios de cada lenguaje. Va de 1/n cuando n lenguajes se usan por igual hasta 1,00 cuando todos los repositorios usan el mismo lenguaje.',
+  'insights.originalWork': 'Trabajo original',
+  'insights.originalWorkDetail': '{original} originales · {forks} forks',
+  'insights.originalWorkExplanation': 'Proporción de repositorios que no son forks de otro repositorio. Los forks suelen guardarse como referencia o para pequeños parches, así que una proporción alta indica que la mayor parte del trabajo la inició esta cuenta.',
+  'insights.recentActivity': 'Actividad reciente',
+  'insights.activityWindow': '{days} d: {percent}',
+  'insights.recentActivityExplanation': 'Proporción de repositorios cuyo último push (pushed_at) fue en los últimos 30, 90 y 365 días. El valor destacado es el de 90 días.',
+  'insights.starsPerRepo': 'Estrellas por repositorio',
+  'insights.max': 'máx.: {value}',
+  'insights.starsExplanation': 'Percentiles del número de estrellas de los repositorios, interpolados entre rangos vecinos: p50 es el repositorio mediano y p90 supera al 90% de ellos. El repositorio con más estrellas tiene el {percent} de todas.',
+
+  'explorer.title': 'Explorador de repositorios',
+  'explorer.clearLanguage': 'Quitar el filtro de lenguaje',
+  'explorer.search': 'Buscar por nombre, descripción o tema...',
+  'explorer.columns.name': 'Repositorio',
+  'explorer.columns.language': 'Lenguaje',
+  'explorer.columns.stars': 'Estrellas',
+  'explorer.columns.forks': 'Forks',
+  'explorer.columns.size': 'Tamaño',
+  'explorer.columns.issues': 'Issues abiertos',
+  'explorer.columns.license': 'Licencia',
+  'explorer.columns.created': 'Creado',
+  'explorer.columns.pushed': 'Último push',
+  'explorer.columns.flags': 'Marcas',
+  'explorer.onGitHub': '{name} en GitHub',
+  'explorer.noMatch': 'Ningún repositorio coincide con tu búsqueda.',
+  'explorer.showing': 'Mostrando {from}–{to} de {total}',
+  'explorer.page': 'Página {page} de {total}',
+  'explorer.previousPage': 'Página anterior',
+  'explorer.nextPage': 'Página siguiente',
+
+  'export.button': 'Exportar',
+  'export.data': 'Datos',
+  'export.json': 'Análisis completo (JSON)',
+  'export.languagesCsv': 'Lenguajes (CSV)',
+  'export.reposCsv': 'Repositorios (CSV)',
+  'export.statsCsv': 'Estadísticas de repositorios (CSV)',
+  'export.charts': 'Gráficos',
+  'export.chartPng': '{title} (PNG)',
+  'export.report': 'Informe',
+  'export.pdf': 'Informe completo (PDF)',
+
+  'techStack.title': 'Stack tecnológico',
+  'techStack.top': 'Principales',
+  'techStack.scanning': 'Analizando...',
+  'techStack.rescan': 'Volver a analizar',
+  'techStack.scan': 'Analizar manifiestos',
+  'techStack.description': 'Lee package.json, requirements.txt, pom.xml, go.mod, Cargo.toml y Gemfile en la raíz de los repositorios con más estrellas para encontrar los frameworks detrás de los lenguajes. Cuesta una solicitud por repositorio más una por cada manifiesto encontrado.',
+  'techStack.withManifests': { one: '{withManifests} de {count} repositorio analizado tiene un manifiesto compatible.', other: '{withManifests} de {count} repositorios analizados tienen un manifiesto compatible.' },
+  'techStack.skipped': { one: 'Se omitió {count} más para no superar la cuota de la API.', other: 'Se omitieron {count} más para no superar la cuota de la API.' },
+  'techStack.none': 'No se detectaron frameworks ni bibliotecas conocidos.',
+  'techStack.libraries': 'Bibliotecas más usadas',
+  'techStack.technology': 'Tecnología',
+  'techStack.category': 'Categoría',
+  'techStack.describe': '{name} ({category}): {repos}. {position} de {total}.',
+  'techStack.categories.frontend': 'Frontend',
+  'techStack.categories.backend': 'Backend',
+  'techStack.categories.mobile': 'Móvil y escritorio',
+  'techStack.categories.data': 'Datos y ML',
+  'techStack.categories.testing': 'Pruebas',
+  'techStack.categories.tooling': 'Herramientas',
+
+  'activity.title': 'Actividad y contribuciones',
+  'activity.loading': 'Cargando actividad...',
+  'activity.load': 'Cargar actividad',
+  'activity.description': 'Pull requests, issues y revisiones en todo GitHub, además de cuándo y dónde ocurrieron los eventos públicos recientes. Usa la API de búsqueda y el feed de eventos públicos (últimos 90 días).',
+  'activity.prsOpened': 'PR abiertos',
+  'activity.prsMerged': 'PR fusionados',
+  'activity.issuesOpened': 'Issues abiertos',
+  'activity.prsReviewed': 'PR revisados',
+  'activity.when': 'Cuándo ocurre la actividad reciente',
+  'activity.eventCount': { one: '{count} evento público, en tu hora local', other: '{count} eventos públicos, en tu hora local' },
+  'activity.heatmapSummary': 'Eventos por día de la semana: {days}',
+  'activity.heatmapCell': { one: '{day} {time} · {count} evento', other: '{day} {time} · {count} eventos' },
+  'activity.noEvents': 'No hay eventos públicos de contribución en los últimos 90 días.',
+  'activity.contributedRepos': 'Contribuciones a repositorios ajenos',
+  'activity.noContributedRepos': 'No hay contribuciones recientes fuera de sus propios repositorios.',
+  'activity.mergedPrs': { one: '{count} PR fusionado', other: '{count} PR fusionados' },
+  'activity.events': { one: '{count} evento', other: '{count} eventos' },
+  'activity.byLanguage': 'Contribuciones por lenguaje',
+  'activity.noLanguages': 'No hay datos de lenguaje para los repositorios con contribuciones.',
+
+  'compare.topLanguage': 'Lenguaje principal:',
+  'compare.chartHeading': 'Comparación de cuota por lenguaje (% de repos)',
+  'compare.chartTitle': 'Comparación de cuota por lenguaje',
+  'compare.deltas': 'Diferencias por lenguaje',
+  'compare.deltasDescription': 'Cuota de repositorios por lenguaje, con la diferencia en puntos porcentuales respecto a @{login}.',
+
+  'org.members': 'Miembros',
+  'org.topRepos': 'Repositorios de la organización con más estrellas',
+  'org.teamMix': { one: 'Mezcla de lenguajes en {count} repositorio de la organización y sus {members} miembros públicos.', other: 'Mezcla de lenguajes en {count} repositorios de la organización y sus {members} miembros públicos.' },
+  'org.orgMix': { one: 'Mezcla de lenguajes en {count} repositorio de la organización.', other: 'Mezcla de lenguajes en {count} repositorios de la organización.' },
+  'org.matrix': 'Matriz de lenguajes por miembro',
+  'org.matrixDescription': 'Número de repositorios propios de cada miembro por lenguaje principal.',
+  'org.member': 'Miembro',
+
+  'timeline.title': 'Evolución de lenguajes',
+  'timeline.created': 'Creación',
+  'timeline.pushed': 'Último push',
+  'timeline.year': 'Año',
+  'timeline.quarter': 'Trimestre',
+  'timeline.perPeriod': 'Por periodo',
+  'timeline.cumulative': 'Acumulado',
+  'timeline.period': 'Periodo',
+  'timeline.other': 'Otros',
+  'timeline.cumulativeNote': 'Cuota de todos los repositorios hasta cada periodo, por lenguaje principal.',
+  'timeline.periodNote': 'Cuota de repositorios en cada periodo, por lenguaje principal.',
+
+  'pdf.title': 'Informe de GitLang Detector',
+  'pdf.titleFor': 'Informe de GitLang Detector - @{login}',
+  'pdf.generated': 'Generado el {date}',
+  'pdf.profile': 'Perfil',
+  'pdf.name': 'Nombre: {name}',
+  'pdf.profileUrl': 'Perfil: {url}',
+  'pdf.profileCounts': 'Seguidores: {followers}   Siguiendo: {following}   Repos públicos: {repos}',
+  'pdf.stats': 'Estadísticas de repositorios',
+  'pdf.reposAnalyzed': 'Repositorios analizados: {count}',
+  'pdf.totals': 'Estrellas totales: {stars}   Forks totales: {forks}   Media de estrellas: {avgStars}',
+  'pdf.languages': 'Lenguajes',
+  'pdf.repos': 'Repos',
+  'pdf.repoShare': '% de repos',
+  'pdf.byteShare': '% de bytes',
+  'pdf.allRepos': 'Todos los repositorios ({count})',
+};
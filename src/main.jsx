@@ -1,11 +1,28 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import I18nProvider from './components/I18nProvider';
+import DisplaySettingsProvider from './components/DisplaySettingsProvider';
+import RouterProvider from './components/RouterProvider';
+import { registerServiceWorker } from './lib/pwa';
 import './index.css';
+import './theme-styles.css';
 import './print-styles.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
 	<React.StrictMode>
-		<App />
+		{/* Outermost so a redirected deep link is restored before anything reads the URL */}
+		<RouterProvider>
+			<I18nProvider>
+				<DisplaySettingsProvider>
+					<App />
+				</DisplaySettingsProvider>
+			</I18nProvider>
+		</RouterProvider>
 	</React.StrictMode>
 );
+
+// Only production builds get the offline shell; in development it would serve stale modules
+if (import.meta.env.PROD) {
+	registerServiceWorker(import.meta.env.BASE_URL);
+}
@@ -1,3 +1,7 @@
+// Slate, the UI's neutral scale, reads its shades from CSS variables so the themes in
+// src/theme-styles.css can swap them
+const SLATE_SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -5,7 +9,11 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        slate: Object.fromEntries(SLATE_SHADES.map(shade => [shade, `rgb(var(--slate-${shade}) / <alpha-value>)`])),
+      },
+    },
   },
   plugins: [],
 }
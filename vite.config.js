@@ -1,9 +1,37 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// public/404.html finds the app's base path by counting path segments. Write the count of `base`
+// into the built copy so the two can't drift apart, and fail the build if the page has changed shape.
+const pagesFallback = () => {
+	let config;
+	return {
+		name: 'pages-404-base-segments',
+		apply: 'build',
+		configResolved(resolvedConfig) {
+			config = resolvedConfig;
+		},
+		writeBundle() {
+			if (!config.base.startsWith('/')) {
+				this.error(`404.html needs an absolute base path, got "${config.base}".`);
+			}
+			const file = path.resolve(config.root, config.build.outDir, '404.html');
+			const html = readFileSync(file, 'utf8');
+			const pattern = /var BASE_SEGMENTS = \d+;/;
+			if (!pattern.test(html)) {
+				this.error('public/404.html no longer declares "var BASE_SEGMENTS = <n>;".');
+			}
+			const segments = config.base.split('/').filter(Boolean).length;
+			writeFileSync(file, html.replace(pattern, `var BASE_SEGMENTS = ${segments};`));
+		},
+	};
+};
+
 // Vite configuration for React + Tailwind app
 // Set base to repo name for correct asset paths on GitHub Pages
 export default defineConfig({
 	base: '/GitHub-Lang-Detector/',
-	plugins: [react()],
+	plugins: [react(), pagesFallback()],
 });